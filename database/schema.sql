@@ -3,9 +3,15 @@ CREATE DATABASE IF NOT EXISTS qubic_casino
 USE qubic_casino;
 
 -- Wallets == users (merge to avoid duplication)
+-- status limits what the wallet can do (services/walletStatus.js); a status with
+-- status_expires_at turns back to active once it passes. Changes go to wallet_status_history.
 CREATE TABLE IF NOT EXISTS wallets (
   public_key VARCHAR(80) PRIMARY KEY,
-  status ENUM('active','banned') NOT NULL DEFAULT 'active',
+  status ENUM('active','suspended','self_excluded','withdraw_only','banned') NOT NULL DEFAULT 'active',
+  status_reason VARCHAR(255) NULL,
+  status_expires_at DATETIME NULL,
+  status_updated_at DATETIME NULL,
+  cool_off_until DATETIME NULL, -- player-requested break from betting (services/playerLimits.js)
   qubic_balance BIGINT NOT NULL DEFAULT 0,
   qdoge_balance BIGINT NOT NULL DEFAULT 0,
   created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
@@ -14,6 +20,25 @@ CREATE TABLE IF NOT EXISTS wallets (
 ) ENGINE=InnoDB;
 
 -- Round tables: store ONLY provably-fair + final outcome (no players/history JSON)
+-- Pre-committed reverse hash chains for crash seeds.
+-- terminal_hash = sha256^chain_length(root_seed) is published up front;
+-- round k uses sha256^(chain_length - k)(root_seed), so seeds are revealed backwards.
+CREATE TABLE IF NOT EXISTS crash_seed_chains (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  root_seed CHAR(64) NOT NULL, -- secret until the chain is exhausted
+  terminal_hash CHAR(64) NOT NULL,
+  salt CHAR(64) NOT NULL, -- public seed of every round in the chain
+  chain_length INT UNSIGNED NOT NULL,
+  next_index INT UNSIGNED NOT NULL DEFAULT 1,
+  status ENUM('active','exhausted') NOT NULL DEFAULT 'active',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  exhausted_at TIMESTAMP NULL,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_terminal_hash (terminal_hash),
+  KEY idx_status (status)
+) ENGINE=InnoDB;
+
 CREATE TABLE IF NOT EXISTS crash_rounds (
   id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
   status TINYINT UNSIGNED NOT NULL DEFAULT 1, -- 1 waiting, 2 betting, 3 playing, 4 ended
@@ -23,13 +48,20 @@ CREATE TABLE IF NOT EXISTS crash_rounds (
   private_seed_hash CHAR(64) NOT NULL,
   private_seed CHAR(64) NULL, -- reveal after ended (optional)
 
+  chain_id BIGINT UNSIGNED NULL, -- crash_seed_chains.id the seed came from
+  chain_index INT UNSIGNED NULL,
+
+  house_edge DECIMAL(6,4) NULL, -- instant-bust share the round was played with (NULL = legacy, no edge)
+  max_multiplier DECIMAL(10,2) NULL,
+
   started_at TIMESTAMP NULL,
   ended_at TIMESTAMP NULL,
   created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
 
   PRIMARY KEY (id),
   KEY idx_status_created (status, created_at),
-  KEY idx_created_at (created_at)
+  KEY idx_created_at (created_at),
+  UNIQUE KEY uq_chain_index (chain_id, chain_index)
 ) ENGINE=InnoDB;
 
 CREATE TABLE IF NOT EXISTS slide_rounds (
@@ -44,6 +76,9 @@ CREATE TABLE IF NOT EXISTS slide_rounds (
   -- Optional: store a short digest of generated numbers for audit/debug
   numbers_digest BINARY(32) NULL,
 
+  house_edge DECIMAL(6,4) NULL, -- parameters the outcome was derived with (see services/slideFairness.js)
+  max_multiplier DECIMAL(10,2) NULL,
+
   created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
 
   PRIMARY KEY (id),
@@ -66,7 +101,7 @@ CREATE TABLE IF NOT EXISTS bets (
   target INT NULL,
   bet_tx_id VARCHAR(128) NOT NULL,
 
-  outcome ENUM('pending','won','lost') NOT NULL DEFAULT 'pending',
+  outcome ENUM('pending','won','lost','refunded') NOT NULL DEFAULT 'pending',
   payout_amount BIGINT NOT NULL DEFAULT 0,
   payout_tx_id VARCHAR(128) NULL,
   settled_at TIMESTAMP NULL DEFAULT NULL,
@@ -78,6 +113,7 @@ CREATE TABLE IF NOT EXISTS bets (
   KEY idx_game_round (game, round_id),
   KEY idx_wallet_created (wallet_public_key, created_at),
   KEY idx_outcome_created (outcome, created_at),
+  KEY idx_settled_at (settled_at),
   KEY idx_payout_tx (payout_tx_id),
 
   CONSTRAINT fk_bets_wallet
@@ -85,9 +121,27 @@ CREATE TABLE IF NOT EXISTS bets (
     ON DELETE RESTRICT
 ) ENGINE=InnoDB;
 
+-- Audit trail of restart recovery for crash rounds left in Starting / InProgress
+CREATE TABLE IF NOT EXISTS crash_round_recoveries (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  round_id BIGINT UNSIGNED NOT NULL,
+  bet_id BIGINT UNSIGNED NULL,
+  wallet_public_key VARCHAR(80) NULL,
+  action VARCHAR(32) NOT NULL, -- refund, settle_won, settle_lost, payout_failed, round_refunded, round_settled
+  amount BIGINT NULL,
+  tx_id VARCHAR(128) NULL,
+  detail VARCHAR(255) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (id),
+  KEY idx_round (round_id),
+  KEY idx_wallet_created (wallet_public_key, created_at)
+) ENGINE=InnoDB;
+
 -- Mines: use bitmasks instead of JSON (25 cells fits in 32 bits)
 -- mines_mask: which cells are mines
 -- revealed_mask: which cells revealed
+-- status READY: bet tx not final yet (promoted to LIVE once verified)
 CREATE TABLE IF NOT EXISTS mine_sessions (
   id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
   wallet_public_key VARCHAR(80) NOT NULL,
@@ -100,14 +154,19 @@ CREATE TABLE IF NOT EXISTS mine_sessions (
   public_seed CHAR(64) NOT NULL,
   private_seed_hash CHAR(64) NOT NULL,
   private_seed CHAR(64) NULL,
+  nonce INT UNSIGNED NULL, -- fairness profile nonce used with public_seed (client seed); NULL = legacy random placement
 
   mines_mask INT UNSIGNED NOT NULL DEFAULT 0,
   revealed_mask INT UNSIGNED NOT NULL DEFAULT 0,
 
   payout_amount BIGINT NULL,
   payout_tx_id VARCHAR(128) NULL,
-  payout_status ENUM('NONE','PENDING','SENT','FAILED') NOT NULL DEFAULT 'NONE',
+  payout_status ENUM('NONE','PENDING','SENT','REBROADCAST','CONFIRMED','FAILED') NOT NULL DEFAULT 'NONE',
   payout_error TEXT NULL,
+  -- payout retry worker (services/minePayouts.js): retries so far, next look, escalated to operators
+  payout_attempts INT UNSIGNED NOT NULL DEFAULT 0,
+  payout_next_retry_at TIMESTAMP NULL DEFAULT NULL,
+  payout_escalated_at TIMESTAMP NULL DEFAULT NULL,
 
   created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -117,6 +176,7 @@ CREATE TABLE IF NOT EXISTS mine_sessions (
   UNIQUE KEY uq_mine_bet_tx (bet_tx_id),
   KEY idx_wallet_status_created (wallet_public_key, status, created_at),
   KEY idx_expires_at (expires_at),
+  KEY idx_payout_retry (payout_status, payout_next_retry_at),
 
   CONSTRAINT fk_mines_wallet
     FOREIGN KEY (wallet_public_key) REFERENCES wallets(public_key)
@@ -143,12 +203,13 @@ CREATE TABLE IF NOT EXISTS video_poker_sessions (
   id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
   wallet_public_key VARCHAR(80) NOT NULL,
 
-  status ENUM('LIVE','ENDED','EXPIRED') NOT NULL DEFAULT 'LIVE',
+  status ENUM('LIVE','VERIFYING','ENDED','EXPIRED') NOT NULL DEFAULT 'LIVE', -- VERIFYING: bet tx not final yet
   expires_at TIMESTAMP NULL,
 
   public_seed CHAR(64) NOT NULL,
   private_seed_hash CHAR(64) NOT NULL,
   private_seed CHAR(64) NULL,
+  nonce INT UNSIGNED NULL, -- fairness profile nonce (public_seed = client seed); NULL = legacy per-session seeds
 
   initial_hand VARBINARY(5) NOT NULL,
   hold_mask TINYINT UNSIGNED NULL,
@@ -162,6 +223,8 @@ CREATE TABLE IF NOT EXISTS video_poker_sessions (
   payout_amount BIGINT NULL,
   profit BIGINT NULL,
   payout_tx_id VARCHAR(128) NULL,
+  payout_status ENUM('NONE','PENDING','SENT','REBROADCAST','CONFIRMED','FAILED') NOT NULL DEFAULT 'NONE',
+  payout_error TEXT NULL,
 
   created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -174,3 +237,391 @@ CREATE TABLE IF NOT EXISTS video_poker_sessions (
     FOREIGN KEY (wallet_public_key) REFERENCES wallets(public_key)
     ON DELETE RESTRICT
 ) ENGINE=InnoDB;
+
+-- Outgoing casino -> player transfers, sent by the payout worker (services/payoutQueue.js)
+-- reference makes enqueueing idempotent (e.g. 'crash:bet:42', 'mine:17')
+-- sent transfers are tracked until their tick includes them (confirmed) or they are signed again (rebroadcast)
+CREATE TABLE IF NOT EXISTS payout_queue (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  reference VARCHAR(64) NOT NULL,
+
+  game ENUM('crash','slide','mine','videopoker') NOT NULL,
+  round_id BIGINT UNSIGNED NULL,
+  bet_id BIGINT UNSIGNED NULL,
+  wallet_public_key VARCHAR(80) NOT NULL,
+  amount BIGINT NOT NULL,
+
+  status ENUM('queued','sending','sent','rebroadcast','confirmed','failed','voided') NOT NULL DEFAULT 'queued', -- voided: failed, operator gave up
+  attempts INT UNSIGNED NOT NULL DEFAULT 0,
+  rebroadcasts INT UNSIGNED NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_error VARCHAR(255) NULL,
+
+  tx_id VARCHAR(128) NULL,
+  target_tick BIGINT NULL,
+  sent_at TIMESTAMP NULL,
+  confirmed_tick BIGINT NULL,
+  confirmed_at TIMESTAMP NULL,
+
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_payout_reference (reference),
+  KEY idx_status_next (status, next_attempt_at),
+  KEY idx_wallet_created (wallet_public_key, created_at),
+  KEY idx_game_round (game, round_id)
+) ENGINE=InnoDB;
+
+-- Provably fair profile per wallet (mines, video poker): active server seed (only the hash is
+-- shown), client seed and the nonce of the next game. Rotation reveals the seed (below).
+CREATE TABLE IF NOT EXISTS fairness_profiles (
+  wallet_public_key VARCHAR(80) NOT NULL,
+  server_seed CHAR(64) NOT NULL,
+  server_seed_hash CHAR(64) NOT NULL,
+  client_seed VARCHAR(64) NOT NULL,
+  nonce INT UNSIGNED NOT NULL DEFAULT 0,
+  last_used_at TIMESTAMP NULL,
+  committed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (wallet_public_key),
+
+  CONSTRAINT fk_fairness_profiles_wallet
+    FOREIGN KEY (wallet_public_key) REFERENCES wallets(public_key)
+    ON DELETE RESTRICT
+) ENGINE=InnoDB;
+
+-- Server seeds rotated out of a profile; nonces 0..nonce_count-1 were played with them
+CREATE TABLE IF NOT EXISTS fairness_revealed_seeds (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  wallet_public_key VARCHAR(80) NOT NULL,
+  server_seed CHAR(64) NOT NULL,
+  server_seed_hash CHAR(64) NOT NULL,
+  client_seed VARCHAR(64) NOT NULL,
+  nonce_count INT UNSIGNED NOT NULL,
+  committed_at TIMESTAMP NULL,
+  revealed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_revealed_seed_hash (server_seed_hash),
+  KEY idx_wallet_revealed (wallet_public_key, id),
+
+  CONSTRAINT fk_fairness_revealed_wallet
+    FOREIGN KEY (wallet_public_key) REFERENCES wallets(public_key)
+    ON DELETE RESTRICT
+) ENGINE=InnoDB;
+
+-- Withdrawals from the casino wallet: requested -> approved -> broadcast -> confirmed / failed.
+-- tx_id is stored when the transfer is signed, before it is broadcast.
+CREATE TABLE IF NOT EXISTS withdrawals (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  wallet_public_key VARCHAR(80) NOT NULL,
+  destination VARCHAR(80) NOT NULL,
+  amount BIGINT NOT NULL,
+  status ENUM('requested','approved','broadcast','confirmed','failed') NOT NULL DEFAULT 'requested',
+  tx_id VARCHAR(128) NULL,
+  target_tick BIGINT UNSIGNED NULL,
+  confirmed_tick BIGINT UNSIGNED NULL,
+  error VARCHAR(255) NULL,
+  approved_at TIMESTAMP NULL,
+  broadcast_at TIMESTAMP NULL,
+  confirmed_at TIMESTAMP NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_withdrawal_tx (tx_id),
+  KEY idx_status_id (status, id),
+  KEY idx_wallet_created (wallet_public_key, created_at),
+
+  CONSTRAINT fk_withdrawals_wallet
+    FOREIGN KEY (wallet_public_key) REFERENCES wallets(public_key)
+    ON DELETE RESTRICT
+) ENGINE=InnoDB;
+
+-- Custodial player balances (double-entry). Every transaction's entries sum to zero;
+-- accounts are `player:<publicKey>`, `house` (stakes / winnings) and `chain` (deposits / withdrawals).
+-- Bets played from the balance use `ledger:<balance_transactions.id>` as their bets.tx_id.
+CREATE TABLE IF NOT EXISTS balance_accounts (
+  account VARCHAR(100) NOT NULL,
+  wallet_public_key VARCHAR(80) NULL,
+  balance BIGINT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (account),
+  KEY idx_wallet (wallet_public_key)
+) ENGINE=InnoDB;
+
+CREATE TABLE IF NOT EXISTS balance_transactions (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  reference VARCHAR(128) NOT NULL,
+  kind ENUM('deposit','bet','bet_release','win','refund','withdrawal','withdrawal_reversal') NOT NULL,
+  wallet_public_key VARCHAR(80) NULL,
+  game VARCHAR(20) NULL,
+  round_id BIGINT UNSIGNED NULL,
+  amount BIGINT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_balance_reference (reference),
+  KEY idx_wallet_created (wallet_public_key, created_at),
+
+  CONSTRAINT fk_balance_transactions_wallet
+    FOREIGN KEY (wallet_public_key) REFERENCES wallets(public_key)
+    ON DELETE RESTRICT
+) ENGINE=InnoDB;
+
+CREATE TABLE IF NOT EXISTS balance_entries (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  transaction_id BIGINT UNSIGNED NOT NULL,
+  account VARCHAR(100) NOT NULL,
+  amount BIGINT NOT NULL,
+  balance_after BIGINT NOT NULL,
+
+  PRIMARY KEY (id),
+  KEY idx_account_id (account, id),
+  KEY idx_transaction (transaction_id),
+
+  CONSTRAINT fk_balance_entries_transaction
+    FOREIGN KEY (transaction_id) REFERENCES balance_transactions(id)
+    ON DELETE RESTRICT,
+  CONSTRAINT fk_balance_entries_account
+    FOREIGN KEY (account) REFERENCES balance_accounts(account)
+    ON DELETE RESTRICT
+) ENGINE=InnoDB;
+
+-- Transfers into the casino wallet seen by the deposit watcher (or POST /api/balance/deposit).
+-- credited: added to the source wallet's balance; unmatched: source is not a registered wallet;
+-- pending: transfer of a bet that never played, credited once final; rejected: it never executed.
+CREATE TABLE IF NOT EXISTS deposits (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  tx_id VARCHAR(128) NOT NULL,
+  source_id VARCHAR(80) NOT NULL,
+  wallet_public_key VARCHAR(80) NULL,
+  amount BIGINT NOT NULL,
+  tick BIGINT UNSIGNED NULL,
+  status ENUM('credited','unmatched','pending','rejected') NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_deposit_tx (tx_id),
+  KEY idx_wallet_id (wallet_public_key, id),
+  KEY idx_status_id (status, id),
+
+  CONSTRAINT fk_deposits_wallet
+    FOREIGN KEY (wallet_public_key) REFERENCES wallets(public_key)
+    ON DELETE RESTRICT
+) ENGINE=InnoDB;
+
+-- Last tick the deposit watcher has fully scanned (one row per casino identity)
+CREATE TABLE IF NOT EXISTS deposit_scan_cursors (
+  name VARCHAR(100) NOT NULL,
+  last_tick BIGINT UNSIGNED NOT NULL,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (name)
+) ENGINE=InnoDB;
+
+-- Wallet login challenges: the wallet signs `message` (schnorrq over K12) to get a session.
+-- A nonce logs in once (used_at) and only until expires_at.
+CREATE TABLE IF NOT EXISTS auth_challenges (
+  nonce CHAR(32) NOT NULL,
+  wallet_public_key VARCHAR(80) NOT NULL,
+  message VARCHAR(255) NOT NULL,
+  expires_at DATETIME(3) NOT NULL,
+  used_at DATETIME(3) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (nonce),
+  KEY idx_expires (expires_at)
+) ENGINE=InnoDB;
+
+-- Session tokens issued after a verified challenge (sent as `Authorization: Bearer <token>`).
+-- Only the SHA-256 of the token is stored.
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  token_hash CHAR(64) NOT NULL,
+  wallet_public_key VARCHAR(80) NOT NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  expires_at DATETIME(3) NOT NULL,
+  last_seen_at DATETIME(3) NULL,
+  reminded_at DATETIME(3) NULL, -- last session-time reminder (wallet_limits.session_minutes)
+  revoked_at DATETIME(3) NULL,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_token_hash (token_hash),
+  KEY idx_wallet (wallet_public_key),
+
+  CONSTRAINT fk_auth_sessions_wallet
+    FOREIGN KEY (wallet_public_key) REFERENCES wallets(public_key)
+    ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- Audit trail of wallet status changes. changed_by: 'player' (self-exclusion),
+-- 'system:expiry' (expired status lifted) or the operator who made the change.
+CREATE TABLE IF NOT EXISTS wallet_status_history (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  wallet_public_key VARCHAR(80) NOT NULL,
+  previous_status VARCHAR(20) NOT NULL,
+  status VARCHAR(20) NOT NULL,
+  reason VARCHAR(255) NULL,
+  expires_at DATETIME NULL,
+  changed_by VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (id),
+  KEY idx_wallet_id (wallet_public_key, id),
+
+  CONSTRAINT fk_wallet_status_history_wallet
+    FOREIGN KEY (wallet_public_key) REFERENCES wallets(public_key)
+    ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- Responsible-gambling limits per wallet (one row per limit name): loss_daily / weekly / monthly,
+-- wager_daily / weekly / monthly (QU, rolling windows) and session_minutes (reminder interval).
+-- value NULL = no limit. Raising or removing a limit is stored as pending_value and applied at
+-- pending_effective_at; lowering one replaces value right away.
+CREATE TABLE IF NOT EXISTS wallet_limits (
+  wallet_public_key VARCHAR(80) NOT NULL,
+  name VARCHAR(32) NOT NULL,
+  value BIGINT NULL,
+  pending_value BIGINT NULL,
+  pending_effective_at DATETIME NULL,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (wallet_public_key, name),
+
+  CONSTRAINT fk_wallet_limits_wallet
+    FOREIGN KEY (wallet_public_key) REFERENCES wallets(public_key)
+    ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- API keys for /api/admin (X-Admin-Key). Only the SHA-256 of a key is stored.
+-- role: viewer (read), operator (+ wallet / payout / game actions), admin (+ keys, audit log)
+CREATE TABLE IF NOT EXISTS admin_api_keys (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  name VARCHAR(100) NOT NULL,
+  role ENUM('viewer','operator','admin') NOT NULL,
+  key_hash CHAR(64) NOT NULL,
+  created_by VARCHAR(100) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at DATETIME NULL,
+  revoked_at DATETIME NULL,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_admin_key_hash (key_hash)
+) ENGINE=InnoDB;
+
+-- Every /api/admin request (including refused ones), written when the response is sent.
+-- actor: 'admin:<key name>' or 'anonymous'; details: action parameters / request body (JSON).
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  key_id BIGINT UNSIGNED NULL,
+  actor VARCHAR(100) NOT NULL,
+  role VARCHAR(20) NULL,
+  action VARCHAR(100) NOT NULL,
+  target_type VARCHAR(32) NULL,
+  target_id VARCHAR(128) NULL,
+  details JSON NULL,
+  status_code SMALLINT UNSIGNED NOT NULL,
+  ip VARCHAR(64) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (id),
+  KEY idx_created_at (created_at),
+  KEY idx_key_id (key_id, id),
+  KEY idx_target (target_type, target_id, id)
+) ENGINE=InnoDB;
+
+-- Per-game operator switches. paused = no new bets (games already staked can finish).
+-- A game without a row is open.
+CREATE TABLE IF NOT EXISTS game_settings (
+  game VARCHAR(20) NOT NULL,
+  paused TINYINT(1) NOT NULL DEFAULT 0,
+  pause_reason VARCHAR(255) NULL,
+  updated_by VARCHAR(100) NULL,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (game)
+) ENGINE=InnoDB;
+
+-- Reporting rollup: one row per (day, game), rebuilt from bets by services/reports.js.
+-- A bet counts on the day it was placed; wagered / payouts / unique_players cover settled bets
+-- (won / lost). theoretical_payout = sum of stake x theoretical RTP (crash / slide: the round's house edge).
+CREATE TABLE IF NOT EXISTS report_game_daily (
+  day DATE NOT NULL,
+  game ENUM('crash','slide','mine','videopoker') NOT NULL,
+  bet_count INT UNSIGNED NOT NULL DEFAULT 0,
+  wagered BIGINT NOT NULL DEFAULT 0,
+  payouts BIGINT NOT NULL DEFAULT 0,
+  unique_players INT UNSIGNED NOT NULL DEFAULT 0,
+  theoretical_payout BIGINT NOT NULL DEFAULT 0,
+  pending_count INT UNSIGNED NOT NULL DEFAULT 0,
+  refunded_count INT UNSIGNED NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (day, game)
+) ENGINE=InnoDB;
+
+-- How far each reporting rollup has read the bets ledger (the next run rebuilds days changed since).
+CREATE TABLE IF NOT EXISTS report_rollup_state (
+  name VARCHAR(32) NOT NULL,
+  rolled_up_to DATETIME NOT NULL,
+
+  PRIMARY KEY (name)
+) ENGINE=InnoDB;
+
+-- Append-only trail of money movements: bets accepted, payout attempts / results, balance postings,
+-- withdrawals and admin overrides. Rows are never updated or deleted.
+-- actor: 'player', 'system[:<worker>]' or 'admin:<key name>'; tx_id: chain txId or 'ledger:<balance tx id>'.
+CREATE TABLE IF NOT EXISTS audit_events (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  type VARCHAR(48) NOT NULL,
+  actor VARCHAR(100) NOT NULL,
+  wallet_public_key VARCHAR(80) NULL,
+  game VARCHAR(20) NULL,
+  round_id BIGINT UNSIGNED NULL,
+  amount BIGINT NULL,
+  tx_id VARCHAR(128) NULL,
+  reference VARCHAR(64) NULL,
+  error TEXT NULL,
+  details JSON NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+  PRIMARY KEY (id),
+  KEY idx_wallet (wallet_public_key, id),
+  KEY idx_game_created (game, created_at),
+  KEY idx_created_at (created_at),
+  KEY idx_type (type, id),
+  KEY idx_tx_id (tx_id)
+) ENGINE=InnoDB;
+
+-- Idempotency-Key of a wallet's request to an endpoint (scope, e.g. 'mine.cashout') and the answer it got,
+-- replayed when the same key is sent again. status_code / response are NULL while the request runs.
+-- Keys older than IDEMPOTENCY_KEY_TTL_MS are dropped the next time the wallet sends one.
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  wallet_public_key VARCHAR(80) NOT NULL,
+  scope VARCHAR(32) NOT NULL,
+  idem_key VARCHAR(128) NOT NULL,
+  request_hash CHAR(64) NOT NULL,
+  status_code SMALLINT UNSIGNED NULL,
+  response JSON NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+  PRIMARY KEY (wallet_public_key, scope, idem_key),
+  KEY idx_wallet_created (wallet_public_key, created_at)
+) ENGINE=InnoDB;
+
+-- What a transfer into the casino wallet paid for: a bet (any game) or a balance deposit.
+-- The first claim of a tx_id wins, so one transfer cannot be both staked and credited.
+CREATE TABLE IF NOT EXISTS tx_claims (
+  tx_id VARCHAR(128) NOT NULL,
+  kind ENUM('bet','deposit') NOT NULL,
+  wallet_public_key VARCHAR(80) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (tx_id),
+  KEY idx_wallet_created (wallet_public_key, created_at)
+) ENGINE=InnoDB;
@@ -0,0 +1,300 @@
+const { query } = require('../database/connection');
+
+// Least to most privileged; a key may do everything the roles before its own may
+const ADMIN_ROLES = ['viewer', 'operator', 'admin'];
+
+function mapKeyRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    role: row.role,
+    createdBy: row.created_by || null,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at || null,
+    revokedAt: row.revoked_at || null,
+  };
+}
+
+function mapAuditRow(row) {
+  let details = row.details;
+  if (typeof details === 'string') {
+    try {
+      details = JSON.parse(details);
+    } catch {
+      // keep the raw text
+    }
+  }
+  return {
+    id: row.id,
+    keyId: row.key_id,
+    actor: row.actor,
+    role: row.role,
+    action: row.action,
+    targetType: row.target_type || null,
+    targetId: row.target_id || null,
+    details: details ?? null,
+    statusCode: row.status_code,
+    ip: row.ip || null,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * AdminApiKey Model (MySQL)
+ * API keys for /api/admin. Only the SHA-256 of a key is stored.
+ */
+const AdminApiKey = {
+  async create({ name, role, keyHash, createdBy = null }) {
+    const result = await query(
+      'INSERT INTO admin_api_keys (name, role, key_hash, created_by) VALUES (?, ?, ?, ?)',
+      [String(name), String(role), String(keyHash), createdBy ? String(createdBy) : null]
+    );
+    return AdminApiKey.findById(result.insertId);
+  },
+
+  async findById(id) {
+    const rows = await query('SELECT * FROM admin_api_keys WHERE id = ? LIMIT 1', [Number(id)]);
+    return rows.length ? mapKeyRow(rows[0]) : null;
+  },
+
+  /**
+   * Key for a hash, or null if it is unknown or revoked.
+   */
+  async findActiveByHash(keyHash) {
+    const rows = await query(
+      'SELECT * FROM admin_api_keys WHERE key_hash = ? AND revoked_at IS NULL LIMIT 1',
+      [String(keyHash)]
+    );
+    return rows.length ? mapKeyRow(rows[0]) : null;
+  },
+
+  async findAll() {
+    const rows = await query('SELECT * FROM admin_api_keys ORDER BY id ASC');
+    return rows.map(mapKeyRow);
+  },
+
+  async touch(id) {
+    await query('UPDATE admin_api_keys SET last_used_at = NOW() WHERE id = ?', [Number(id)]);
+  },
+
+  async revoke(id) {
+    const result = await query(
+      'UPDATE admin_api_keys SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+      [Number(id)]
+    );
+    return result.affectedRows === 1;
+  },
+};
+
+/**
+ * AdminAuditLog Model (MySQL)
+ * One row per /api/admin request, written when the response is sent. Rows are never updated.
+ */
+const AdminAuditLog = {
+  async record({ keyId = null, actor, role = null, action, targetType = null, targetId = null, details = null, statusCode, ip = null }) {
+    await query(
+      `INSERT INTO admin_audit_log
+        (key_id, actor, role, action, target_type, target_id, details, status_code, ip)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        keyId ? Number(keyId) : null,
+        String(actor).slice(0, 100),
+        role,
+        String(action).slice(0, 100),
+        targetType,
+        targetId === null || targetId === undefined ? null : String(targetId).slice(0, 128),
+        details === null ? null : JSON.stringify(details),
+        Number(statusCode),
+        ip ? String(ip).slice(0, 64) : null,
+      ]
+    );
+  },
+
+  /**
+   * Newest first. Filters: keyId, action, targetType, targetId, from, to, beforeId (paging).
+   */
+  async search(filters = {}, limit = 50) {
+    let sql = 'SELECT * FROM admin_audit_log WHERE 1=1';
+    const params = [];
+
+    if (filters.keyId) {
+      sql += ' AND key_id = ?';
+      params.push(Number(filters.keyId));
+    }
+    if (filters.action) {
+      sql += ' AND action = ?';
+      params.push(String(filters.action));
+    }
+    if (filters.targetType) {
+      sql += ' AND target_type = ?';
+      params.push(String(filters.targetType));
+    }
+    if (filters.targetId) {
+      sql += ' AND target_id = ?';
+      params.push(String(filters.targetId));
+    }
+    if (filters.from) {
+      sql += ' AND created_at >= ?';
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      sql += ' AND created_at < ?';
+      params.push(filters.to);
+    }
+    if (filters.beforeId) {
+      sql += ' AND id < ?';
+      params.push(Number(filters.beforeId));
+    }
+
+    const n = Math.max(1, Math.min(500, Number(limit) || 50));
+    // MySQL does not allow parameter placeholders for LIMIT
+    sql += ` ORDER BY id DESC LIMIT ${n}`;
+
+    const rows = await query(sql, params);
+    return rows.map(mapAuditRow);
+  },
+};
+
+/**
+ * Searchable round / session tables: filter name -> column, and how rows are shown.
+ * Rounds have no wallet column; `wallet` matches the rounds the wallet has a bet in (betGame).
+ * Seeds are only shown once revealed (private_seed is set when a round ends).
+ */
+const SEARCH_TABLES = {
+  crash: {
+    table: 'crash_rounds',
+    betGame: 'crash',
+    filters: { status: 'status' },
+    map: (row) => ({
+      id: row.id,
+      status: row.status,
+      crashPoint: Number(row.crash_point),
+      publicSeed: row.public_seed,
+      privateSeedHash: row.private_seed_hash,
+      privateSeed: row.private_seed || null,
+      chainId: row.chain_id ?? null,
+      chainIndex: row.chain_index ?? null,
+      houseEdge: row.house_edge === null ? null : Number(row.house_edge),
+      startedAt: row.started_at,
+      endedAt: row.ended_at,
+      createdAt: row.created_at,
+    }),
+  },
+  slide: {
+    table: 'slide_rounds',
+    betGame: 'slide',
+    filters: { status: 'status' },
+    map: (row) => ({
+      id: row.id,
+      status: row.status,
+      crashPoint: Number(row.crash_point),
+      publicSeed: row.public_seed,
+      privateSeedHash: row.private_seed_hash,
+      privateSeed: row.private_seed || null,
+      houseEdge: row.house_edge === null ? null : Number(row.house_edge),
+      createdAt: row.created_at,
+    }),
+  },
+  mine: {
+    table: 'mine_sessions',
+    filters: { wallet: 'wallet_public_key', status: 'status', payoutStatus: 'payout_status', txId: 'bet_tx_id' },
+    map: (row) => ({
+      id: row.id,
+      publicKey: row.wallet_public_key,
+      status: row.status,
+      mines: row.mines_count,
+      betAmount: Number(row.bet_amount),
+      txId: row.bet_tx_id || null,
+      payoutAmount: row.payout_amount === null ? null : Number(row.payout_amount),
+      payoutTxId: row.payout_tx_id || null,
+      payoutStatus: row.payout_status,
+      payoutError: row.payout_error || null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    }),
+  },
+  videopoker: {
+    table: 'video_poker_sessions',
+    filters: {
+      wallet: 'wallet_public_key',
+      status: 'status',
+      result: 'result',
+      payoutStatus: 'payout_status',
+      txId: 'bet_tx_id',
+    },
+    map: (row) => ({
+      id: row.id,
+      publicKey: row.wallet_public_key,
+      status: row.status,
+      betAmount: Number(row.bet_amount),
+      txId: row.bet_tx_id || null,
+      result: row.result || null,
+      multiplier: row.multiplier ?? null,
+      payoutAmount: row.payout_amount === null ? null : Number(row.payout_amount),
+      payoutTxId: row.payout_tx_id || null,
+      payoutStatus: row.payout_status || null,
+      payoutError: row.payout_error || null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    }),
+  },
+};
+
+/**
+ * Read-only searches over game rounds and sessions for the admin API.
+ */
+const AdminSearch = {
+  games: Object.keys(SEARCH_TABLES),
+
+  /**
+   * Newest first. Filters: id, the game's own filters (see SEARCH_TABLES), from, to, beforeId.
+   * Returns null for an unknown game.
+   */
+  async rounds(game, filters = {}, limit = 50) {
+    const spec = SEARCH_TABLES[game];
+    if (!spec) return null;
+
+    let sql = `SELECT * FROM ${spec.table} WHERE 1=1`;
+    const params = [];
+
+    if (filters.id) {
+      sql += ' AND id = ?';
+      params.push(Number(filters.id));
+    }
+    for (const [name, column] of Object.entries(spec.filters)) {
+      if (filters[name] === undefined || filters[name] === null || filters[name] === '') continue;
+      sql += ` AND ${column} = ?`;
+      params.push(String(filters[name]));
+    }
+    if (filters.wallet && spec.betGame) {
+      sql += ' AND id IN (SELECT round_id FROM bets WHERE game = ? AND wallet_public_key = ?)';
+      params.push(spec.betGame, String(filters.wallet));
+    }
+    if (filters.from) {
+      sql += ' AND created_at >= ?';
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      sql += ' AND created_at < ?';
+      params.push(filters.to);
+    }
+    if (filters.beforeId) {
+      sql += ' AND id < ?';
+      params.push(Number(filters.beforeId));
+    }
+
+    const n = Math.max(1, Math.min(500, Number(limit) || 50));
+    // MySQL does not allow parameter placeholders for LIMIT
+    sql += ` ORDER BY id DESC LIMIT ${n}`;
+
+    const rows = await query(sql, params);
+    return rows.map(spec.map);
+  },
+};
+
+module.exports = {
+  ADMIN_ROLES,
+  AdminApiKey,
+  AdminAuditLog,
+  AdminSearch,
+};
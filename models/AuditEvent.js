@@ -0,0 +1,122 @@
+const { query } = require('../database/connection');
+
+function mapEventRow(row) {
+  let details = row.details;
+  if (typeof details === 'string') {
+    try {
+      details = JSON.parse(details);
+    } catch {
+      // keep the raw text
+    }
+  }
+  return {
+    id: row.id,
+    type: row.type,
+    actor: row.actor,
+    publicKey: row.wallet_public_key || null,
+    game: row.game || null,
+    roundId: row.round_id === null ? null : Number(row.round_id),
+    amount: row.amount === null ? null : Number(row.amount),
+    txId: row.tx_id || null,
+    reference: row.reference || null,
+    error: row.error || null,
+    details: details ?? null,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * AuditEvent Model (MySQL)
+ * Append-only record of money movements: bets, balance postings, payouts, withdrawals
+ * and admin overrides. Rows are only ever inserted.
+ */
+const AuditEvent = {
+  async record({
+    type,
+    actor,
+    publicKey = null,
+    game = null,
+    roundId = null,
+    amount = null,
+    txId = null,
+    reference = null,
+    error = null,
+    details = null,
+  }) {
+    const result = await query(
+      `INSERT INTO audit_events
+        (type, actor, wallet_public_key, game, round_id, amount, tx_id, reference, error, details)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        String(type).slice(0, 48),
+        String(actor).slice(0, 100),
+        publicKey ? String(publicKey) : null,
+        game ? String(game).slice(0, 20) : null,
+        roundId === null || roundId === undefined ? null : Number(roundId),
+        amount === null || amount === undefined ? null : Math.trunc(Number(amount)),
+        txId ? String(txId).slice(0, 128) : null,
+        reference ? String(reference).slice(0, 64) : null,
+        error ? String(error).slice(0, 2000) : null,
+        details === null || details === undefined ? null : JSON.stringify(details),
+      ]
+    );
+    return result.insertId;
+  },
+
+  /**
+   * Newest first. Filters: publicKey, game, type (exact, or a prefix ending in '.', e.g. 'payout.'),
+   * roundId, txId, from, to, beforeId (paging).
+   */
+  async search(filters = {}, limit = 100) {
+    let sql = 'SELECT * FROM audit_events WHERE 1=1';
+    const params = [];
+
+    if (filters.publicKey) {
+      sql += ' AND wallet_public_key = ?';
+      params.push(String(filters.publicKey));
+    }
+    if (filters.game) {
+      sql += ' AND game = ?';
+      params.push(String(filters.game));
+    }
+    if (filters.type) {
+      const type = String(filters.type);
+      if (type.endsWith('.')) {
+        sql += ' AND type LIKE ?';
+        params.push(`${type.replace(/[%_\\]/g, '\\$&')}%`);
+      } else {
+        sql += ' AND type = ?';
+        params.push(type);
+      }
+    }
+    if (filters.roundId) {
+      sql += ' AND round_id = ?';
+      params.push(Number(filters.roundId));
+    }
+    if (filters.txId) {
+      sql += ' AND tx_id = ?';
+      params.push(String(filters.txId));
+    }
+    if (filters.from) {
+      sql += ' AND created_at >= ?';
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      sql += ' AND created_at < ?';
+      params.push(filters.to);
+    }
+    if (filters.beforeId) {
+      sql += ' AND id < ?';
+      params.push(Number(filters.beforeId));
+    }
+
+    const n = Math.max(1, Math.min(1000, Number(limit) || 100));
+    // MySQL does not allow parameter placeholders for LIMIT
+    sql += ` ORDER BY id DESC LIMIT ${n}`;
+
+    const rows = await query(sql, params);
+    return rows.map(mapEventRow);
+  },
+};
+
+module.exports = { AuditEvent };
@@ -0,0 +1,136 @@
+const { query } = require('../database/connection');
+
+function mapChallengeRow(row) {
+  return {
+    nonce: row.nonce,
+    publicKey: row.wallet_public_key,
+    message: row.message,
+    expiresAt: row.expires_at,
+    usedAt: row.used_at,
+  };
+}
+
+function mapSessionRow(row) {
+  return {
+    id: row.id,
+    publicKey: row.wallet_public_key,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    lastSeenAt: row.last_seen_at,
+    remindedAt: row.reminded_at || null,
+    revokedAt: row.revoked_at,
+  };
+}
+
+/**
+ * AuthChallenge Model (MySQL)
+ * One-time nonces a wallet signs to log in.
+ */
+const AuthChallenge = {
+  async create({ nonce, publicKey, message, ttlMs }) {
+    await query(
+      `INSERT INTO auth_challenges (nonce, wallet_public_key, message, expires_at)
+       VALUES (?, ?, ?, DATE_ADD(NOW(3), INTERVAL ? MICROSECOND))`,
+      [String(nonce), String(publicKey), String(message), Math.floor(Number(ttlMs) * 1000)]
+    );
+  },
+
+  async findUsable(nonce, publicKey) {
+    const rows = await query(
+      `SELECT * FROM auth_challenges
+       WHERE nonce = ? AND wallet_public_key = ? AND used_at IS NULL AND expires_at > NOW(3)
+       LIMIT 1`,
+      [String(nonce), String(publicKey)]
+    );
+    return rows.length ? mapChallengeRow(rows[0]) : null;
+  },
+
+  /**
+   * Mark a nonce used. Returns false if it was already used (each nonce logs in once).
+   */
+  async consume(nonce) {
+    const result = await query(
+      'UPDATE auth_challenges SET used_at = NOW(3) WHERE nonce = ? AND used_at IS NULL',
+      [String(nonce)]
+    );
+    return result.affectedRows === 1;
+  },
+
+  async deleteExpired() {
+    const result = await query('DELETE FROM auth_challenges WHERE expires_at < NOW(3) - INTERVAL 1 DAY');
+    return result.affectedRows;
+  },
+};
+
+/**
+ * AuthSession Model (MySQL)
+ * Session tokens issued after a verified signature. Only the SHA-256 of a token is stored.
+ */
+const AuthSession = {
+  async create({ tokenHash, publicKey, ttlMs }) {
+    const result = await query(
+      `INSERT INTO auth_sessions (token_hash, wallet_public_key, expires_at)
+       VALUES (?, ?, DATE_ADD(NOW(3), INTERVAL ? MICROSECOND))`,
+      [String(tokenHash), String(publicKey), Math.floor(Number(ttlMs) * 1000)]
+    );
+    return AuthSession.findById(result.insertId);
+  },
+
+  async findById(id) {
+    const rows = await query('SELECT * FROM auth_sessions WHERE id = ? LIMIT 1', [Number(id)]);
+    return rows.length ? mapSessionRow(rows[0]) : null;
+  },
+
+  /**
+   * Session for a token hash, or null if it is unknown, expired or revoked.
+   */
+  async findActive(tokenHash) {
+    const rows = await query(
+      `SELECT * FROM auth_sessions
+       WHERE token_hash = ? AND revoked_at IS NULL AND expires_at > NOW(3)
+       LIMIT 1`,
+      [String(tokenHash)]
+    );
+    return rows.length ? mapSessionRow(rows[0]) : null;
+  },
+
+  async touch(id) {
+    await query('UPDATE auth_sessions SET last_seen_at = NOW(3) WHERE id = ?', [Number(id)]);
+  },
+
+  /**
+   * Claim a session-time reminder: true if the session is at least `minutes` old and
+   * no reminder was given in the last `minutes` (only one caller gets true).
+   */
+  async claimReminder(id, minutes) {
+    const result = await query(
+      `UPDATE auth_sessions SET reminded_at = NOW(3)
+        WHERE id = ?
+          AND created_at <= NOW(3) - INTERVAL ? MINUTE
+          AND (reminded_at IS NULL OR reminded_at <= NOW(3) - INTERVAL ? MINUTE)`,
+      [Number(id), Number(minutes), Number(minutes)]
+    );
+    return result.affectedRows === 1;
+  },
+
+  async revoke(id) {
+    const result = await query(
+      'UPDATE auth_sessions SET revoked_at = NOW(3) WHERE id = ? AND revoked_at IS NULL',
+      [Number(id)]
+    );
+    return result.affectedRows === 1;
+  },
+
+  async revokeAllForWallet(publicKey) {
+    const result = await query(
+      'UPDATE auth_sessions SET revoked_at = NOW(3) WHERE wallet_public_key = ? AND revoked_at IS NULL',
+      [String(publicKey)]
+    );
+    return result.affectedRows;
+  },
+};
+
+module.exports = {
+  AuthChallenge,
+  AuthSession,
+};
@@ -0,0 +1,171 @@
+const { query, getConnection } = require('../database/connection');
+
+// System accounts; players hold `player:<publicKey>`
+const HOUSE_ACCOUNT = 'house'; // casino bankroll: stakes in, winnings out
+const CHAIN_ACCOUNT = 'chain'; // the outside world: deposits in, withdrawals out
+
+function playerAccount(publicKey) {
+  return `player:${publicKey}`;
+}
+
+function mapTransactionRow(row) {
+  return {
+    id: row.id,
+    reference: row.reference,
+    kind: row.kind,
+    publicKey: row.wallet_public_key || null,
+    game: row.game || null,
+    roundId: row.round_id ?? null,
+    amount: Number(row.amount),
+    createdAt: row.created_at,
+  };
+}
+
+function mapAccountRow(row) {
+  return {
+    account: row.account,
+    publicKey: row.wallet_public_key || null,
+    balance: Number(row.balance),
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Balance Ledger Model (MySQL)
+ * Double-entry bookkeeping of custodial player balances. Every balance_transactions row
+ * has entries that sum to zero; balance_accounts.balance is the running total of an
+ * account's entries. Player accounts never go below zero.
+ */
+const BalanceLedger = {
+  /**
+   * Post a transaction atomically. `entries` is [{ account, amount }] with amounts
+   * summing to zero (positive = credit to that account).
+   * A reference that was already posted returns the existing transaction ({ duplicate: true }).
+   * Throws 402 if a player account would go negative.
+   *
+   * @returns {Promise<{transaction: object, balances: object, duplicate: boolean}>}
+   *   balances: account -> balance after posting
+   */
+  async post({ reference, kind, publicKey = null, game = null, roundId = null, amount, entries }) {
+    const total = entries.reduce((sum, e) => sum + Number(e.amount), 0);
+    if (total !== 0) throw new Error(`Ledger entries for ${reference} do not balance (${total})`);
+    if (entries.some((e) => !Number.isInteger(Number(e.amount)))) throw new Error('Ledger amounts must be integers');
+
+    const existing = await BalanceLedger.findTransactionByReference(reference);
+    if (existing) return { transaction: existing, balances: {}, duplicate: true };
+
+    if (publicKey) await query('INSERT IGNORE INTO wallets (public_key) VALUES (?)', [String(publicKey)]);
+
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      let txRes;
+      try {
+        [txRes] = await connection.query(
+          `INSERT INTO balance_transactions (reference, kind, wallet_public_key, game, round_id, amount)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [String(reference), kind, publicKey, game, roundId ? Number(roundId) : null, Number(amount)]
+        );
+      } catch (error) {
+        if (error.code !== 'ER_DUP_ENTRY') throw error;
+        await connection.rollback();
+        return { transaction: await BalanceLedger.findTransactionByReference(reference), balances: {}, duplicate: true };
+      }
+
+      // Lock accounts in a fixed order so concurrent postings can't deadlock
+      const accounts = [...new Set(entries.map((e) => e.account))].sort();
+      for (const account of accounts) {
+        const owner = account.startsWith('player:') ? account.slice('player:'.length) : null;
+        await connection.query(
+          'INSERT IGNORE INTO balance_accounts (account, wallet_public_key) VALUES (?, ?)',
+          [account, owner]
+        );
+      }
+      const [rows] = await connection.query(
+        `SELECT account, balance FROM balance_accounts WHERE account IN (${accounts.map(() => '?').join(',')})
+          ORDER BY account FOR UPDATE`,
+        accounts
+      );
+      const balances = Object.fromEntries(rows.map((r) => [r.account, Number(r.balance)]));
+
+      for (const entry of entries) {
+        const after = balances[entry.account] + Number(entry.amount);
+        if (entry.account.startsWith('player:') && after < 0) {
+          const err = new Error(`Insufficient balance (${balances[entry.account]} available)`);
+          err.statusCode = 402;
+          throw err;
+        }
+        balances[entry.account] = after;
+        await connection.query(
+          'INSERT INTO balance_entries (transaction_id, account, amount, balance_after) VALUES (?, ?, ?, ?)',
+          [txRes.insertId, entry.account, Number(entry.amount), after]
+        );
+      }
+      for (const account of accounts) {
+        await connection.query('UPDATE balance_accounts SET balance = ? WHERE account = ?', [
+          balances[account],
+          account,
+        ]);
+      }
+
+      await connection.commit();
+      return {
+        transaction: await BalanceLedger.findTransactionById(txRes.insertId),
+        balances,
+        duplicate: false,
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  },
+
+  async findTransactionById(id) {
+    const rows = await query('SELECT * FROM balance_transactions WHERE id = ? LIMIT 1', [Number(id)]);
+    return rows.length ? mapTransactionRow(rows[0]) : null;
+  },
+
+  async findTransactionByReference(reference) {
+    const rows = await query('SELECT * FROM balance_transactions WHERE reference = ? LIMIT 1', [
+      String(reference),
+    ]);
+    return rows.length ? mapTransactionRow(rows[0]) : null;
+  },
+
+  async findAccount(account) {
+    const rows = await query('SELECT * FROM balance_accounts WHERE account = ? LIMIT 1', [String(account)]);
+    return rows.length ? mapAccountRow(rows[0]) : null;
+  },
+
+  /**
+   * A player's postings, newest first: the transaction plus the player's side of it.
+   */
+  async findPlayerHistory(publicKey, limit = 50) {
+    const n = Math.max(1, Math.min(200, Number(limit) || 50));
+    // MySQL does not allow parameter placeholders for LIMIT
+    const rows = await query(
+      `SELECT t.*, e.amount AS change_amount, e.balance_after
+         FROM balance_entries e
+         JOIN balance_transactions t ON t.id = e.transaction_id
+        WHERE e.account = ?
+        ORDER BY e.id DESC
+        LIMIT ${n}`,
+      [playerAccount(publicKey)]
+    );
+    return rows.map((row) => ({
+      ...mapTransactionRow(row),
+      change: Number(row.change_amount),
+      balanceAfter: Number(row.balance_after),
+    }));
+  },
+};
+
+module.exports = {
+  BalanceLedger,
+  HOUSE_ACCOUNT,
+  CHAIN_ACCOUNT,
+  playerAccount,
+};
@@ -0,0 +1,245 @@
+const { query, getConnection } = require('../database/connection');
+const { TxClaim, TX_CLAIM_KIND } = require('./TxClaim');
+
+const BET_GAMES = ['crash', 'slide', 'mine', 'videopoker'];
+
+function mapBetRow(row) {
+  return {
+    id: row.id,
+    publicKey: row.wallet_public_key,
+    game: row.game,
+    roundId: row.round_id,
+    betAmount: Number(row.bet_amount),
+    currency: row.currency,
+    target: row.target,
+    txId: row.bet_tx_id,
+    outcome: row.outcome,
+    payoutAmount: Number(row.payout_amount || 0),
+    payoutTxId: row.payout_tx_id || null,
+    settledAt: row.settled_at,
+    createdAt: row.created_at,
+  };
+}
+
+// Delete pending bets matching `where` together with their tx claims
+async function removePending(where, params) {
+  const connection = await getConnection();
+  try {
+    await connection.beginTransaction();
+    const [rows] = await connection.query(
+      `SELECT * FROM bets WHERE ${where} AND outcome = 'pending' FOR UPDATE`,
+      params
+    );
+    for (const row of rows) {
+      await TxClaim.release(row.bet_tx_id, TX_CLAIM_KIND.BET, connection);
+      await connection.query('DELETE FROM bets WHERE id = ?', [row.id]);
+    }
+    await connection.commit();
+    return rows.map(mapBetRow);
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Bet Ledger Model (MySQL)
+ * One row per wager in any game. uq_bet_tx makes a bet txId single-use across all games.
+ */
+const Bet = {
+  /**
+   * Record an accepted wager (outcome 'pending'), claiming its txId in tx_claims.
+   * Throws an error with statusCode 409 if the txId was already used for a bet or credited to a balance.
+   */
+  async create(data) {
+    const publicKey = String(data.publicKey ?? '');
+    const game = String(data.game ?? '');
+    const roundId = Number(data.roundId);
+    const betAmount = Number.parseInt(String(data.betAmount ?? '0'), 10);
+    const txId = data.txId ? String(data.txId) : '';
+    const target =
+      data.target === undefined || data.target === null ? null : Math.round(Number(data.target));
+
+    if (!publicKey) throw new Error('publicKey is required');
+    if (!BET_GAMES.includes(game)) throw new Error(`Unknown bet game: ${game}`);
+    if (!Number.isInteger(roundId) || roundId <= 0) throw new Error('roundId must be a positive integer');
+    if (!Number.isInteger(betAmount) || betAmount <= 0) throw new Error('betAmount must be a positive integer');
+    if (!txId) throw new Error('txId is required');
+
+    // bets.wallet_public_key references wallets (crash/slide players may never have registered)
+    await query('INSERT IGNORE INTO wallets (public_key) VALUES (?)', [publicKey]);
+
+    const connection = await getConnection();
+    let insertId;
+    try {
+      await connection.beginTransaction();
+      const held = await TxClaim.claim({ txId, kind: TX_CLAIM_KIND.BET, publicKey }, connection);
+      if (held) {
+        const err = new Error(
+          held.kind === TX_CLAIM_KIND.DEPOSIT
+            ? 'Transaction was already credited to a balance'
+            : 'Transaction already used for another bet'
+        );
+        err.statusCode = 409;
+        throw err;
+      }
+
+      const [result] = await connection.query(
+        `INSERT INTO bets
+          (wallet_public_key, game, round_id, bet_amount, currency, target, bet_tx_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [publicKey, game, roundId, betAmount, String(data.currency || 'QU'), target, txId]
+      );
+      insertId = result.insertId;
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      if (error.code === 'ER_DUP_ENTRY') {
+        const err = new Error('Transaction already used for another bet');
+        err.statusCode = 409;
+        throw err;
+      }
+      throw error;
+    } finally {
+      connection.release();
+    }
+    return await Bet.findById(insertId);
+  },
+
+  async findById(id) {
+    const rows = await query('SELECT * FROM bets WHERE id = ? LIMIT 1', [Number(id)]);
+    return rows.length ? mapBetRow(rows[0]) : null;
+  },
+
+  async findByTxId(txId) {
+    const rows = await query('SELECT * FROM bets WHERE bet_tx_id = ? LIMIT 1', [String(txId)]);
+    return rows.length ? mapBetRow(rows[0]) : null;
+  },
+
+  async findByWallet(publicKey, limit = 50) {
+    const n = Math.max(1, Math.min(500, Number(limit) || 50));
+    // MySQL does not allow parameter placeholders for LIMIT
+    const rows = await query(
+      `SELECT * FROM bets WHERE wallet_public_key = ? ORDER BY id DESC LIMIT ${n}`,
+      [String(publicKey)]
+    );
+    return rows.map(mapBetRow);
+  },
+
+  async findByRound(game, roundId) {
+    const rows = await query(
+      'SELECT * FROM bets WHERE game = ? AND round_id = ? ORDER BY id ASC',
+      [String(game), Number(roundId)]
+    );
+    return rows.map(mapBetRow);
+  },
+
+  /**
+   * Won crash / slide bets whose payout never reached the payout queue or the balance:
+   * no payout tx and no payout_queue row for their `<game>:bet:<id>` reference. Oldest first.
+   */
+  async findUnpaidWins(game, { publicKey = null, limit = 50 } = {}) {
+    let sql = `SELECT b.* FROM bets b
+                WHERE b.game = ? AND b.outcome = 'won' AND b.payout_amount > 0 AND b.payout_tx_id IS NULL
+                  AND NOT EXISTS (
+                    SELECT 1 FROM payout_queue p WHERE p.reference = CONCAT(b.game, ':bet:', b.id)
+                  )`;
+    const params = [String(game)];
+    if (publicKey) {
+      sql += ' AND b.wallet_public_key = ?';
+      params.push(String(publicKey));
+    }
+    const n = Math.max(1, Math.min(500, Number(limit) || 50));
+    // MySQL does not allow parameter placeholders for LIMIT
+    sql += ` ORDER BY b.id ASC LIMIT ${n}`;
+
+    const rows = await query(sql, params);
+    return rows.map(mapBetRow);
+  },
+
+  /**
+   * Settle a pending bet: outcome 'won' or 'lost', with its payout.
+   * A payout tx recorded earlier by the payout queue is kept when payoutTxId is omitted.
+   */
+  async settle(id, { outcome, payoutAmount = 0, payoutTxId = null }) {
+    if (!['won', 'lost'].includes(outcome)) throw new Error(`Invalid bet outcome: ${outcome}`);
+    await query(
+      `UPDATE bets
+         SET outcome = ?, payout_amount = ?, payout_tx_id = COALESCE(?, payout_tx_id), settled_at = NOW()
+       WHERE id = ?`,
+      [outcome, Math.floor(Number(payoutAmount) || 0), payoutTxId ? String(payoutTxId) : null, Number(id)]
+    );
+  },
+
+  /**
+   * Settle by game session (mines / video poker store their session id as round_id).
+   */
+  async settleByRound(game, roundId, settlement) {
+    const rows = await query(
+      'SELECT id FROM bets WHERE game = ? AND round_id = ? ORDER BY id ASC LIMIT 1',
+      [String(game), Number(roundId)]
+    );
+    if (!rows.length) return false;
+    await Bet.settle(rows[0].id, settlement);
+    return true;
+  },
+
+  /**
+   * Return a pending bet's stake to the player (round voided, e.g. server restart before start).
+   */
+  async refund(id, { refundTxId = null } = {}) {
+    await query(
+      `UPDATE bets
+         SET outcome = 'refunded', payout_amount = bet_amount, payout_tx_id = COALESCE(?, payout_tx_id), settled_at = NOW()
+       WHERE id = ? AND outcome = 'pending'`,
+      [refundTxId ? String(refundTxId) : null, Number(id)]
+    );
+  },
+
+  async setPayoutTxId(id, payoutTxId) {
+    await query('UPDATE bets SET payout_tx_id = ? WHERE id = ?', [
+      payoutTxId ? String(payoutTxId) : null,
+      Number(id),
+    ]);
+  },
+
+  async setPayoutTxIdByRound(game, roundId, payoutTxId) {
+    await query('UPDATE bets SET payout_tx_id = ? WHERE game = ? AND round_id = ?', [
+      payoutTxId ? String(payoutTxId) : null,
+      String(game),
+      Number(roundId),
+    ]);
+  },
+
+  /**
+   * Drop a bet that never entered play (deposit rejected / not confirmed in time),
+   * which frees its txId again. Settled bets are never removed.
+   * Returns the removed bets.
+   */
+  async remove(id) {
+    return await removePending('id = ?', [Number(id)]);
+  },
+
+  async removeByRound(game, roundId) {
+    return await removePending('game = ? AND round_id = ?', [String(game), Number(roundId)]);
+  },
+
+  /**
+   * A wallet's totals over bets placed since `since` (refunded bets excluded):
+   * wagered = stakes, netLoss = stakes - payouts (pending bets count as lost).
+   */
+  async totalsSince(publicKey, since) {
+    const rows = await query(
+      `SELECT COALESCE(SUM(bet_amount), 0) AS wagered,
+              COALESCE(SUM(bet_amount - payout_amount), 0) AS net_loss
+         FROM bets
+        WHERE wallet_public_key = ? AND created_at >= ? AND outcome <> 'refunded'`,
+      [String(publicKey), since]
+    );
+    return { wagered: Number(rows[0].wagered), netLoss: Number(rows[0].net_loss) };
+  },
+};
+
+module.exports = { Bet, BET_GAMES };
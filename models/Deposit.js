@@ -0,0 +1,122 @@
+const { query } = require('../database/connection');
+
+const DEPOSIT_RECORD_STATUS = {
+  CREDITED: 'credited', // source is a registered wallet; amount is on its balance
+  UNMATCHED: 'unmatched', // source is not a registered wallet; nothing credited
+  PENDING: 'pending', // a bet's transfer whose bet never played; checked until it is final
+  REJECTED: 'rejected', // a pending transfer that never executed (or never became final)
+};
+
+function mapDepositRow(row) {
+  return {
+    id: row.id,
+    txId: row.tx_id,
+    sourceId: row.source_id,
+    publicKey: row.wallet_public_key || null,
+    amount: Number(row.amount),
+    tick: row.tick === null ? null : Number(row.tick),
+    status: row.status,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Deposit Model (MySQL)
+ * Transfers into the casino wallet, recorded once per tx_id.
+ */
+const Deposit = {
+  /**
+   * Record a deposit (over a pending record of the same tx_id). Returns false if the tx_id
+   * was already recorded otherwise.
+   */
+  async record({ txId, sourceId, publicKey = null, amount, tick = null, status }) {
+    // status is assigned last: the other columns read its old value
+    const result = await query(
+      `INSERT INTO deposits (tx_id, source_id, wallet_public_key, amount, tick, status)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         source_id = IF(status = 'pending', VALUES(source_id), source_id),
+         wallet_public_key = IF(status = 'pending', VALUES(wallet_public_key), wallet_public_key),
+         amount = IF(status = 'pending', VALUES(amount), amount),
+         tick = IF(status = 'pending', VALUES(tick), tick),
+         status = IF(status = 'pending', VALUES(status), status)`,
+      [String(txId), String(sourceId), publicKey, Number(amount), tick ? Number(tick) : null, status]
+    );
+    return result.affectedRows > 0;
+  },
+
+  /**
+   * Hand a bet's transfer to the deposit watcher once the bet is dropped without playing:
+   * the watcher may have scanned past it while the bet held it. No-op if the tx_id is recorded.
+   */
+  async queuePending({ txId, publicKey, amount }) {
+    const result = await query(
+      `INSERT IGNORE INTO deposits (tx_id, source_id, wallet_public_key, amount, status)
+       VALUES (?, ?, ?, ?, 'pending')`,
+      [String(txId), String(publicKey), String(publicKey), Number(amount)]
+    );
+    return result.affectedRows === 1;
+  },
+
+  async findPending(limit = 20) {
+    const n = Math.max(1, Math.min(100, Number(limit) || 20));
+    // MySQL does not allow parameter placeholders for LIMIT
+    const rows = await query(`SELECT * FROM deposits WHERE status = 'pending' ORDER BY id ASC LIMIT ${n}`);
+    return rows.map(mapDepositRow);
+  },
+
+  /**
+   * Forget a pending transfer (a bet holds it again).
+   */
+  async discardPending(txId) {
+    const result = await query("DELETE FROM deposits WHERE tx_id = ? AND status = 'pending'", [String(txId)]);
+    return result.affectedRows === 1;
+  },
+
+  async markRejected(txId) {
+    const result = await query(
+      "UPDATE deposits SET status = 'rejected' WHERE tx_id = ? AND status = 'pending'",
+      [String(txId)]
+    );
+    return result.affectedRows === 1;
+  },
+
+  async findByTxId(txId) {
+    const rows = await query('SELECT * FROM deposits WHERE tx_id = ? LIMIT 1', [String(txId)]);
+    return rows.length ? mapDepositRow(rows[0]) : null;
+  },
+
+  async findByWallet(publicKey, limit = 50) {
+    const n = Math.max(1, Math.min(200, Number(limit) || 50));
+    // MySQL does not allow parameter placeholders for LIMIT
+    const rows = await query(
+      `SELECT * FROM deposits WHERE wallet_public_key = ? ORDER BY id DESC LIMIT ${n}`,
+      [String(publicKey)]
+    );
+    return rows.map(mapDepositRow);
+  },
+};
+
+/**
+ * Last fully scanned tick per watcher, so scanning resumes where it stopped.
+ */
+const DepositCursor = {
+  async get(name) {
+    const rows = await query('SELECT last_tick FROM deposit_scan_cursors WHERE name = ? LIMIT 1', [String(name)]);
+    return rows.length ? Number(rows[0].last_tick) : null;
+  },
+
+  async set(name, lastTick) {
+    await query(
+      `INSERT INTO deposit_scan_cursors (name, last_tick) VALUES (?, ?)
+       ON DUPLICATE KEY UPDATE last_tick = VALUES(last_tick)`,
+      [String(name), Number(lastTick)]
+    );
+  },
+};
+
+module.exports = {
+  Deposit,
+  DepositCursor,
+  DEPOSIT_RECORD_STATUS,
+};
@@ -0,0 +1,188 @@
+const { query, getConnection } = require('../database/connection');
+
+function mapProfileRow(row) {
+  return {
+    publicKey: row.wallet_public_key,
+    serverSeed: row.server_seed,
+    serverSeedHash: row.server_seed_hash,
+    clientSeed: row.client_seed,
+    nonce: Number(row.nonce),
+    lastUsedAt: row.last_used_at,
+    committedAt: row.committed_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function mapRevealedRow(row) {
+  return {
+    id: row.id,
+    publicKey: row.wallet_public_key,
+    serverSeed: row.server_seed,
+    serverSeedHash: row.server_seed_hash,
+    clientSeed: row.client_seed,
+    nonceCount: Number(row.nonce_count),
+    committedAt: row.committed_at,
+    revealedAt: row.revealed_at,
+  };
+}
+
+/**
+ * Fairness Profile Model (MySQL)
+ * One per wallet: the active server seed (only its hash is shown), the player's
+ * client seed and the nonce of the next game. Mines and video poker sessions
+ * take the next nonce; rotating moves the seed to fairness_revealed_seeds.
+ */
+const FairnessProfile = {
+  async findByWallet(publicKey) {
+    const rows = await query('SELECT * FROM fairness_profiles WHERE wallet_public_key = ? LIMIT 1', [
+      String(publicKey),
+    ]);
+    return rows.length ? mapProfileRow(rows[0]) : null;
+  },
+
+  async createIfMissing(publicKey, { serverSeed, serverSeedHash, clientSeed }) {
+    await query('INSERT IGNORE INTO wallets (public_key) VALUES (?)', [String(publicKey)]);
+    await query(
+      `INSERT IGNORE INTO fairness_profiles (wallet_public_key, server_seed, server_seed_hash, client_seed)
+       VALUES (?, ?, ?, ?)`,
+      [String(publicKey), serverSeed, serverSeedHash, clientSeed]
+    );
+    return await FairnessProfile.findByWallet(publicKey);
+  },
+
+  /**
+   * The nonce keeps counting: re-using an old client seed never replays a game.
+   */
+  async setClientSeed(publicKey, clientSeed) {
+    await query('UPDATE fairness_profiles SET client_seed = ? WHERE wallet_public_key = ?', [
+      String(clientSeed),
+      String(publicKey),
+    ]);
+    return await FairnessProfile.findByWallet(publicKey);
+  },
+
+  /**
+   * Reserve `profile.nonce` for a game, only if seeds and nonce are unchanged
+   * since `profile` was read. Returns false if something else got there first.
+   */
+  async claimNonce(profile) {
+    const result = await query(
+      `UPDATE fairness_profiles
+          SET nonce = nonce + 1, last_used_at = NOW()
+        WHERE wallet_public_key = ? AND server_seed_hash = ? AND client_seed = ? AND nonce = ?`,
+      [String(profile.publicKey), profile.serverSeedHash, profile.clientSeed, Number(profile.nonce)]
+    );
+    return result.affectedRows === 1;
+  },
+
+  /**
+   * Reveal the active server seed and commit `next` in its place (nonce restarts at 0).
+   * Refused (409) while a game played with the active seed may still be running:
+   * a LIVE/READY mines board, a LIVE/VERIFYING video poker hand, or a nonce taken
+   * less than `graceSeconds` ago whose session may not be stored yet.
+   *
+   * @returns {Promise<object>} the revealed seed row
+   */
+  async rotate(publicKey, next, { graceSeconds }) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.query(
+        `SELECT *, (last_used_at IS NOT NULL AND last_used_at > NOW() - INTERVAL ? SECOND) AS recently_used
+           FROM fairness_profiles WHERE wallet_public_key = ? FOR UPDATE`,
+        [Number(graceSeconds), String(publicKey)]
+      );
+      if (rows.length === 0) {
+        const err = new Error('Fairness profile not found');
+        err.statusCode = 404;
+        throw err;
+      }
+      const current = rows[0];
+
+      const [[active]] = await connection.query(
+        `SELECT
+           (SELECT COUNT(*) FROM mine_sessions
+             WHERE wallet_public_key = ? AND private_seed_hash = ? AND status IN ('LIVE','READY')
+               AND (expires_at IS NULL OR expires_at > NOW())) +
+           (SELECT COUNT(*) FROM video_poker_sessions
+             WHERE wallet_public_key = ? AND private_seed_hash = ? AND status IN ('LIVE','VERIFYING')
+               AND (expires_at IS NULL OR expires_at > NOW())) AS cnt`,
+        [String(publicKey), current.server_seed_hash, String(publicKey), current.server_seed_hash]
+      );
+      if (Number(active.cnt) > 0 || Number(current.recently_used)) {
+        const err = new Error(
+          Number(active.cnt) > 0
+            ? 'Finish your active game before rotating the server seed'
+            : 'The server seed was just used, try again in a few seconds'
+        );
+        err.statusCode = 409;
+        throw err;
+      }
+
+      const [insertRes] = await connection.query(
+        `INSERT INTO fairness_revealed_seeds
+          (wallet_public_key, server_seed, server_seed_hash, client_seed, nonce_count, committed_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          String(publicKey),
+          current.server_seed,
+          current.server_seed_hash,
+          current.client_seed,
+          Number(current.nonce),
+          current.committed_at,
+        ]
+      );
+
+      await connection.query(
+        `UPDATE fairness_profiles
+            SET server_seed = ?, server_seed_hash = ?, client_seed = ?, nonce = 0, last_used_at = NULL, committed_at = NOW()
+          WHERE wallet_public_key = ?`,
+        [next.serverSeed, next.serverSeedHash, next.clientSeed || current.client_seed, String(publicKey)]
+      );
+
+      await connection.commit();
+      return await RevealedSeed.findById(insertRes.insertId);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  },
+};
+
+/**
+ * Revealed Seed Model (MySQL)
+ * Server seeds rotated out of a fairness profile, with the client seed in use at
+ * the time and how many nonces (0..nonce_count-1) were played with them.
+ */
+const RevealedSeed = {
+  async findById(id) {
+    const rows = await query('SELECT * FROM fairness_revealed_seeds WHERE id = ? LIMIT 1', [Number(id)]);
+    return rows.length ? mapRevealedRow(rows[0]) : null;
+  },
+
+  async findByHash(serverSeedHash) {
+    const rows = await query('SELECT * FROM fairness_revealed_seeds WHERE server_seed_hash = ? LIMIT 1', [
+      String(serverSeedHash),
+    ]);
+    return rows.length ? mapRevealedRow(rows[0]) : null;
+  },
+
+  async findByWallet(publicKey, limit = 20) {
+    const n = Math.max(1, Math.min(100, Number(limit) || 20));
+    // MySQL does not allow parameter placeholders for LIMIT
+    const rows = await query(
+      `SELECT * FROM fairness_revealed_seeds WHERE wallet_public_key = ? ORDER BY id DESC LIMIT ${n}`,
+      [String(publicKey)]
+    );
+    return rows.map(mapRevealedRow);
+  },
+};
+
+module.exports = {
+  FairnessProfile,
+  RevealedSeed,
+};
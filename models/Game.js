@@ -1,4 +1,4 @@
-const { query } = require('../database/connection');
+const { query, getConnection } = require('../database/connection');
 const crypto = require('crypto');
 
 const MINE_CELL_COUNT = 25;
@@ -81,6 +81,29 @@ function safeJson(value, fallback) {
   }
 }
 
+function mapCrashRound(game) {
+  return {
+    _id: game.id,
+    status: game.status,
+    crashPoint: parseFloat(game.crash_point),
+    publicSeed: game.public_seed,
+    privateSeed: game.private_seed,
+    privateHash: game.private_seed_hash,
+    chainId: game.chain_id ?? null,
+    chainIndex: game.chain_index ?? null,
+    houseEdge: game.house_edge === null || game.house_edge === undefined ? null : Number(game.house_edge),
+    maxMultiplier: game.max_multiplier === null || game.max_multiplier === undefined ? null : Number(game.max_multiplier),
+    players: [],
+    history: [],
+    createdAt: game.created_at,
+    startedAt: game.started_at,
+    endedAt: game.ended_at,
+    save: async function () {
+      return await CrashGame.findByIdAndUpdate(this._id, this);
+    },
+  };
+}
+
 /**
  * Crash Game Model (MySQL)
  */
@@ -110,29 +133,33 @@ const CrashGame = {
     const results = await query(sql, params);
     if (results.length === 0) return null;
 
-    const game = results[0];
-    return {
-      _id: game.id,
-      status: game.status,
-      crashPoint: parseFloat(game.crash_point),
-      publicSeed: game.public_seed,
-      privateSeed: game.private_seed,
-      privateHash: game.private_seed_hash,
-      players: [],
-      history: [],
-      createdAt: game.created_at,
-      startedAt: game.started_at,
-      endedAt: game.ended_at,
-      save: async function () {
-        return await CrashGame.findByIdAndUpdate(this._id, this);
-      },
-    };
+    return mapCrashRound(results[0]);
+  },
+
+  /**
+   * All rounds in the given statuses, oldest first (used for restart recovery).
+   */
+  async find(filters) {
+    let sql = 'SELECT * FROM crash_rounds WHERE 1=1';
+    const params = [];
+
+    if (filters.status) {
+      const statuses = Array.isArray(filters.status.$in) ? filters.status.$in : [filters.status];
+      sql += ` AND status IN (${statuses.map(() => '?').join(',')})`;
+      params.push(...statuses);
+    }
+
+    sql += ' ORDER BY created_at ASC, id ASC';
+
+    const results = await query(sql, params);
+    return results.map(mapCrashRound);
   },
 
   async create(data) {
     const sql = `INSERT INTO crash_rounds 
-      (status, crash_point, public_seed, private_seed, private_seed_hash, started_at, ended_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?)`;
+      (status, crash_point, public_seed, private_seed, private_seed_hash, chain_id, chain_index,
+       house_edge, max_multiplier, started_at, ended_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
 
     const params = [
       data.status || 1,
@@ -140,6 +167,10 @@ const CrashGame = {
       data.publicSeed || null,
       data.privateSeed || null,
       data.privateHash || null,
+      data.chainId || null,
+      data.chainIndex || null,
+      data.houseEdge ?? null,
+      data.maxMultiplier ?? null,
       data.startedAt || null,
       data.endedAt || null,
     ];
@@ -178,6 +209,104 @@ const CrashGame = {
   },
 };
 
+/**
+ * Crash Round Recovery Log (MySQL)
+ * Audit trail of what restart recovery did to interrupted rounds and their bets.
+ */
+const CrashRecoveryLog = {
+  async create(entry) {
+    await query(
+      `INSERT INTO crash_round_recoveries
+        (round_id, bet_id, wallet_public_key, action, amount, tx_id, detail)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        Number(entry.roundId),
+        entry.betId ? Number(entry.betId) : null,
+        entry.publicKey || null,
+        String(entry.action),
+        entry.amount !== undefined && entry.amount !== null ? Math.floor(Number(entry.amount)) : null,
+        entry.txId || null,
+        entry.detail ? String(entry.detail).slice(0, 255) : null,
+      ]
+    );
+  },
+
+  async findByRound(roundId) {
+    return await query(
+      'SELECT * FROM crash_round_recoveries WHERE round_id = ? ORDER BY id ASC',
+      [Number(roundId)]
+    );
+  },
+};
+
+function mapSeedChain(row) {
+  return {
+    id: row.id,
+    rootSeed: row.root_seed,
+    terminalHash: row.terminal_hash,
+    salt: row.salt,
+    length: Number(row.chain_length),
+    nextIndex: Number(row.next_index),
+    status: row.status,
+    createdAt: row.created_at,
+    exhaustedAt: row.exhausted_at,
+  };
+}
+
+/**
+ * Crash Seed Chain Model (MySQL)
+ * A pre-committed reverse hash chain: terminal_hash = sha256^length(root_seed) is public
+ * from creation, root_seed stays secret until the chain is exhausted.
+ */
+const CrashSeedChain = {
+  async create({ rootSeed, terminalHash, salt, length }) {
+    const result = await query(
+      `INSERT INTO crash_seed_chains (root_seed, terminal_hash, salt, chain_length)
+       VALUES (?, ?, ?, ?)`,
+      [rootSeed, terminalHash, salt, Number(length)]
+    );
+    return await CrashSeedChain.findById(result.insertId);
+  },
+
+  async findById(id) {
+    const rows = await query('SELECT * FROM crash_seed_chains WHERE id = ? LIMIT 1', [Number(id)]);
+    return rows.length ? mapSeedChain(rows[0]) : null;
+  },
+
+  async findActive() {
+    const rows = await query(
+      "SELECT * FROM crash_seed_chains WHERE status = 'active' ORDER BY id ASC LIMIT 1"
+    );
+    return rows.length ? mapSeedChain(rows[0]) : null;
+  },
+
+  async findAll() {
+    const rows = await query('SELECT * FROM crash_seed_chains ORDER BY id DESC');
+    return rows.map(mapSeedChain);
+  },
+
+  /**
+   * Reserve the next round index of a chain. Returns false if it was taken
+   * concurrently or the chain is used up.
+   */
+  async claimIndex(id, index) {
+    const result = await query(
+      `UPDATE crash_seed_chains
+         SET next_index = next_index + 1
+       WHERE id = ? AND next_index = ? AND next_index <= chain_length AND status = 'active'`,
+      [Number(id), Number(index)]
+    );
+    return result.affectedRows === 1;
+  },
+
+  async markExhausted(id) {
+    await query(
+      "UPDATE crash_seed_chains SET status = 'exhausted', exhausted_at = NOW() WHERE id = ? AND status = 'active'",
+      [Number(id)]
+    );
+  },
+};
+
 /**
  * Slide Game Model (MySQL)
  */
@@ -223,10 +352,28 @@ const SlideGame = {
     };
   },
 
+  /**
+   * All rounds in the given statuses, oldest first (used for recovery of interrupted rounds).
+   */
+  async findByStatuses(statuses) {
+    if (!statuses.length) return [];
+    const results = await query(
+      `SELECT * FROM slide_rounds WHERE status IN (${statuses.map(() => '?').join(',')})
+       ORDER BY created_at ASC, id ASC`,
+      statuses
+    );
+    return results.map((game) => ({
+      _id: game.id,
+      status: game.status,
+      crashPoint: parseFloat(game.crash_point),
+      createdAt: game.created_at,
+    }));
+  },
+
   async create(data) {
     const sql = `INSERT INTO slide_rounds 
-      (status, crash_point, public_seed, private_seed_hash, private_seed, numbers_digest)
-      VALUES (?, ?, ?, ?, ?, ?)`;
+      (status, crash_point, public_seed, private_seed_hash, private_seed, numbers_digest, house_edge, max_multiplier)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
 
     const numbersDigest = data.numbers
       ? sha256Buffer(JSON.stringify(data.numbers))
@@ -239,6 +386,8 @@ const SlideGame = {
       data.privateHash || null,
       data.privateSeed || null,
       numbersDigest,
+      data.houseEdge ?? null,
+      data.maxMultiplier ?? null,
     ];
 
     const result = await query(sql, params);
@@ -274,6 +423,27 @@ const SlideGame = {
     return await SlideGame.findOne({ _id: id });
   },
 
+  /**
+   * Round incl. its private seed, for the verify endpoint (callers decide whether to reveal it).
+   */
+  async findForVerification(id) {
+    const rows = await query('SELECT * FROM slide_rounds WHERE id = ? LIMIT 1', [Number(id)]);
+    if (rows.length === 0) return null;
+    const game = rows[0];
+    return {
+      _id: game.id,
+      status: game.status,
+      crashPoint: parseFloat(game.crash_point),
+      publicSeed: game.public_seed,
+      privateHash: game.private_seed_hash,
+      privateSeed: game.private_seed,
+      numbersDigest: game.numbers_digest ? Buffer.from(game.numbers_digest).toString('hex') : null,
+      houseEdge: game.house_edge === null || game.house_edge === undefined ? null : Number(game.house_edge),
+      maxMultiplier: game.max_multiplier === null || game.max_multiplier === undefined ? null : Number(game.max_multiplier),
+      createdAt: game.created_at,
+    };
+  },
+
   async find(filters) {
     let selectFields = '*';
     if (filters.select) {
@@ -306,6 +476,85 @@ const SlideGame = {
   },
 };
 
+function mapMineRow(game) {
+  const minesMask = Number(game.mines_mask) >>> 0;
+  const revealedMask = Number(game.revealed_mask) >>> 0;
+  return {
+    id: game.id,
+    publicKey: game.wallet_public_key,
+    status: game.status,
+    mines: game.mines_count,
+    amount: game.bet_amount,
+    datas: buildDatasFromMasks(minesMask, revealedMask),
+    txId: game.bet_tx_id || null,
+    publicSeed: game.public_seed || null,
+    privateSeedHash: game.private_seed_hash || null,
+    privateSeed: game.private_seed || null,
+    nonce: game.nonce ?? null,
+    minesMask,
+    revealedMask,
+    createdAt: game.created_at,
+    expiresAt: game.expires_at,
+    // Payout fields
+    payoutAmount: game.payout_amount || null,
+    payoutTxId: game.payout_tx_id || null,
+    payoutStatus: game.payout_status || 'NONE',
+    payoutError: game.payout_error || null,
+    payoutAttempts: Number(game.payout_attempts || 0),
+    payoutNextRetryAt: game.payout_next_retry_at || null,
+    payoutEscalatedAt: game.payout_escalated_at || null,
+    save: async function () {
+      return await MineGame.findByIdAndUpdate(this.id, this);
+    },
+  };
+}
+
+/**
+ * SET clauses for the mine_sessions columns in `updates` (camelCase fields, see MineGame.findByIdAndUpdate).
+ */
+function mineUpdateParts(updates) {
+  const setParts = [];
+  const params = [];
+
+  if (updates.status !== undefined) {
+    setParts.push('status = ?');
+    params.push(updates.status);
+  }
+  if (updates.datas !== undefined) {
+    const { revealedMask } = buildMasksFromDatas(updates.datas);
+    setParts.push('revealed_mask = ?');
+    params.push(revealedMask);
+  }
+  if (updates.revealedMask !== undefined) {
+    setParts.push('revealed_mask = ?');
+    params.push(Number(updates.revealedMask) >>> 0);
+  }
+  if (updates.expiresAt !== undefined) {
+    setParts.push('expires_at = ?');
+    params.push(updates.expiresAt);
+  }
+
+  // Payout fields
+  if (updates.payoutAmount !== undefined) {
+    setParts.push('payout_amount = ?');
+    params.push(Number(updates.payoutAmount));
+  }
+  if (updates.payoutTxId !== undefined) {
+    setParts.push('payout_tx_id = ?');
+    params.push(updates.payoutTxId ? String(updates.payoutTxId) : null);
+  }
+  if (updates.payoutStatus !== undefined) {
+    setParts.push('payout_status = ?');
+    params.push(String(updates.payoutStatus));
+  }
+  if (updates.payoutError !== undefined) {
+    setParts.push('payout_error = ?');
+    params.push(updates.payoutError ? String(updates.payoutError) : null);
+  }
+
+  return { setParts, params };
+}
+
 /**
  * Mine Game Model (MySQL)
  */
@@ -352,34 +601,156 @@ const MineGame = {
 
     const results = await query(sql, params);
     if (results.length === 0) return null;
+    return mapMineRow(results[0]);
+  },
 
-    const game = results[0];
-    const minesMask = Number(game.mines_mask) >>> 0;
-    const revealedMask = Number(game.revealed_mask) >>> 0;
-    return {
-      id: game.id,
-      publicKey: game.wallet_public_key,
-      status: game.status,
-      mines: game.mines_count,
-      amount: game.bet_amount,
-      datas: buildDatasFromMasks(minesMask, revealedMask),
-      txId: game.bet_tx_id || null,
-      publicSeed: game.public_seed || null,
-      privateSeedHash: game.private_seed_hash || null,
-      privateSeed: game.private_seed || null,
-      minesMask,
-      revealedMask,
-      createdAt: game.created_at,
-      expiresAt: game.expires_at,
-      // Payout fields
-      payoutAmount: game.payout_amount || null,
-      payoutTxId: game.payout_tx_id || null,
-      payoutStatus: game.payout_status || 'NONE',
-      payoutError: game.payout_error || null,
-      save: async function () {
-        return await MineGame.findByIdAndUpdate(this.id, this);
-      },
-    };
+  /**
+   * Change a session under its row lock (one transaction): `fn(game)` gets the locked session
+   * (null if missing) and returns { updates, result }. Throwing from `fn` rolls back. `updates`
+   * (findByIdAndUpdate fields) are written compare-and-set on the status that was read, so a
+   * transition can only happen once. Resolves to `result`.
+   */
+  async updateLocked(id, fn) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+      const [rows] = await connection.query('SELECT * FROM mine_sessions WHERE id = ? FOR UPDATE', [Number(id)]);
+      const game = rows.length ? mapMineRow(rows[0]) : null;
+
+      const { updates = null, result } = await fn(game);
+      if (updates) {
+        const { setParts, params } = mineUpdateParts(updates);
+        const [update] = await connection.query(
+          `UPDATE mine_sessions SET ${setParts.join(', ')} WHERE id = ? AND status = ?`,
+          [...params, game.id, game.status]
+        );
+        if (update.affectedRows !== 1) {
+          const err = new Error('Game changed while it was being updated, try again');
+          err.statusCode = 409;
+          throw err;
+        }
+      }
+
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  },
+
+  /**
+   * Ids of cashed-out sessions the payout retry worker should look at, oldest first:
+   * FAILED payouts, and ENDED sessions still PENDING after `staleMinutes` (the queue may never have
+   * got them). Escalated sessions and sessions whose next retry is not due yet are skipped.
+   */
+  async findPayoutRetryDue({ staleMinutes, limit = 20 }) {
+    const n = Math.max(1, Math.min(200, Number(limit) || 20));
+    // MySQL does not allow parameter placeholders for LIMIT
+    const rows = await query(
+      `SELECT id FROM mine_sessions
+        WHERE payout_amount > 0
+          AND status IN ('LIVE','ENDED')
+          AND payout_escalated_at IS NULL
+          AND (payout_next_retry_at IS NULL OR payout_next_retry_at <= NOW())
+          AND (payout_status = 'FAILED'
+               OR (payout_status = 'PENDING' AND status = 'ENDED' AND updated_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)))
+        ORDER BY id ASC
+        LIMIT ${n}`,
+      [Math.max(1, Math.ceil(Number(staleMinutes) || 1))]
+    );
+    return rows.map((r) => r.id);
+  },
+
+  /**
+   * End a session whose cashout was reverted to LIVE because its payout could not be queued.
+   */
+  async closeFailedCashout(id) {
+    const result = await query(
+      `UPDATE mine_sessions SET status = 'ENDED'
+        WHERE id = ? AND status = 'LIVE' AND payout_status = 'FAILED' AND payout_amount > 0`,
+      [Number(id)]
+    );
+    return result.affectedRows === 1;
+  },
+
+  /**
+   * Count a retry of the session's payout and schedule the next look (null = when it fails again).
+   */
+  async recordPayoutRetry(id, { attempts, delayMs = null, error = undefined }) {
+    const params = [Number(attempts)];
+    let sql = 'UPDATE mine_sessions SET payout_attempts = ?';
+    if (delayMs === null) {
+      sql += ', payout_next_retry_at = NULL';
+    } else {
+      sql += ', payout_next_retry_at = DATE_ADD(NOW(), INTERVAL ? SECOND)';
+      params.push(Math.ceil(Number(delayMs) / 1000));
+    }
+    if (error !== undefined) {
+      sql += ', payout_error = ?';
+      params.push(error ? String(error) : null);
+    }
+    params.push(Number(id));
+    await query(`${sql} WHERE id = ?`, params);
+  },
+
+  /**
+   * Stop retrying the session's payout automatically; it waits in the admin escalation queue.
+   */
+  async escalatePayout(id, { error }) {
+    const result = await query(
+      `UPDATE mine_sessions
+          SET payout_escalated_at = NOW(), payout_next_retry_at = NULL, payout_error = ?
+        WHERE id = ? AND payout_escalated_at IS NULL`,
+      [String(error || 'Payout escalated'), Number(id)]
+    );
+    return result.affectedRows === 1;
+  },
+
+  /**
+   * Hand an escalated session back to the retry worker with a fresh attempt budget.
+   */
+  async releasePayoutEscalation(id) {
+    const result = await query(
+      `UPDATE mine_sessions
+          SET payout_escalated_at = NULL, payout_attempts = 0, payout_next_retry_at = NULL
+        WHERE id = ? AND payout_escalated_at IS NOT NULL`,
+      [Number(id)]
+    );
+    return result.affectedRows === 1;
+  },
+
+  /**
+   * Escalated sessions whose payout has not gone through, oldest escalation first.
+   */
+  async findEscalatedPayouts(limit = 100) {
+    const n = Math.max(1, Math.min(500, Number(limit) || 100));
+    // MySQL does not allow parameter placeholders for LIMIT
+    const rows = await query(
+      `SELECT id, wallet_public_key, status, bet_amount, bet_tx_id, payout_amount, payout_tx_id, payout_status,
+              payout_error, payout_attempts, payout_escalated_at, created_at, updated_at
+         FROM mine_sessions
+        WHERE payout_escalated_at IS NOT NULL AND payout_status NOT IN ('SENT','CONFIRMED')
+        ORDER BY payout_escalated_at ASC
+        LIMIT ${n}`
+    );
+    return rows.map((row) => ({
+      id: row.id,
+      publicKey: row.wallet_public_key,
+      status: row.status,
+      betAmount: Number(row.bet_amount),
+      txId: row.bet_tx_id || null,
+      payoutAmount: row.payout_amount === null ? null : Number(row.payout_amount),
+      payoutTxId: row.payout_tx_id || null,
+      payoutStatus: row.payout_status,
+      payoutError: row.payout_error || null,
+      payoutAttempts: Number(row.payout_attempts || 0),
+      payoutEscalatedAt: row.payout_escalated_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    }));
   },
 
   async create(data) {
@@ -393,6 +764,7 @@ const MineGame = {
     const publicSeed = data.publicSeed || null;
     const privateSeedHash = data.privateSeedHash || null;
     const privateSeed = data.privateSeed || null;
+    const nonce = Number.isInteger(data.nonce) ? data.nonce : null;
 
     // Let mysql2 handle Date objects directly
     const expiresAt =
@@ -414,8 +786,8 @@ const MineGame = {
     }
 
     const sql = `INSERT INTO mine_sessions 
-      (wallet_public_key, status, mines_count, bet_amount, bet_tx_id, public_seed, private_seed_hash, private_seed, mines_mask, revealed_mask, expires_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+      (wallet_public_key, status, mines_count, bet_amount, bet_tx_id, public_seed, private_seed_hash, private_seed, nonce, mines_mask, revealed_mask, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
 
     const params = [
       publicKey,
@@ -426,6 +798,7 @@ const MineGame = {
       publicSeed,
       privateSeedHash,
       privateSeed,
+      nonce,
       minesMask,
       revealedMask,
       expiresAt,
@@ -478,45 +851,7 @@ const MineGame = {
   },
 
   async findByIdAndUpdate(id, updates) {
-    const setParts = [];
-    const params = [];
-
-    if (updates.status !== undefined) {
-      setParts.push('status = ?');
-      params.push(updates.status);
-    }
-    if (updates.datas !== undefined) {
-      const { revealedMask } = buildMasksFromDatas(updates.datas);
-      setParts.push('revealed_mask = ?');
-      params.push(revealedMask);
-    }
-    if (updates.revealedMask !== undefined) {
-      setParts.push('revealed_mask = ?');
-      params.push(Number(updates.revealedMask) >>> 0);
-    }
-    if (updates.expiresAt !== undefined) {
-      setParts.push('expires_at = ?');
-      params.push(updates.expiresAt);
-    }
-
-    // Payout fields
-    if (updates.payoutAmount !== undefined) {
-      setParts.push('payout_amount = ?');
-      params.push(Number(updates.payoutAmount));
-    }
-    if (updates.payoutTxId !== undefined) {
-      setParts.push('payout_tx_id = ?');
-      params.push(updates.payoutTxId ? String(updates.payoutTxId) : null);
-    }
-    if (updates.payoutStatus !== undefined) {
-      setParts.push('payout_status = ?');
-      params.push(String(updates.payoutStatus));
-    }
-    if (updates.payoutError !== undefined) {
-      setParts.push('payout_error = ?');
-      params.push(updates.payoutError ? String(updates.payoutError) : null);
-    }
-
+    const { setParts, params } = mineUpdateParts(updates);
     if (setParts.length === 0) return await MineGame.findOne({ id });
 
     params.push(id);
@@ -665,6 +1000,8 @@ const VideoPokerGame = {
 
 module.exports = {
   CrashGame,
+  CrashRecoveryLog,
+  CrashSeedChain,
   SlideGame,
   MineGame,
   VideoPokerGame,
@@ -0,0 +1,39 @@
+const { query } = require('../database/connection');
+
+function mapSettingRow(row) {
+  return {
+    game: row.game,
+    paused: !!row.paused,
+    pauseReason: row.pause_reason || null,
+    updatedBy: row.updated_by || null,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * GameSetting Model (MySQL)
+ * Per-game operator switches. A game without a row is open.
+ */
+const GameSetting = {
+  async findAll() {
+    const rows = await query('SELECT * FROM game_settings ORDER BY game ASC');
+    return rows.map(mapSettingRow);
+  },
+
+  async findByGame(game) {
+    const rows = await query('SELECT * FROM game_settings WHERE game = ? LIMIT 1', [String(game)]);
+    return rows.length ? mapSettingRow(rows[0]) : null;
+  },
+
+  async setPaused(game, { paused, reason = null, updatedBy }) {
+    await query(
+      `INSERT INTO game_settings (game, paused, pause_reason, updated_by) VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE paused = VALUES(paused), pause_reason = VALUES(pause_reason),
+                               updated_by = VALUES(updated_by)`,
+      [String(game), paused ? 1 : 0, paused && reason ? String(reason).slice(0, 255) : null, String(updatedBy)]
+    );
+    return GameSetting.findByGame(game);
+  },
+};
+
+module.exports = { GameSetting };
@@ -0,0 +1,91 @@
+const { query } = require('../database/connection');
+
+function mapKeyRow(row) {
+  let response = row.response;
+  if (typeof response === 'string') {
+    try {
+      response = JSON.parse(response);
+    } catch {
+      // keep the raw text
+    }
+  }
+  return {
+    publicKey: row.wallet_public_key,
+    scope: row.scope,
+    key: row.idem_key,
+    requestHash: row.request_hash,
+    statusCode: row.status_code === null ? null : Number(row.status_code),
+    response: response ?? null,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * IdempotencyKey Model (MySQL)
+ * One row per Idempotency-Key a wallet sent to an endpoint (scope). status_code / response stay
+ * NULL while the first request is running and hold its answer afterwards.
+ */
+const IdempotencyKey = {
+  /**
+   * Take the key for a new request. Returns null when the key is now ours, or the row of the
+   * earlier request that holds it. Keys older than `ttlSeconds` (of this wallet) are dropped first.
+   */
+  async claim({ publicKey, scope, key, requestHash, ttlSeconds }) {
+    await query(
+      'DELETE FROM idempotency_keys WHERE wallet_public_key = ? AND created_at <= NOW() - INTERVAL ? SECOND',
+      [String(publicKey), Math.max(1, Math.floor(Number(ttlSeconds) || 1))]
+    );
+
+    // A second pass covers a key released between our insert and read
+    for (let pass = 0; pass < 2; pass += 1) {
+      const result = await query(
+        `INSERT IGNORE INTO idempotency_keys (wallet_public_key, scope, idem_key, request_hash)
+         VALUES (?, ?, ?, ?)`,
+        [String(publicKey), String(scope), String(key), String(requestHash)]
+      );
+      if (result.affectedRows === 1) return null;
+
+      const existing = await IdempotencyKey.find(publicKey, scope, key);
+      if (existing) return existing;
+    }
+    throw new Error('Could not claim idempotency key');
+  },
+
+  async find(publicKey, scope, key) {
+    const rows = await query(
+      'SELECT * FROM idempotency_keys WHERE wallet_public_key = ? AND scope = ? AND idem_key = ? LIMIT 1',
+      [String(publicKey), String(scope), String(key)]
+    );
+    return rows.length ? mapKeyRow(rows[0]) : null;
+  },
+
+  /**
+   * Store the answer of the request holding the key (replayed for later requests with it).
+   */
+  async complete(publicKey, scope, key, { statusCode, response }) {
+    await query(
+      `UPDATE idempotency_keys SET status_code = ?, response = ?
+        WHERE wallet_public_key = ? AND scope = ? AND idem_key = ?`,
+      [
+        Number(statusCode),
+        response === undefined ? null : JSON.stringify(response),
+        String(publicKey),
+        String(scope),
+        String(key),
+      ]
+    );
+  },
+
+  /**
+   * Free a key whose request did not finish (server error), so the client can retry with it.
+   */
+  async release(publicKey, scope, key) {
+    await query(
+      `DELETE FROM idempotency_keys
+        WHERE wallet_public_key = ? AND scope = ? AND idem_key = ? AND status_code IS NULL`,
+      [String(publicKey), String(scope), String(key)]
+    );
+  },
+};
+
+module.exports = { IdempotencyKey };
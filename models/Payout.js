@@ -0,0 +1,271 @@
+const { query } = require('../database/connection');
+
+function mapPayoutRow(row) {
+  return {
+    id: row.id,
+    reference: row.reference,
+    game: row.game,
+    roundId: row.round_id,
+    betId: row.bet_id,
+    publicKey: row.wallet_public_key,
+    amount: Number(row.amount),
+    status: row.status,
+    attempts: Number(row.attempts),
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error || null,
+    txId: row.tx_id || null,
+    targetTick: row.target_tick === null ? null : Number(row.target_tick),
+    rebroadcasts: Number(row.rebroadcasts || 0),
+    confirmedTick: row.confirmed_tick == null ? null : Number(row.confirmed_tick),
+    sentAt: row.sent_at,
+    confirmedAt: row.confirmed_at || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Payout Queue Model (MySQL)
+ * queued -> sending -> sent -> confirmed, or back to queued (retry) / failed (gave up).
+ * An operator can void a failed payout (voided): it is never sent.
+ * A sent transfer that missed its tick goes to rebroadcast and is signed again (sending).
+ * tx_id / target_tick are stored as soon as the transfer is signed, before it is broadcast.
+ */
+const Payout = {
+  /**
+   * Insert a queued payout. Enqueueing the same reference twice returns the existing row.
+   */
+  async enqueue(data) {
+    const amount = Number.parseInt(String(data.amount ?? '0'), 10);
+    if (!data.reference) throw new Error('reference is required');
+    if (!data.publicKey) throw new Error('publicKey is required');
+    if (!Number.isInteger(amount) || amount <= 0) throw new Error('amount must be a positive integer');
+
+    await query(
+      `INSERT IGNORE INTO payout_queue
+        (reference, game, round_id, bet_id, wallet_public_key, amount)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        String(data.reference),
+        String(data.game),
+        data.roundId ? Number(data.roundId) : null,
+        data.betId ? Number(data.betId) : null,
+        String(data.publicKey),
+        amount,
+      ]
+    );
+    return await Payout.findByReference(data.reference);
+  },
+
+  async findById(id) {
+    const rows = await query('SELECT * FROM payout_queue WHERE id = ? LIMIT 1', [Number(id)]);
+    return rows.length ? mapPayoutRow(rows[0]) : null;
+  },
+
+  async findByReference(reference) {
+    const rows = await query('SELECT * FROM payout_queue WHERE reference = ? LIMIT 1', [
+      String(reference),
+    ]);
+    return rows.length ? mapPayoutRow(rows[0]) : null;
+  },
+
+  /**
+   * Newest first. Filters: status, game, publicKey, from, to, beforeId (paging).
+   */
+  async search(filters = {}, limit = 50) {
+    let sql = 'SELECT * FROM payout_queue WHERE 1=1';
+    const params = [];
+
+    if (filters.status) {
+      sql += ' AND status = ?';
+      params.push(String(filters.status));
+    }
+    if (filters.game) {
+      sql += ' AND game = ?';
+      params.push(String(filters.game));
+    }
+    if (filters.publicKey) {
+      sql += ' AND wallet_public_key = ?';
+      params.push(String(filters.publicKey));
+    }
+    if (filters.from) {
+      sql += ' AND created_at >= ?';
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      sql += ' AND created_at < ?';
+      params.push(filters.to);
+    }
+    if (filters.beforeId) {
+      sql += ' AND id < ?';
+      params.push(Number(filters.beforeId));
+    }
+
+    const n = Math.max(1, Math.min(500, Number(limit) || 50));
+    // MySQL does not allow parameter placeholders for LIMIT
+    sql += ` ORDER BY id DESC LIMIT ${n}`;
+
+    const rows = await query(sql, params);
+    return rows.map(mapPayoutRow);
+  },
+
+  async findDue(limit = 10) {
+    const n = Math.max(1, Math.min(100, Number(limit) || 10));
+    // MySQL does not allow parameter placeholders for LIMIT
+    const rows = await query(
+      `SELECT * FROM payout_queue
+        WHERE status IN ('queued','rebroadcast') AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at ASC, id ASC
+        LIMIT ${n}`
+    );
+    return rows.map(mapPayoutRow);
+  },
+
+  /**
+   * Sent payouts whose inclusion has not been checked yet, oldest target tick first.
+   */
+  async findUnconfirmed(limit = 10) {
+    const n = Math.max(1, Math.min(100, Number(limit) || 10));
+    // MySQL does not allow parameter placeholders for LIMIT
+    const rows = await query(
+      `SELECT * FROM payout_queue
+        WHERE status = 'sent' AND tx_id IS NOT NULL
+        ORDER BY target_tick ASC, id ASC
+        LIMIT ${n}`
+    );
+    return rows.map(mapPayoutRow);
+  },
+
+  /**
+   * Take a queued (or dropped) payout for sending. Returns false if another worker took it.
+   */
+  async claim(id) {
+    const result = await query(
+      `UPDATE payout_queue
+          SET status = 'sending', attempts = attempts + 1
+        WHERE id = ? AND status IN ('queued','rebroadcast')`,
+      [Number(id)]
+    );
+    return result.affectedRows === 1;
+  },
+
+  async markSigned(id, { txId, targetTick = null }) {
+    await query(
+      "UPDATE payout_queue SET tx_id = ?, target_tick = ? WHERE id = ? AND status = 'sending'",
+      [String(txId), targetTick, Number(id)]
+    );
+  },
+
+  async markSent(id, { txId, targetTick = null }) {
+    await query(
+      `UPDATE payout_queue
+          SET status = 'sent', tx_id = ?, target_tick = ?, last_error = NULL, sent_at = NOW()
+        WHERE id = ?`,
+      [String(txId), targetTick, Number(id)]
+    );
+  },
+
+  async markConfirmed(id, { tick }) {
+    const result = await query(
+      `UPDATE payout_queue
+          SET status = 'confirmed', confirmed_tick = ?, confirmed_at = NOW(), last_error = NULL
+        WHERE id = ? AND status = 'sent'`,
+      [tick ? Number(tick) : null, Number(id)]
+    );
+    return result.affectedRows === 1;
+  },
+
+  /**
+   * A failed payout whose earlier transfer turned out to be included after all
+   * (found on-chain before sending it again).
+   */
+  async markPaidOnChain(id, { tick }) {
+    const result = await query(
+      `UPDATE payout_queue
+          SET status = 'confirmed', confirmed_tick = ?, confirmed_at = NOW(), last_error = NULL
+        WHERE id = ? AND status = 'failed' AND tx_id IS NOT NULL`,
+      [tick ? Number(tick) : null, Number(id)]
+    );
+    return result.affectedRows === 1;
+  },
+
+  /**
+   * The sent transfer was dropped: sign it again for a new tick. The dropped
+   * tx can no longer be included, so sending again does not pay twice.
+   */
+  async markRebroadcast(id, { error }) {
+    const result = await query(
+      `UPDATE payout_queue
+          SET status = 'rebroadcast', rebroadcasts = rebroadcasts + 1, attempts = 0,
+              tx_id = NULL, target_tick = NULL, last_error = ?, next_attempt_at = NOW()
+        WHERE id = ? AND status = 'sent'`,
+      [String(error || '').slice(0, 255), Number(id)]
+    );
+    return result.affectedRows === 1;
+  },
+
+  async markRetry(id, { error, delayMs }) {
+    await query(
+      `UPDATE payout_queue
+          SET status = 'queued', last_error = ?,
+              next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+        WHERE id = ?`,
+      [String(error || '').slice(0, 255), Math.ceil(Number(delayMs) / 1000), Number(id)]
+    );
+  },
+
+  async markFailed(id, { error }) {
+    await query(
+      "UPDATE payout_queue SET status = 'failed', last_error = ? WHERE id = ?",
+      [String(error || '').slice(0, 255), Number(id)]
+    );
+  },
+
+  /**
+   * Put a failed payout back in the queue (player claim / manual retry).
+   */
+  async requeue(id) {
+    const result = await query(
+      `UPDATE payout_queue
+          SET status = 'queued', attempts = 0, next_attempt_at = NOW()
+        WHERE id = ? AND status = 'failed'`,
+      [Number(id)]
+    );
+    return result.affectedRows === 1;
+  },
+
+  /**
+   * Give up on a failed payout for good (e.g. paid out by hand). Returns false if it isn't failed.
+   */
+  async void(id, { reason }) {
+    const result = await query(
+      `UPDATE payout_queue SET status = 'voided', last_error = ? WHERE id = ? AND status = 'failed'`,
+      [`Voided: ${reason || 'no reason given'}`.slice(0, 255), Number(id)]
+    );
+    return result.affectedRows === 1;
+  },
+
+  /**
+   * Payouts left in 'sending' by a previous process. Unsigned ones were never sent and go
+   * back to the queue; signed ones may be on the network, so they become 'sent' and the
+   * confirmation tracker settles them.
+   */
+  async releaseInterrupted() {
+    const rows = await query("SELECT * FROM payout_queue WHERE status = 'sending'");
+    if (rows.length) {
+      await query(
+        `UPDATE payout_queue
+            SET status = 'queued', next_attempt_at = NOW(), last_error = 'Interrupted before signing'
+          WHERE status = 'sending' AND tx_id IS NULL`
+      );
+      await query(
+        `UPDATE payout_queue
+            SET status = 'sent', sent_at = NOW(), last_error = 'Interrupted while broadcasting'
+          WHERE status = 'sending' AND tx_id IS NOT NULL`
+      );
+    }
+    return rows.map(mapPayoutRow);
+  },
+};
+
+module.exports = { Payout };
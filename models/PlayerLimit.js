@@ -0,0 +1,76 @@
+const { query } = require('../database/connection');
+
+// Limit names; loss / wager amounts are in QU, session_minutes is the reminder interval
+const LIMIT_NAMES = [
+  'loss_daily',
+  'loss_weekly',
+  'loss_monthly',
+  'wager_daily',
+  'wager_weekly',
+  'wager_monthly',
+  'session_minutes',
+];
+
+function mapLimitRow(row) {
+  return {
+    name: row.name,
+    value: row.value === null ? null : Number(row.value),
+    pendingValue: row.pending_value === null ? null : Number(row.pending_value),
+    pendingEffectiveAt: row.pending_effective_at || null,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * PlayerLimit Model (MySQL)
+ * Responsible-gambling limits per wallet, one row per limit name.
+ * value NULL = no limit. A scheduled change (pending_effective_at set) replaces value
+ * with pending_value once it is due; pending_value NULL then removes the limit.
+ */
+const PlayerLimit = {
+  async findByWallet(publicKey) {
+    const rows = await query('SELECT * FROM wallet_limits WHERE wallet_public_key = ?', [String(publicKey)]);
+    return rows.map(mapLimitRow);
+  },
+
+  /**
+   * Set a limit now, dropping any scheduled change to it.
+   */
+  async setNow(publicKey, name, value) {
+    await query(
+      `INSERT INTO wallet_limits (wallet_public_key, name, value) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE value = VALUES(value), pending_value = NULL, pending_effective_at = NULL`,
+      [String(publicKey), String(name), value === null ? null : Number(value)]
+    );
+  },
+
+  /**
+   * Schedule a limit change for `effectiveAt`; the current value stays until then.
+   */
+  async schedule(publicKey, name, value, effectiveAt) {
+    await query(
+      `INSERT INTO wallet_limits (wallet_public_key, name, value, pending_value, pending_effective_at)
+       VALUES (?, ?, NULL, ?, ?)
+       ON DUPLICATE KEY UPDATE pending_value = VALUES(pending_value), pending_effective_at = VALUES(pending_effective_at)`,
+      [String(publicKey), String(name), value === null ? null : Number(value), effectiveAt]
+    );
+  },
+
+  /**
+   * Apply the wallet's scheduled changes that are due. Returns how many were applied.
+   */
+  async applyDue(publicKey) {
+    const result = await query(
+      `UPDATE wallet_limits
+          SET value = pending_value, pending_value = NULL, pending_effective_at = NULL
+        WHERE wallet_public_key = ? AND pending_effective_at IS NOT NULL AND pending_effective_at <= NOW()`,
+      [String(publicKey)]
+    );
+    return result.affectedRows;
+  },
+};
+
+module.exports = {
+  PlayerLimit,
+  LIMIT_NAMES,
+};
@@ -0,0 +1,161 @@
+const { query, getConnection } = require('../database/connection');
+
+function mapDailyRow(row) {
+  const wagered = Number(row.wagered);
+  const payouts = Number(row.payouts);
+  const theoreticalPayout = Number(row.theoretical_payout);
+  return {
+    day: row.day,
+    game: row.game,
+    betCount: Number(row.bet_count),
+    wagered,
+    payouts,
+    ggr: wagered - payouts,
+    uniquePlayers: Number(row.unique_players),
+    realisedRtp: wagered > 0 ? payouts / wagered : null,
+    theoreticalRtp: wagered > 0 ? theoreticalPayout / wagered : null,
+    pendingCount: Number(row.pending_count),
+    refundedCount: Number(row.refunded_count),
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Daily Report Model (MySQL)
+ * report_game_daily holds one row per (day, game), rebuilt from the bets ledger.
+ * A bet counts on the day it was placed (DATE(bets.created_at)); only settled bets
+ * (won / lost) count towards wagered, payouts and unique players.
+ */
+const DailyReport = {
+  /**
+   * Days (YYYY-MM-DD) with bets placed or settled since `since`; every day with bets if `since` is null.
+   */
+  async findChangedDays(since) {
+    const rows = since
+      ? await query(
+          `SELECT DISTINCT DATE_FORMAT(created_at, '%Y-%m-%d') AS day FROM bets
+            WHERE created_at >= ? OR settled_at >= ?
+            ORDER BY day ASC`,
+          [since, since]
+        )
+      : await query(
+          "SELECT DISTINCT DATE_FORMAT(created_at, '%Y-%m-%d') AS day FROM bets ORDER BY day ASC"
+        );
+    return rows.map((r) => r.day);
+  },
+
+  /**
+   * Rebuild one day's rows from the bets ledger (one transaction).
+   * `rtp` is the theoretical return per game; crash and slide bets use their round's house_edge
+   * (crash rounds without one had none, slide rounds without one use rtp.slide).
+   */
+  async rebuildDay(day, rtp) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.query(
+        `SELECT b.game,
+                SUM(b.outcome IN ('won','lost')) AS bet_count,
+                COALESCE(SUM(CASE WHEN b.outcome IN ('won','lost') THEN b.bet_amount END), 0) AS wagered,
+                COALESCE(SUM(CASE WHEN b.outcome IN ('won','lost') THEN b.payout_amount END), 0) AS payouts,
+                COUNT(DISTINCT CASE WHEN b.outcome IN ('won','lost') THEN b.wallet_public_key END) AS unique_players,
+                COALESCE(SUM(CASE WHEN b.outcome IN ('won','lost') THEN b.bet_amount * (CASE b.game
+                  WHEN 'crash' THEN 1 - COALESCE(cr.house_edge, 0)
+                  WHEN 'slide' THEN COALESCE(1 - sr.house_edge, ?)
+                  WHEN 'mine' THEN ?
+                  ELSE ? END) END), 0) AS theoretical_payout,
+                SUM(b.outcome = 'pending') AS pending_count,
+                SUM(b.outcome = 'refunded') AS refunded_count
+           FROM bets b
+           LEFT JOIN crash_rounds cr ON b.game = 'crash' AND cr.id = b.round_id
+           LEFT JOIN slide_rounds sr ON b.game = 'slide' AND sr.id = b.round_id
+          WHERE b.created_at >= ? AND b.created_at < DATE_ADD(?, INTERVAL 1 DAY)
+          GROUP BY b.game`,
+        [rtp.slide, rtp.mine, rtp.videopoker, day, day]
+      );
+
+      await connection.query('DELETE FROM report_game_daily WHERE day = ?', [day]);
+      for (const row of rows) {
+        await connection.query(
+          `INSERT INTO report_game_daily
+            (day, game, bet_count, wagered, payouts, unique_players, theoretical_payout, pending_count, refunded_count)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            day,
+            row.game,
+            Number(row.bet_count),
+            Number(row.wagered),
+            Number(row.payouts),
+            Number(row.unique_players),
+            Math.round(Number(row.theoretical_payout)),
+            Number(row.pending_count),
+            Number(row.refunded_count),
+          ]
+        );
+      }
+
+      await connection.commit();
+      return rows.length;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  },
+
+  /**
+   * Rows for days in [from, to] (YYYY-MM-DD, both optional), oldest first; optionally one game.
+   */
+  async findRange({ from = null, to = null, game = null } = {}) {
+    let sql = `SELECT DATE_FORMAT(day, '%Y-%m-%d') AS day, game, bet_count, wagered, payouts, unique_players,
+                      theoretical_payout, pending_count, refunded_count, updated_at
+                 FROM report_game_daily WHERE 1=1`;
+    const params = [];
+
+    if (from) {
+      sql += ' AND day >= ?';
+      params.push(from);
+    }
+    if (to) {
+      sql += ' AND day <= ?';
+      params.push(to);
+    }
+    if (game) {
+      sql += ' AND game = ?';
+      params.push(String(game));
+    }
+    sql += ' ORDER BY day ASC, game ASC';
+
+    const rows = await query(sql, params);
+    return rows.map(mapDailyRow);
+  },
+};
+
+/**
+ * How far each rollup has read the bets ledger, so the next run only rebuilds changed days.
+ */
+const ReportCursor = {
+  async get(name) {
+    const rows = await query('SELECT rolled_up_to FROM report_rollup_state WHERE name = ? LIMIT 1', [String(name)]);
+    return rows.length ? rows[0].rolled_up_to : null;
+  },
+
+  async set(name, rolledUpTo) {
+    await query(
+      `INSERT INTO report_rollup_state (name, rolled_up_to) VALUES (?, ?)
+       ON DUPLICATE KEY UPDATE rolled_up_to = VALUES(rolled_up_to)`,
+      [String(name), rolledUpTo]
+    );
+  },
+
+  async reset(name) {
+    await query('DELETE FROM report_rollup_state WHERE name = ?', [String(name)]);
+  },
+};
+
+module.exports = {
+  DailyReport,
+  ReportCursor,
+};
@@ -0,0 +1,70 @@
+const { query } = require('../database/connection');
+
+const TX_CLAIM_KIND = {
+  BET: 'bet', // pays for a bet (bets.bet_tx_id)
+  DEPOSIT: 'deposit', // credited, or being credited, to a balance
+};
+
+function mapClaimRow(row) {
+  return {
+    txId: row.tx_id,
+    kind: row.kind,
+    publicKey: row.wallet_public_key,
+    createdAt: row.created_at,
+  };
+}
+
+// Run on the caller's transaction when given one, else on the pool
+async function run(connection, sql, params) {
+  if (connection) {
+    const [result] = await connection.query(sql, params);
+    return result;
+  }
+  return await query(sql, params);
+}
+
+/**
+ * TxClaim Model (MySQL)
+ * What a transfer into the casino wallet was used for. tx_id is the primary key, so the
+ * first bet or deposit to claim a transfer holds it and a second use is refused.
+ */
+const TxClaim = {
+  /**
+   * Claim `txId` for `kind`. Returns null when the claim is now ours, or the claim that
+   * already holds it (which may be of the same kind). Pass `connection` to claim inside
+   * a transaction; the claim is then undone with it.
+   */
+  async claim({ txId, kind, publicKey }, connection = null) {
+    const result = await run(
+      connection,
+      'INSERT IGNORE INTO tx_claims (tx_id, kind, wallet_public_key) VALUES (?, ?, ?)',
+      [String(txId), String(kind), String(publicKey)]
+    );
+    if (result.affectedRows === 1) return null;
+
+    const rows = await run(connection, 'SELECT * FROM tx_claims WHERE tx_id = ? LIMIT 1 FOR UPDATE', [String(txId)]);
+    if (!rows.length) throw new Error('Could not claim transaction');
+    return mapClaimRow(rows[0]);
+  },
+
+  async find(txId) {
+    const rows = await query('SELECT * FROM tx_claims WHERE tx_id = ? LIMIT 1', [String(txId)]);
+    return rows.length ? mapClaimRow(rows[0]) : null;
+  },
+
+  /**
+   * Give up a claim of `kind` (the transfer can be used again).
+   */
+  async release(txId, kind, connection = null) {
+    const result = await run(connection, 'DELETE FROM tx_claims WHERE tx_id = ? AND kind = ?', [
+      String(txId),
+      String(kind),
+    ]);
+    return result.affectedRows === 1;
+  },
+};
+
+module.exports = {
+  TxClaim,
+  TX_CLAIM_KIND,
+};
@@ -0,0 +1,134 @@
+const { query, getConnection } = require('../database/connection');
+
+const WALLET_STATUS = {
+  ACTIVE: 'active',
+  SUSPENDED: 'suspended', // operator hold: no bets, no withdrawals
+  SELF_EXCLUDED: 'self_excluded', // player's own break from gambling: no bets, withdrawals allowed
+  WITHDRAW_ONLY: 'withdraw_only', // account being wound down: no bets, withdrawals allowed
+  BANNED: 'banned', // no login, no bets, no withdrawals
+};
+
+function mapWalletRow(row) {
+  return {
+    publicKey: row.public_key,
+    status: row.status,
+    statusReason: row.status_reason || null,
+    statusExpiresAt: row.status_expires_at || null,
+    statusUpdatedAt: row.status_updated_at || null,
+    coolOffUntil: row.cool_off_until || null,
+    createdAt: row.created_at,
+    lastLoginAt: row.last_login_at,
+  };
+}
+
+function mapHistoryRow(row) {
+  return {
+    id: row.id,
+    publicKey: row.wallet_public_key,
+    previousStatus: row.previous_status,
+    status: row.status,
+    reason: row.reason || null,
+    expiresAt: row.expires_at || null,
+    changedBy: row.changed_by,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Wallet Model (MySQL)
+ * Players are registered by public key when they first sign in (POST /api/auth/verify).
+ */
+const Wallet = {
+  async exists(publicKey) {
+    const rows = await query('SELECT public_key FROM wallets WHERE public_key = ? LIMIT 1', [String(publicKey)]);
+    return rows.length > 0;
+  },
+
+  async findByPublicKey(publicKey) {
+    const rows = await query('SELECT * FROM wallets WHERE public_key = ? LIMIT 1', [String(publicKey)]);
+    return rows.length ? mapWalletRow(rows[0]) : null;
+  },
+
+  /**
+   * Create the wallet if it is new; otherwise record the login time.
+   */
+  async register(publicKey) {
+    await query(
+      'INSERT INTO wallets (public_key) VALUES (?) ON DUPLICATE KEY UPDATE last_login_at = NOW()',
+      [String(publicKey)]
+    );
+    return Wallet.findByPublicKey(publicKey);
+  },
+
+  /**
+   * Change a wallet's status and record the change in wallet_status_history (one transaction).
+   * Unknown wallets are created, so a wallet can be banned before it ever signs in.
+   * `onlyIf(current)` may veto the change after the row is locked (returns false -> no change).
+   * Returns { previous, wallet, changed }.
+   */
+  async setStatus({ publicKey, status, reason = null, expiresAt = null, changedBy, onlyIf = null }) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await connection.query('INSERT IGNORE INTO wallets (public_key) VALUES (?)', [String(publicKey)]);
+      const [rows] = await connection.query('SELECT * FROM wallets WHERE public_key = ? FOR UPDATE', [
+        String(publicKey),
+      ]);
+      const previous = mapWalletRow(rows[0]);
+
+      if (onlyIf && !onlyIf(previous)) {
+        await connection.rollback();
+        return { previous, wallet: previous, changed: false };
+      }
+
+      await connection.query(
+        `UPDATE wallets
+            SET status = ?, status_reason = ?, status_expires_at = ?, status_updated_at = NOW()
+          WHERE public_key = ?`,
+        [status, reason, expiresAt, String(publicKey)]
+      );
+      await connection.query(
+        `INSERT INTO wallet_status_history
+           (wallet_public_key, previous_status, status, reason, expires_at, changed_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [String(publicKey), previous.status, status, reason, expiresAt, String(changedBy)]
+      );
+
+      await connection.commit();
+      return { previous, wallet: await Wallet.findByPublicKey(publicKey), changed: true };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  },
+
+  /**
+   * Start or extend a cool-off (no bets until `until`). An existing later cool-off is kept.
+   */
+  async extendCoolOff(publicKey, until) {
+    await query('INSERT IGNORE INTO wallets (public_key) VALUES (?)', [String(publicKey)]);
+    await query(
+      `UPDATE wallets SET cool_off_until = GREATEST(COALESCE(cool_off_until, ?), ?) WHERE public_key = ?`,
+      [until, until, String(publicKey)]
+    );
+    return Wallet.findByPublicKey(publicKey);
+  },
+
+  async findStatusHistory(publicKey, limit = 50) {
+    const n = Math.max(1, Math.min(200, Number(limit) || 50));
+    // MySQL does not allow parameter placeholders for LIMIT
+    const rows = await query(
+      `SELECT * FROM wallet_status_history WHERE wallet_public_key = ? ORDER BY id DESC LIMIT ${n}`,
+      [String(publicKey)]
+    );
+    return rows.map(mapHistoryRow);
+  },
+};
+
+module.exports = {
+  Wallet,
+  WALLET_STATUS,
+};
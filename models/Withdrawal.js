@@ -0,0 +1,150 @@
+const { query } = require('../database/connection');
+
+const WITHDRAWAL_STATUS = {
+  REQUESTED: 'requested',
+  APPROVED: 'approved',
+  BROADCAST: 'broadcast',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+};
+
+function mapWithdrawalRow(row) {
+  return {
+    id: row.id,
+    publicKey: row.wallet_public_key,
+    destination: row.destination,
+    amount: Number(row.amount),
+    status: row.status,
+    txId: row.tx_id || null,
+    targetTick: row.target_tick === null ? null : Number(row.target_tick),
+    confirmedTick: row.confirmed_tick === null ? null : Number(row.confirmed_tick),
+    error: row.error || null,
+    approvedAt: row.approved_at,
+    broadcastAt: row.broadcast_at,
+    confirmedAt: row.confirmed_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Withdrawal Model (MySQL)
+ * requested -> approved -> broadcast -> confirmed, or failed (rejected / not executed).
+ * tx_id is stored as soon as the transfer is signed, before it is broadcast.
+ */
+const Withdrawal = {
+  async create({ publicKey, destination, amount }) {
+    const result = await query(
+      `INSERT INTO withdrawals (wallet_public_key, destination, amount)
+       VALUES (?, ?, ?)`,
+      [String(publicKey), String(destination), Number(amount)]
+    );
+    return await Withdrawal.findById(result.insertId);
+  },
+
+  async findById(id) {
+    const rows = await query('SELECT * FROM withdrawals WHERE id = ? LIMIT 1', [Number(id)]);
+    return rows.length ? mapWithdrawalRow(rows[0]) : null;
+  },
+
+  async findByStatus(status, limit = 10) {
+    const n = Math.max(1, Math.min(100, Number(limit) || 10));
+    // MySQL does not allow parameter placeholders for LIMIT
+    const rows = await query(
+      `SELECT * FROM withdrawals WHERE status = ? ORDER BY id ASC LIMIT ${n}`,
+      [String(status)]
+    );
+    return rows.map(mapWithdrawalRow);
+  },
+
+  async findByWallet(publicKey, limit = 50) {
+    const n = Math.max(1, Math.min(200, Number(limit) || 50));
+    // MySQL does not allow parameter placeholders for LIMIT
+    const rows = await query(
+      `SELECT * FROM withdrawals WHERE wallet_public_key = ? ORDER BY id DESC LIMIT ${n}`,
+      [String(publicKey)]
+    );
+    return rows.map(mapWithdrawalRow);
+  },
+
+  async approve(id) {
+    const result = await query(
+      `UPDATE withdrawals SET status = 'approved', approved_at = NOW()
+        WHERE id = ? AND status = 'requested'`,
+      [Number(id)]
+    );
+    return result.affectedRows === 1;
+  },
+
+  /**
+   * Take an approved withdrawal for sending (false if another worker has it).
+   */
+  async claimForBroadcast(id) {
+    const result = await query(
+      `UPDATE withdrawals SET status = 'broadcast', broadcast_at = NOW()
+        WHERE id = ? AND status = 'approved'`,
+      [Number(id)]
+    );
+    return result.affectedRows === 1;
+  },
+
+  async setSigned(id, { txId, targetTick }) {
+    await query('UPDATE withdrawals SET tx_id = ?, target_tick = ? WHERE id = ?', [
+      String(txId),
+      targetTick ? Number(targetTick) : null,
+      Number(id),
+    ]);
+  },
+
+  /**
+   * Back to approved; only for a claimed withdrawal that was never signed.
+   */
+  async releaseUnsigned(id, error = null) {
+    const result = await query(
+      `UPDATE withdrawals SET status = 'approved', broadcast_at = NULL, error = ?
+        WHERE id = ? AND status = 'broadcast' AND tx_id IS NULL`,
+      [error ? String(error).slice(0, 255) : null, Number(id)]
+    );
+    return result.affectedRows === 1;
+  },
+
+  async markConfirmed(id, { tick }) {
+    const result = await query(
+      `UPDATE withdrawals SET status = 'confirmed', confirmed_tick = ?, confirmed_at = NOW(), error = NULL
+        WHERE id = ? AND status = 'broadcast'`,
+      [tick ? Number(tick) : null, Number(id)]
+    );
+    return result.affectedRows === 1;
+  },
+
+  /**
+   * Fail a withdrawal that has not been confirmed (requested = rejected by an operator).
+   */
+  async markFailed(id, { error }) {
+    const result = await query(
+      `UPDATE withdrawals SET status = 'failed', error = ?
+        WHERE id = ? AND status IN ('requested','approved','broadcast')`,
+      [String(error || 'failed').slice(0, 255), Number(id)]
+    );
+    return result.affectedRows === 1;
+  },
+
+  /**
+   * Withdrawals claimed for broadcast by a process that stopped before signing.
+   * They were never sent, so they go back to approved.
+   */
+  async releaseInterrupted() {
+    const rows = await query(
+      `SELECT * FROM withdrawals WHERE status = 'broadcast' AND tx_id IS NULL`
+    );
+    for (const row of rows) {
+      await Withdrawal.releaseUnsigned(row.id, 'interrupted before signing');
+    }
+    return rows.map(mapWithdrawalRow);
+  },
+};
+
+module.exports = {
+  Withdrawal,
+  WITHDRAWAL_STATUS,
+};
@@ -0,0 +1,509 @@
+const express = require('express');
+const router = express.Router();
+const { AdminApiKey, AdminAuditLog, AdminSearch } = require('../models/Admin');
+const { AuditEvent } = require('../models/AuditEvent');
+const { Wallet, WALLET_STATUS } = require('../models/Wallet');
+const { Bet } = require('../models/Bet');
+const { Payout } = require('../models/Payout');
+const { Withdrawal } = require('../models/Withdrawal');
+const { Deposit } = require('../models/Deposit');
+const { MineGame } = require('../models/Game');
+const { createAdminKey, requireAdmin, requireRole } = require('../services/adminAuth');
+const { getWalletStatus, toPublicStatus, setWalletStatus } = require('../services/walletStatus');
+const { getLimits, getUsage } = require('../services/playerLimits');
+const { getBalance, getHistory } = require('../services/balanceLedger');
+const { retryPayout, voidPayout } = require('../services/payoutQueue');
+const { getGameSettings, setGamePaused } = require('../services/gameControl');
+const { rollupOnce, rebuildReports, getDailyReport, reportToCsv } = require('../services/reports');
+const { isValidQubicPublicId, normalizeQubicPublicId } = require('../utils/validation');
+
+/**
+ * Admin API
+ * Every request needs `X-Admin-Key: <key>` (scripts/admin_keys.js creates the first one)
+ * and is written to admin_audit_log. Roles: viewer (read), operator (+ wallet, payout and
+ * game actions), admin (+ API keys and the audit log).
+ */
+router.use(requireAdmin);
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function parseId(value, name = 'id') {
+  const id = Number.parseInt(String(value), 10);
+  if (!Number.isInteger(id) || id <= 0) throw badRequest(`Invalid ${name}`);
+  return id;
+}
+
+function parseDate(value, name) {
+  if (value === undefined || value === '') return null;
+  const date = new Date(String(value));
+  if (Number.isNaN(date.getTime())) throw badRequest(`Invalid ${name} (use an ISO date)`);
+  return date;
+}
+
+function parseWallet(value) {
+  const publicId = normalizeQubicPublicId(String(value || ''));
+  if (!isValidQubicPublicId(publicId)) throw badRequest('Invalid publicId (must be 60 A-Z characters)');
+  return publicId;
+}
+
+// Common list filters: from, to (ISO dates), beforeId (paging), limit
+function listFilters(q) {
+  return {
+    from: parseDate(q.from, 'from'),
+    to: parseDate(q.to, 'to'),
+    beforeId: q.beforeId ? parseId(q.beforeId, 'beforeId') : null,
+  };
+}
+
+function sendError(res, error, what) {
+  if (error.statusCode && error.statusCode < 500) {
+    return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+  }
+  console.error(`Error ${what}:`, error);
+  return res.status(500).json({ success: false, error: `Failed ${what}`, message: error.message });
+}
+
+/**
+ * GET /api/admin/me
+ * The calling key: { id, name, role }
+ */
+router.get('/me', (req, res) => {
+  res.json({ success: true, key: { id: req.admin.keyId, name: req.admin.name, role: req.admin.role } });
+});
+
+/**
+ * GET /api/admin/rounds/:game
+ * Search crash / slide rounds and mine / videopoker sessions, newest first.
+ * Query: id, status, wallet, from, to, beforeId, limit;
+ *   mine: payoutStatus, txId; videopoker: result, payoutStatus, txId
+ */
+router.get('/rounds/:game', async (req, res) => {
+  try {
+    const q = req.query;
+    const filters = {
+      ...listFilters(q),
+      id: q.id ? parseId(q.id) : null,
+      status: q.status,
+      wallet: q.wallet ? parseWallet(q.wallet) : null,
+      payoutStatus: q.payoutStatus,
+      txId: q.txId,
+      result: q.result,
+    };
+
+    const rows = await AdminSearch.rounds(req.params.game, filters, q.limit);
+    if (!rows) {
+      return res.status(404).json({ success: false, error: `Unknown game (one of ${AdminSearch.games.join(', ')})` });
+    }
+    res.json({ success: true, game: req.params.game, rounds: rows });
+  } catch (error) {
+    sendError(res, error, 'searching rounds');
+  }
+});
+
+/**
+ * GET /api/admin/wallets/:publicId
+ * Everything about a wallet: status (and its history), limits, balance and its postings,
+ * bets, mine / video poker sessions, payouts, deposits and withdrawals. Query: limit (per list)
+ */
+router.get('/wallets/:publicId', async (req, res) => {
+  try {
+    const publicId = parseWallet(req.params.publicId);
+    const limit = req.query.limit;
+    req.audit = { action: 'wallet.view', targetType: 'wallet', targetId: publicId };
+
+    const wallet = await Wallet.findByPublicKey(publicId);
+    const status = await getWalletStatus(publicId);
+    const [
+      statusHistory,
+      limits,
+      usage,
+      balance,
+      balanceHistory,
+      bets,
+      mineSessions,
+      videoPokerSessions,
+      payouts,
+      deposits,
+      withdrawals,
+    ] = await Promise.all([
+      Wallet.findStatusHistory(publicId, limit),
+      getLimits(publicId),
+      getUsage(publicId),
+      getBalance(publicId),
+      getHistory(publicId, limit),
+      Bet.findByWallet(publicId, limit),
+      AdminSearch.rounds('mine', { wallet: publicId }, limit),
+      AdminSearch.rounds('videopoker', { wallet: publicId }, limit),
+      Payout.search({ publicKey: publicId }, limit),
+      Deposit.findByWallet(publicId, limit),
+      Withdrawal.findByWallet(publicId, limit),
+    ]);
+
+    res.json({
+      success: true,
+      publicId,
+      registered: !!wallet,
+      createdAt: wallet?.createdAt || null,
+      lastLoginAt: wallet?.lastLoginAt || null,
+      coolOffUntil: wallet?.coolOffUntil || null,
+      status: toPublicStatus(status),
+      statusHistory,
+      limits,
+      usage,
+      balance,
+      balanceHistory,
+      bets,
+      mineSessions,
+      videoPokerSessions,
+      payouts,
+      deposits,
+      withdrawals,
+    });
+  } catch (error) {
+    sendError(res, error, 'loading wallet');
+  }
+});
+
+/**
+ * POST /api/admin/wallets/:publicId/ban
+ * Body: { reason: string, days?: number } - with days the ban is lifted after that many days.
+ * Banning ends the wallet's sessions.
+ */
+router.post('/wallets/:publicId/ban', requireRole('operator'), async (req, res) => {
+  try {
+    const publicId = parseWallet(req.params.publicId);
+    const { reason, days } = req.body || {};
+    req.audit = { action: 'wallet.ban', targetType: 'wallet', targetId: publicId, details: { reason, days } };
+
+    if (!reason) throw badRequest('reason is required');
+    if (days !== undefined && !(Number(days) > 0)) throw badRequest('days must be a positive number');
+    const expiresAt = days !== undefined ? new Date(Date.now() + Number(days) * 24 * 60 * 60 * 1000) : null;
+
+    const { previous, wallet } = await setWalletStatus({
+      publicKey: publicId,
+      status: WALLET_STATUS.BANNED,
+      reason,
+      expiresAt,
+      changedBy: `admin:${req.admin.name}`,
+    });
+    req.audit.details.previousStatus = previous.status;
+    res.json({ success: true, previousStatus: previous.status, status: toPublicStatus(wallet) });
+  } catch (error) {
+    sendError(res, error, 'banning wallet');
+  }
+});
+
+/**
+ * POST /api/admin/wallets/:publicId/unban
+ * Body: { reason?: string } - a banned wallet becomes active again (409 if it isn't banned)
+ */
+router.post('/wallets/:publicId/unban', requireRole('operator'), async (req, res) => {
+  try {
+    const publicId = parseWallet(req.params.publicId);
+    const { reason } = req.body || {};
+    req.audit = { action: 'wallet.unban', targetType: 'wallet', targetId: publicId, details: { reason } };
+
+    const { changed, wallet } = await setWalletStatus({
+      publicKey: publicId,
+      status: WALLET_STATUS.ACTIVE,
+      reason: reason || 'Ban lifted',
+      changedBy: `admin:${req.admin.name}`,
+      onlyIf: (current) => current.status === WALLET_STATUS.BANNED,
+    });
+    if (!changed) {
+      return res.status(409).json({ success: false, error: `Wallet is not banned (${wallet.status})` });
+    }
+    res.json({ success: true, status: toPublicStatus(wallet) });
+  } catch (error) {
+    sendError(res, error, 'unbanning wallet');
+  }
+});
+
+/**
+ * GET /api/admin/payouts
+ * Payout queue, newest first. Query: status (e.g. failed), game, wallet, from, to, beforeId, limit
+ */
+router.get('/payouts', async (req, res) => {
+  try {
+    const q = req.query;
+    const payouts = await Payout.search(
+      {
+        ...listFilters(q),
+        status: q.status,
+        game: q.game,
+        publicKey: q.wallet ? parseWallet(q.wallet) : null,
+      },
+      q.limit
+    );
+    res.json({ success: true, payouts });
+  } catch (error) {
+    sendError(res, error, 'loading payouts');
+  }
+});
+
+/**
+ * POST /api/admin/payouts/:id/retry
+ * Queue a failed payout again (409 if it isn't failed)
+ */
+router.post('/payouts/:id/retry', requireRole('operator'), async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    req.audit = { action: 'payout.retry', targetType: 'payout', targetId: id };
+
+    const payout = await Payout.findById(id);
+    if (!payout) return res.status(404).json({ success: false, error: 'Payout not found' });
+    req.audit.details = { reference: payout.reference, amount: payout.amount, publicKey: payout.publicKey };
+
+    const queued = await retryPayout(payout.reference);
+    if (!queued) {
+      return res.status(409).json({ success: false, error: `Payout is ${payout.status}, not failed` });
+    }
+    res.json({ success: true, payout: queued });
+  } catch (error) {
+    sendError(res, error, 'retrying payout');
+  }
+});
+
+/**
+ * POST /api/admin/payouts/:id/void
+ * Body: { reason: string } - never send a failed payout (e.g. it was paid by hand). 409 if it isn't failed.
+ */
+router.post('/payouts/:id/void', requireRole('operator'), async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    const { reason } = req.body || {};
+    req.audit = { action: 'payout.void', targetType: 'payout', targetId: id, details: { reason } };
+
+    if (!reason) throw badRequest('reason is required');
+    const payout = await Payout.findById(id);
+    if (!payout) return res.status(404).json({ success: false, error: 'Payout not found' });
+    Object.assign(req.audit.details, { reference: payout.reference, amount: payout.amount, publicKey: payout.publicKey });
+
+    const voided = await voidPayout(id, reason);
+    if (!voided) {
+      return res.status(409).json({ success: false, error: `Payout is ${payout.status}, not failed` });
+    }
+    res.json({ success: true, payout: voided });
+  } catch (error) {
+    sendError(res, error, 'voiding payout');
+  }
+});
+
+/**
+ * GET /api/admin/escalations
+ * Mine payouts the retry worker gave up on (too many failed retries, a voided payout, or an earlier
+ * transfer whose fate is unknown), oldest first. Query: limit
+ */
+router.get('/escalations', async (req, res) => {
+  try {
+    const mine = await MineGame.findEscalatedPayouts(req.query.limit);
+    res.json({ success: true, mine });
+  } catch (error) {
+    sendError(res, error, 'loading escalations');
+  }
+});
+
+/**
+ * POST /api/admin/escalations/mine/:id/release   Body: { reason?: string }
+ * Hand an escalated mine session back to the retry worker with a fresh retry budget
+ * (409 if it isn't escalated). To give up instead, void its payout (POST /payouts/:id/void).
+ */
+router.post('/escalations/mine/:id/release', requireRole('operator'), async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    const reason = req.body?.reason ? String(req.body.reason).slice(0, 255) : null;
+    req.audit = { action: 'payout.release', targetType: 'mine_session', targetId: id, details: { reason } };
+
+    const game = await MineGame.findOne({ id });
+    if (!game) {
+      return res.status(404).json({ success: false, error: 'Mine session not found' });
+    }
+    Object.assign(req.audit.details, { game: 'mine', publicKey: game.publicKey, amount: game.payoutAmount });
+    if (!(await MineGame.releasePayoutEscalation(id))) {
+      return res.status(409).json({ success: false, error: 'Payout is not escalated' });
+    }
+    res.json({ success: true, id, payoutStatus: game.payoutStatus });
+  } catch (error) {
+    sendError(res, error, 'releasing escalation');
+  }
+});
+
+/**
+ * GET /api/admin/events
+ * Money-movement audit trail (bets, payouts, balance postings, withdrawals, admin overrides), newest first.
+ * Query: wallet, game, type (exact, or a prefix such as "payout."), roundId, txId, from, to, beforeId, limit
+ */
+router.get('/events', async (req, res) => {
+  try {
+    const q = req.query;
+    const events = await AuditEvent.search(
+      {
+        ...listFilters(q),
+        publicKey: q.wallet ? parseWallet(q.wallet) : null,
+        game: q.game,
+        type: q.type,
+        roundId: q.roundId ? parseId(q.roundId, 'roundId') : null,
+        txId: q.txId,
+      },
+      q.limit
+    );
+    res.json({ success: true, events });
+  } catch (error) {
+    sendError(res, error, 'loading audit events');
+  }
+});
+
+/**
+ * GET /api/admin/games
+ * Pause switch of every game
+ */
+router.get('/games', async (req, res) => {
+  try {
+    res.json({ success: true, games: await getGameSettings() });
+  } catch (error) {
+    sendError(res, error, 'loading games');
+  }
+});
+
+function setPausedHandler(paused) {
+  return async (req, res) => {
+    try {
+      const { game } = req.params;
+      const reason = req.body?.reason || null;
+      req.audit = { action: paused ? 'game.pause' : 'game.resume', targetType: 'game', targetId: game, details: { reason } };
+
+      const setting = await setGamePaused(game, { paused, reason, changedBy: `admin:${req.admin.name}` });
+      res.json({ success: true, game: setting });
+    } catch (error) {
+      sendError(res, error, 'updating game');
+    }
+  };
+}
+
+/**
+ * POST /api/admin/games/:game/pause   Body: { reason?: string }
+ * POST /api/admin/games/:game/resume
+ * While paused a game takes no new bets; games already staked can be finished.
+ */
+router.post('/games/:game/pause', requireRole('operator'), setPausedHandler(true));
+router.post('/games/:game/resume', requireRole('operator'), setPausedHandler(false));
+
+/**
+ * GET /api/admin/reports
+ * Per game, per day: bets, wagered, payouts, GGR, unique players, realised vs theoretical RTP,
+ * with totals. Query: from, to (YYYY-MM-DD), game, format=csv (daily rows as a CSV download)
+ * Days are rolled up in the background (REPORT_ROLLUP_MS); rolledUpTo says how recent they are.
+ */
+router.get('/reports', async (req, res) => {
+  try {
+    const { from, to, game, format } = req.query;
+    const report = await getDailyReport({ from, to, game });
+
+    if (format === 'csv') {
+      const name = `report-${report.from || 'start'}-${report.to || 'today'}${report.game ? `-${report.game}` : ''}.csv`;
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${name}"`);
+      return res.send(reportToCsv(report));
+    }
+    res.json({ success: true, ...report });
+  } catch (error) {
+    sendError(res, error, 'loading report');
+  }
+});
+
+/**
+ * POST /api/admin/reports/refresh
+ * Body: { rebuild?: boolean } - roll up changed days now; rebuild: every day from the bets ledger
+ */
+router.post('/reports/refresh', requireRole('operator'), async (req, res) => {
+  try {
+    const rebuild = req.body?.rebuild === true;
+    req.audit = { action: rebuild ? 'reports.rebuild' : 'reports.refresh', targetType: 'report' };
+
+    const days = rebuild ? await rebuildReports() : await rollupOnce();
+    if (!days) {
+      return res.status(409).json({ success: false, error: 'A rollup is already running, try again shortly' });
+    }
+    res.json({ success: true, days });
+  } catch (error) {
+    sendError(res, error, 'refreshing reports');
+  }
+});
+
+/**
+ * GET /api/admin/keys
+ * API keys (never the keys themselves)
+ */
+router.get('/keys', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ success: true, keys: await AdminApiKey.findAll() });
+  } catch (error) {
+    sendError(res, error, 'loading keys');
+  }
+});
+
+/**
+ * POST /api/admin/keys
+ * Body: { name: string, role: 'viewer' | 'operator' | 'admin' }
+ * Returns the new key once; only its hash is stored.
+ */
+router.post('/keys', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, role } = req.body || {};
+    req.audit = { action: 'key.create', targetType: 'admin_key', details: { name, role } };
+
+    const { key, record } = await createAdminKey({ name, role, createdBy: `admin:${req.admin.name}` });
+    req.audit.targetId = record.id;
+    res.status(201).json({ success: true, key, record });
+  } catch (error) {
+    sendError(res, error, 'creating key');
+  }
+});
+
+/**
+ * DELETE /api/admin/keys/:id
+ * Revoke a key (it stops working right away)
+ */
+router.delete('/keys/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    req.audit = { action: 'key.revoke', targetType: 'admin_key', targetId: id };
+
+    if (!(await AdminApiKey.revoke(id))) {
+      return res.status(404).json({ success: false, error: 'Key not found or already revoked' });
+    }
+    console.log(`🗝️ Admin key #${id} revoked by admin:${req.admin.name}`);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'revoking key');
+  }
+});
+
+/**
+ * GET /api/admin/audit
+ * Admin audit log, newest first. Query: keyId, action, targetType, targetId, from, to, beforeId, limit
+ */
+router.get('/audit', requireRole('admin'), async (req, res) => {
+  try {
+    const q = req.query;
+    const entries = await AdminAuditLog.search(
+      {
+        ...listFilters(q),
+        keyId: q.keyId ? parseId(q.keyId, 'keyId') : null,
+        action: q.action,
+        targetType: q.targetType,
+        targetId: q.targetId,
+      },
+      q.limit
+    );
+    res.json({ success: true, entries });
+  } catch (error) {
+    sendError(res, error, 'loading audit log');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const { createChallenge, login, logout, tokenFromRequest, requireWallet } = require('../services/walletAuth');
+
+/**
+ * POST /api/auth/challenge
+ * Body: { publicId: string }
+ * Returns { nonce, message, expiresAt }. The wallet signs `message` with its Qubic key:
+ * schnorrq signature over K12(utf8(message)), sent as hex or base64 to /api/auth/verify.
+ */
+router.post('/challenge', async (req, res) => {
+  try {
+    const challenge = await createChallenge(req.body?.publicId || req.body?.publicKey);
+    res.json({ success: true, ...challenge });
+  } catch (error) {
+    console.error('Error creating auth challenge:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message, code: error.code });
+  }
+});
+
+/**
+ * POST /api/auth/verify
+ * Body: { publicId: string, nonce: string, signature: string }
+ * Returns { token, publicId, expiresAt }. Send the token as `Authorization: Bearer <token>`
+ * on every API request and as `auth: { token }` when connecting to /crashx and /slide.
+ */
+router.post('/verify', async (req, res) => {
+  try {
+    const { nonce, signature } = req.body ?? {};
+    if (!nonce || !signature) {
+      return res.status(400).json({ success: false, error: 'nonce and signature are required' });
+    }
+
+    const session = await login({ publicId: req.body.publicId || req.body.publicKey, nonce, signature });
+    res.json({ success: true, ...session });
+  } catch (error) {
+    if (!error.statusCode) console.error('Error verifying auth challenge:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message, code: error.code });
+  }
+});
+
+/**
+ * GET /api/auth/session
+ * The wallet behind the bearer token.
+ */
+router.get('/session', requireWallet, (req, res) => {
+  res.json({ success: true, publicId: req.publicId, expiresAt: req.authSession.expiresAt });
+});
+
+/**
+ * POST /api/auth/logout
+ * Revokes the bearer token.
+ */
+router.post('/logout', requireWallet, async (req, res) => {
+  try {
+    await logout(tokenFromRequest(req));
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const { TxClaim, TX_CLAIM_KIND } = require('../models/TxClaim');
+const { DEPOSIT_STATUS, verifyCasinoTransfer } = require('../services/depositVerification');
+const { getBalance, getHistory } = require('../services/balanceLedger');
+const { acceptDeposit } = require('../services/depositWatcher');
+
+/**
+ * GET /api/balance
+ * The player's casino balance (ledger), which games can stake from with `fromBalance: true`.
+ * Not the on-chain wallet balance (that is /api/wallet/balance/:publicId).
+ */
+router.get('/', async (req, res) => {
+  try {
+    const publicId = req.publicId;
+    const { balance, updatedAt } = await getBalance(publicId);
+    res.json({ success: true, publicId, balance, updatedAt });
+  } catch (error) {
+    console.error('Error loading balance:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/balance/history&limit=50
+ * Balance postings, newest first: deposits, stakes, releases, wins, refunds, withdrawals.
+ */
+router.get('/history', async (req, res) => {
+  try {
+    const publicId = req.publicId;
+    const history = await getHistory(publicId, req.query.limit);
+    res.json({
+      success: true,
+      publicId,
+      history: history.map((h) => ({
+        id: h.id,
+        kind: h.kind,
+        game: h.game,
+        roundId: h.roundId,
+        change: h.change,
+        balanceAfter: h.balanceAfter,
+        createdAt: h.createdAt,
+      })),
+    });
+  } catch (error) {
+    console.error('Error loading balance history:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/balance/deposit
+ * Body: { txId: string }
+ * Credit a transfer from the player's wallet to the casino wallet (any amount) to the balance
+ * without waiting for the deposit watcher to see it.
+ * - 202 { status: 'PENDING' } while the transfer is not final yet: send it again later
+ * - A transfer can be credited once, and not if it already paid for a bet
+ */
+router.post('/deposit', async (req, res) => {
+  try {
+    const publicId = req.publicId;
+    const txId = req.body?.txId ? String(req.body.txId).trim() : '';
+    if (!txId) {
+      return res.status(400).json({ success: false, error: 'txId is required (deposit transfer tx)' });
+    }
+
+    // Checked again when the deposit claims the transfer (acceptDeposit), which settles a race with a bet
+    if ((await TxClaim.find(txId))?.kind === TX_CLAIM_KIND.BET) {
+      return res.status(409).json({ success: false, error: 'This transaction already paid for a bet' });
+    }
+
+    const verification = await verifyCasinoTransfer({ txId, publicId });
+    if (verification.status === DEPOSIT_STATUS.REJECTED) {
+      return res.status(400).json({ success: false, error: verification.reason });
+    }
+    if (verification.status === DEPOSIT_STATUS.PENDING) {
+      return res.status(202).json({ success: true, status: 'PENDING', reason: verification.reason });
+    }
+
+    await acceptDeposit({ txId, publicKey: publicId, amount: verification.amount, tick: verification.tick });
+    const { balance } = await getBalance(publicId);
+    res.json({
+      success: true,
+      status: 'CREDITED',
+      amount: verification.amount,
+      balance,
+    });
+  } catch (error) {
+    console.error('Error crediting deposit:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
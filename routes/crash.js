@@ -0,0 +1,172 @@
+const express = require('express');
+const router = express.Router();
+const { CrashGame, CrashSeedChain } = require('../models/Game');
+const {
+  crashParams,
+  crashParamsOf,
+  crashPointFromSeeds,
+  theoreticalRtp,
+  verifyChainSeed,
+  sha256Hex,
+} = require('../services/crashFairness');
+const { claimCrashPayout } = require('../services/crashPayouts');
+const { requireWallet } = require('../services/walletAuth');
+
+// Crash rounds whose seed may be revealed (Over, Refunded)
+const REVEALED_STATUSES = [4, 6];
+
+function publicChain(chain) {
+  const exhausted = chain.status === 'exhausted';
+  return {
+    id: chain.id,
+    terminalHash: chain.terminalHash,
+    salt: chain.salt,
+    length: chain.length,
+    roundsUsed: Math.min(chain.nextIndex - 1, chain.length),
+    status: chain.status,
+    createdAt: chain.createdAt,
+    exhaustedAt: chain.exhaustedAt,
+    // root seed is only published once every round of the chain is played
+    rootSeed: exhausted ? chain.rootSeed : null,
+  };
+}
+
+/**
+ * GET /api/crash/fairness
+ * Hash-chain commitments and how to verify a round against them.
+ */
+router.get('/fairness', async (req, res) => {
+  try {
+    const chains = await CrashSeedChain.findAll();
+    const active = chains.find((c) => c.status === 'active');
+    res.json({
+      params: crashParams(),
+      algorithm: {
+        chain: 'seed(k) = sha256^(length - k)(rootSeed); sha256^k(seed(k)) must equal terminalHash',
+        link: 'sha256(seed(k)) = seed(k - 1) = privateHash of round k',
+        crashPoint:
+          'h = HMAC_SHA256(key = seed(k), msg = salt); r = first 52 bits of h; ' +
+          'crash = floor(100 * (1 - houseEdge) * 2^52 / (2^52 - r)) / 100, ' +
+          'below 1.00x busts at 1.00x, capped at maxMultiplier',
+        legacyCrashPoint:
+          'rounds with houseEdge null: crash = floor((100 * 2^52 - r) / (2^52 - r)) / 100, capped at 1000x',
+      },
+      activeChain: active ? publicChain(active) : null,
+      chains: chains.map(publicChain),
+    });
+  } catch (error) {
+    console.error('Error loading crash fairness:', error);
+    res.status(500).json({ error: 'Failed to load fairness data', message: error.message });
+  }
+});
+
+/**
+ * GET /api/crash/fairness/:roundId
+ * Verification data for one round. The seed is withheld until the round is over.
+ */
+router.get('/fairness/:roundId', async (req, res) => {
+  try {
+    const roundId = Number.parseInt(String(req.params.roundId), 10);
+    if (!Number.isInteger(roundId) || roundId <= 0) {
+      return res.status(400).json({ error: 'Invalid roundId' });
+    }
+
+    const round = await CrashGame.findOne({ _id: roundId });
+    if (!round) {
+      return res.status(404).json({ error: 'Round not found' });
+    }
+
+    const chain = round.chainId ? await CrashSeedChain.findById(round.chainId) : null;
+    const revealed = REVEALED_STATUSES.includes(Number(round.status)) && !!round.privateSeed;
+
+    const payload = {
+      roundId: round._id,
+      status: round.status,
+      chainId: round.chainId,
+      chainIndex: round.chainIndex,
+      terminalHash: chain?.terminalHash || null,
+      publicSeed: round.publicSeed,
+      privateHash: round.privateHash,
+      privateSeed: revealed ? round.privateSeed : null,
+      houseEdge: crashParamsOf(round).houseEdge,
+      maxMultiplier: crashParamsOf(round).maxMultiplier,
+      crashPoint: revealed ? round.crashPoint : null,
+      verification: null,
+    };
+
+    if (revealed) {
+      payload.verification = {
+        seedMatchesHash: sha256Hex(round.privateSeed) === round.privateHash,
+        seedInChain: chain ? verifyChainSeed(round.privateSeed, round.chainIndex, chain.terminalHash) : null,
+        crashPoint: crashPointFromSeeds(round.publicSeed, round.privateSeed, crashParamsOf(round)),
+      };
+    }
+
+    res.json(payload);
+  } catch (error) {
+    console.error('Error loading crash round fairness:', error);
+    res.status(500).json({ error: 'Failed to load round fairness', message: error.message });
+  }
+});
+
+/**
+ * GET /api/crash/rtp?target=2.00
+ * Theoretical return to player under the current parameters
+ * (optionally for one cashout target).
+ */
+router.get('/rtp', (req, res) => {
+  const params = crashParams();
+  const payload = {
+    houseEdge: params.houseEdge,
+    maxMultiplier: params.maxMultiplier,
+    instantBustProbability: params.houseEdge,
+    rtp: 1 - params.houseEdge,
+  };
+
+  if (req.query.target !== undefined) {
+    const result = theoreticalRtp(Number(req.query.target), params);
+    if (!result) {
+      return res.status(400).json({ error: 'target must be a multiplier of at least 1.01' });
+    }
+    payload.target = result;
+  }
+
+  res.json(payload);
+});
+
+/**
+ * POST /api/crash/claim
+ * Claim the payout of a cashed-out crash bet that was not paid (never queued, or failed in the payout queue).
+ * Body: { betId?: number } (default: the wallet's oldest unpaid win, then its latest failed payout)
+ */
+router.post('/claim', requireWallet, async (req, res) => {
+  try {
+    const { betId } = req.body || {};
+    let id = null;
+    if (betId !== undefined && betId !== null) {
+      id = Number.parseInt(String(betId), 10);
+      if (!Number.isInteger(id) || id <= 0) {
+        return res.status(400).json({ status: 'ERROR', error: 'Invalid betId' });
+      }
+    }
+
+    const { bet, payout, payoutStatus } = await claimCrashPayout(req.publicId, id);
+    res.json({
+      status: ['credited', 'sent', 'confirmed'].includes(payoutStatus) ? 'SUCCESS' : 'PENDING',
+      betId: bet.id,
+      roundId: bet.roundId,
+      payoutAmount: bet.payoutAmount,
+      payoutId: payout.id,
+      payoutStatus,
+      payoutTxId: payout.txId || null,
+    });
+  } catch (error) {
+    if (error.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({ status: 'ERROR', error: error.message });
+    }
+    console.error('Error claiming crash payout:', error);
+    res.status(500).json({ status: 'ERROR', error: error.message });
+  }
+});
+
+module.exports = router;
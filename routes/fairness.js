@@ -0,0 +1,95 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getProfile,
+  toPublicProfile,
+  setClientSeed,
+  rotateServerSeed,
+  listRevealedSeeds,
+} = require('../services/fairnessProfile');
+const { requireWallet } = require('../services/walletAuth');
+
+function toPublicRevealed(seed) {
+  return {
+    serverSeed: seed.serverSeed,
+    serverSeedHash: seed.serverSeedHash,
+    clientSeed: seed.clientSeed,
+    nonceCount: seed.nonceCount,
+    committedAt: seed.committedAt,
+    revealedAt: seed.revealedAt,
+  };
+}
+
+/**
+ * GET /api/fairness
+ * The wallet's fairness profile (used by mines and video poker):
+ * hash of the active server seed, client seed, the nonce of the next game,
+ * and the server seeds revealed by earlier rotations.
+ */
+router.get('/', requireWallet, async (req, res) => {
+  try {
+    const publicId = req.publicId;
+    const profile = await getProfile(publicId);
+    const revealed = await listRevealedSeeds(publicId);
+
+    res.json({
+      success: true,
+      publicId,
+      ...toPublicProfile(profile),
+      revealedSeeds: revealed.map(toPublicRevealed),
+      algorithm: {
+        mines:
+          'Fisher-Yates over cells 0..24, j = floor(u * (i + 1)), u = next 4 bytes (uint32 BE / 2^32) of ' +
+          'HMAC_SHA256(key = serverSeed, msg = `${clientSeed}:${nonce}:${counter}`); first `mines` cells are bombs',
+        videoPoker:
+          'Fisher-Yates over the 52-card deck, u(k) = first 4 bytes of HMAC_SHA256(key = ' +
+          '`${serverSeed}:${clientSeed}:${nonce}:${phase}`, msg = k); phase "init" deals the hand, ' +
+          '"draw" replaces the discards from that deck minus the dealt hand',
+      },
+    });
+  } catch (error) {
+    console.error('Error loading fairness profile:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/fairness/client-seed
+ * Body: { clientSeed: string }
+ * Used from the next game on; the nonce keeps counting.
+ */
+router.put('/client-seed', requireWallet, async (req, res) => {
+  try {
+    const publicId = req.publicId;
+    const profile = await setClientSeed(publicId, req.body?.clientSeed);
+    res.json({ success: true, publicId, ...toPublicProfile(profile) });
+  } catch (error) {
+    console.error('Error setting client seed:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/fairness/rotate
+ * Body: { clientSeed?: string }
+ * Reveal the active server seed (so every game played with it can be verified)
+ * and commit a new one; the nonce restarts at 0. Refused with 409 while a game
+ * played with the active seed is still running.
+ */
+router.post('/rotate', requireWallet, async (req, res) => {
+  try {
+    const publicId = req.publicId;
+    const { revealed, profile } = await rotateServerSeed(publicId, { clientSeed: req.body?.clientSeed });
+    res.json({
+      success: true,
+      publicId,
+      revealed: toPublicRevealed(revealed),
+      ...toPublicProfile(profile),
+    });
+  } catch (error) {
+    console.error('Error rotating server seed:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
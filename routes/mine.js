@@ -1,11 +1,34 @@
 const express = require('express');
 const router = express.Router();
 const { MineGame } = require('../models/Game');
+const { Bet } = require('../models/Bet');
 const { query } = require('../database/connection');
 const crypto = require('crypto');
 const { isValidQubicPublicId, normalizeQubicPublicId } = require('../utils/validation');
 const { calculateMinesPayout } = require('../services/minesPayout');
-const { payFromCasinoToUser } = require('../services/qubicPayout');
+const { payWinnings, retryPayout, payoutEvents } = require('../services/payoutQueue');
+const { auditBetAccepted, auditPayoutError } = require('../services/auditTrail');
+const { minePayoutReference, minePayoutStatus } = require('../services/minePayouts');
+const { isBalanceStake, placeStake, releaseStake } = require('../services/balanceLedger');
+const { assertBetAllowed } = require('../services/playerLimits');
+const { idempotent } = require('../services/idempotency');
+const {
+  minePositions,
+  minesMaskFromPositions,
+  takeSessionSeeds,
+} = require('../services/minesFairness');
+const {
+  normalizeClientSeed,
+  getProfile,
+  toPublicProfile,
+  revealableServerSeed,
+} = require('../services/fairnessProfile');
+const {
+  DEPOSIT_STATUS,
+  DEPOSIT_VERIFY_TIMEOUT_MS,
+  verifyBetDeposit,
+} = require('../services/depositVerification');
+const { removeUnplayedRound } = require('../services/depositWatcher');
 
 console.log("✅ mine routes loaded");
 
@@ -27,7 +50,97 @@ async function recordMineMove(sessionId, cell, hitMine) {
   }
 }
 
-function buildInitialDatas(mines) {
+/**
+ * Record the session's wager in the bets ledger (round_id = session id).
+ * If the ledger rejects it (e.g. txId already used by another game) the session is expired.
+ */
+async function recordMineBet(game) {
+  try {
+    const bet = await Bet.create({
+      publicKey: game.publicKey,
+      game: 'mine',
+      roundId: game.id,
+      betAmount: Number(game.amount),
+      txId: game.txId,
+    });
+    auditBetAccepted(bet);
+  } catch (err) {
+    await MineGame.findByIdAndUpdate(game.id, { status: 'EXPIRED' });
+    await releaseStake(game.txId);
+    throw err;
+  }
+}
+
+async function settleMineBet(sessionId, settlement) {
+  try {
+    await Bet.settleByRound('mine', sessionId, settlement);
+  } catch (err) {
+    console.warn('Mine bet settle failed:', err?.message || err);
+  }
+}
+
+/**
+ * Queue the winnings of a session cashed out as PENDING (it stays PENDING until the worker reports back).
+ * Balance games are credited right away (CONFIRMED, payout_tx_id = ledger:<id>).
+ */
+async function queueMinePayout(game, payoutAmount) {
+  const queued = await payWinnings({
+    betTxId: game.txId,
+    reference: minePayoutReference(game.id),
+    game: 'mine',
+    roundId: game.id,
+    publicKey: game.publicKey,
+    amount: payoutAmount,
+  });
+  if (queued.status === 'credited') {
+    await MineGame.findByIdAndUpdate(game.id, { payoutStatus: 'CONFIRMED', payoutTxId: queued.txId });
+  }
+  return queued;
+}
+
+// Mirror payout queue results onto the session: SENT -> CONFIRMED, or REBROADCAST -> SENT again
+payoutEvents.on('sent', (payout) => {
+  if (payout.game !== 'mine') return;
+  MineGame.findByIdAndUpdate(payout.roundId, {
+    payoutTxId: payout.txId,
+    payoutStatus: 'SENT',
+    payoutError: null,
+  }).catch((err) => console.warn('Mine payout status update failed:', err?.message || err));
+});
+
+payoutEvents.on('confirmed', (payout) => {
+  if (payout.game !== 'mine') return;
+  MineGame.findByIdAndUpdate(payout.roundId, { payoutStatus: 'CONFIRMED' }).catch((err) =>
+    console.warn('Mine payout status update failed:', err?.message || err)
+  );
+});
+
+payoutEvents.on('rebroadcast', (payout) => {
+  if (payout.game !== 'mine') return;
+  MineGame.findByIdAndUpdate(payout.roundId, {
+    payoutStatus: 'REBROADCAST',
+    payoutError: payout.lastError,
+  }).catch((err) => console.warn('Mine payout status update failed:', err?.message || err));
+});
+
+payoutEvents.on('failed', (payout) => {
+  if (payout.game !== 'mine') return;
+  MineGame.findByIdAndUpdate(payout.roundId, {
+    payoutStatus: 'FAILED',
+    payoutError: payout.lastError || 'Payout failed',
+  }).catch((err) => console.warn('Mine payout status update failed:', err?.message || err));
+});
+
+// A voided payout stays FAILED on the session; claiming it is refused
+payoutEvents.on('voided', (payout) => {
+  if (payout.game !== 'mine') return;
+  MineGame.findByIdAndUpdate(payout.roundId, { payoutError: payout.lastError }).catch((err) =>
+    console.warn('Mine payout status update failed:', err?.message || err)
+  );
+});
+
+// positions: bomb cells derived from the session seeds (services/minesFairness.js)
+function buildInitialDatas(positions) {
   // Initialize game data (25 slots: 0-24)
   const datas = Array.from({ length: 25 }, (_, i) => ({
     point: i,
@@ -35,16 +148,9 @@ function buildInitialDatas(mines) {
     mined: false
   }));
 
-  // Randomly place mines
-  const minePositions = [];
-  while (minePositions.length < mines) {
-    const pos = Math.floor(Math.random() * 25);
-    if (!minePositions.includes(pos)) minePositions.push(pos);
-  }
-
   const finalDatas = datas.map((item, index) => ({
     ...item,
-    mine: minePositions.includes(index) ? 'BOMB' : 'GEM'
+    mine: positions.includes(index) ? 'BOMB' : 'GEM'
   }));
 
   const expiresAt = new Date(Date.now() + 5 * 60 * 1000); // 5 minutes
@@ -114,8 +220,61 @@ function applyPickToDatas(gameDatas, tileIndex) {
   };
 }
 
+/**
+ * A session whose bet deposit is not final yet is stored as READY.
+ * Re-check the deposit and promote it to LIVE once confirmed.
+ * Returns the (possibly updated) game; still READY means "keep verifying".
+ */
+async function promoteVerifiedGame(game) {
+  if (!game || game.status !== 'READY') return game;
+
+  const verification = await verifyBetDeposit({
+    txId: game.txId,
+    publicId: game.publicKey,
+    amount: Number(game.amount),
+  });
+
+  if (verification.status === DEPOSIT_STATUS.CONFIRMED) {
+    return await MineGame.findByIdAndUpdate(game.id, {
+      status: 'LIVE',
+      expiresAt: new Date(Date.now() + 5 * 60 * 1000), // game clock starts once the bet is confirmed
+    });
+  }
+
+  if (verification.status === DEPOSIT_STATUS.REJECTED) {
+    await MineGame.findByIdAndUpdate(game.id, { status: 'EXPIRED' });
+    await removeUnplayedRound('mine', game.id); // the wager never happened
+    const err = new Error('Transaction not valid for this bet: ' + verification.reason);
+    err.statusCode = 400;
+    throw err;
+  }
+
+  return { ...game, verificationReason: verification.reason };
+}
+
+// Answers 403 and returns true when the wallet's status or limits do not allow a bet of `amount`
+async function rejectIfCannotBet(req, res, amount = 0) {
+  try {
+    await assertBetAllowed({ publicKey: req.publicId, game: 'mine', amount, sessionId: req.authSession?.sessionId });
+    return false;
+  } catch (error) {
+    if (error.statusCode !== 403) throw error;
+    res.status(403).json({ status: 'ERROR', error: error.message, code: error.code });
+    return true;
+  }
+}
+
+function verifyingResponse(game) {
+  return {
+    status: 'VERIFYING',
+    gameId: game.id,
+    txId: game.txId || null,
+    reason: game.verificationReason || 'Waiting for bet transaction to be final',
+  };
+}
+
 // Internal wrappers (reuse DB model methods exactly like your routes)
-async function createMineGameInternal({ publicId, mines, amount, txId }) {
+async function createMineGameInternal({ publicId, mines, amount, txId, clientSeed }) {
   await MineGame.deleteExpiredLiveGames(publicId);
 
   // Optional safety: prevent collisions
@@ -130,11 +289,11 @@ async function createMineGameInternal({ publicId, mines, amount, txId }) {
     throw err;
   }
 
-  const { datas, expiresAt } = buildInitialDatas(mines);
-
-  const publicSeed = crypto.randomBytes(32).toString('hex');
-  const privateSeed = crypto.randomBytes(32).toString('hex');
-  const privateSeedHash = sha256Hex(privateSeed);
+  const seeds = await takeSessionSeeds(publicId, {
+    clientSeed: clientSeed ? normalizeClientSeed(clientSeed) : null,
+    mines
+  });
+  const { datas, expiresAt } = buildInitialDatas(seeds.positions);
 
   const gameData = {
     publicKey: String(publicId),
@@ -144,127 +303,173 @@ async function createMineGameInternal({ publicId, mines, amount, txId }) {
     datas,
     txId: txId ? String(txId) : null,
     expiresAt,
-    publicSeed,
-    privateSeed,
-    privateSeedHash
+    publicSeed: seeds.publicSeed,
+    privateSeed: seeds.privateSeed,
+    privateSeedHash: seeds.privateSeedHash,
+    nonce: seeds.nonce
   };
 
-  return await MineGame.create(gameData);
+  const game = await MineGame.create(gameData);
+  await recordMineBet(game);
+  return game;
 }
 
 async function pickMineTileInternal({ publicId, gameId, index }) {
-  const game = await MineGame.findOne({ id: gameId });
-  if (!game) {
-    const err = new Error('Game not found');
-    err.statusCode = 404;
-    throw err;
-  }
-  if (String(game.publicKey) !== String(publicId)) {
-    const err = new Error('Not your game');
-    err.statusCode = 403;
-    throw err;
-  }
-  if (game.status !== 'LIVE') {
-    const err = new Error('Game is not LIVE');
-    err.statusCode = 409;
-    throw err;
-  }
-  if (game.expiresAt && new Date(game.expiresAt) <= new Date()) {
-    const err = new Error('Game expired');
-    err.statusCode = 409;
-    throw err;
-  }
-
-  const result = applyPickToDatas(game.datas, index);
+  const result = await MineGame.updateLocked(gameId, (game) => {
+    if (!game) {
+      const err = new Error('Game not found');
+      err.statusCode = 404;
+      throw err;
+    }
+    if (String(game.publicKey) !== String(publicId)) {
+      const err = new Error('Not your game');
+      err.statusCode = 403;
+      throw err;
+    }
+    if (game.status !== 'LIVE') {
+      const err = new Error('Game is not LIVE');
+      err.statusCode = 409;
+      throw err;
+    }
+    if (game.expiresAt && new Date(game.expiresAt) <= new Date()) {
+      const err = new Error('Game expired');
+      err.statusCode = 409;
+      throw err;
+    }
 
-  const updateData = { datas: result.datas };
-  if (result.status === 'END') updateData.status = 'ENDED';
+    const alreadyMined = parseDatasMaybeString(game.datas).some(d => d.point === index && d.mined);
+    const pick = applyPickToDatas(game.datas, index);
+    if (alreadyMined) return { result: { ...pick, alreadyMined, gameId: game.id } };
 
-  await recordMineMove(game.id, index, result.hitMine);
+    const updates = { datas: pick.datas };
+    if (pick.status === 'END') updates.status = 'ENDED';
+    return { updates, result: { ...pick, alreadyMined, gameId: game.id } };
+  });
 
-  await MineGame.findByIdAndUpdate(game.id, updateData);
+  if (!result.alreadyMined) {
+    await recordMineMove(result.gameId, index, result.hitMine);
+    if (result.hitMine) await settleMineBet(result.gameId, { outcome: 'lost' });
+  }
 
-  return { ...result, gameId: game.id };
+  const { alreadyMined, ...pick } = result;
+  return pick;
 }
 
+/**
+ * Cash out a session. The session is ended under its row lock, compare-and-set on its status,
+ * before anything is paid: of two concurrent cashouts only one pays, the other gets
+ * `alreadyEnded: true` and the session as it stands. A payout that cannot be queued leaves the
+ * session ENDED with payout FAILED for the retry worker and POST /claim; it never goes back to LIVE.
+ */
 async function cashoutMineGameInternal({ publicId, gameId }) {
-  const game = await MineGame.findOne({ id: gameId });
-  if (!game) {
-    const err = new Error('Game not found');
-    err.statusCode = 404;
-    throw err;
-  }
-  if (String(game.publicKey) !== String(publicId)) {
-    const err = new Error('Not your game');
-    err.statusCode = 403;
-    throw err;
-  }
+  const locked = await MineGame.updateLocked(gameId, (game) => {
+    if (!game) {
+      const err = new Error('Game not found');
+      err.statusCode = 404;
+      throw err;
+    }
+    if (String(game.publicKey) !== String(publicId)) {
+      const err = new Error('Not your game');
+      err.statusCode = 403;
+      throw err;
+    }
 
-  // IMPORTANT: Your /mine/pick marks END when all safe gems are opened.
-  // So cashout must allow LIVE or END (if not already paid).
-  if (game.status !== 'LIVE' && game.status !== 'ENDED') {
-    const err = new Error('Game is not cashout-eligible');
-    err.statusCode = 409;
-    throw err;
-  }
+    const datas = parseDatasMaybeString(game.datas);
+    const hitBomb = datas.some(d => d.mined && d.mine === 'BOMB');
+    const cashedOut = (game.payoutAmount && Number(game.payoutAmount) > 0) || game.payoutStatus !== 'NONE';
 
-  // prevent double cashout if already paid
-  if (game.payoutAmount && Number(game.payoutAmount) > 0 && game.payoutTxId) {
-    const err = new Error('Game already cashed out');
-    err.statusCode = 409;
-    throw err;
-  }
+    // Lost, or cashed out by an earlier request
+    if (game.status === 'ENDED' && (hitBomb || cashedOut)) {
+      return { result: { alreadyEnded: true, game, datas } };
+    }
 
-  const datas = parseDatasMaybeString(game.datas);
-  const revealedGems = countRevealedGems(datas);
+    // /pick ends the game itself once every gem is open, so an ENDED session that was
+    // never paid can still be cashed out
+    if (game.status !== 'LIVE' && game.status !== 'ENDED') {
+      const err = new Error('Game is not cashout-eligible');
+      err.statusCode = 409;
+      throw err;
+    }
+    if (cashedOut) {
+      const err = new Error('Game already cashed out');
+      err.statusCode = 409;
+      throw err;
+    }
 
-  const payout = calculateMinesPayout({
-    mines: Number(game.mines),
-    revealedGems,
-    betAmount: Number(game.amount),
-  });
+    const revealedGems = countRevealedGems(datas);
+    const payout = calculateMinesPayout({
+      mines: Number(game.mines),
+      revealedGems,
+      betAmount: Number(game.amount),
+    });
 
-  if (payout.payoutAmount <= 0) {
-    const err = new Error('Cashout requires at least 1 revealed GEM');
-    err.statusCode = 400;
-    throw err;
-  }
+    if (payout.payoutAmount <= 0) {
+      const err = new Error('Cashout requires at least 1 revealed GEM');
+      err.statusCode = 400;
+      throw err;
+    }
 
-  // 1) End game in DB first (prevents double cashout)
-  await MineGame.findByIdAndUpdate(game.id, {
-    status: 'ENDED',
-    payoutAmount: payout.payoutAmount,
+    return {
+      updates: { status: 'ENDED', payoutAmount: payout.payoutAmount, payoutStatus: 'PENDING', payoutError: null },
+      result: { alreadyEnded: false, game, datas, payout, revealedGems },
+    };
   });
 
-  // 2) Pay user from casino hot wallet
-  let payoutTx;
+  const { game, datas } = locked;
+  if (locked.alreadyEnded) {
+    return {
+      status: 'END',
+      alreadyEnded: true,
+      payoutAmount: game.payoutAmount || 0,
+      multiplier: game.multiplier || null,
+      payoutId: null,
+      payoutStatus: game.payoutStatus,
+      payoutTxId: game.payoutTxId || null,
+      revealedGems: countRevealedGems(datas),
+      datas,
+    };
+  }
+
+  const { payout, revealedGems } = locked;
+  let queued = null;
+  let payoutStatus;
+  let payoutError = null;
   try {
-    payoutTx = await payFromCasinoToUser({
-      toPublicId: publicId,
+    // Queue payout from casino hot wallet (txId arrives via payout-sent)
+    queued = await queueMinePayout(game, payout.payoutAmount);
+    payoutStatus = minePayoutStatus(queued);
+  } catch (error) {
+    console.error('Mine payout could not be queued:', error?.message || error);
+    payoutError = String(error?.message || error);
+    payoutStatus = 'FAILED';
+    auditPayoutError({
+      game: 'mine',
+      roundId: game.id,
+      publicKey: game.publicKey,
       amount: payout.payoutAmount,
+      reference: minePayoutReference(game.id),
+      error,
     });
-  } catch (payoutError) {
-    // Revert game status if payout fails and record failure
-    await MineGame.findByIdAndUpdate(game.id, { 
-      status: 'LIVE',
-      payoutStatus: 'FAILED',
-      payoutError: String(payoutError?.message || payoutError)
-    });
-    throw payoutError;
+    await MineGame.findByIdAndUpdate(game.id, { payoutStatus, payoutError });
   }
 
-  // 3) Store payout txId + status
-  await MineGame.findByIdAndUpdate(game.id, { 
-    payoutTxId: payoutTx.txId,
-    payoutStatus: 'SENT',
-    payoutError: null
+  // Won either way; an unpaid win is retried in the background (services/minePayouts.js)
+  await settleMineBet(game.id, {
+    outcome: 'won',
+    payoutAmount: payout.payoutAmount,
   });
 
   return {
     status: 'END',
+    alreadyEnded: false,
     payoutAmount: payout.payoutAmount,
-    payoutTxId: payoutTx.txId,
-    revealedGems
+    multiplier: payout.multiplier,
+    payoutId: queued?.id ?? null,
+    payoutStatus,
+    payoutTxId: queued?.txId ?? null,
+    payoutError,
+    revealedGems,
+    datas,
   };
 }
 
@@ -278,27 +483,116 @@ router.get('/test', (req, res) => {
 });
 
 /**
- * POST /api/mine/status
- * Check active mine game status
- * Body: { publicId: string (60 uppercase A-Z characters) }
+ * GET /api/mine/seed
+ * The wallet's fairness profile (see /api/fairness): active server seed hash,
+ * client seed and the nonce the NEXT game will use.
  */
-router.post('/status', async (req, res) => {
+router.get('/seed', async (req, res) => {
   try {
-    const publicId = normalizeQubicPublicId(req.body.publicId || req.headers['x-public-id']);
+    const profile = await getProfile(req.publicId);
+    res.json({ success: true, ...toPublicProfile(profile) });
+  } catch (error) {
+    console.error('Error loading mine seed:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
 
-    if (!isValidQubicPublicId(publicId)) {
-      return res.status(400).json({
+/**
+ * GET /api/mine/verify/:gameId
+ * Recompute a finished game's mines_mask from serverSeed + clientSeed + nonce.
+ * The server seed is shown once it has been rotated out (POST /api/fairness/rotate).
+ */
+router.get('/verify/:gameId', async (req, res) => {
+  try {
+    const gameId = Number.parseInt(String(req.params.gameId), 10);
+    if (!Number.isInteger(gameId) || gameId <= 0) {
+      return res.status(400).json({ success: false, error: 'Invalid gameId' });
+    }
+
+    const game = await MineGame.findOne({ id: gameId });
+    if (!game) {
+      return res.status(404).json({ success: false, error: 'Game not found' });
+    }
+
+    const base = {
+      gameId: game.id,
+      status: game.status,
+      mines: game.mines,
+      clientSeed: game.publicSeed,
+      serverSeedHash: game.privateSeedHash,
+      nonce: game.nonce,
+    };
+
+    // The server seed stays secret while the board can still be played
+    if (game.status === 'LIVE' || game.status === 'READY') {
+      return res.status(409).json({ success: false, error: 'Game is still in progress', ...base });
+    }
+    if (game.nonce === null || game.nonce === undefined || !game.privateSeed) {
+      return res.status(409).json({
         success: false,
-        error: 'Invalid Qubic publicId (identity). It must be exactly 60 A–Z characters.'
+        error: 'Game predates seed-derived mine placement and cannot be verified',
+        ...base
       });
     }
 
-    const game = await MineGame.findOne({
+    const serverSeed = await revealableServerSeed(game.publicKey, {
+      serverSeed: game.privateSeed,
+      serverSeedHash: game.privateSeedHash
+    });
+    if (!serverSeed) {
+      return res.status(409).json({
+        success: false,
+        error: 'Server seed is still active; rotate it (POST /api/fairness/rotate) to verify this game',
+        ...base
+      });
+    }
+
+    const positions = minePositions(serverSeed, game.publicSeed, game.nonce, game.mines);
+    const minesMask = minesMaskFromPositions(positions);
+
+    res.json({
+      success: true,
+      ...base,
+      serverSeed,
+      minePositions: positions,
+      minesMask,
+      verification: {
+        seedMatchesHash: sha256Hex(serverSeed) === game.privateSeedHash,
+        minesMaskMatches: minesMask === game.minesMask,
+      }
+    });
+  } catch (error) {
+    console.error('Error verifying mine game:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/mine/status
+ * Check the authenticated wallet's active mine game status
+ */
+router.post('/status', async (req, res) => {
+  try {
+    const publicId = req.publicId;
+
+    let game = await MineGame.findOne({
       publicKey: publicId,
       status: 'LIVE',
       expiresAt: { $gt: new Date() }
     });
 
+    if (!game) {
+      const verifyingGame = await MineGame.findOne({
+        publicKey: publicId,
+        status: 'READY',
+        expiresAt: { $gt: new Date() }
+      });
+      game = await promoteVerifiedGame(verifyingGame);
+      if (game && game.status === 'READY') {
+        return res.json({ success: false, verifying: true, ...verifyingResponse(game) });
+      }
+    }
+
     if (game) {
       res.json({
         success: true,
@@ -314,7 +608,7 @@ router.post('/status', async (req, res) => {
     }
   } catch (error) {
     console.error('Error checking mine game status:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -324,32 +618,22 @@ router.post('/status', async (req, res) => {
 /**
  * POST /api/mine/create
  * Create a new mine game
- * Body: { publicId: string (60 uppercase A-Z characters), mines: number, amount: number (integer), txId?: string }
+ * Body: { mines: number, amount: number (integer), txId?: string, fromBalance?: boolean, clientSeed?: string }
+ * - txId must be a final transfer of `amount` from the player to the casino wallet.
+ *   If it is not final yet the game is stored as READY and { status: 'VERIFYING' } is returned;
+ *   /status, /bet, /pick and /reveal promote it to LIVE once the deposit confirms.
+ * - Bombs are placed from the wallet's fairness profile (server seed, clientSeed, nonce);
+ *   GET /verify/:gameId checks a game once its server seed has been rotated out.
  */
 router.post('/create', async (req, res, next) => {
+  // Balance stake taken for this request that no bet holds yet (given back on failure)
+  let unrecordedStake = null;
   try {
     // Log request body for debugging
     console.log('POST /api/mine/create body:', JSON.stringify(req.body, null, 2));
 
-    const { mines, amount, publicKey, publicId } = req.body ?? {};
-    // ✅ Accept both publicKey and publicId (for consistency with cashout)
-    const wallet = publicKey || publicId || req.headers['x-public-id'];
-    
-    if (!wallet || typeof wallet !== 'string') {
-      return res.status(400).json({
-        status: 'ERROR',
-        error: 'publicKey/publicId is required (string)'
-      });
-    }
-    
-    const publicIdNormalized = normalizeQubicPublicId(wallet);
-
-    if (!isValidQubicPublicId(publicIdNormalized)) {
-      return res.status(400).json({
-        status: 'ERROR',
-        error: 'Invalid Qubic publicId/publicKey (identity). It must be exactly 60 A–Z characters.'
-      });
-    }
+    const { mines, amount } = req.body ?? {};
+    const publicIdNormalized = req.publicId;
 
     // Validate mines - Qubic has NO decimals → enforce integer
     if (!Number.isInteger(mines) || mines < 1 || mines > 24) {
@@ -369,48 +653,78 @@ router.post('/create', async (req, res, next) => {
     
     const amountInt = amount; // Already validated as integer
 
+    // Optional player seed; replaces the fairness profile's client seed (see GET /api/fairness)
+    let clientSeed = null;
+    try {
+      if (req.body.clientSeed) clientSeed = normalizeClientSeed(req.body.clientSeed);
+    } catch (seedError) {
+      return res.status(400).json({ status: 'ERROR', error: seedError.message });
+    }
+
+    if (await rejectIfCannotBet(req, res, amountInt)) return;
+
     // Check for existing active game (delete expired games)
     await MineGame.deleteExpiredLiveGames(publicIdNormalized);
 
-    // Initialize game data (25 slots: 0-24)
-    const datas = Array.from({ length: 25 }, (_, i) => ({
-      point: i,
-      mine: null,
-      mined: false
-    }));
-
-    // Randomly place mines
-    const minePositions = [];
-    while (minePositions.length < mines) {
-      const pos = Math.floor(Math.random() * 25);
-      if (!minePositions.includes(pos)) {
-        minePositions.push(pos);
+    // Bet transfer is required and must be verified on-chain, unless playing from the balance
+    const fromBalance = req.body.fromBalance === true;
+    let txId = !fromBalance && req.body.txId ? String(req.body.txId).trim() : null;
+    if (!fromBalance && (!txId || isBalanceStake(txId))) {
+      return res.status(400).json({
+        status: 'ERROR',
+        error: 'txId is required (bet transfer tx)'
+      });
+    }
+    if (fromBalance) {
+      try {
+        txId = await placeStake({ publicKey: publicIdNormalized, amount: amountInt, game: 'mine' });
+      } catch (stakeError) {
+        if (stakeError.statusCode === 402) {
+          return res.status(402).json({ status: 'ERROR', error: stakeError.message });
+        }
+        throw stakeError;
+      }
+      unrecordedStake = txId;
+    }
+
+    const verification = await verifyBetDeposit({
+      txId,
+      publicId: publicIdNormalized,
+      amount: amountInt,
+    });
+    if (verification.status === DEPOSIT_STATUS.REJECTED) {
+      // No game holds the stake
+      if (unrecordedStake) {
+        await releaseStake(unrecordedStake);
+        unrecordedStake = null;
       }
+      return res.status(400).json({
+        status: 'ERROR',
+        error: 'Transaction not valid for this bet: ' + verification.reason
+      });
     }
+    const verifying = verification.status === DEPOSIT_STATUS.PENDING;
 
-    // Optional: Get transaction ID if provided
-    const txId = req.body.txId ? String(req.body.txId).trim() : null;
+    // Mine positions come from the fairness profile: server seed, client seed and nonce
+    const seeds = await takeSessionSeeds(publicIdNormalized, { clientSeed, mines });
+    const { datas } = buildInitialDatas(seeds.positions);
 
     // Ensure all values are proper types before creating game
     // IMPORTANT: All values must be primitives (string, number, null)
-    const publicSeed = crypto.randomBytes(32).toString('hex');
-    const privateSeed = crypto.randomBytes(32).toString('hex');
-    const privateSeedHash = sha256Hex(privateSeed);
 
     const gameData = {
       publicKey: String(publicIdNormalized),  // Ensure string (stored as wallet_public_key in DB)
-      status: 'LIVE',
+      status: verifying ? 'READY' : 'LIVE',
       mines: Number(mines),  // Ensure number (already validated as integer)
       amount: Number(amountInt),  // Ensure number (already validated as integer)
-      datas: datas.map((item, index) => ({
-        ...item,
-        mine: minePositions.includes(index) ? 'BOMB' : 'GEM'
-      })),
+      datas,
       txId: txId ? String(txId) : null,  // Ensure string or null
-      expiresAt: new Date(Date.now() + 5 * 60 * 1000), // 5 minutes - will be converted to string in create()
-      publicSeed,
-      privateSeed,
-      privateSeedHash
+      // 5 minutes to play; a READY game only waits as long as deposit verification may take
+      expiresAt: new Date(Date.now() + (verifying ? DEPOSIT_VERIFY_TIMEOUT_MS : 5 * 60 * 1000)),
+      publicSeed: seeds.publicSeed,
+      privateSeed: seeds.privateSeed,
+      privateSeedHash: seeds.privateSeedHash,
+      nonce: seeds.nonce
     };
 
     // Log the game data before creating
@@ -426,6 +740,16 @@ router.post('/create', async (req, res, next) => {
 
     const game = await MineGame.create(gameData);
 
+    try {
+      await recordMineBet(game);
+      unrecordedStake = null;
+    } catch (betError) {
+      if (betError.statusCode === 409) {
+        return res.status(409).json({ status: 'ERROR', error: betError.message });
+      }
+      throw betError;
+    }
+
     // ✅ Safety check: Verify publicKey was stored correctly (prevents truncation issues)
     if (!game.publicKey || game.publicKey.length !== 60) {
       console.error("❌ wallet_public_key stored incorrectly:", { 
@@ -438,14 +762,24 @@ router.post('/create', async (req, res, next) => {
       });
     }
 
+    if (verifying) {
+      return res.status(202).json(verifyingResponse({ ...game, verificationReason: verification.reason }));
+    }
+
     res.json({
       status: 'BET',
       gameId: game.id,
       txId: game.txId || null,
+      clientSeed: seeds.publicSeed,
+      serverSeedHash: seeds.privateSeedHash,
+      nonce: seeds.nonce,
       datas: game.datas // Return initial game data for frontend initialization
     });
   } catch (error) {
     console.error('Error creating mine game:', error);
+    if (unrecordedStake) {
+      await releaseStake(unrecordedStake).catch((err) => console.error('Stake release failed:', err?.message || err));
+    }
     // Pass error to global error handler
     next(error);
   }
@@ -454,19 +788,12 @@ router.post('/create', async (req, res, next) => {
 /**
  * POST /api/mine/bet
  * Reveal a tile (place a bet on a specific point)
- * Body: { publicId: string (60 uppercase A-Z characters), point: number }
+ * Body: { point: number }
  */
-router.post('/bet', async (req, res) => {
+router.post('/bet', idempotent('mine.bet'), async (req, res) => {
   try {
     const { point } = req.body;
-    const publicId = normalizeQubicPublicId(req.body.publicId || req.headers['x-public-id']);
-
-    if (!isValidQubicPublicId(publicId)) {
-      return res.status(400).json({
-        status: 'ERROR',
-        error: 'Invalid Qubic publicId (identity). It must be exactly 60 A–Z characters.'
-      });
-    }
+    const publicId = req.publicId;
 
     if (point === undefined || !Number.isInteger(point) || point < 0 || point >= 25) {
       return res.status(400).json({
@@ -475,12 +802,27 @@ router.post('/bet', async (req, res) => {
       });
     }
 
-    const game = await MineGame.findOne({
+    if (await rejectIfCannotBet(req, res)) return;
+
+    let game = await MineGame.findOne({
       publicKey: publicId,
       status: 'LIVE',
       expiresAt: { $gt: new Date() }
     });
 
+    if (!game) {
+      // A game whose bet deposit is still verifying cannot be played yet
+      const verifyingGame = await MineGame.findOne({
+        publicKey: publicId,
+        status: 'READY',
+        expiresAt: { $gt: new Date() }
+      });
+      game = await promoteVerifiedGame(verifyingGame);
+      if (game && game.status === 'READY') {
+        return res.status(202).json(verifyingResponse(game));
+      }
+    }
+
     if (!game) {
       return res.status(404).json({
         status: 'ERROR',
@@ -488,67 +830,24 @@ router.post('/bet', async (req, res) => {
       });
     }
 
-    // Find and update the slot
-    const slotIndex = game.datas.findIndex(d => d.point === point);
-    if (slotIndex === -1 || game.datas[slotIndex].mined) {
+    const slot = game.datas.find(d => d.point === point);
+    if (!slot || slot.mined) {
       return res.status(400).json({
         status: 'ERROR',
         error: 'Invalid or already mined slot'
       });
     }
 
-    // Update the datas array
-    game.datas[slotIndex].mined = true;
-    const isBomb = game.datas[slotIndex].mine === 'BOMB';
-
-    // Prepare update data
-    const updateData = {
-      datas: game.datas
-    };
-
-    await recordMineMove(game.id, tileIndex, isBomb);
-
-    await recordMineMove(game.id, tileIndex, isBomb);
-
-    await recordMineMove(game.id, point, isBomb);
+    // Locked, compare-and-set on LIVE: a pick racing a cashout or another pick cannot apply twice
+    const result = await pickMineTileInternal({ publicId, gameId: game.id, index: point });
 
-    if (isBomb) {
-      // Game over - hit a bomb
-      updateData.status = 'ENDED';
-      await MineGame.findByIdAndUpdate(game.id, updateData);
-
-      res.json({
-        status: 'END',
-        datas: game.datas
-      });
-    } else {
-      // Check if all safe slots are mined
-      const allSafeMined = game.datas
-        .filter(d => d.mine === 'GEM')
-        .every(d => d.mined);
-
-      if (allSafeMined) {
-        // Game won - all safe slots mined
-        updateData.status = 'ENDED';
-        await MineGame.findByIdAndUpdate(game.id, updateData);
-
-        res.json({
-          status: 'END',
-          datas: game.datas
-        });
-      } else {
-        // Continue game
-        await MineGame.findByIdAndUpdate(game.id, updateData);
-
-        res.json({
-          status: 'BET',
-          datas: game.datas
-        });
-      }
-    }
+    res.json({
+      status: result.status,
+      datas: result.datas
+    });
   } catch (error) {
     console.error('Error placing mine bet:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       status: 'ERROR',
       error: error.message
     });
@@ -558,30 +857,24 @@ router.post('/bet', async (req, res) => {
 /**
  * POST /api/mine/pick
  * Pick/reveal a tile (click a tile during game)
- * Body: { gameId: number, index: number } OR { publicId: string, point: number }
- * Security: Verifies requester owns the game
+ * Body: { gameId: number, index: number } OR { point: number } (the wallet's live game)
+ * Security: Verifies the authenticated wallet owns the game
  */
-router.post('/pick', async (req, res) => {
+router.post('/pick', idempotent('mine.pick'), async (req, res) => {
   try {
-    const { gameId, index, publicId, point } = req.body;
-    const publicIdHeader = req.headers['x-public-id'];
-    const requesterPublicId = normalizeQubicPublicId(publicId || publicIdHeader);
+    const { gameId, index, point } = req.body;
+    const requesterPublicId = req.publicId;
 
-    // Support both gameId and publicId for finding the game
+    // Without a gameId, use the wallet's live game
     let game;
     if (gameId) {
       game = await MineGame.findOne({ id: gameId });
-    } else if (requesterPublicId && isValidQubicPublicId(requesterPublicId)) {
+    } else {
       game = await MineGame.findOne({
         publicKey: requesterPublicId,
         status: 'LIVE',
         expiresAt: { $gt: new Date() }
       });
-    } else {
-      return res.status(400).json({
-        status: 'ERROR',
-        error: 'gameId or valid publicId is required'
-      });
     }
 
     if (!game) {
@@ -592,13 +885,20 @@ router.post('/pick', async (req, res) => {
     }
 
     // Security: Verify game owner matches requester
-    if (requesterPublicId && isValidQubicPublicId(requesterPublicId) && game.publicKey !== requesterPublicId) {
+    if (game.publicKey !== requesterPublicId) {
       return res.status(403).json({ 
         status: 'ERROR',
         error: 'Game does not belong to requester' 
       });
     }
 
+    if (game.status === 'READY') {
+      game = await promoteVerifiedGame(game);
+      if (game.status === 'READY') {
+        return res.status(202).json(verifyingResponse(game));
+      }
+    }
+
     if (game.status !== 'LIVE') {
       return res.status(400).json({ 
         status: 'ERROR',
@@ -615,80 +915,19 @@ router.post('/pick', async (req, res) => {
       });
     }
 
-    // Find and update the slot
-    const slotIndex = game.datas.findIndex(d => d.point === tileIndex);
-    if (slotIndex === -1) {
-      return res.status(400).json({
-        status: 'ERROR',
-        error: 'Invalid tile index'
-      });
-    }
-
-    if (game.datas[slotIndex].mined) {
-      return res.json({
-        status: 'BET',
-        gameId: game.id,
-        opened: game.datas.filter(d => d.mined).map(d => d.point),
-        hitMine: false,
-        datas: game.datas
-      });
-    }
-
-    // Update the datas array
-    game.datas[slotIndex].mined = true;
-    const isBomb = game.datas[slotIndex].mine === 'BOMB';
+    // Locked, compare-and-set on LIVE: a pick racing a cashout or another pick cannot apply twice
+    const result = await pickMineTileInternal({ publicId: requesterPublicId, gameId: game.id, index: tileIndex });
 
-    // Prepare update data
-    const updateData = {
-      datas: game.datas
-    };
-
-    if (isBomb) {
-      // Game over - hit a bomb
-      updateData.status = 'ENDED';
-      await MineGame.findByIdAndUpdate(game.id, updateData);
-
-      res.json({
-        status: 'END',
-        gameId: game.id,
-        opened: game.datas.filter(d => d.mined).map(d => d.point),
-        hitMine: true,
-        datas: game.datas
-      });
-    } else {
-      // Check if all safe slots are mined
-      const allSafeMined = game.datas
-        .filter(d => d.mine === 'GEM')
-        .every(d => d.mined);
-
-      if (allSafeMined) {
-        // Game won - all safe slots mined
-        updateData.status = 'ENDED';
-        await MineGame.findByIdAndUpdate(game.id, updateData);
-
-        res.json({
-          status: 'END',
-          gameId: game.id,
-          opened: game.datas.filter(d => d.mined).map(d => d.point),
-          hitMine: false,
-          datas: game.datas
-        });
-      } else {
-        // Continue game
-        await MineGame.findByIdAndUpdate(game.id, updateData);
-
-        res.json({
-          status: 'BET',
-          gameId: game.id,
-          opened: game.datas.filter(d => d.mined).map(d => d.point),
-          hitMine: false,
-          datas: game.datas
-        });
-      }
-    }
+    res.json({
+      status: result.status,
+      gameId: result.gameId,
+      opened: result.opened,
+      hitMine: result.hitMine,
+      datas: result.datas
+    });
   } catch (error) {
     console.error('Error picking tile:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       status: 'ERROR',
       error: error.message
     });
@@ -698,30 +937,24 @@ router.post('/pick', async (req, res) => {
 /**
  * POST /api/mine/reveal
  * Reveal a tile (alternative endpoint, same functionality as /pick)
- * Body: { gameId: number, index: number } OR { publicId: string, point: number }
- * Security: Verifies requester owns the game
+ * Body: { gameId: number, index: number } OR { point: number } (the wallet's live game)
+ * Security: Verifies the authenticated wallet owns the game
  */
-router.post('/reveal', async (req, res) => {
+router.post('/reveal', idempotent('mine.reveal'), async (req, res) => {
   try {
-    const { gameId, index, publicId, point } = req.body;
-    const publicIdHeader = req.headers['x-public-id'];
-    const requesterPublicId = normalizeQubicPublicId(publicId || publicIdHeader);
+    const { gameId, index, point } = req.body;
+    const requesterPublicId = req.publicId;
 
-    // Support both gameId and publicId for finding the game
+    // Without a gameId, use the wallet's live game
     let game;
     if (gameId) {
       game = await MineGame.findOne({ id: gameId });
-    } else if (requesterPublicId && isValidQubicPublicId(requesterPublicId)) {
+    } else {
       game = await MineGame.findOne({
         publicKey: requesterPublicId,
         status: 'LIVE',
         expiresAt: { $gt: new Date() }
       });
-    } else {
-      return res.status(400).json({
-        status: 'ERROR',
-        error: 'gameId or valid publicId is required'
-      });
     }
 
     if (!game) {
@@ -732,13 +965,20 @@ router.post('/reveal', async (req, res) => {
     }
 
     // Security: Verify game owner matches requester
-    if (requesterPublicId && isValidQubicPublicId(requesterPublicId) && game.publicKey !== requesterPublicId) {
+    if (game.publicKey !== requesterPublicId) {
       return res.status(403).json({ 
         status: 'ERROR',
         error: 'Game does not belong to requester' 
       });
     }
 
+    if (game.status === 'READY') {
+      game = await promoteVerifiedGame(game);
+      if (game.status === 'READY') {
+        return res.status(202).json(verifyingResponse(game));
+      }
+    }
+
     if (game.status !== 'LIVE') {
       return res.status(400).json({ 
         status: 'ERROR',
@@ -755,80 +995,19 @@ router.post('/reveal', async (req, res) => {
       });
     }
 
-    // Find and update the slot
-    const slotIndex = game.datas.findIndex(d => d.point === tileIndex);
-    if (slotIndex === -1) {
-      return res.status(400).json({
-        status: 'ERROR',
-        error: 'Invalid tile index'
-      });
-    }
+    // Locked, compare-and-set on LIVE: a pick racing a cashout or another pick cannot apply twice
+    const result = await pickMineTileInternal({ publicId: requesterPublicId, gameId: game.id, index: tileIndex });
 
-    if (game.datas[slotIndex].mined) {
-      return res.json({
-        status: 'BET',
-        gameId: game.id,
-        opened: game.datas.filter(d => d.mined).map(d => d.point),
-        hitMine: false,
-        datas: game.datas
-      });
-    }
-
-    // Update the datas array
-    game.datas[slotIndex].mined = true;
-    const isBomb = game.datas[slotIndex].mine === 'BOMB';
-
-    // Prepare update data
-    const updateData = {
-      datas: game.datas
-    };
-
-    if (isBomb) {
-      // Game over - hit a bomb
-      updateData.status = 'ENDED';
-      await MineGame.findByIdAndUpdate(game.id, updateData);
-
-      res.json({
-        status: 'END',
-        gameId: game.id,
-        opened: game.datas.filter(d => d.mined).map(d => d.point),
-        hitMine: true,
-        datas: game.datas
-      });
-    } else {
-      // Check if all safe slots are mined
-      const allSafeMined = game.datas
-        .filter(d => d.mine === 'GEM')
-        .every(d => d.mined);
-
-      if (allSafeMined) {
-        // Game won - all safe slots mined
-        updateData.status = 'ENDED';
-        await MineGame.findByIdAndUpdate(game.id, updateData);
-
-        res.json({
-          status: 'END',
-          gameId: game.id,
-          opened: game.datas.filter(d => d.mined).map(d => d.point),
-          hitMine: false,
-          datas: game.datas
-        });
-      } else {
-        // Continue game
-        await MineGame.findByIdAndUpdate(game.id, updateData);
-
-        res.json({
-          status: 'BET',
-          gameId: game.id,
-          opened: game.datas.filter(d => d.mined).map(d => d.point),
-          hitMine: false,
-          datas: game.datas
-        });
-      }
-    }
+    res.json({
+      status: result.status,
+      gameId: result.gameId,
+      opened: result.opened,
+      hitMine: result.hitMine,
+      datas: result.datas
+    });
   } catch (error) {
     console.error('Error revealing tile:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       status: 'ERROR',
       error: error.message
     });
@@ -838,28 +1017,20 @@ router.post('/reveal', async (req, res) => {
 /**
  * POST /api/mine/cashout
  * Cashout from current game - calculates payout and sends QU transfer from casino to user
- * Body: { gameId: number, publicId?: string, publicKey?: string } (publicId or publicKey required, 60 uppercase A-Z characters)
- * Security: Always requires requesterPublicId to match game owner
+ * Body: { gameId: number }
+ * Headers: Idempotency-Key (optional) - a retried request with the same key gets the original response
+ * A payout that cannot be queued is answered with payoutStatus FAILED and retried in the background
+ * Security: Only the authenticated wallet that owns the game can cash out
  */
-router.post('/cashout', async (req, res) => {
+router.post('/cashout', idempotent('mine.cashout'), async (req, res) => {
   try {
     console.log("💰 CASHOUT request body:", JSON.stringify(req.body, null, 2));
 
-    // ✅ Accept both publicId and publicKey (for compatibility)
-    const { gameId, publicId, publicKey } = req.body;
-    const wallet = publicKey || publicId || req.headers['x-public-id'];
-    
-    if (!gameId || !wallet) {
-      return res.status(400).json({ 
-        status: 'ERROR', 
-        error: 'gameId and publicKey/publicId are required' 
-      });
-    }
+    const { gameId } = req.body;
+    const requesterPublicId = req.publicId;
 
-    const requesterPublicId = normalizeQubicPublicId(wallet);
-
-    if (!isValidQubicPublicId(requesterPublicId)) {
-      return res.status(400).json({ status: 'ERROR', error: 'Invalid Qubic publicId/publicKey' });
+    if (!gameId) {
+      return res.status(400).json({ status: 'ERROR', error: 'gameId is required' });
     }
 
     const gameIdNum = Number(gameId);
@@ -895,90 +1066,43 @@ router.post('/cashout', async (req, res) => {
       });
     }
 
-    // ✅ Parse datas if it's stored as JSON string in MySQL
-    const datas = typeof game.datas === 'string' ? JSON.parse(game.datas) : game.datas;
+    // Locked and compare-and-set: a concurrent or retried cashout gets the ended session back instead of paying twice
+    const cash = await cashoutMineGameInternal({ publicId: requesterPublicId, gameId: game.id });
+    const opened = cash.datas.filter(d => d.mined).map(d => d.point);
 
     // ✅ Idempotent: if already ended, just return success (no 403/404)
-    if (game.status !== 'LIVE') {
+    if (cash.alreadyEnded) {
       console.log("✅ Game already ended, returning existing state");
       return res.status(200).json({
         status: 'END',
         gameId: game.id,
-        opened: datas.filter(d => d.mined).map(d => d.point),
-        datas,
-        payoutTxId: game.payoutTxId || null,
-        payoutAmount: game.payoutAmount || null,
-        multiplier: game.multiplier || null,
+        opened,
+        datas: cash.datas,
+        payoutTxId: cash.payoutTxId,
+        payoutAmount: cash.payoutAmount || null,
+        multiplier: cash.multiplier,
+        payoutStatus: cash.payoutStatus,
       });
     }
 
-    const revealedGems = datas.filter(d => d.mined && d.mine === 'GEM').length;
-    console.log("💎 Revealed gems:", revealedGems);
-
-    const payout = calculateMinesPayout({
-      mines: game.mines,
-      revealedGems,
-      betAmount: game.amount,
-    });
-
-    console.log("💰 Calculated payout:", { 
-      payoutAmount: payout.payoutAmount, 
-      multiplier: payout.multiplier,
-      betAmount: game.amount 
-    });
-
-    if (payout.payoutAmount <= 0) {
-      return res.status(400).json({ status: 'ERROR', error: 'Cashout requires at least 1 revealed GEM' });
-    }
-
-    // 1) End game in DB first (prevents double cashout)
-    console.log("💾 Updating game status to ENDED");
-    await MineGame.findByIdAndUpdate(game.id, {
-      status: 'ENDED',
-      payoutAmount: payout.payoutAmount,
-      revealedGems,
-    });
-
-    // 2) Pay user from casino hot wallet
-    console.log("💸 Sending payout:", { to: owner, amount: payout.payoutAmount, token: "QU" });
-    let payoutTx;
-    try {
-      payoutTx = await payFromCasinoToUser({
-        toPublicId: owner,
-        amount: payout.payoutAmount,
-      });
-      console.log("✅ Payout transaction successful:", { txId: payoutTx.txId, targetTick: payoutTx.targetTick });
-    } catch (payoutError) {
-      console.error("❌ Payout transaction failed:", payoutError?.stack || payoutError);
-      // Revert game status if payout fails (optional - you may want to keep it as END)
-      await MineGame.findByIdAndUpdate(game.id, {
-        status: 'LIVE', // Revert to LIVE so user can retry
-        payoutStatus: 'FAILED',
-        payoutError: String(payoutError?.message || payoutError)
-      });
-      throw payoutError;
+    if (cash.payoutError) {
+      console.error("❌ Payout could not be queued, left FAILED for the retry worker:", cash.payoutError);
+    } else {
+      console.log("✅ Payout queued:", { payoutId: cash.payoutId, amount: cash.payoutAmount, multiplier: cash.multiplier });
     }
 
-    // 3) Store payout txId (optional but recommended)
-    await MineGame.findByIdAndUpdate(game.id, { 
-      payoutTxId: payoutTx.txId,
-      payoutStatus: 'SENT',
-      payoutError: null
-    });
-
-    const updatedGame = await MineGame.findOne({ id: game.id });
-    const updatedDatas = typeof updatedGame.datas === 'string' ? JSON.parse(updatedGame.datas) : updatedGame.datas;
-
     console.log("✅ Cashout completed successfully");
     return res.json({
       status: 'END',
       gameId: game.id,
-      opened: updatedDatas.filter(d => d.mined).map(d => d.point),
-      datas: updatedDatas,
-      payoutAmount: payout.payoutAmount,
-      multiplier: payout.multiplier,
-      payoutTxId: payoutTx.txId,
-      payoutTick: payoutTx.targetTick,
+      opened,
+      datas: cash.datas,
+      payoutAmount: cash.payoutAmount,
+      multiplier: cash.multiplier,
+      payoutId: cash.payoutId,
+      payoutStatus: cash.payoutStatus,
+      payoutTxId: cash.payoutTxId,
+      ...(cash.payoutError ? { payoutError: cash.payoutError } : {}),
     });
   } catch (error) {
     console.error("❌ CASHOUT FAILED:", error?.stack || error);
@@ -987,7 +1111,7 @@ router.post('/cashout', async (req, res) => {
       name: error?.name,
       code: error?.code,
     });
-    return res.status(500).json({ 
+    return res.status(error.statusCode || 500).json({
       status: 'ERROR', 
       error: error?.message || 'cashout failed',
       details: process.env.NODE_ENV === 'development' ? error?.stack : undefined
@@ -998,23 +1122,18 @@ router.post('/cashout', async (req, res) => {
 /**
  * POST /api/mine/autobet
  * Auto bet on multiple points - plays one complete round (create → reveal all points → cashout or bust)
- * Body: { publicId: string, points: number[], mines: number, amount: number, txId?: string }
+ * Body: { points: number[], mines: number, amount: number, txId?: string, fromBalance?: boolean, clientSeed?: string }
+ * - txId must already be final on-chain (autobet plays instantly, so there is no VERIFYING game)
  * Returns: { status: "END", outcome: "WIN"|"LOSS", profit, payoutAmount, multiplier, datas, ... }
  */
-router.post('/autobet', async (req, res) => {
+router.post('/autobet', idempotent('mine.autobet'), async (req, res) => {
   try {
-    const publicId = normalizeQubicPublicId(req.body.publicId || req.headers['x-public-id']);
-
-    if (!isValidQubicPublicId(publicId)) {
-      return res.status(400).json({
-        status: 'ERROR',
-        error: 'Invalid Qubic publicId (identity). It must be exactly 60 A–Z characters.'
-      });
-    }
+    const publicId = req.publicId;
 
     const mines = Math.floor(Number(req.body.mines));
     const amount = Math.floor(Number(req.body.amount));
-    const txId = req.body.txId || null;
+    const fromBalance = req.body.fromBalance === true;
+    let txId = fromBalance ? null : req.body.txId || null;
 
     const pointsRaw = Array.isArray(req.body.points) ? req.body.points : [];
     const points = [...new Set(pointsRaw.map(n => Math.floor(Number(n))))].filter(n => n >= 0 && n <= 24);
@@ -1038,8 +1157,52 @@ router.post('/autobet', async (req, res) => {
       });
     }
 
+    if (!fromBalance && (!txId || typeof txId !== 'string' || isBalanceStake(txId))) {
+      return res.status(400).json({ status: 'ERROR', error: 'txId is required (bet transfer tx)' });
+    }
+
+    if (await rejectIfCannotBet(req, res, amount)) return;
+
+    // ---- Play from balance: the stake stands in for the bet transfer ----
+    if (fromBalance) {
+      try {
+        txId = await placeStake({ publicKey: publicId, amount, game: 'mine' });
+      } catch (stakeError) {
+        if (stakeError.statusCode === 402) {
+          return res.status(402).json({ status: 'ERROR', error: stakeError.message });
+        }
+        throw stakeError;
+      }
+    }
+
+    // ---- Verify bet transfer on-chain ----
+    const verification = await verifyBetDeposit({ txId, publicId, amount });
+    // No game is created for a transfer that is not final: give a balance stake back
+    if (verification.status !== DEPOSIT_STATUS.CONFIRMED && fromBalance) await releaseStake(txId);
+    if (verification.status === DEPOSIT_STATUS.REJECTED) {
+      return res.status(400).json({
+        status: 'ERROR',
+        error: 'Transaction not valid for this bet: ' + verification.reason
+      });
+    }
+    if (verification.status === DEPOSIT_STATUS.PENDING) {
+      return res.status(202).json({
+        status: 'VERIFYING',
+        txId,
+        reason: verification.reason,
+        error: 'Bet transaction is not final yet. Retry autobet shortly with the same txId.'
+      });
+    }
+
     // ---- Create game (same as /mine/create) ----
-    const game = await createMineGameInternal({ publicId, mines, amount, txId });
+    let game;
+    try {
+      game = await createMineGameInternal({ publicId, mines, amount, txId, clientSeed: req.body.clientSeed });
+    } catch (createError) {
+      // No bet holds the stake (recordMineBet may already have given it back; release is idempotent)
+      if (fromBalance) await releaseStake(txId);
+      throw createError;
+    }
     const gameId = game.id;
 
     // ---- Reveal all points (same as repeating /mine/pick) ----
@@ -1094,6 +1257,8 @@ router.post('/autobet', async (req, res) => {
       payoutAmount,
       multiplier: cash.multiplier ?? null,
       profit,
+      payoutId: cash.payoutId ?? null,
+      payoutStatus: cash.payoutStatus ?? null,
       payoutTxId: cash.payoutTxId ?? null,
       datas: lastDatas
     });
@@ -1109,22 +1274,13 @@ router.post('/autobet', async (req, res) => {
 
 /**
  * POST /api/mine/claim
- * Claim payout for a failed payout (retry mechanism)
- * Body: { gameId: number } OR { publicId: string }
+ * Claim payout for a failed payout (puts it back in the payout queue)
+ * Body: { gameId?: number } (default: the wallet's latest failed payout)
  * Only allowed when payoutStatus === 'FAILED' and game ended safely (no bomb)
  */
-router.post('/claim', async (req, res) => {
+router.post('/claim', idempotent('mine.claim'), async (req, res) => {
   try {
-    const publicIdHeader = req.headers['x-public-id'];
-    const requesterPublicId = normalizeQubicPublicId(req.body.publicId || publicIdHeader);
-
-    if (!isValidQubicPublicId(requesterPublicId)) {
-      return res.status(400).json({ 
-        status: 'ERROR', 
-        error: 'Invalid Qubic publicId' 
-      });
-    }
-
+    const requesterPublicId = req.publicId;
     const { gameId } = req.body || {};
 
     // Find game owned by requester with FAILED payout
@@ -1158,6 +1314,14 @@ router.post('/claim', async (req, res) => {
       });
     }
 
+    // The retry worker escalated it: an operator decides (e.g. an earlier transfer may still land)
+    if (game.payoutEscalatedAt) {
+      return res.status(409).json({
+        status: 'ERROR',
+        error: 'This payout is being reviewed by an operator'
+      });
+    }
+
     // Retry payout
     if (!game.payoutAmount || game.payoutAmount <= 0) {
       return res.status(400).json({ 
@@ -1166,44 +1330,50 @@ router.post('/claim', async (req, res) => {
       });
     }
 
-    // Mark as pending again
-    await MineGame.findByIdAndUpdate(game.id, {
-      payoutStatus: 'PENDING',
-      payoutError: null,
-    });
-
-    // Retry payout transfer
-    let payoutTx;
-    try {
-      payoutTx = await payUserFromCasino({
-        toPublicId: game.publicKey,
+    // Put the failed payout back in the queue (or queue it if it never made it there);
+    // balance games are credited instead
+    let queued = isBalanceStake(game.txId) ? null : await retryPayout(minePayoutReference(game.id));
+    if (!queued) {
+      queued = await payWinnings({
+        betTxId: game.txId,
+        reference: minePayoutReference(game.id),
+        game: 'mine',
+        roundId: game.id,
+        publicKey: game.publicKey,
         amount: game.payoutAmount,
       });
-    } catch (e) {
+    }
+    if (queued.status === 'voided') {
+      return res.status(409).json({
+        status: 'ERROR',
+        error: 'This payout was voided by an operator',
+      });
+    }
+    const payoutStatus = minePayoutStatus(queued);
+    if (queued.txId) {
+      // Already broadcast; the session just missed the update
       await MineGame.findByIdAndUpdate(game.id, {
-        payoutStatus: 'FAILED',
-        payoutError: String(e?.message || e),
+        payoutStatus,
+        payoutTxId: queued.txId,
+        payoutError: null,
       });
-      return res.status(502).json({ 
-        status: 'ERROR', 
-        error: 'Payout retry failed', 
-        details: e.message 
+    } else {
+      await MineGame.findByIdAndUpdate(game.id, {
+        payoutStatus,
+        payoutError: null,
       });
     }
-
-    // Mark as paid
-    await MineGame.findByIdAndUpdate(game.id, {
-      payoutStatus: 'SENT',
-      payoutTxId: payoutTx.txId,
-      payoutError: null,
+    await settleMineBet(game.id, {
+      outcome: 'won',
+      payoutAmount: game.payoutAmount,
     });
 
     return res.json({
-      status: 'SUCCESS',
+      status: ['SENT', 'CONFIRMED'].includes(payoutStatus) ? 'SUCCESS' : 'PENDING',
       gameId: game.id,
       payoutAmount: game.payoutAmount,
-      payoutTxId: payoutTx.txId,
-      payoutTick: payoutTx.targetTick,
+      payoutId: queued.id,
+      payoutTxId: queued.txId,
     });
   } catch (error) {
     console.error('Error claiming payout:', error);
@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { SlideGame } = require('../models/Game');
+const { generateSlideData, slideParams, slideParamsOf } = require('../services/slideFairness');
+const { claimSlidePayout } = require('../services/slidePayouts');
+const { requireWallet } = require('../services/walletAuth');
+
+// slide_rounds.status of a finished round (sockets/slide.js STATUS.WAITTING)
+const SLIDE_ENDED = 0;
+const MAX_POINTS = Number(process.env.SLIDE_MAX_POINTS || 1500);
+
+function sha256Hex(str) {
+  return crypto.createHash('sha256').update(str).digest('hex');
+}
+
+/**
+ * GET /api/slide/verify/:roundId
+ * Recompute a finished round's crash point and track from its revealed seeds.
+ */
+router.get('/verify/:roundId', async (req, res) => {
+  try {
+    const roundId = Number.parseInt(String(req.params.roundId), 10);
+    if (!Number.isInteger(roundId) || roundId <= 0) {
+      return res.status(400).json({ error: 'Invalid roundId' });
+    }
+
+    const round = await SlideGame.findForVerification(roundId);
+    if (!round) {
+      return res.status(404).json({ error: 'Round not found' });
+    }
+    if (Number(round.status) !== SLIDE_ENDED || !round.privateSeed) {
+      return res.status(409).json({
+        error: 'Round is not finished yet',
+        roundId: round._id,
+        publicSeed: round.publicSeed,
+        privateHash: round.privateHash,
+      });
+    }
+
+    const params = slideParamsOf(round);
+    const { crashPoint, numbers } = generateSlideData(round.publicSeed, round.privateSeed, params);
+    const track = numbers.slice(0, MAX_POINTS);
+
+    res.json({
+      roundId: round._id,
+      publicSeed: round.publicSeed,
+      privateSeed: round.privateSeed,
+      privateHash: round.privateHash,
+      houseEdge: params.houseEdge,
+      maxMultiplier: params.maxMultiplier,
+      crashPoint,
+      numbers: track,
+      verification: {
+        seedMatchesHash: sha256Hex(round.privateSeed) === round.privateHash,
+        crashPointMatches: crashPoint === round.crashPoint,
+        trackMatchesDigest: round.numbersDigest ? sha256Hex(JSON.stringify(track)) === round.numbersDigest : null,
+      },
+    });
+  } catch (error) {
+    console.error('Error verifying slide round:', error);
+    res.status(500).json({ error: 'Failed to verify round', message: error.message });
+  }
+});
+
+/**
+ * POST /api/slide/verify
+ * Recompute an outcome from arbitrary seeds.
+ * Body: { publicSeed: string, privateSeed: string, houseEdge?: number, maxMultiplier?: number }
+ */
+router.post('/verify', (req, res) => {
+  const { publicSeed, privateSeed } = req.body || {};
+  if (!publicSeed || !privateSeed || typeof publicSeed !== 'string' || typeof privateSeed !== 'string') {
+    return res.status(400).json({ error: 'publicSeed and privateSeed are required' });
+  }
+
+  const params = slideParamsOf({
+    houseEdge: req.body.houseEdge ?? slideParams().houseEdge,
+    maxMultiplier: req.body.maxMultiplier,
+  });
+  if (!(params.houseEdge >= 0 && params.houseEdge < 1) || !(params.maxMultiplier >= 1.01)) {
+    return res.status(400).json({ error: 'Invalid houseEdge / maxMultiplier' });
+  }
+
+  const { crashPoint, numbers } = generateSlideData(publicSeed, privateSeed, params);
+  res.json({
+    privateHash: sha256Hex(privateSeed),
+    houseEdge: params.houseEdge,
+    maxMultiplier: params.maxMultiplier,
+    crashPoint,
+    numbers: numbers.slice(0, MAX_POINTS),
+  });
+});
+
+/**
+ * POST /api/slide/claim
+ * Claim the payout of a won slide bet that was not paid (never queued, or failed in the payout queue).
+ * Body: { betId?: number } (default: the wallet's oldest unpaid win, then its latest failed payout)
+ */
+router.post('/claim', requireWallet, async (req, res) => {
+  try {
+    const { betId } = req.body || {};
+    let id = null;
+    if (betId !== undefined && betId !== null) {
+      id = Number.parseInt(String(betId), 10);
+      if (!Number.isInteger(id) || id <= 0) {
+        return res.status(400).json({ status: 'ERROR', error: 'Invalid betId' });
+      }
+    }
+
+    const { bet, payout, payoutStatus } = await claimSlidePayout(req.publicId, id);
+    res.json({
+      status: ['credited', 'sent', 'confirmed'].includes(payoutStatus) ? 'SUCCESS' : 'PENDING',
+      betId: bet.id,
+      roundId: bet.roundId,
+      payoutAmount: bet.payoutAmount,
+      payoutId: payout.id,
+      payoutStatus,
+      payoutTxId: payout.txId || null,
+    });
+  } catch (error) {
+    if (error.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({ status: 'ERROR', error: error.message });
+    }
+    console.error('Error claiming slide payout:', error);
+    res.status(500).json({ status: 'ERROR', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -4,18 +4,11 @@
  */
 const express = require("express");
 const router = express.Router();
-const axios = require("axios");
 const { isValidQubicPublicId, normalizeQubicPublicId } = require("../utils/validation");
+const { rpcRequest, getCurrentTick, broadcastTransaction, primaryEndpoint } = require("../services/qubicRpc");
 
-const QUBIC_RPC_URL = process.env.QUBIC_RPC_URL || "https://rpc.qubic.org";
 const TICK_OFFSET = Number(process.env.TICK_OFFSET || 20);
 
-function normalizeRpcBase(url) {
-  const u = String(url || "").trim().replace(/\/+$/, "");
-  if (u.endsWith("/v1")) return u.slice(0, -3);
-  return u;
-}
-
 // --- Load PublicKey class ---
 function loadPublicKeyCtor() {
   const paths = [
@@ -43,26 +36,6 @@ if (!PublicKeyCtor) {
   console.error("Could not load PublicKey from Qubic TS library");
 }
 
-async function getCurrentTick() {
-  const base = normalizeRpcBase(QUBIC_RPC_URL);
-  const url = `${base}/v1/tick-info`;
-  const r = await axios.get(url, { timeout: 10_000 });
-  const data = r.data;
-
-  const rawTick =
-    data?.tickInfo?.tick ??
-    data?.tick ??
-    data?.currentTick ??
-    data?.tickInfo?.currentTick;
-
-  const tick = Number(rawTick);
-  if (!Number.isFinite(tick) || tick <= 0) {
-    console.error("tick-info unexpected response:", data);
-    throw new Error("Invalid tick-info response");
-  }
-  return tick;
-}
-
 // --- constants for standard QU transfer ---
 const PUBLIC_KEY_LEN = 32;
 const TX_HEADER_SIZE = 32 + 32 + 8 + 4 + 2 + 2; // 80 bytes
@@ -126,6 +99,9 @@ router.post("/build-transfer", async (req, res) => {
     const amount = Number(req.body?.amount);
 
     if (!isValidQubicPublicId(fromId)) return res.status(400).json({ error: "Invalid fromId" });
+    if (fromId !== req.publicId) {
+      return res.status(403).json({ error: "fromId must be the authenticated wallet" });
+    }
     if (!isValidQubicPublicId(toId)) return res.status(400).json({ error: "Invalid toId" });
     if (!Number.isInteger(amount) || amount <= 0) {
       return res.status(400).json({ error: "Amount must be a positive integer" });
@@ -157,11 +133,11 @@ router.post("/build-transfer", async (req, res) => {
       signatureOffset: TX_HEADER_SIZE, // 80
       signatureLength: SIG_LEN,        // 64
       expectedSignedBytes: TX_HEADER_SIZE + SIG_LEN, // 144
-      rpc: QUBIC_RPC_URL,
+      rpc: primaryEndpoint(),
     });
   } catch (error) {
     console.error("Error building transfer transaction:", error);
-    return res.status(500).json({ error: "Failed to build transfer transaction", message: error.message });
+    return res.status(error.statusCode || 500).json({ error: "Failed to build transfer transaction", message: error.message });
   }
 });
 
@@ -178,32 +154,22 @@ router.post("/broadcast", async (req, res) => {
     // validate base64
     Buffer.from(signedTxBase64, "base64");
 
-    const base = normalizeRpcBase(QUBIC_RPC_URL);
-
-    const rpcRes = await axios.post(
-      `${base}/v1/broadcast-transaction`,
-      { encodedTransaction: signedTxBase64 },
-      { headers: { "Content-Type": "application/json" }, timeout: 20_000 }
-    );
+    const { txId, rpcResponse } = await broadcastTransaction(signedTxBase64);
 
     // IMPORTANT: log full response once while debugging
-    // console.log("broadcast response:", rpcRes.data);
-
-    const txId =
-      rpcRes.data?.transactionId ||
-      rpcRes.data?.txId ||
-      rpcRes.data?.id ||
-      rpcRes.data?.hash;
+    // console.log("broadcast response:", rpcResponse);
 
     if (!txId) {
-      return res.status(502).json({ error: "RPC did not return txId", rpcResponse: rpcRes.data });
+      return res.status(502).json({ error: "RPC did not return txId", rpcResponse });
     }
 
-    res.json({ txId, rpcResponse: rpcRes.data });
+    res.json({ txId, rpcResponse });
   } catch (error) {
     const details = error.response?.data || error.message;
     console.error("Error broadcasting transaction:", details);
-    return res.status(500).json({ error: "Failed to broadcast transaction", message: error.message, details });
+    return res
+      .status(error.statusCode || 500)
+      .json({ error: "Failed to broadcast transaction", message: error.message, details });
   }
 });
 
@@ -216,12 +182,11 @@ router.get("/status/:txId", async (req, res) => {
     const txId = String(req.params.txId || "").trim();
     if (!txId) return res.status(400).json({ error: "txId required" });
 
-    const base = normalizeRpcBase(QUBIC_RPC_URL);
-    const r = await axios.get(`${base}/v1/transactions/${txId}`, { timeout: 20_000 });
-    res.json(r.data);
+    const data = await rpcRequest({ name: "transaction", path: `/v1/transactions/${encodeURIComponent(txId)}` });
+    res.json(data);
   } catch (error) {
     const details = error.response?.data || error.message;
-    res.status(error.response?.status || 500).json({ error: "Failed to fetch tx status", details });
+    res.status(error.response?.status || error.statusCode || 500).json({ error: "Failed to fetch tx status", details });
   }
 });
 
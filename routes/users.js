@@ -2,6 +2,9 @@ const express = require("express");
 const router = express.Router();
 const { query } = require("../database/connection");
 const { normalizeQubicPublicId, isValidQubicPublicId } = require("../utils/validation");
+const { Wallet } = require("../models/Wallet");
+const { getWalletStatus, toPublicStatus, selfExclude } = require("../services/walletStatus");
+const { getLimits, setLimits, getUsage, startCoolOff } = require("../services/playerLimits");
 
 /**
  * GET /api/users/exists/:walletId
@@ -24,15 +27,12 @@ router.get("/exists/:walletId", async (req, res) => {
 
 /**
  * POST /api/users/register
- * Body: { walletId }
- * Creates user if not exists, returns user row
+ * Creates the authenticated wallet's user if not exists, returns user row
+ * (signing in through /api/auth/verify registers the wallet as well)
  */
 router.post("/register", async (req, res) => {
   try {
-    const walletId = normalizeQubicPublicId(req.body.walletId);
-    if (!isValidQubicPublicId(walletId)) {
-      return res.status(400).json({ error: "Invalid walletId (must be 60 A-Z characters)" });
-    }
+    const walletId = req.publicId;
 
     // Create user if not exists; update last_login_at if exists
     await query(
@@ -56,4 +56,84 @@ router.post("/register", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/users/status
+ * The authenticated wallet's status (active, suspended, self_excluded, withdraw_only, banned),
+ * its reason and expiry, and the status history.
+ */
+router.get("/status", async (req, res) => {
+  try {
+    const wallet = await getWalletStatus(req.publicId);
+    const history = await Wallet.findStatusHistory(req.publicId, req.query.limit);
+    return res.json({ ...toPublicStatus(wallet), history });
+  } catch (e) {
+    console.error("Error loading wallet status:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * POST /api/users/self-exclude
+ * Body: { days: number, reason?: string }
+ * Blocks betting for `days` days (withdrawals stay open). Cannot be lifted or shortened early.
+ */
+router.post("/self-exclude", async (req, res) => {
+  try {
+    const wallet = await selfExclude(req.publicId, { days: req.body?.days, reason: req.body?.reason });
+    return res.json({ ok: true, ...toPublicStatus(wallet) });
+  } catch (e) {
+    if (!e.statusCode) console.error("Error setting self-exclusion:", e);
+    return res.status(e.statusCode || 500).json({ error: e.message, code: e.code });
+  }
+});
+
+/**
+ * GET /api/users/limits
+ * Responsible-gambling limits, cool-off and current usage of the authenticated wallet.
+ * Loss / wager limits (QU) apply to rolling windows: daily = 24h, weekly = 7 days, monthly = 30 days.
+ */
+router.get("/limits", async (req, res) => {
+  try {
+    const limits = await getLimits(req.publicId);
+    const usage = await getUsage(req.publicId);
+    const wallet = await Wallet.findByPublicKey(req.publicId);
+    const coolOffUntil = wallet?.coolOffUntil && new Date(wallet.coolOffUntil) > new Date() ? wallet.coolOffUntil : null;
+    return res.json({ limits, usage, coolOffUntil });
+  } catch (e) {
+    console.error("Error loading limits:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * PUT /api/users/limits
+ * Body: { lossDaily?, lossWeekly?, lossMonthly?, wagerDaily?, wagerWeekly?, wagerMonthly?, sessionMinutes? }
+ * (null removes a limit). Lowering a limit applies now; raising or removing one is scheduled
+ * (see `pending` in the response).
+ */
+router.put("/limits", async (req, res) => {
+  try {
+    const limits = await setLimits(req.publicId, req.body);
+    return res.json({ ok: true, limits });
+  } catch (e) {
+    if (!e.statusCode) console.error("Error setting limits:", e);
+    return res.status(e.statusCode || 500).json({ error: e.message });
+  }
+});
+
+/**
+ * POST /api/users/limits/cool-off
+ * Body: { hours: number }
+ * Take a break from betting for `hours`. Cannot be ended early.
+ */
+router.post("/limits/cool-off", async (req, res) => {
+  try {
+    const coolOffUntil = await startCoolOff(req.publicId, req.body?.hours);
+    return res.json({ ok: true, coolOffUntil });
+  } catch (e) {
+    if (!e.statusCode) console.error("Error starting cool-off:", e);
+    return res.status(e.statusCode || 500).json({ error: e.message });
+  }
+});
+
 module.exports = router;
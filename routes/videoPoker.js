@@ -2,15 +2,21 @@ const express = require("express");
 const router = express.Router();
 const crypto = require("crypto");
 const { query } = require("../database/connection");
-const { isValidQubicPublicId, normalizeQubicPublicId } = require("../utils/validation");
-const { payFromCasinoToUser } = require("../services/qubicPayout");
+const { payWinnings, retryPayout, payoutEvents } = require("../services/payoutQueue");
+const { auditBetAccepted, auditPayoutError } = require("../services/auditTrail");
+const { isBalanceStake, placeStake, releaseStake } = require("../services/balanceLedger");
+const { assertBetAllowed } = require("../services/playerLimits");
+const { Bet } = require("../models/Bet");
+const {
+  DEPOSIT_STATUS,
+  DEPOSIT_VERIFY_TIMEOUT_MS,
+  verifyBetDeposit,
+} = require("../services/depositVerification");
+const { removeUnplayedRound } = require("../services/depositWatcher");
+const { normalizeClientSeed, setClientSeed, takeNonce, revealableServerSeed } = require("../services/fairnessProfile");
 
 console.log("✅ videoPoker routes loaded");
 
-function sha256Hex(str) {
-  return crypto.createHash("sha256").update(str).digest("hex");
-}
-
 function makeRng(seedStr) {
   let counter = 0;
   const seed = Buffer.from(seedStr, "utf8");
@@ -49,6 +55,28 @@ function shuffleDeck(deck, seedStr) {
   return shuffled;
 }
 
+/**
+ * Deck seed of a session phase ("init" deals the hand, "draw" replaces the discards).
+ * Fairness-profile sessions: `${serverSeed}:${clientSeed}:${nonce}:${phase}`;
+ * sessions from before profiles (nonce NULL) keep `${publicSeed}:${privateSeed}:${phase}`.
+ */
+function deckSeed(game, phase) {
+  if (game.nonce === null || game.nonce === undefined) {
+    return `${game.public_seed}:${game.private_seed}:${phase}`;
+  }
+  return `${game.private_seed}:${game.public_seed}:${game.nonce}:${phase}`;
+}
+
+/**
+ * Server seed of an ended session, once it has been rotated out of the fairness profile.
+ */
+async function revealedSeedOf(game) {
+  return await revealableServerSeed(game.wallet_public_key, {
+    serverSeed: game.private_seed,
+    serverSeedHash: game.private_seed_hash,
+  });
+}
+
 function cardKey(c) {
   return `${c.rank}:${c.suit}`;
 }
@@ -174,53 +202,201 @@ function assertHoldIndexes(holdIndexes) {
   return [...set];
 }
 
+/**
+ * Re-check the bet deposit of a VERIFYING session and promote it to LIVE once final.
+ * Returns the session row with its resulting status (VERIFYING, LIVE or EXPIRED).
+ */
+async function promoteVerifyingSession(game) {
+  if (!game || game.status !== "VERIFYING") return game;
+
+  const verification = await verifyBetDeposit({
+    txId: game.bet_tx_id,
+    publicId: game.wallet_public_key,
+    amount: Number(game.bet_amount),
+  });
+
+  if (verification.status === DEPOSIT_STATUS.CONFIRMED) {
+    // The 5 minute play window starts once the bet is confirmed
+    await query(
+      `UPDATE video_poker_sessions
+         SET status='LIVE', expires_at=DATE_ADD(NOW(), INTERVAL 5 MINUTE)
+       WHERE id=? AND status='VERIFYING'`,
+      [game.id]
+    );
+    return { ...game, status: "LIVE" };
+  }
+
+  if (verification.status === DEPOSIT_STATUS.REJECTED) {
+    await query(`UPDATE video_poker_sessions SET status='EXPIRED' WHERE id=?`, [game.id]);
+    await removeUnplayedRound("videopoker", game.id); // the wager never happened
+    return { ...game, status: "EXPIRED", verificationReason: verification.reason };
+  }
+
+  return { ...game, verificationReason: verification.reason };
+}
+
+function videoPokerPayoutReference(sessionId) {
+  return `videopoker:${sessionId}`;
+}
+
+// payout_queue status (or "credited" for balance games) -> video_poker_sessions.payout_status
+const VP_PAYOUT_STATUS = {
+  queued: "PENDING",
+  sending: "PENDING",
+  sent: "SENT",
+  rebroadcast: "REBROADCAST",
+  confirmed: "CONFIRMED",
+  credited: "CONFIRMED",
+  failed: "FAILED",
+};
+
+function videoPokerPayoutStatus(queued) {
+  return VP_PAYOUT_STATUS[queued.status] || "PENDING";
+}
+
+function updatePayoutState(sessionId, fields) {
+  const columns = Object.keys(fields);
+  return query(
+    `UPDATE video_poker_sessions SET ${columns.map((c) => `${c}=?`).join(", ")} WHERE id=?`,
+    [...columns.map((c) => fields[c]), sessionId]
+  ).catch((err) => console.warn("Video poker payout status update failed:", err?.message || err));
+}
+
+// Mirror payout queue results onto the session: SENT -> CONFIRMED, or REBROADCAST -> SENT again
+payoutEvents.on("sent", (payout) => {
+  if (payout.game !== "videopoker") return;
+  updatePayoutState(payout.roundId, { payout_tx_id: payout.txId, payout_status: "SENT", payout_error: null });
+});
+
+payoutEvents.on("confirmed", (payout) => {
+  if (payout.game !== "videopoker") return;
+  updatePayoutState(payout.roundId, { payout_status: "CONFIRMED" });
+});
+
+payoutEvents.on("rebroadcast", (payout) => {
+  if (payout.game !== "videopoker") return;
+  updatePayoutState(payout.roundId, { payout_status: "REBROADCAST", payout_error: payout.lastError });
+});
+
+payoutEvents.on("failed", (payout) => {
+  if (payout.game !== "videopoker") return;
+  updatePayoutState(payout.roundId, { payout_status: "FAILED", payout_error: payout.lastError || "Payout failed" });
+});
+
+// A voided payout stays FAILED on the session; claiming it is refused
+payoutEvents.on("voided", (payout) => {
+  if (payout.game !== "videopoker") return;
+  updatePayoutState(payout.roundId, { payout_error: payout.lastError });
+});
+
+/**
+ * Ended sessions of a wallet whose winnings were not paid (payout FAILED), newest first.
+ */
+async function findUnpaidWinnings(publicKey) {
+  const rows = await query(
+    `SELECT id, payout_amount, payout_error, created_at FROM video_poker_sessions
+      WHERE wallet_public_key=? AND status='ENDED' AND payout_status='FAILED' AND payout_amount > 0
+      ORDER BY id DESC
+      LIMIT 20`,
+    [publicKey]
+  );
+  return rows.map((r) => ({
+    gameId: r.id,
+    payoutAmount: Number(r.payout_amount),
+    payoutError: r.payout_error || null,
+    createdAt: r.created_at,
+  }));
+}
+
 /**
  * POST /api/video-poker/init
  * Initialize a new video poker game
- * Body: { publicKey: string, betAmount: number, txId: string }
- * - Frontend already transferred bet to casino and sends txId (same as Mines createBet)
+ * Body: { betAmount: number, txId?: string, fromBalance?: boolean, clientSeed?: string }
+ * - Frontend already transferred bet to casino and sends txId (same as Mines createBet),
+ *   or sends fromBalance: true to stake the bet from the player's casino balance instead
+ * - The deck is shuffled from the wallet's fairness profile (server seed, client seed, nonce);
+ *   clientSeed, if sent, replaces the profile's client seed first
+ * - txId is verified on-chain; if it is not final yet the session is stored as VERIFYING and
+ *   { status: "VERIFYING", gameId } is returned without a hand (poll /fetchgame for it)
  */
 router.post("/init", async (req, res) => {
+  // Balance stake taken for this request that no bet holds yet (given back on failure)
+  let unrecordedStake = null;
   try {
-    const { publicKey, publicId, betAmount, txId } = req.body;
-    const wallet = publicKey || publicId || req.headers["x-public-id"];
+    const { betAmount, clientSeed } = req.body;
+    const fromBalance = req.body.fromBalance === true;
+    let txId = fromBalance ? null : req.body.txId;
+    const pk = req.publicId;
 
-    if (!wallet || typeof wallet !== "string") {
-      return res.status(400).json({ error: "publicKey/publicId is required (string)" });
+    const bet = assertBetAmount(betAmount);
+    if (!fromBalance && (!txId || typeof txId !== "string" || isBalanceStake(txId))) {
+      return res.status(400).json({ error: "txId is required (bet transfer tx)" });
     }
 
-    const pk = normalizeQubicPublicId(wallet);
-    if (!isValidQubicPublicId(pk)) {
-      return res.status(400).json({ error: "Invalid publicKey/publicId (must be 60 A-Z characters)" });
+    let playerSeed = null;
+    try {
+      if (clientSeed) playerSeed = normalizeClientSeed(clientSeed);
+    } catch (seedError) {
+      return res.status(400).json({ error: seedError.message });
     }
 
-    const bet = assertBetAmount(betAmount);
-    if (!txId || typeof txId !== "string") {
-      return res.status(400).json({ error: "txId is required (bet transfer tx)" });
+    try {
+      await assertBetAllowed({ publicKey: pk, game: "videopoker", amount: bet, sessionId: req.authSession?.sessionId });
+    } catch (statusError) {
+      if (statusError.statusCode === 403) {
+        return res.status(403).json({ error: statusError.message, code: statusError.code });
+      }
+      throw statusError;
+    }
+
+    if (fromBalance) {
+      try {
+        txId = await placeStake({ publicKey: pk, amount: bet, game: "videopoker" });
+      } catch (stakeError) {
+        if (stakeError.statusCode === 402) {
+          return res.status(402).json({ error: stakeError.message });
+        }
+        throw stakeError;
+      }
+      unrecordedStake = txId;
     }
 
     // Mines-style: clear expired LIVE games
     await query(
       `UPDATE video_poker_sessions
          SET status='EXPIRED'
-       WHERE wallet_public_key=? AND status='LIVE' AND expires_at IS NOT NULL AND expires_at < NOW()`,
+       WHERE wallet_public_key=? AND status IN ('LIVE','VERIFYING') AND expires_at IS NOT NULL AND expires_at < NOW()`,
       [pk]
     );
 
-    const publicSeed = crypto.randomBytes(32).toString("hex");
-    const privateSeed = crypto.randomBytes(32).toString("hex");
-    const privateSeedHash = sha256Hex(privateSeed);
-
-    // ✅ Fairness: shuffle with public + private (private unknown until after draw)
-    const seedInit = `${publicSeed}:${privateSeed}:init`;
-    const deck = shuffleDeck(buildDeck(), seedInit);
+    const verification = await verifyBetDeposit({ txId, publicId: pk, amount: bet });
+    if (verification.status === DEPOSIT_STATUS.REJECTED) {
+      await releaseStake(unrecordedStake);
+      return res.status(400).json({ error: "Transaction not valid for this bet: " + verification.reason });
+    }
+    const verifying = verification.status === DEPOSIT_STATUS.PENDING;
+
+    // ✅ Fairness: shuffle with the profile's server seed (revealed on rotation), client seed and nonce
+    if (playerSeed) await setClientSeed(pk, playerSeed);
+    const seeds = await takeNonce(pk);
+    const publicSeed = seeds.clientSeed;
+    const privateSeed = seeds.serverSeed;
+    const privateSeedHash = seeds.serverSeedHash;
+    const nonce = seeds.nonce;
+
+    const deck = shuffleDeck(
+      buildDeck(),
+      deckSeed({ public_seed: publicSeed, private_seed: privateSeed, nonce }, "init")
+    );
     const hand = deck.slice(0, 5);
 
+    // VERIFYING sessions only wait as long as deposit verification may take
+    const expiresInSeconds = verifying ? Math.ceil(DEPOSIT_VERIFY_TIMEOUT_MS / 1000) : 5 * 60;
     const insertRes = await query(
       `INSERT INTO video_poker_sessions
-        (wallet_public_key, status, expires_at, public_seed, private_seed, private_seed_hash, initial_hand, bet_amount, bet_tx_id)
-       VALUES (?, 'LIVE', DATE_ADD(NOW(), INTERVAL 5 MINUTE), ?, ?, ?, ?, ?, ?)`,
-      [pk, publicSeed, privateSeed, privateSeedHash, packHand(hand), bet, txId]
+        (wallet_public_key, status, expires_at, public_seed, private_seed, private_seed_hash, nonce, initial_hand, bet_amount, bet_tx_id)
+       VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND), ?, ?, ?, ?, ?, ?, ?)`,
+      [pk, verifying ? "VERIFYING" : "LIVE", expiresInSeconds, publicSeed, privateSeed, privateSeedHash, nonce, packHand(hand), bet, txId]
     );
 
     console.log("✅ /init insertRes:", insertRes);
@@ -232,6 +408,27 @@ router.post("/init", async (req, res) => {
       insertRes?.result?.insertId ??
       null;
 
+    // Record the wager in the bets ledger (uq_bet_tx blocks txId reuse across games)
+    try {
+      auditBetAccepted(
+        await Bet.create({
+          publicKey: pk,
+          game: "videopoker",
+          roundId: gameId,
+          betAmount: bet,
+          txId,
+        })
+      );
+      unrecordedStake = null;
+    } catch (betError) {
+      await query(`UPDATE video_poker_sessions SET status='EXPIRED' WHERE id=?`, [gameId]);
+      if (betError.statusCode === 409) {
+        await releaseStake(unrecordedStake);
+        return res.status(409).json({ error: betError.message });
+      }
+      throw betError;
+    }
+
     // Verify the insert actually happened
     const verify = await query(
       `SELECT id, wallet_public_key, status, expires_at FROM video_poker_sessions WHERE id=?`,
@@ -246,9 +443,23 @@ router.post("/init", async (req, res) => {
       txId: String(txId).slice(0, 10) + "...",
     });
 
-    return res.json({ gameId, hand, publicSeed, privateSeedHash });
+    if (verifying) {
+      return res.status(202).json({
+        status: "VERIFYING",
+        gameId,
+        publicSeed,
+        privateSeedHash,
+        nonce,
+        reason: verification.reason,
+      });
+    }
+
+    return res.json({ gameId, hand, publicSeed, privateSeedHash, nonce });
   } catch (e) {
     console.error("Error in /init:", e);
+    if (unrecordedStake) {
+      await releaseStake(unrecordedStake).catch((err) => console.error("Stake release failed:", err?.message || err));
+    }
     return res.status(500).json({ error: e.message || "init failed" });
   }
 });
@@ -256,22 +467,13 @@ router.post("/init", async (req, res) => {
 /**
  * POST /api/video-poker/draw
  * Draw new cards (replace non-held cards) and finalize game
- * Body: { publicKey: string, holdIndexes: number[] }
+ * Body: { gameId: number, holdIndexes: number[] }
  * - Backend finalizes, pays out immediately like Mines cashout
  */
 router.post("/draw", async (req, res) => {
   try {
-    const { publicKey, publicId, holdIndexes, gameId } = req.body;
-    const wallet = publicKey || publicId || req.headers["x-public-id"];
-
-    if (!wallet || typeof wallet !== "string") {
-      return res.status(400).json({ error: "publicKey/publicId is required (string)" });
-    }
-
-    const pk = normalizeQubicPublicId(wallet);
-    if (!isValidQubicPublicId(pk)) {
-      return res.status(400).json({ error: "Invalid publicKey/publicId (must be 60 A-Z characters)" });
-    }
+    const { holdIndexes, gameId } = req.body;
+    const pk = req.publicId;
 
     if (!gameId) {
       return res.status(400).json({ error: "gameId is required" });
@@ -281,7 +483,7 @@ router.post("/draw", async (req, res) => {
 
     const rows = await query(
       `SELECT * FROM video_poker_sessions
-       WHERE id=? AND wallet_public_key=? AND status='LIVE'
+       WHERE id=? AND wallet_public_key=? AND status IN ('LIVE','VERIFYING')
        LIMIT 1`,
       [Number(gameId), pk]
     );
@@ -292,7 +494,13 @@ router.post("/draw", async (req, res) => {
       return res.status(409).json({ error: "NO_LIVE_GAME" });
     }
 
-    const game = rows[0];
+    const game = await promoteVerifyingSession(rows[0]);
+    if (game.status === "VERIFYING") {
+      return res.status(409).json({ error: "DEPOSIT_VERIFYING", reason: game.verificationReason });
+    }
+    if (game.status !== "LIVE") {
+      return res.status(400).json({ error: "Transaction not valid for this bet: " + game.verificationReason });
+    }
 
     // Check if expired
     if (game.expires_at && new Date(game.expires_at).getTime() < Date.now()) {
@@ -311,21 +519,19 @@ router.post("/draw", async (req, res) => {
         payoutAmount: game.payout_amount || 0,
         profit: game.profit || 0,
         payoutTxId: game.payout_tx_id || null,
+        payoutStatus: game.payout_status || "NONE",
         publicSeed: game.public_seed,
         privateSeedHash: game.private_seed_hash,
-        privateSeed: game.private_seed,
+        nonce: game.nonce,
+        privateSeed: await revealedSeedOf(game),
         holdIndexes: game.hold_mask !== null ? fromHoldMask(game.hold_mask) : null,
       });
     }
 
-    const publicSeed = game.public_seed;
-    const privateSeed = game.private_seed;
-
     const currentHand = unpackHand(game.initial_hand);
 
-    // ✅ Fairness: shuffle with public + private for draw
-    const seedDraw = `${publicSeed}:${privateSeed}:draw`;
-    const deck = shuffleDeck(buildDeck(), seedDraw);
+    // ✅ Fairness: shuffle with the session's seeds for draw
+    const deck = shuffleDeck(buildDeck(), deckSeed(game, "draw"));
     const remaining = removeCards(deck, currentHand);
 
     const finalHand = currentHand.map((c, i) => {
@@ -338,23 +544,8 @@ router.post("/draw", async (req, res) => {
     const payoutAmount = Math.floor(betAmount * multiplier);
     const profit = payoutAmount - betAmount;
 
-    // ✅ Mines-style: pay from casino wallet to user IF payout > 0
-    let payoutTxId = null;
-    if (payoutAmount > 0) {
-      try {
-        const payoutTx = await payFromCasinoToUser({
-          toPublicId: pk,
-          amount: payoutAmount,
-        });
-        payoutTxId = payoutTx.txId;
-      } catch (payoutError) {
-        console.error("Payout error:", payoutError);
-        // Don't fail the request, but log the error
-        // The game will be marked as END but payoutTxId will be null
-      }
-    }
-
-    await query(
+    // 1) End the game first (a second draw finds no LIVE game); payout_status is PENDING until queued
+    const ended = await query(
       `UPDATE video_poker_sessions
          SET status='ENDED',
              final_hand=?,
@@ -363,8 +554,8 @@ router.post("/draw", async (req, res) => {
              multiplier=?,
              payout_amount=?,
              profit=?,
-             payout_tx_id=?
-       WHERE id=?`,
+             payout_status=?
+       WHERE id=? AND status='LIVE'`,
       [
         packHand(finalHand),
         toHoldMask(holds),
@@ -372,10 +563,66 @@ router.post("/draw", async (req, res) => {
         multiplier,
         payoutAmount,
         profit,
-        payoutTxId,
+        payoutAmount > 0 ? "PENDING" : "NONE",
         game.id,
       ]
     );
+    if (!ended.affectedRows) {
+      return res.status(409).json({ error: "NO_LIVE_GAME" });
+    }
+
+    // 2) Mines-style: queue payout from casino wallet to user IF payout > 0
+    // (payout_tx_id is filled in when the worker broadcasts it; balance games are credited right away)
+    let payoutTxId = null;
+    let payoutId = null;
+    let payoutStatus = "NONE";
+    if (payoutAmount > 0) {
+      try {
+        const payout = await payWinnings({
+          betTxId: game.bet_tx_id,
+          reference: videoPokerPayoutReference(game.id),
+          game: "videopoker",
+          roundId: game.id,
+          publicKey: pk,
+          amount: payoutAmount,
+        });
+        payoutId = payout.id;
+        payoutStatus = videoPokerPayoutStatus(payout);
+        if (payout.status === "credited") payoutTxId = payout.txId;
+        // The worker may already have reported the transfer; never move the session back
+        await query(
+          `UPDATE video_poker_sessions SET payout_status=?, payout_tx_id=COALESCE(?, payout_tx_id)
+            WHERE id=? AND payout_status='PENDING'`,
+          [payoutStatus, payoutTxId, game.id]
+        );
+      } catch (payoutError) {
+        // The game stays ENDED with payout_status FAILED; the player can claim it (POST /claim)
+        console.error("Payout error:", payoutError);
+        auditPayoutError({
+          game: "videopoker",
+          roundId: game.id,
+          publicKey: pk,
+          amount: payoutAmount,
+          reference: videoPokerPayoutReference(game.id),
+          error: payoutError,
+        });
+        payoutStatus = "FAILED";
+        await query(`UPDATE video_poker_sessions SET payout_status='FAILED', payout_error=? WHERE id=?`, [
+          String(payoutError?.message || payoutError),
+          game.id,
+        ]);
+      }
+    }
+
+    try {
+      await Bet.settleByRound("videopoker", game.id, {
+        outcome: payoutAmount > 0 ? "won" : "lost",
+        payoutAmount,
+        payoutTxId,
+      });
+    } catch (betError) {
+      console.error("Bet settle error:", betError);
+    }
 
     return res.json({
       hand: finalHand,
@@ -383,10 +630,14 @@ router.post("/draw", async (req, res) => {
       multiplier,
       payoutAmount,
       profit,
+      payoutId,
       payoutTxId,
-      publicSeed,
+      payoutStatus,
+      publicSeed: game.public_seed,
       privateSeedHash: game.private_seed_hash,
-      privateSeed, // reveal after draw
+      nonce: game.nonce,
+      // null until the server seed is rotated out (POST /api/fairness/rotate)
+      privateSeed: await revealedSeedOf(game),
     });
   } catch (e) {
     console.error("Error in /draw:", e);
@@ -397,49 +648,45 @@ router.post("/draw", async (req, res) => {
 /**
  * POST /api/video-poker/fetchgame
  * Fetch the latest game (for resuming)
- * Body: { publicKey?: string, publicId?: string }
- * Headers: x-public-id (optional, fallback)
+ * Latest game of the authenticated wallet, plus unpaidWinnings: ended games whose payout
+ * failed ([{ gameId, payoutAmount, payoutError, createdAt }], claim them with POST /claim)
  */
 router.post("/fetchgame", async (req, res) => {
   try {
-    // ✅ Accept both publicKey and publicId (for consistency with Mines)
-    const { publicKey, publicId } = req.body;
-    const wallet = publicKey || publicId || req.headers["x-public-id"];
-
-    if (!wallet || typeof wallet !== "string") {
-      return res.status(400).json({ 
-        error: "publicKey/publicId is required (string)",
-        received: { publicKey: !!publicKey, publicId: !!publicId, header: !!req.headers["x-public-id"] }
-      });
-    }
-
-    const pkRaw = wallet;
-    const pk = normalizeQubicPublicId(pkRaw);
-    
-    if (!isValidQubicPublicId(pk)) {
-      return res.status(400).json({ 
-        error: "Invalid publicKey/publicId (must be 60 A-Z characters)",
-        receivedLength: pkRaw.length,
-        normalizedLength: pk.length
-      });
-    }
+    const pk = req.publicId;
+    const unpaidWinnings = await findUnpaidWinnings(pk);
 
     const rows = await query(
       `SELECT * FROM video_poker_sessions
-        WHERE wallet_public_key=? AND status='LIVE'
+        WHERE wallet_public_key=? AND status IN ('LIVE','VERIFYING')
         ORDER BY id DESC
         LIMIT 1`,
       [pk]
     );
 
     if (rows && rows.length > 0) {
-      const game = rows[0];
+      let game = rows[0];
       
       // Check if expired
       if (game.expires_at && new Date(game.expires_at).getTime() < Date.now()) {
         // Mark as expired
         await query(`UPDATE video_poker_sessions SET status='EXPIRED' WHERE id=?`, [game.id]);
-        return res.json({ hasGame: false, reason: "expired" });
+        return res.json({ hasGame: false, reason: "expired", unpaidWinnings });
+      }
+
+      // Hand is only revealed once the bet transaction is final
+      game = await promoteVerifyingSession(game);
+      if (game.status === "VERIFYING") {
+        return res.json({
+          hasGame: false,
+          verifying: true,
+          gameId: game.id,
+          reason: game.verificationReason,
+          unpaidWinnings,
+        });
+      }
+      if (game.status === "EXPIRED") {
+        return res.json({ hasGame: false, reason: "deposit_rejected", error: game.verificationReason, unpaidWinnings });
       }
       
       if (game.initial_hand) {
@@ -448,15 +695,85 @@ router.post("/fetchgame", async (req, res) => {
           hand: unpackHand(game.initial_hand),
           publicSeed: game.public_seed,
           privateSeedHash: game.private_seed_hash,
+          nonce: game.nonce,
+          unpaidWinnings,
         });
       }
     }
 
-    return res.json({ hasGame: false });
+    return res.json({ hasGame: false, unpaidWinnings });
   } catch (e) {
     console.error("Error in /fetchgame:", e);
     return res.status(500).json({ error: e.message || "fetchgame failed" });
   }
 });
 
+/**
+ * POST /api/video-poker/claim
+ * Claim the winnings of a game whose payout failed (puts it back in the payout queue)
+ * Body: { gameId?: number } (default: the wallet's latest failed payout)
+ */
+router.post("/claim", async (req, res) => {
+  try {
+    const pk = req.publicId;
+    const { gameId } = req.body || {};
+
+    const rows = await query(
+      `SELECT * FROM video_poker_sessions
+        WHERE wallet_public_key=? AND status='ENDED' AND payout_status='FAILED'${gameId ? " AND id=?" : ""}
+        ORDER BY id DESC
+        LIMIT 1`,
+      gameId ? [pk, Number(gameId)] : [pk]
+    );
+    if (!rows || rows.length === 0) {
+      return res.status(404).json({ status: "ERROR", error: "No failed payout found for this game" });
+    }
+
+    const game = rows[0];
+    const payoutAmount = Number(game.payout_amount || 0);
+    if (payoutAmount <= 0) {
+      return res.status(400).json({ status: "ERROR", error: "Invalid payout amount" });
+    }
+
+    // Put the failed payout back in the queue (or queue it if it never made it there);
+    // balance games are credited instead
+    const reference = videoPokerPayoutReference(game.id);
+    let queued = isBalanceStake(game.bet_tx_id) ? null : await retryPayout(reference);
+    if (!queued) {
+      queued = await payWinnings({
+        betTxId: game.bet_tx_id,
+        reference,
+        game: "videopoker",
+        roundId: game.id,
+        publicKey: pk,
+        amount: payoutAmount,
+      });
+    }
+    if (queued.status === "voided") {
+      return res.status(409).json({ status: "ERROR", error: "This payout was voided by an operator" });
+    }
+
+    const payoutStatus = videoPokerPayoutStatus(queued);
+    // queued.txId is set if the payout was already broadcast and the session just missed the update
+    await query(
+      `UPDATE video_poker_sessions SET payout_status=?, payout_tx_id=COALESCE(?, payout_tx_id), payout_error=NULL
+        WHERE id=?`,
+      [payoutStatus, queued.txId || null, game.id]
+    );
+    await Bet.settleByRound("videopoker", game.id, { outcome: "won", payoutAmount, payoutTxId: queued.txId || null });
+
+    return res.json({
+      status: ["SENT", "CONFIRMED"].includes(payoutStatus) ? "SUCCESS" : "PENDING",
+      gameId: game.id,
+      payoutAmount,
+      payoutId: queued.id,
+      payoutStatus,
+      payoutTxId: queued.txId || null,
+    });
+  } catch (e) {
+    console.error("Error in /claim:", e);
+    return res.status(500).json({ status: "ERROR", error: e.message || "claim failed" });
+  }
+});
+
 module.exports = router;
@@ -1,114 +1,69 @@
 const express = require('express');
 const router = express.Router();
-const { getQubicBalance, updateWalletBalance } = require('../utils/qubicBalance');
-const { isValidQubicPublicId, normalizeQubicPublicId } = require('../utils/validation');
+const { Withdrawal } = require('../models/Withdrawal');
+const { WITHDRAW_MIN_AMOUNT, requestWithdrawal } = require('../services/withdrawals');
 
-const TRANSACTION_FEE = 100; // QUBIC
-const MIN_WITHDRAWAL = 1000; // QUBIC
+function toClient(withdrawal) {
+  return {
+    id: withdrawal.id,
+    publicKey: withdrawal.publicKey,
+    destination: withdrawal.destination,
+    amount: withdrawal.amount,
+    status: withdrawal.status,
+    txId: withdrawal.txId,
+    targetTick: withdrawal.targetTick,
+    confirmedTick: withdrawal.confirmedTick,
+    error: withdrawal.error,
+    createdAt: withdrawal.createdAt,
+    approvedAt: withdrawal.approvedAt,
+    broadcastAt: withdrawal.broadcastAt,
+    confirmedAt: withdrawal.confirmedAt,
+  };
+}
 
 /**
  * POST /api/withdraw
- * Process withdrawal request
- * 
+ * Request a withdrawal from the casino wallet to the authenticated player's wallet
+ *
  * Body: {
- *   publicKey: string (Qubic publicId, 60 uppercase A-Z characters),
- *   amount: number (in QUBIC),
- *   tokenType: 'QUBIC' | 'QDoge'
+ *   amount: number (integer, in QUBIC),
+ *   tokenType?: 'QUBIC'
  * }
+ * - Stored as `requested`; small amounts are approved right away, the rest wait for an operator
+ * - Approved withdrawals are signed and broadcast in the background, then tracked
+ *   until confirmed or failed: poll GET /api/withdraw/:id
  */
 router.post('/', async (req, res) => {
   try {
-    const { publicKey, amount, tokenType } = req.body;
-    const publicId = normalizeQubicPublicId(publicKey);
+    const { amount, tokenType } = req.body;
+    const publicId = req.publicId;
 
     // Validation
-    if (!isValidQubicPublicId(publicId)) {
+    if (!Number.isInteger(amount) || amount < WITHDRAW_MIN_AMOUNT) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid Qubic publicId (identity). It must be exactly 60 A–Z characters.'
+        error: `Minimum withdrawal is ${WITHDRAW_MIN_AMOUNT} QUBIC (integer amount)`
       });
     }
 
-    if (!amount || amount < MIN_WITHDRAWAL) {
+    if (tokenType && tokenType !== 'QUBIC') {
       return res.status(400).json({
         success: false,
-        error: `Minimum withdrawal is ${MIN_WITHDRAWAL} QUBIC`
+        error: 'Invalid token type. Only QUBIC withdrawals are supported'
       });
     }
 
-    if (!tokenType || !['QUBIC', 'QDoge'].includes(tokenType)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid token type. Must be QUBIC or QDoge'
-      });
-    }
-
-    // Get current balance
-    const balances = await getQubicBalance(publicId);
-
-    // Validate balance
-    if (balances.qubic < TRANSACTION_FEE) {
-      return res.status(400).json({
-        success: false,
-        error: `Insufficient balance. You need ${TRANSACTION_FEE} QUBIC for transaction fee`
-      });
-    }
-
-    if (tokenType === 'QUBIC') {
-      if (balances.qubic < amount + TRANSACTION_FEE) {
-        return res.status(400).json({
-          success: false,
-          error: 'Insufficient QUBIC balance'
-        });
-      }
-    } else if (tokenType === 'QDoge') {
-      if (balances.qdoge < amount) {
-        return res.status(400).json({
-          success: false,
-          error: 'Insufficient QDoge balance'
-        });
-      }
-      if (balances.qubic < TRANSACTION_FEE) {
-        return res.status(400).json({
-          success: false,
-          error: `You need ${TRANSACTION_FEE} QUBIC for transaction fee`
-        });
-      }
-    }
-
-    // TODO: Implement actual blockchain transaction
-    // This is where you would:
-    // 1. Create QUBIC transaction
-    // 2. Sign transaction (if you have private key access)
-    // 3. Broadcast transaction to QUBIC network
-    // 4. Get transaction hash
-    
-    // Placeholder transaction hash
-    const txHash = `0x${Buffer.from(`${publicId}${Date.now()}`).toString('hex').slice(0, 64)}`;
+    const withdrawal = await requestWithdrawal({ publicKey: publicId, amount });
 
-    // Update balances in database (deduct amount + fee)
-    if (tokenType === 'QUBIC') {
-      await updateWalletBalance(
-        publicId,
-        balances.qubic - amount - TRANSACTION_FEE,
-        balances.qdoge
-      );
-    } else {
-      await updateWalletBalance(
-        publicId,
-        balances.qubic - TRANSACTION_FEE,
-        balances.qdoge - amount
-      );
-    }
-
-    res.json({
+    res.status(202).json({
       success: true,
-      txHash,
-      message: 'Withdrawal processed successfully'
+      withdrawal: toClient(withdrawal),
+      txHash: withdrawal.txId,
+      message: withdrawal.status === 'approved' ? 'Withdrawal approved' : 'Withdrawal requested'
     });
   } catch (error) {
     console.error('Error processing withdrawal:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to process withdrawal',
       message: error.message
@@ -116,4 +71,27 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/withdraw/:id
+ * Withdrawal status: requested -> approved -> broadcast -> confirmed / failed
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const id = Number.parseInt(String(req.params.id), 10);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ success: false, error: 'Invalid withdrawal id' });
+    }
+
+    const withdrawal = await Withdrawal.findById(id);
+    if (!withdrawal || withdrawal.publicKey !== req.publicId) {
+      return res.status(404).json({ success: false, error: 'Withdrawal not found' });
+    }
+
+    res.json({ success: true, withdrawal: toClient(withdrawal) });
+  } catch (error) {
+    console.error('Error loading withdrawal:', error);
+    res.status(500).json({ success: false, error: 'Failed to load withdrawal', message: error.message });
+  }
+});
+
 module.exports = router;
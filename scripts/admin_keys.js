@@ -0,0 +1,46 @@
+/**
+ * Operator tool for admin API keys (X-Admin-Key on /api/admin)
+ * Run with:
+ *   node backend/scripts/admin_keys.js list
+ *   node backend/scripts/admin_keys.js create <name> <viewer|operator|admin>
+ *   node backend/scripts/admin_keys.js revoke <id>
+ * The key is printed once on create; only its hash is stored.
+ */
+
+const { AdminApiKey } = require('../models/Admin');
+const { ADMIN_ROLES, createAdminKey } = require('../services/adminAuth');
+
+const USAGE = `Usage: admin_keys.js list | create <name> <${ADMIN_ROLES.join('|')}> | revoke <id>`;
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  try {
+    if (command === 'list') {
+      const keys = await AdminApiKey.findAll();
+      if (keys.length === 0) console.log('No admin keys');
+      for (const k of keys) {
+        console.log(`  #${k.id}  ${k.name}  ${k.role}` +
+          (k.revokedAt ? '  revoked' : '') +
+          (k.lastUsedAt ? `  last used ${new Date(k.lastUsedAt).toISOString()}` : '  never used'));
+      }
+    } else if (command === 'create' && args.length === 2) {
+      const [name, role] = args;
+      const { key, record } = await createAdminKey({ name, role, createdBy: `operator:${process.env.USER || 'cli'}` });
+      console.log(`✅ Key #${record.id} (${record.role}) created. Send it as X-Admin-Key; it will not be shown again:`);
+      console.log(key);
+    } else if (command === 'revoke' && Number(args[0]) > 0) {
+      const revoked = await AdminApiKey.revoke(Number(args[0]));
+      console.log(revoked ? `✅ Key #${args[0]} revoked` : `Key #${args[0]} not found or already revoked`);
+    } else {
+      console.log(USAGE);
+      process.exit(1);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed:', error.message || error);
+    process.exit(1);
+  }
+}
+
+main();
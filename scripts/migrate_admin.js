@@ -0,0 +1,100 @@
+/**
+ * Migration script: admin API
+ * - admin_api_keys, admin_audit_log and game_settings tables
+ * - payout_queue.status gains 'voided'
+ * Run with: node backend/scripts/migrate_admin.js
+ * Then create the first key: node backend/scripts/admin_keys.js create <name> admin
+ */
+
+const { query } = require('../database/connection');
+
+async function ensureEnumValues(table, column, values, definition) {
+  const rows = await query(
+    `
+    SELECT COLUMN_TYPE
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = ?
+      AND COLUMN_NAME = ?
+    `,
+    [table, column]
+  );
+  const columnType = String(rows?.[0]?.COLUMN_TYPE || '');
+  if (values.every((value) => columnType.includes(`'${value}'`))) {
+    console.log(`  ✓ ${table}.${column} already allows ${values.join(', ')}`);
+    return;
+  }
+  console.log(`  ➕ Allowing ${values.join(', ')} in ${table}.${column}...`);
+  await query(`ALTER TABLE ${table} MODIFY COLUMN ${column} ${definition}`);
+  console.log(`  ✅ ${table}.${column} updated`);
+}
+
+async function migrate() {
+  console.log('🔄 Starting admin API migration...');
+
+  try {
+    await ensureEnumValues(
+      'payout_queue',
+      'status',
+      ['voided'],
+      "ENUM('queued','sending','sent','rebroadcast','confirmed','failed','voided') NOT NULL DEFAULT 'queued'"
+    );
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS admin_api_keys (
+        id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+        name VARCHAR(100) NOT NULL,
+        role ENUM('viewer','operator','admin') NOT NULL,
+        key_hash CHAR(64) NOT NULL,
+        created_by VARCHAR(100) NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME NULL,
+        revoked_at DATETIME NULL,
+        PRIMARY KEY (id),
+        UNIQUE KEY uq_admin_key_hash (key_hash)
+      ) ENGINE=InnoDB
+    `);
+    console.log('  ✓ admin_api_keys table ready');
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+        key_id BIGINT UNSIGNED NULL,
+        actor VARCHAR(100) NOT NULL,
+        role VARCHAR(20) NULL,
+        action VARCHAR(100) NOT NULL,
+        target_type VARCHAR(32) NULL,
+        target_id VARCHAR(128) NULL,
+        details JSON NULL,
+        status_code SMALLINT UNSIGNED NOT NULL,
+        ip VARCHAR(64) NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id),
+        KEY idx_created_at (created_at),
+        KEY idx_key_id (key_id, id),
+        KEY idx_target (target_type, target_id, id)
+      ) ENGINE=InnoDB
+    `);
+    console.log('  ✓ admin_audit_log table ready');
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS game_settings (
+        game VARCHAR(20) NOT NULL,
+        paused TINYINT(1) NOT NULL DEFAULT 0,
+        pause_reason VARCHAR(255) NULL,
+        updated_by VARCHAR(100) NULL,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (game)
+      ) ENGINE=InnoDB
+    `);
+    console.log('  ✓ game_settings table ready');
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,46 @@
+/**
+ * Migration script: money-movement audit trail
+ * - audit_events table (append-only; written by the server as bets, payouts,
+ *   balance postings, withdrawals and admin overrides happen)
+ * Run with: node backend/scripts/migrate_audit_events.js
+ */
+
+const { query } = require('../database/connection');
+
+async function migrate() {
+  console.log('🔄 Starting audit events migration...');
+
+  try {
+    await query(`
+      CREATE TABLE IF NOT EXISTS audit_events (
+        id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+        type VARCHAR(48) NOT NULL,
+        actor VARCHAR(100) NOT NULL,
+        wallet_public_key VARCHAR(80) NULL,
+        game VARCHAR(20) NULL,
+        round_id BIGINT UNSIGNED NULL,
+        amount BIGINT NULL,
+        tx_id VARCHAR(128) NULL,
+        reference VARCHAR(64) NULL,
+        error TEXT NULL,
+        details JSON NULL,
+        created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+        PRIMARY KEY (id),
+        KEY idx_wallet (wallet_public_key, id),
+        KEY idx_game_created (game, created_at),
+        KEY idx_created_at (created_at),
+        KEY idx_type (type, id),
+        KEY idx_tx_id (tx_id)
+      ) ENGINE=InnoDB
+    `);
+    console.log('  ✓ audit_events table ready');
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,72 @@
+/**
+ * Migration script: custodial balance ledger (balance_accounts, balance_transactions, balance_entries)
+ * Run with: node backend/scripts/migrate_balance_ledger.js
+ */
+
+const { query } = require('../database/connection');
+
+async function migrate() {
+  console.log('🔄 Starting balance ledger migration...');
+
+  try {
+    await query(`
+      CREATE TABLE IF NOT EXISTS balance_accounts (
+        account VARCHAR(100) NOT NULL,
+        wallet_public_key VARCHAR(80) NULL,
+        balance BIGINT NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (account),
+        KEY idx_wallet (wallet_public_key)
+      ) ENGINE=InnoDB
+    `);
+    console.log('  ✓ balance_accounts table ready');
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS balance_transactions (
+        id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+        reference VARCHAR(128) NOT NULL,
+        kind ENUM('deposit','bet','bet_release','win','refund','withdrawal','withdrawal_reversal') NOT NULL,
+        wallet_public_key VARCHAR(80) NULL,
+        game VARCHAR(20) NULL,
+        round_id BIGINT UNSIGNED NULL,
+        amount BIGINT NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id),
+        UNIQUE KEY uq_balance_reference (reference),
+        KEY idx_wallet_created (wallet_public_key, created_at),
+        CONSTRAINT fk_balance_transactions_wallet
+          FOREIGN KEY (wallet_public_key) REFERENCES wallets(public_key)
+          ON DELETE RESTRICT
+      ) ENGINE=InnoDB
+    `);
+    console.log('  ✓ balance_transactions table ready');
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS balance_entries (
+        id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+        transaction_id BIGINT UNSIGNED NOT NULL,
+        account VARCHAR(100) NOT NULL,
+        amount BIGINT NOT NULL,
+        balance_after BIGINT NOT NULL,
+        PRIMARY KEY (id),
+        KEY idx_account_id (account, id),
+        KEY idx_transaction (transaction_id),
+        CONSTRAINT fk_balance_entries_transaction
+          FOREIGN KEY (transaction_id) REFERENCES balance_transactions(id)
+          ON DELETE RESTRICT,
+        CONSTRAINT fk_balance_entries_account
+          FOREIGN KEY (account) REFERENCES balance_accounts(account)
+          ON DELETE RESTRICT
+      ) ENGINE=InnoDB
+    `);
+    console.log('  ✓ balance_entries table ready');
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,48 @@
+/**
+ * Migration script: crash house edge
+ * - crash_rounds.house_edge / max_multiplier (per-round parameters for verification)
+ * Existing rounds keep NULL and verify with the legacy formula.
+ * Run with: node backend/scripts/migrate_crash_house_edge.js
+ */
+
+const { query } = require('../database/connection');
+
+async function columnExists(table, column) {
+  const rows = await query(
+    `
+    SELECT COUNT(*) AS cnt
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = ?
+      AND COLUMN_NAME = ?
+    `,
+    [table, column]
+  );
+  return Number(rows?.[0]?.cnt || 0) > 0;
+}
+
+async function migrate() {
+  console.log('🔄 Starting crash house edge migration...');
+
+  try {
+    if (!(await columnExists('crash_rounds', 'house_edge'))) {
+      console.log('  ➕ Adding crash_rounds.house_edge / max_multiplier...');
+      await query(`
+        ALTER TABLE crash_rounds
+          ADD COLUMN house_edge DECIMAL(6,4) NULL AFTER chain_index,
+          ADD COLUMN max_multiplier DECIMAL(10,2) NULL AFTER house_edge
+      `);
+      console.log('  ✅ house edge columns added');
+    } else {
+      console.log('  ✓ crash_rounds house edge columns already exist');
+    }
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,68 @@
+/**
+ * Migration script: crash restart recovery
+ * - bets.outcome gains 'refunded'
+ * - crash_round_recoveries audit table
+ * Run with: node backend/scripts/migrate_crash_recovery.js
+ */
+
+const { query } = require('../database/connection');
+
+async function ensureEnumValue(table, column, value, definition) {
+  const rows = await query(
+    `
+    SELECT COLUMN_TYPE
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = ?
+      AND COLUMN_NAME = ?
+    `,
+    [table, column]
+  );
+  const columnType = String(rows?.[0]?.COLUMN_TYPE || '');
+  if (columnType.includes(`'${value}'`)) {
+    console.log(`  ✓ ${table}.${column} already allows '${value}'`);
+    return;
+  }
+  console.log(`  ➕ Allowing '${value}' in ${table}.${column}...`);
+  await query(`ALTER TABLE ${table} MODIFY COLUMN ${column} ${definition}`);
+  console.log(`  ✅ ${table}.${column} now allows '${value}'`);
+}
+
+async function migrate() {
+  console.log('🔄 Starting crash recovery migration...');
+
+  try {
+    await ensureEnumValue(
+      'bets',
+      'outcome',
+      'refunded',
+      "ENUM('pending','won','lost','refunded') NOT NULL DEFAULT 'pending'"
+    );
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS crash_round_recoveries (
+        id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+        round_id BIGINT UNSIGNED NOT NULL,
+        bet_id BIGINT UNSIGNED NULL,
+        wallet_public_key VARCHAR(80) NULL,
+        action VARCHAR(32) NOT NULL,
+        amount BIGINT NULL,
+        tx_id VARCHAR(128) NULL,
+        detail VARCHAR(255) NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id),
+        KEY idx_round (round_id),
+        KEY idx_wallet_created (wallet_public_key, created_at)
+      ) ENGINE=InnoDB
+    `);
+    console.log('  ✓ crash_round_recoveries table ready');
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
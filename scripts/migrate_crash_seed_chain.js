@@ -0,0 +1,85 @@
+/**
+ * Migration script: pre-committed crash seed hash chains
+ * - crash_seed_chains table
+ * - crash_rounds.chain_id / chain_index
+ * Run with: node backend/scripts/migrate_crash_seed_chain.js
+ */
+
+const { query } = require('../database/connection');
+
+async function columnExists(table, column) {
+  const rows = await query(
+    `
+    SELECT COUNT(*) AS cnt
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = ?
+      AND COLUMN_NAME = ?
+    `,
+    [table, column]
+  );
+  return Number(rows?.[0]?.cnt || 0) > 0;
+}
+
+async function indexExists(table, index) {
+  const rows = await query(
+    `
+    SELECT COUNT(*) AS cnt
+    FROM INFORMATION_SCHEMA.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = ?
+      AND INDEX_NAME = ?
+    `,
+    [table, index]
+  );
+  return Number(rows?.[0]?.cnt || 0) > 0;
+}
+
+async function migrate() {
+  console.log('🔄 Starting crash seed chain migration...');
+
+  try {
+    await query(`
+      CREATE TABLE IF NOT EXISTS crash_seed_chains (
+        id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+        root_seed CHAR(64) NOT NULL,
+        terminal_hash CHAR(64) NOT NULL,
+        salt CHAR(64) NOT NULL,
+        chain_length INT UNSIGNED NOT NULL,
+        next_index INT UNSIGNED NOT NULL DEFAULT 1,
+        status ENUM('active','exhausted') NOT NULL DEFAULT 'active',
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        exhausted_at TIMESTAMP NULL,
+        PRIMARY KEY (id),
+        UNIQUE KEY uq_terminal_hash (terminal_hash),
+        KEY idx_status (status)
+      ) ENGINE=InnoDB
+    `);
+    console.log('  ✓ crash_seed_chains table ready');
+
+    if (!(await columnExists('crash_rounds', 'chain_id'))) {
+      console.log('  ➕ Adding crash_rounds.chain_id / chain_index...');
+      await query(`
+        ALTER TABLE crash_rounds
+          ADD COLUMN chain_id BIGINT UNSIGNED NULL AFTER private_seed,
+          ADD COLUMN chain_index INT UNSIGNED NULL AFTER chain_id
+      `);
+      console.log('  ✅ chain columns added');
+    } else {
+      console.log('  ✓ crash_rounds chain columns already exist');
+    }
+
+    if (!(await indexExists('crash_rounds', 'uq_chain_index'))) {
+      await query('ALTER TABLE crash_rounds ADD UNIQUE KEY uq_chain_index (chain_id, chain_index)');
+      console.log('  ✅ uq_chain_index added');
+    }
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
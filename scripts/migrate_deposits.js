@@ -0,0 +1,78 @@
+/**
+ * Migration script: deposit watcher tables (deposits, deposit_scan_cursors)
+ * - deposits.status 'pending' / 'rejected' and idx_status_id (transfers of bets that never played)
+ * Run with: node backend/scripts/migrate_deposits.js
+ */
+
+const { query } = require('../database/connection');
+
+async function indexExists(table, index) {
+  const rows = await query(
+    `
+    SELECT COUNT(*) AS cnt
+    FROM INFORMATION_SCHEMA.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = ?
+      AND INDEX_NAME = ?
+    `,
+    [table, index]
+  );
+  return Number(rows?.[0]?.cnt || 0) > 0;
+}
+
+async function migrate() {
+  console.log('🔄 Starting deposits migration...');
+
+  try {
+    await query(`
+      CREATE TABLE IF NOT EXISTS deposits (
+        id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+        tx_id VARCHAR(128) NOT NULL,
+        source_id VARCHAR(80) NOT NULL,
+        wallet_public_key VARCHAR(80) NULL,
+        amount BIGINT NOT NULL,
+        tick BIGINT UNSIGNED NULL,
+        status ENUM('credited','unmatched','pending','rejected') NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id),
+        UNIQUE KEY uq_deposit_tx (tx_id),
+        KEY idx_wallet_id (wallet_public_key, id),
+        KEY idx_status_id (status, id),
+        CONSTRAINT fk_deposits_wallet
+          FOREIGN KEY (wallet_public_key) REFERENCES wallets(public_key)
+          ON DELETE RESTRICT
+      ) ENGINE=InnoDB
+    `);
+    console.log('  ✓ deposits table ready');
+
+    await query(
+      "ALTER TABLE deposits MODIFY COLUMN status ENUM('credited','unmatched','pending','rejected') NOT NULL"
+    );
+    console.log('  ✓ deposits.status allows pending / rejected');
+
+    if (!(await indexExists('deposits', 'idx_status_id'))) {
+      await query('ALTER TABLE deposits ADD KEY idx_status_id (status, id)');
+      console.log('  ✅ deposits.idx_status_id added');
+    } else {
+      console.log('  ✓ deposits.idx_status_id already exists');
+    }
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS deposit_scan_cursors (
+        name VARCHAR(100) NOT NULL,
+        last_tick BIGINT UNSIGNED NOT NULL,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (name)
+      ) ENGINE=InnoDB
+    `);
+    console.log('  ✓ deposit_scan_cursors table ready');
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,66 @@
+/**
+ * Migration script: per-wallet fairness profiles (mines, video poker)
+ * - fairness_profiles table (active server seed, client seed, nonce)
+ * - fairness_revealed_seeds table (seeds revealed by rotation)
+ * - drops mine_seeds (its seeds were never used by a game; profiles replace it)
+ * Run with: node backend/scripts/migrate_fairness_profiles.js
+ * (video_poker_sessions.nonce is added by migrate_video_poker_schema.js)
+ */
+
+const { query } = require('../database/connection');
+
+async function migrate() {
+  console.log('🔄 Starting fairness profiles migration...');
+
+  try {
+    await query(`
+      CREATE TABLE IF NOT EXISTS fairness_profiles (
+        wallet_public_key VARCHAR(80) NOT NULL,
+        server_seed CHAR(64) NOT NULL,
+        server_seed_hash CHAR(64) NOT NULL,
+        client_seed VARCHAR(64) NOT NULL,
+        nonce INT UNSIGNED NOT NULL DEFAULT 0,
+        last_used_at TIMESTAMP NULL,
+        committed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (wallet_public_key),
+        CONSTRAINT fk_fairness_profiles_wallet
+          FOREIGN KEY (wallet_public_key) REFERENCES wallets(public_key)
+          ON DELETE RESTRICT
+      ) ENGINE=InnoDB
+    `);
+    console.log('  ✓ fairness_profiles table ready');
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS fairness_revealed_seeds (
+        id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+        wallet_public_key VARCHAR(80) NOT NULL,
+        server_seed CHAR(64) NOT NULL,
+        server_seed_hash CHAR(64) NOT NULL,
+        client_seed VARCHAR(64) NOT NULL,
+        nonce_count INT UNSIGNED NOT NULL,
+        committed_at TIMESTAMP NULL,
+        revealed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id),
+        UNIQUE KEY uq_revealed_seed_hash (server_seed_hash),
+        KEY idx_wallet_revealed (wallet_public_key, id),
+        CONSTRAINT fk_fairness_revealed_wallet
+          FOREIGN KEY (wallet_public_key) REFERENCES wallets(public_key)
+          ON DELETE RESTRICT
+      ) ENGINE=InnoDB
+    `);
+    console.log('  ✓ fairness_revealed_seeds table ready');
+
+    await query('DROP TABLE IF EXISTS mine_seeds');
+    console.log('  ✓ mine_seeds removed');
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
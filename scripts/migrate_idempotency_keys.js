@@ -0,0 +1,36 @@
+/**
+ * Migration script: Idempotency-Key support
+ * - idempotency_keys table (answers of keyed requests, replayed on retry; used by the mines routes)
+ * Run with: node backend/scripts/migrate_idempotency_keys.js
+ */
+
+const { query } = require('../database/connection');
+
+async function migrate() {
+  console.log('🔄 Starting idempotency keys migration...');
+
+  try {
+    await query(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        wallet_public_key VARCHAR(80) NOT NULL,
+        scope VARCHAR(32) NOT NULL,
+        idem_key VARCHAR(128) NOT NULL,
+        request_hash CHAR(64) NOT NULL,
+        status_code SMALLINT UNSIGNED NULL,
+        response JSON NULL,
+        created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+        PRIMARY KEY (wallet_public_key, scope, idem_key),
+        KEY idx_wallet_created (wallet_public_key, created_at)
+      ) ENGINE=InnoDB
+    `);
+    console.log('  ✓ idempotency_keys table ready');
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
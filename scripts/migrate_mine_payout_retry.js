@@ -0,0 +1,70 @@
+/**
+ * Migration script: background retry of mine payouts
+ * - mine_sessions.payout_attempts, payout_next_retry_at, payout_escalated_at
+ * - mine_sessions.idx_payout_retry (the worker looks up FAILED / PENDING sessions that are due)
+ * Run with: node backend/scripts/migrate_mine_payout_retry.js
+ */
+
+const { query } = require('../database/connection');
+
+async function columnExists(table, column) {
+  const rows = await query(
+    `
+    SELECT COUNT(*) AS cnt
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = ?
+      AND COLUMN_NAME = ?
+    `,
+    [table, column]
+  );
+  return Number(rows?.[0]?.cnt || 0) > 0;
+}
+
+async function indexExists(table, index) {
+  const rows = await query(
+    `
+    SELECT COUNT(*) AS cnt
+    FROM INFORMATION_SCHEMA.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = ?
+      AND INDEX_NAME = ?
+    `,
+    [table, index]
+  );
+  return Number(rows?.[0]?.cnt || 0) > 0;
+}
+
+async function ensureColumn(column, definition) {
+  if (await columnExists('mine_sessions', column)) {
+    console.log(`  ✓ mine_sessions.${column} already exists`);
+    return;
+  }
+  await query(`ALTER TABLE mine_sessions ADD COLUMN ${column} ${definition}`);
+  console.log(`  ✅ mine_sessions.${column} added`);
+}
+
+async function migrate() {
+  console.log('🔄 Starting mine payout retry migration...');
+
+  try {
+    await ensureColumn('payout_attempts', 'INT UNSIGNED NOT NULL DEFAULT 0 AFTER payout_error');
+    await ensureColumn('payout_next_retry_at', 'TIMESTAMP NULL DEFAULT NULL AFTER payout_attempts');
+    await ensureColumn('payout_escalated_at', 'TIMESTAMP NULL DEFAULT NULL AFTER payout_next_retry_at');
+
+    if (!(await indexExists('mine_sessions', 'idx_payout_retry'))) {
+      await query('ALTER TABLE mine_sessions ADD KEY idx_payout_retry (payout_status, payout_next_retry_at)');
+      console.log('  ✅ mine_sessions.idx_payout_retry added');
+    } else {
+      console.log('  ✓ mine_sessions.idx_payout_retry already exists');
+    }
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
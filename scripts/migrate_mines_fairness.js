@@ -0,0 +1,43 @@
+/**
+ * Migration script: provably fair mine placement
+ * - mine_sessions.nonce (seeds and nonces come from fairness_profiles, see migrate_fairness_profiles.js)
+ * Run with: node backend/scripts/migrate_mines_fairness.js
+ */
+
+const { query } = require('../database/connection');
+
+async function columnExists(table, column) {
+  const rows = await query(
+    `
+    SELECT COUNT(*) AS cnt
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = ?
+      AND COLUMN_NAME = ?
+    `,
+    [table, column]
+  );
+  return Number(rows?.[0]?.cnt || 0) > 0;
+}
+
+async function migrate() {
+  console.log('🔄 Starting mines fairness migration...');
+
+  try {
+    if (!(await columnExists('mine_sessions', 'nonce'))) {
+      console.log('  ➕ Adding mine_sessions.nonce...');
+      await query('ALTER TABLE mine_sessions ADD COLUMN nonce INT UNSIGNED NULL AFTER private_seed');
+      console.log('  ✅ nonce column added');
+    } else {
+      console.log('  ✓ mine_sessions.nonce already exists');
+    }
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,48 @@
+/**
+ * Migration script: payout queue
+ * - payout_queue table (background casino -> player transfers)
+ * Run with: node backend/scripts/migrate_payout_queue.js
+ */
+
+const { query } = require('../database/connection');
+
+async function migrate() {
+  console.log('🔄 Starting payout queue migration...');
+
+  try {
+    await query(`
+      CREATE TABLE IF NOT EXISTS payout_queue (
+        id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+        reference VARCHAR(64) NOT NULL,
+        game ENUM('crash','slide','mine','videopoker') NOT NULL,
+        round_id BIGINT UNSIGNED NULL,
+        bet_id BIGINT UNSIGNED NULL,
+        wallet_public_key VARCHAR(80) NOT NULL,
+        amount BIGINT NOT NULL,
+        status ENUM('queued','sending','sent','failed') NOT NULL DEFAULT 'queued',
+        attempts INT UNSIGNED NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_error VARCHAR(255) NULL,
+        tx_id VARCHAR(128) NULL,
+        target_tick BIGINT NULL,
+        sent_at TIMESTAMP NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (id),
+        UNIQUE KEY uq_payout_reference (reference),
+        KEY idx_status_next (status, next_attempt_at),
+        KEY idx_wallet_created (wallet_public_key, created_at),
+        KEY idx_game_round (game, round_id)
+      ) ENGINE=InnoDB
+    `);
+    console.log('  ✓ payout_queue table ready');
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
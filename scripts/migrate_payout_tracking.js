@@ -0,0 +1,84 @@
+/**
+ * Migration script: payout confirmation tracking
+ * - payout_queue.status gains 'rebroadcast' and 'confirmed'; rebroadcasts, confirmed_tick, confirmed_at columns
+ * - mine_sessions.payout_status gains 'REBROADCAST' and 'CONFIRMED'
+ * Run with: node backend/scripts/migrate_payout_tracking.js
+ */
+
+const { query } = require('../database/connection');
+
+async function columnExists(table, column) {
+  const rows = await query(
+    `
+    SELECT COLUMN_NAME
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = ?
+      AND COLUMN_NAME = ?
+    `,
+    [table, column]
+  );
+  return rows && rows.length > 0;
+}
+
+async function ensureColumn(table, column, definition) {
+  if (await columnExists(table, column)) {
+    console.log(`  ✓ ${table}.${column} already exists`);
+    return;
+  }
+  console.log(`  ➕ Adding ${table}.${column}...`);
+  await query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  console.log(`  ✅ Added ${table}.${column}`);
+}
+
+async function ensureEnumValues(table, column, values, definition) {
+  const rows = await query(
+    `
+    SELECT COLUMN_TYPE
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = ?
+      AND COLUMN_NAME = ?
+    `,
+    [table, column]
+  );
+  const columnType = String(rows?.[0]?.COLUMN_TYPE || '');
+  if (values.every((value) => columnType.includes(`'${value}'`))) {
+    console.log(`  ✓ ${table}.${column} already allows ${values.join(', ')}`);
+    return;
+  }
+  console.log(`  ➕ Allowing ${values.join(', ')} in ${table}.${column}...`);
+  await query(`ALTER TABLE ${table} MODIFY COLUMN ${column} ${definition}`);
+  console.log(`  ✅ ${table}.${column} updated`);
+}
+
+async function migrate() {
+  console.log('🔄 Starting payout tracking migration...');
+
+  try {
+    await ensureEnumValues(
+      'payout_queue',
+      'status',
+      ['rebroadcast', 'confirmed'],
+      "ENUM('queued','sending','sent','rebroadcast','confirmed','failed') NOT NULL DEFAULT 'queued'"
+    );
+    await ensureColumn('payout_queue', 'rebroadcasts', 'INT UNSIGNED NOT NULL DEFAULT 0 AFTER attempts');
+    await ensureColumn('payout_queue', 'confirmed_tick', 'BIGINT NULL AFTER sent_at');
+    await ensureColumn('payout_queue', 'confirmed_at', 'TIMESTAMP NULL AFTER confirmed_tick');
+
+    await ensureEnumValues(
+      'mine_sessions',
+      'payout_status',
+      ['REBROADCAST', 'CONFIRMED'],
+      "ENUM('NONE','PENDING','SENT','REBROADCAST','CONFIRMED','FAILED') NOT NULL DEFAULT 'NONE'"
+    );
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
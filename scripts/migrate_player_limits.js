@@ -0,0 +1,65 @@
+/**
+ * Migration script: responsible-gambling limits
+ * - wallet_limits table
+ * - wallets.cool_off_until, auth_sessions.reminded_at columns
+ * Run with: node backend/scripts/migrate_player_limits.js
+ */
+
+const { query } = require('../database/connection');
+
+async function columnExists(table, column) {
+  const rows = await query(
+    `
+    SELECT COLUMN_NAME
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = ?
+      AND COLUMN_NAME = ?
+    `,
+    [table, column]
+  );
+  return rows && rows.length > 0;
+}
+
+async function ensureColumn(table, column, definition) {
+  if (await columnExists(table, column)) {
+    console.log(`  ✓ ${table}.${column} already exists`);
+    return;
+  }
+  console.log(`  ➕ Adding ${table}.${column}...`);
+  await query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  console.log(`  ✅ Added ${table}.${column}`);
+}
+
+async function migrate() {
+  console.log('🔄 Starting player limits migration...');
+
+  try {
+    await ensureColumn('wallets', 'cool_off_until', 'DATETIME NULL');
+    await ensureColumn('auth_sessions', 'reminded_at', 'DATETIME(3) NULL');
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS wallet_limits (
+        wallet_public_key VARCHAR(80) NOT NULL,
+        name VARCHAR(32) NOT NULL,
+        value BIGINT NULL,
+        pending_value BIGINT NULL,
+        pending_effective_at DATETIME NULL,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (wallet_public_key, name),
+        CONSTRAINT fk_wallet_limits_wallet
+          FOREIGN KEY (wallet_public_key) REFERENCES wallets(public_key)
+          ON DELETE CASCADE
+      ) ENGINE=InnoDB
+    `);
+    console.log('  ✓ wallet_limits table ready');
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
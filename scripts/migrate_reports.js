@@ -0,0 +1,70 @@
+/**
+ * Migration script: per game / per day reporting
+ * - report_game_daily and report_rollup_state tables
+ * - bets.idx_settled_at (the rollup looks up bets settled since its last run)
+ * Run with: node backend/scripts/migrate_reports.js
+ * The server fills report_game_daily from the whole bets ledger on its first rollup.
+ */
+
+const { query } = require('../database/connection');
+
+async function indexExists(table, index) {
+  const rows = await query(
+    `
+    SELECT COUNT(*) AS cnt
+    FROM INFORMATION_SCHEMA.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = ?
+      AND INDEX_NAME = ?
+    `,
+    [table, index]
+  );
+  return Number(rows?.[0]?.cnt || 0) > 0;
+}
+
+async function migrate() {
+  console.log('🔄 Starting reports migration...');
+
+  try {
+    if (!(await indexExists('bets', 'idx_settled_at'))) {
+      await query('ALTER TABLE bets ADD KEY idx_settled_at (settled_at)');
+      console.log('  ✅ bets.idx_settled_at added');
+    } else {
+      console.log('  ✓ bets.idx_settled_at already exists');
+    }
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS report_game_daily (
+        day DATE NOT NULL,
+        game ENUM('crash','slide','mine','videopoker') NOT NULL,
+        bet_count INT UNSIGNED NOT NULL DEFAULT 0,
+        wagered BIGINT NOT NULL DEFAULT 0,
+        payouts BIGINT NOT NULL DEFAULT 0,
+        unique_players INT UNSIGNED NOT NULL DEFAULT 0,
+        theoretical_payout BIGINT NOT NULL DEFAULT 0,
+        pending_count INT UNSIGNED NOT NULL DEFAULT 0,
+        refunded_count INT UNSIGNED NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (day, game)
+      ) ENGINE=InnoDB
+    `);
+    console.log('  ✓ report_game_daily table ready');
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS report_rollup_state (
+        name VARCHAR(32) NOT NULL,
+        rolled_up_to DATETIME NOT NULL,
+        PRIMARY KEY (name)
+      ) ENGINE=InnoDB
+    `);
+    console.log('  ✓ report_rollup_state table ready');
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
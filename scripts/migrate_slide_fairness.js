@@ -0,0 +1,47 @@
+/**
+ * Migration script: seed-derived slide outcomes
+ * - slide_rounds.house_edge / max_multiplier
+ * Run with: node backend/scripts/migrate_slide_fairness.js
+ */
+
+const { query } = require('../database/connection');
+
+async function columnExists(table, column) {
+  const rows = await query(
+    `
+    SELECT COUNT(*) AS cnt
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = ?
+      AND COLUMN_NAME = ?
+    `,
+    [table, column]
+  );
+  return Number(rows?.[0]?.cnt || 0) > 0;
+}
+
+async function migrate() {
+  console.log('🔄 Starting slide fairness migration...');
+
+  try {
+    if (!(await columnExists('slide_rounds', 'house_edge'))) {
+      console.log('  ➕ Adding slide_rounds.house_edge / max_multiplier...');
+      await query(`
+        ALTER TABLE slide_rounds
+          ADD COLUMN house_edge DECIMAL(6,4) NULL AFTER numbers_digest,
+          ADD COLUMN max_multiplier DECIMAL(10,2) NULL AFTER house_edge
+      `);
+      console.log('  ✅ slide fairness columns added');
+    } else {
+      console.log('  ✓ slide_rounds fairness columns already exist');
+    }
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,47 @@
+/**
+ * Migration script: single use of a transfer across bets and deposits
+ * - tx_claims table (one row per transfer used for a bet or a balance deposit)
+ * - backfilled from bets.bet_tx_id and credited deposits
+ * Run with: node backend/scripts/migrate_tx_claims.js
+ */
+
+const { query } = require('../database/connection');
+
+async function migrate() {
+  console.log('🔄 Starting tx claims migration...');
+
+  try {
+    await query(`
+      CREATE TABLE IF NOT EXISTS tx_claims (
+        tx_id VARCHAR(128) NOT NULL,
+        kind ENUM('bet','deposit') NOT NULL,
+        wallet_public_key VARCHAR(80) NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (tx_id),
+        KEY idx_wallet_created (wallet_public_key, created_at)
+      ) ENGINE=InnoDB
+    `);
+    console.log('  ✓ tx_claims table ready');
+
+    const bets = await query(
+      `INSERT IGNORE INTO tx_claims (tx_id, kind, wallet_public_key, created_at)
+       SELECT bet_tx_id, 'bet', wallet_public_key, created_at FROM bets`
+    );
+    console.log(`  ✅ ${bets.affectedRows} bet transfers claimed`);
+
+    const deposits = await query(
+      `INSERT IGNORE INTO tx_claims (tx_id, kind, wallet_public_key, created_at)
+       SELECT tx_id, 'deposit', wallet_public_key, created_at FROM deposits
+        WHERE status = 'credited' AND wallet_public_key IS NOT NULL`
+    );
+    console.log(`  ✅ ${deposits.affectedRows} deposit transfers claimed`);
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
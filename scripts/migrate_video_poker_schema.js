@@ -29,6 +29,27 @@ async function ensureColumn(table, column, definition) {
   console.log(`  ✅ Added ${column}`);
 }
 
+async function ensureEnumValue(table, column, value, definition) {
+  const rows = await query(
+    `
+    SELECT COLUMN_TYPE
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = ?
+      AND COLUMN_NAME = ?
+    `,
+    [table, column]
+  );
+  const columnType = String(rows?.[0]?.COLUMN_TYPE || '');
+  if (columnType.includes(`'${value}'`)) {
+    console.log(`  ✓ ${column} already allows '${value}'`);
+    return;
+  }
+  console.log(`  ➕ Allowing '${value}' in ${column}...`);
+  await query(`ALTER TABLE ${table} MODIFY COLUMN ${column} ${definition}`);
+  console.log(`  ✅ ${column} now allows '${value}'`);
+}
+
 async function indexExists(table, indexName) {
   const rows = await query(
     `
@@ -43,12 +64,57 @@ async function indexExists(table, indexName) {
   return rows && rows.length > 0;
 }
 
+async function tableExists(table) {
+  const rows = await query(
+    `
+    SELECT TABLE_NAME
+    FROM INFORMATION_SCHEMA.TABLES
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = ?
+    `,
+    [table]
+  );
+  return rows && rows.length > 0;
+}
+
+// Sessions ended before payout_status existed: derive it from the payout queue
+// (balance games were credited right away; a win with no queue row was never paid)
+async function backfillPayoutStatus(table) {
+  if (!(await tableExists('payout_queue'))) {
+    console.log('  ⚠️  payout_queue missing, payout_status not backfilled (run migrate:payoutqueue first)');
+    return;
+  }
+  const result = await query(
+    `
+    UPDATE ${table} s
+    LEFT JOIN payout_queue p ON p.reference = CONCAT('videopoker:', s.id)
+    SET s.payout_status = CASE
+        WHEN s.payout_tx_id LIKE 'ledger:%' THEN 'CONFIRMED'
+        WHEN p.id IS NULL THEN 'FAILED'
+        WHEN p.status = 'confirmed' THEN 'CONFIRMED'
+        WHEN p.status = 'sent' THEN 'SENT'
+        WHEN p.status = 'rebroadcast' THEN 'REBROADCAST'
+        WHEN p.status IN ('failed','voided') THEN 'FAILED'
+        ELSE 'PENDING'
+      END,
+      s.payout_error = CASE
+        WHEN s.payout_tx_id IS NULL AND p.id IS NULL THEN 'Payout was never queued'
+        ELSE p.last_error
+      END
+    WHERE s.status = 'ENDED' AND s.payout_amount > 0 AND s.payout_status = 'NONE'
+    `
+  );
+  console.log(`  ✅ payout_status backfilled for ${result.affectedRows || 0} ended session(s)`);
+}
+
 async function migrate() {
   const table = 'video_poker_sessions';
   console.log(`🔄 Starting ${table} table migration...`);
 
   try {
-    await ensureColumn(table, 'status', "ENUM('LIVE','ENDED','EXPIRED') NOT NULL DEFAULT 'LIVE'");
+    const statusDefinition = "ENUM('LIVE','VERIFYING','ENDED','EXPIRED') NOT NULL DEFAULT 'LIVE'";
+    await ensureColumn(table, 'status', statusDefinition);
+    await ensureEnumValue(table, 'status', 'VERIFYING', statusDefinition);
     await ensureColumn(table, 'expires_at', 'TIMESTAMP NULL');
     await ensureColumn(table, 'hold_mask', 'TINYINT UNSIGNED NULL');
     await ensureColumn(table, 'bet_tx_id', 'VARCHAR(128) NULL');
@@ -56,6 +122,8 @@ async function migrate() {
     await ensureColumn(table, 'payout_amount', 'BIGINT NULL');
     await ensureColumn(table, 'profit', 'BIGINT NULL');
     await ensureColumn(table, 'payout_tx_id', 'VARCHAR(128) NULL');
+    // Fairness profile nonce (NULL = session from before per-wallet seeds)
+    await ensureColumn(table, 'nonce', 'INT UNSIGNED NULL AFTER private_seed');
     await ensureColumn(
       table,
       'updated_at',
@@ -63,6 +131,13 @@ async function migrate() {
     );
     await ensureColumn(table, 'initial_hand', 'VARBINARY(5) NOT NULL');
     await ensureColumn(table, 'final_hand', 'VARBINARY(5) NULL');
+    await ensureColumn(
+      table,
+      'payout_status',
+      "ENUM('NONE','PENDING','SENT','REBROADCAST','CONFIRMED','FAILED') NOT NULL DEFAULT 'NONE' AFTER payout_tx_id"
+    );
+    await ensureColumn(table, 'payout_error', 'TEXT NULL AFTER payout_status');
+    await backfillPayoutStatus(table);
 
     const indexName = 'idx_wallet_status_created';
     if (!(await indexExists(table, indexName))) {
@@ -0,0 +1,53 @@
+/**
+ * Migration script: wallet-signature login tables (auth_challenges, auth_sessions)
+ * Run with: node backend/scripts/migrate_wallet_auth.js
+ */
+
+const { query } = require('../database/connection');
+
+async function migrate() {
+  console.log('🔄 Starting wallet auth migration...');
+
+  try {
+    await query(`
+      CREATE TABLE IF NOT EXISTS auth_challenges (
+        nonce CHAR(32) NOT NULL,
+        wallet_public_key VARCHAR(80) NOT NULL,
+        message VARCHAR(255) NOT NULL,
+        expires_at DATETIME(3) NOT NULL,
+        used_at DATETIME(3) NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (nonce),
+        KEY idx_expires (expires_at)
+      ) ENGINE=InnoDB
+    `);
+    console.log('  ✓ auth_challenges table ready');
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS auth_sessions (
+        id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+        token_hash CHAR(64) NOT NULL,
+        wallet_public_key VARCHAR(80) NOT NULL,
+        created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+        expires_at DATETIME(3) NOT NULL,
+        last_seen_at DATETIME(3) NULL,
+        revoked_at DATETIME(3) NULL,
+        PRIMARY KEY (id),
+        UNIQUE KEY uq_token_hash (token_hash),
+        KEY idx_wallet (wallet_public_key),
+        CONSTRAINT fk_auth_sessions_wallet
+          FOREIGN KEY (wallet_public_key) REFERENCES wallets(public_key)
+          ON DELETE CASCADE
+      ) ENGINE=InnoDB
+    `);
+    console.log('  ✓ auth_sessions table ready');
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
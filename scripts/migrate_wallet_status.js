@@ -0,0 +1,97 @@
+/**
+ * Migration script: wallet statuses
+ * - wallets.status gains 'suspended', 'self_excluded' and 'withdraw_only'; status_reason, status_expires_at,
+ *   status_updated_at columns
+ * - wallet_status_history table (audit trail of status changes)
+ * Run with: node backend/scripts/migrate_wallet_status.js
+ */
+
+const { query } = require('../database/connection');
+
+async function columnExists(table, column) {
+  const rows = await query(
+    `
+    SELECT COLUMN_NAME
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = ?
+      AND COLUMN_NAME = ?
+    `,
+    [table, column]
+  );
+  return rows && rows.length > 0;
+}
+
+async function ensureColumn(table, column, definition) {
+  if (await columnExists(table, column)) {
+    console.log(`  ✓ ${table}.${column} already exists`);
+    return;
+  }
+  console.log(`  ➕ Adding ${table}.${column}...`);
+  await query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  console.log(`  ✅ Added ${table}.${column}`);
+}
+
+async function ensureEnumValues(table, column, values, definition) {
+  const rows = await query(
+    `
+    SELECT COLUMN_TYPE
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = ?
+      AND COLUMN_NAME = ?
+    `,
+    [table, column]
+  );
+  const columnType = String(rows?.[0]?.COLUMN_TYPE || '');
+  if (values.every((value) => columnType.includes(`'${value}'`))) {
+    console.log(`  ✓ ${table}.${column} already allows ${values.join(', ')}`);
+    return;
+  }
+  console.log(`  ➕ Allowing ${values.join(', ')} in ${table}.${column}...`);
+  await query(`ALTER TABLE ${table} MODIFY COLUMN ${column} ${definition}`);
+  console.log(`  ✅ ${table}.${column} updated`);
+}
+
+async function migrate() {
+  console.log('🔄 Starting wallet status migration...');
+
+  try {
+    await ensureEnumValues(
+      'wallets',
+      'status',
+      ['active', 'suspended', 'self_excluded', 'withdraw_only', 'banned'],
+      "ENUM('active','suspended','self_excluded','withdraw_only','banned') NOT NULL DEFAULT 'active'"
+    );
+    await ensureColumn('wallets', 'status_reason', 'VARCHAR(255) NULL');
+    await ensureColumn('wallets', 'status_expires_at', 'DATETIME NULL');
+    await ensureColumn('wallets', 'status_updated_at', 'DATETIME NULL');
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS wallet_status_history (
+        id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+        wallet_public_key VARCHAR(80) NOT NULL,
+        previous_status VARCHAR(20) NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        reason VARCHAR(255) NULL,
+        expires_at DATETIME NULL,
+        changed_by VARCHAR(100) NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id),
+        KEY idx_wallet_id (wallet_public_key, id),
+        CONSTRAINT fk_wallet_status_history_wallet
+          FOREIGN KEY (wallet_public_key) REFERENCES wallets(public_key)
+          ON DELETE CASCADE
+      ) ENGINE=InnoDB
+    `);
+    console.log('  ✓ wallet_status_history table ready');
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,47 @@
+/**
+ * Migration script: withdrawals table
+ * Run with: node backend/scripts/migrate_withdrawals.js
+ */
+
+const { query } = require('../database/connection');
+
+async function migrate() {
+  console.log('🔄 Starting withdrawals migration...');
+
+  try {
+    await query(`
+      CREATE TABLE IF NOT EXISTS withdrawals (
+        id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+        wallet_public_key VARCHAR(80) NOT NULL,
+        destination VARCHAR(80) NOT NULL,
+        amount BIGINT NOT NULL,
+        status ENUM('requested','approved','broadcast','confirmed','failed') NOT NULL DEFAULT 'requested',
+        tx_id VARCHAR(128) NULL,
+        target_tick BIGINT UNSIGNED NULL,
+        confirmed_tick BIGINT UNSIGNED NULL,
+        error VARCHAR(255) NULL,
+        approved_at TIMESTAMP NULL,
+        broadcast_at TIMESTAMP NULL,
+        confirmed_at TIMESTAMP NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (id),
+        UNIQUE KEY uq_withdrawal_tx (tx_id),
+        KEY idx_status_id (status, id),
+        KEY idx_wallet_created (wallet_public_key, created_at),
+        CONSTRAINT fk_withdrawals_wallet
+          FOREIGN KEY (wallet_public_key) REFERENCES wallets(public_key)
+          ON DELETE RESTRICT
+      ) ENGINE=InnoDB
+    `);
+    console.log('  ✓ withdrawals table ready');
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,483 @@
+/**
+ * Mock Qubic RPC server for local development and automated tests
+ * Run with: node backend/scripts/mock_qubic_rpc.js   (then QUBIC_RPC_URL=http://localhost:8787)
+ *
+ * Serves the endpoints the backend uses (services/qubicRpc.js) from in-memory state:
+ * - GET  /v1/tick-info, /v1/status
+ * - GET  /v1/balances/:id, /v1/assets/:id/owned
+ * - POST /v1/broadcast-transaction   (decodes the signed transfer, checks its signature)
+ * - GET  /v1/transactions/:id, /v1/tx-status/:id
+ * - GET  /v2/ticks/:tick/transactions
+ * - GET  /v2/identities/:id/transfers?startTick=&endTick=&page=&pageSize=
+ *
+ * Ticks advance every MOCK_TICK_MS; a tick is "processed" (indexed) MOCK_PROCESS_LAG ticks later.
+ * A transfer is included in its target tick if it arrived before that tick, like on mainnet;
+ * it moves money only if the source can cover it (moneyFlew).
+ *
+ * Control API (not part of the real RPC):
+ * - GET    /mock/state
+ * - PUT    /mock/faults     { dropRate, timeoutRate, errorRate, malformedRate, latencyMs, paths }
+ * - DELETE /mock/faults
+ * - POST   /mock/drop-next  { count }  drop the next N broadcast transfers
+ * - POST   /mock/ticks      { count }  advance ticks by hand (MOCK_TICK_MS=0 disables the clock)
+ * - PUT    /mock/balances/:id { balance }
+ * - PUT    /mock/assets/:id   [{ assetName, numberOfShares }]
+ * - POST   /mock/transfers  { sourceId, destId, amount }  unsigned transfer into the next tick
+ *                                                       (e.g. a player deposit)
+ *
+ * Env: MOCK_RPC_PORT (8787), MOCK_TICK_MS (1000), MOCK_PROCESS_LAG (2), MOCK_START_TICK,
+ *      MOCK_BALANCES ("ID:amount,ID:amount"), MOCK_CASINO_BALANCE (funds CASINO_PUBLIC_ID),
+ *      MOCK_VERIFY_SIGNATURES (true)
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const qubicCrypto = require('@qubic-lib/qubic-ts-library/dist/crypto').default;
+const { QubicHelper } = require('@qubic-lib/qubic-ts-library/dist/qubicHelper');
+const { isValidQubicPublicId, normalizeQubicPublicId } = require('../utils/validation');
+
+const TX_HEADER_SIZE = 32 + 32 + 8 + 4 + 2 + 2; // 80 bytes
+const SIG_LEN = 64;
+const DIGEST_LEN = 32;
+
+const helper = new QubicHelper();
+
+const DEFAULT_FAULTS = {
+  dropRate: 0, // share of broadcast transfers silently left out of their tick
+  timeoutRate: 0, // share of requests that never get an answer
+  errorRate: 0, // share of requests answered with HTTP 500
+  malformedRate: 0, // share of requests answered with truncated JSON
+  latencyMs: 0, // delay added to every request
+  paths: null, // only apply faults to these path prefixes (null = all RPC paths)
+};
+
+function parseBalances(raw) {
+  const balances = {};
+  for (const pair of String(raw || '').split(',')) {
+    const [id, amount] = pair.split(':');
+    const identity = normalizeQubicPublicId(id || '');
+    if (isValidQubicPublicId(identity) && Number.isFinite(Number(amount))) balances[identity] = Number(amount);
+  }
+  return balances;
+}
+
+function randomTxId() {
+  const bytes = crypto.randomBytes(60);
+  return Array.from(bytes, (b) => String.fromCharCode(97 + (b % 26))).join('');
+}
+
+/**
+ * Build a mock RPC (not listening yet).
+ *
+ * @returns {{ app, state, advanceTicks(n), listen(port): Promise<import('http').Server>, close(): Promise<void> }}
+ */
+function createMockRpc({
+  tickMs = Number(process.env.MOCK_TICK_MS ?? 1000),
+  processLag = Number(process.env.MOCK_PROCESS_LAG ?? 2),
+  startTick = Number(process.env.MOCK_START_TICK || 20_000_000),
+  epoch = 150,
+  balances = {},
+  verifySignatures = process.env.MOCK_VERIFY_SIGNATURES !== 'false',
+} = {}) {
+  const state = {
+    tick: startTick,
+    processedTick: startTick - processLag,
+    faults: { ...DEFAULT_FAULTS },
+    dropNext: 0,
+    accounts: new Map(), // identity -> { balance, incomingAmount, outgoingAmount, numberOfIncomingTransfers, numberOfOutgoingTransfers, latestIncomingTransferTick, latestOutgoingTransferTick }
+    assets: new Map(), // identity -> [{ assetName, numberOfShares }]
+    transactions: new Map(), // txId -> tx
+    byTick: new Map(), // target tick -> [txId]
+  };
+
+  function account(identity) {
+    let a = state.accounts.get(identity);
+    if (!a) {
+      a = {
+        balance: 0,
+        incomingAmount: 0,
+        outgoingAmount: 0,
+        numberOfIncomingTransfers: 0,
+        numberOfOutgoingTransfers: 0,
+        latestIncomingTransferTick: 0,
+        latestOutgoingTransferTick: 0,
+      };
+      state.accounts.set(identity, a);
+    }
+    return a;
+  }
+
+  for (const [identity, amount] of Object.entries(balances)) account(identity).balance = Number(amount);
+
+  function schedule(tx) {
+    state.transactions.set(tx.txId, tx);
+    if (!state.byTick.has(tx.tickNumber)) state.byTick.set(tx.tickNumber, []);
+    state.byTick.get(tx.tickNumber).push(tx.txId);
+  }
+
+  // Settle the transfers of a tick that has just been processed
+  function processTick(tick) {
+    for (const txId of state.byTick.get(tick) || []) {
+      const tx = state.transactions.get(txId);
+      if (tx.status !== 'pending') continue;
+
+      if (state.dropNext > 0 || Math.random() < state.faults.dropRate) {
+        if (state.dropNext > 0) state.dropNext -= 1;
+        tx.status = 'dropped';
+        console.log(`[MOCK RPC] tick ${tick}: dropped ${txId}`);
+        continue;
+      }
+
+      const source = account(tx.sourceId);
+      tx.moneyFlew = tx.amount > 0 && source.balance >= tx.amount;
+      tx.status = 'included';
+      if (tx.moneyFlew) {
+        const dest = account(tx.destId);
+        source.balance -= tx.amount;
+        source.outgoingAmount += tx.amount;
+        source.numberOfOutgoingTransfers += 1;
+        source.latestOutgoingTransferTick = tick;
+        dest.balance += tx.amount;
+        dest.incomingAmount += tx.amount;
+        dest.numberOfIncomingTransfers += 1;
+        dest.latestIncomingTransferTick = tick;
+      }
+      console.log(`[MOCK RPC] tick ${tick}: ${txId} ${tx.amount} QU moneyFlew=${tx.moneyFlew}`);
+    }
+    state.byTick.delete(tick);
+  }
+
+  function advanceTicks(count = 1) {
+    for (let i = 0; i < count; i++) {
+      state.tick += 1;
+      while (state.processedTick < state.tick - processLag) {
+        state.processedTick += 1;
+        processTick(state.processedTick);
+      }
+    }
+  }
+
+  async function decodeTransfer(encoded) {
+    const bytes = Buffer.from(String(encoded || ''), 'base64');
+    if (bytes.length < TX_HEADER_SIZE + SIG_LEN) throw new Error(`Transaction too short (${bytes.length} bytes)`);
+
+    const inputSize = bytes.readUInt16LE(78);
+    if (bytes.length !== TX_HEADER_SIZE + inputSize + SIG_LEN) throw new Error('Transaction size does not match inputSize');
+
+    const sourceKey = new Uint8Array(bytes.subarray(0, 32));
+    const unsigned = new Uint8Array(bytes.subarray(0, TX_HEADER_SIZE + inputSize));
+    const signature = new Uint8Array(bytes.subarray(TX_HEADER_SIZE + inputSize));
+
+    const { schnorrq, K12 } = await qubicCrypto;
+    if (verifySignatures) {
+      const digest = new Uint8Array(DIGEST_LEN);
+      K12(unsigned, digest, DIGEST_LEN);
+      if (!schnorrq.verify(sourceKey, digest, signature)) throw new Error('Invalid signature');
+    }
+
+    const txDigest = new Uint8Array(DIGEST_LEN);
+    K12(new Uint8Array(bytes), txDigest, DIGEST_LEN);
+
+    return {
+      txId: await helper.getHumanReadableBytes(txDigest),
+      sourceId: await helper.getIdentity(sourceKey),
+      destId: await helper.getIdentity(new Uint8Array(bytes.subarray(32, 64))),
+      amount: Number(bytes.readBigInt64LE(64)),
+      tickNumber: bytes.readUInt32LE(72),
+      inputType: bytes.readUInt16LE(76),
+      inputSize,
+      inputHex: bytes.subarray(TX_HEADER_SIZE, TX_HEADER_SIZE + inputSize).toString('hex'),
+      signatureHex: Buffer.from(signature).toString('hex'),
+    };
+  }
+
+  function toRpcTransaction(tx) {
+    return {
+      sourceId: tx.sourceId,
+      destId: tx.destId,
+      amount: String(tx.amount),
+      tickNumber: tx.tickNumber,
+      inputType: tx.inputType,
+      inputSize: tx.inputSize,
+      inputHex: tx.inputHex,
+      signatureHex: tx.signatureHex,
+      txId: tx.txId,
+    };
+  }
+
+  // Only transactions in processed ticks are visible, as with the archiver
+  function indexed(txId) {
+    const tx = state.transactions.get(txId);
+    return tx && tx.status === 'included' && tx.tickNumber <= state.processedTick ? tx : null;
+  }
+
+  const app = express();
+  app.use(express.json({ limit: '1mb' }));
+
+  // ---- Fault injection (RPC paths only) ----
+  app.use(async (req, res, next) => {
+    if (req.path.startsWith('/mock')) return next();
+    const f = state.faults;
+    if (f.paths && !f.paths.some((p) => req.path.startsWith(p))) return next();
+
+    if (f.latencyMs > 0) await new Promise((r) => setTimeout(r, f.latencyMs));
+    if (Math.random() < f.timeoutRate) {
+      // Never answer; the client's timeout fires first
+      req.socket.setTimeout(0);
+      return;
+    }
+    if (Math.random() < f.errorRate) {
+      return res.status(500).json({ code: 13, message: 'mock: injected internal error' });
+    }
+    if (Math.random() < f.malformedRate) {
+      return res.status(200).type('application/json').send('{"tickInfo":{"tick":');
+    }
+    next();
+  });
+
+  // ---- RPC ----
+  app.get('/v1/tick-info', (req, res) => {
+    res.json({ tickInfo: { tick: state.tick, duration: 1, epoch, initialTick: startTick } });
+  });
+
+  app.get('/v1/status', (req, res) => {
+    res.json({
+      lastProcessedTick: { tickNumber: state.processedTick, epoch },
+      lastProcessedTicksPerEpoch: { [epoch]: state.processedTick },
+      skippedTicks: [],
+      processedTickIntervalsPerEpoch: [{ epoch, intervals: [{ initialProcessedTick: startTick, lastProcessedTick: state.processedTick }] }],
+    });
+  });
+
+  app.get('/v1/balances/:id', (req, res) => {
+    const identity = normalizeQubicPublicId(req.params.id);
+    if (!isValidQubicPublicId(identity)) return res.status(400).json({ code: 3, message: 'invalid identity' });
+    const a = account(identity);
+    res.json({
+      balance: {
+        id: identity,
+        balance: String(a.balance),
+        validForTick: state.processedTick,
+        latestIncomingTransferTick: a.latestIncomingTransferTick,
+        latestOutgoingTransferTick: a.latestOutgoingTransferTick,
+        incomingAmount: String(a.incomingAmount),
+        outgoingAmount: String(a.outgoingAmount),
+        numberOfIncomingTransfers: a.numberOfIncomingTransfers,
+        numberOfOutgoingTransfers: a.numberOfOutgoingTransfers,
+      },
+    });
+  });
+
+  app.get('/v1/assets/:id/owned', (req, res) => {
+    res.json(state.assets.get(normalizeQubicPublicId(req.params.id)) || []);
+  });
+
+  app.post('/v1/broadcast-transaction', async (req, res) => {
+    let tx;
+    try {
+      tx = await decodeTransfer(req.body?.encodedTransaction);
+    } catch (error) {
+      return res.status(400).json({ code: 3, message: `mock: ${error.message}` });
+    }
+
+    if (state.transactions.has(tx.txId)) {
+      return res.json({ peersBroadcasted: 3, encodedTransaction: req.body.encodedTransaction, transactionId: tx.txId });
+    }
+
+    // Too late for its tick: the network never includes it
+    schedule({ ...tx, status: tx.tickNumber > state.tick ? 'pending' : 'dropped', moneyFlew: null });
+    if (tx.tickNumber <= state.tick) console.log(`[MOCK RPC] ${tx.txId} arrived after tick ${tx.tickNumber}; dropped`);
+
+    res.json({ peersBroadcasted: 3, encodedTransaction: req.body.encodedTransaction, transactionId: tx.txId });
+  });
+
+  app.get('/v1/transactions/:id', (req, res) => {
+    const tx = indexed(req.params.id);
+    if (!tx) return res.status(404).json({ code: 5, message: 'transaction not found' });
+    res.json({ transaction: toRpcTransaction(tx) });
+  });
+
+  app.get('/v1/tx-status/:id', (req, res) => {
+    const tx = indexed(req.params.id);
+    if (!tx) return res.status(404).json({ code: 5, message: 'tx status not found' });
+    res.json({
+      transactionStatus: { txId: tx.txId, moneyFlew: tx.moneyFlew, tickNumber: tx.tickNumber },
+    });
+  });
+
+  app.get('/v2/ticks/:tick/transactions', (req, res) => {
+    const tick = Number(req.params.tick);
+    if (!Number.isInteger(tick) || tick > state.processedTick) {
+      return res.status(404).json({ code: 5, message: 'tick not processed' });
+    }
+    const transactions = [...state.transactions.values()]
+      .filter((tx) => tx.status === 'included' && tx.tickNumber === tick)
+      .map((tx) => ({ transaction: toRpcTransaction(tx), timestamp: String(tx.timestamp || Date.now()), moneyFlew: tx.moneyFlew }));
+    res.json({ transactions });
+  });
+
+  app.get('/v2/identities/:id/transfers', (req, res) => {
+    const identity = normalizeQubicPublicId(req.params.id);
+    const startTick = Number(req.query.startTick || 0);
+    const endTick = Math.min(Number(req.query.endTick || state.processedTick), state.processedTick);
+    const page = Math.max(1, Number(req.query.page || 1));
+    const pageSize = Math.max(1, Math.min(1000, Number(req.query.pageSize || 100)));
+
+    const matches = [...state.transactions.values()]
+      .filter((tx) => tx.status === 'included' && tx.tickNumber >= startTick && tx.tickNumber <= endTick)
+      .filter((tx) => tx.sourceId === identity || tx.destId === identity)
+      .sort((a, b) => a.tickNumber - b.tickNumber);
+    const pageItems = matches.slice((page - 1) * pageSize, page * pageSize);
+
+    const perTick = new Map();
+    for (const tx of pageItems) {
+      if (!perTick.has(tx.tickNumber)) perTick.set(tx.tickNumber, []);
+      perTick.get(tx.tickNumber).push({
+        transaction: toRpcTransaction(tx),
+        timestamp: String(tx.timestamp || Date.now()),
+        moneyFlew: tx.moneyFlew,
+      });
+    }
+
+    res.json({
+      pagination: {
+        totalRecords: matches.length,
+        currentPage: page,
+        totalPages: Math.max(1, Math.ceil(matches.length / pageSize)),
+        pageSize,
+      },
+      transactions: [...perTick].map(([tickNumber, transactions]) => ({ tickNumber, identity, transactions })),
+    });
+  });
+
+  // ---- Control API ----
+  app.get('/mock/state', (req, res) => {
+    res.json({
+      tick: state.tick,
+      processedTick: state.processedTick,
+      faults: state.faults,
+      dropNext: state.dropNext,
+      balances: Object.fromEntries([...state.accounts].map(([id, a]) => [id, a.balance])),
+      transactions: [...state.transactions.values()].map((tx) => ({
+        txId: tx.txId,
+        sourceId: tx.sourceId,
+        destId: tx.destId,
+        amount: tx.amount,
+        tick: tx.tickNumber,
+        status: tx.status,
+        moneyFlew: tx.moneyFlew,
+      })),
+    });
+  });
+
+  app.put('/mock/faults', (req, res) => {
+    for (const key of Object.keys(DEFAULT_FAULTS)) {
+      if (req.body?.[key] !== undefined) state.faults[key] = req.body[key];
+    }
+    res.json({ faults: state.faults });
+  });
+
+  app.delete('/mock/faults', (req, res) => {
+    state.faults = { ...DEFAULT_FAULTS };
+    state.dropNext = 0;
+    res.json({ faults: state.faults });
+  });
+
+  app.post('/mock/drop-next', (req, res) => {
+    state.dropNext += Math.max(1, Number(req.body?.count || 1));
+    res.json({ dropNext: state.dropNext });
+  });
+
+  app.post('/mock/ticks', (req, res) => {
+    advanceTicks(Math.max(1, Number(req.body?.count || 1)));
+    res.json({ tick: state.tick, processedTick: state.processedTick });
+  });
+
+  app.put('/mock/balances/:id', (req, res) => {
+    const identity = normalizeQubicPublicId(req.params.id);
+    const balance = Number(req.body?.balance);
+    if (!isValidQubicPublicId(identity) || !Number.isInteger(balance) || balance < 0) {
+      return res.status(400).json({ error: 'valid identity and non-negative integer balance required' });
+    }
+    account(identity).balance = balance;
+    res.json({ id: identity, balance });
+  });
+
+  app.put('/mock/assets/:id', (req, res) => {
+    const identity = normalizeQubicPublicId(req.params.id);
+    if (!isValidQubicPublicId(identity) || !Array.isArray(req.body)) {
+      return res.status(400).json({ error: 'valid identity and an array of assets required' });
+    }
+    state.assets.set(identity, req.body);
+    res.json({ id: identity, assets: req.body });
+  });
+
+  app.post('/mock/transfers', (req, res) => {
+    const sourceId = normalizeQubicPublicId(req.body?.sourceId || '');
+    const destId = normalizeQubicPublicId(req.body?.destId || '');
+    const amount = Number(req.body?.amount);
+    if (!isValidQubicPublicId(sourceId) || !isValidQubicPublicId(destId) || !Number.isInteger(amount) || amount <= 0) {
+      return res.status(400).json({ error: 'sourceId, destId and a positive integer amount required' });
+    }
+    const tx = {
+      txId: randomTxId(),
+      sourceId,
+      destId,
+      amount,
+      tickNumber: state.tick + 1,
+      inputType: 0,
+      inputSize: 0,
+      inputHex: '',
+      signatureHex: '',
+      timestamp: Date.now(),
+      status: 'pending',
+      moneyFlew: null,
+    };
+    schedule(tx);
+    res.json({ txId: tx.txId, tick: tx.tickNumber });
+  });
+
+  let server = null;
+  let clock = null;
+
+  return {
+    app,
+    state,
+    advanceTicks,
+    listen(port = 0) {
+      return new Promise((resolve) => {
+        server = app.listen(port, () => {
+          if (tickMs > 0) clock = setInterval(() => advanceTicks(1), tickMs);
+          resolve(server);
+        });
+      });
+    },
+    close() {
+      if (clock) clearInterval(clock);
+      clock = null;
+      if (!server) return Promise.resolve();
+      const closing = new Promise((resolve) => server.close(() => resolve()));
+      server.closeAllConnections(); // includes requests held open by the timeout fault
+      return closing;
+    },
+  };
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+
+  const balances = parseBalances(process.env.MOCK_BALANCES);
+  const casinoId = normalizeQubicPublicId(process.env.CASINO_PUBLIC_ID || '');
+  if (isValidQubicPublicId(casinoId) && balances[casinoId] === undefined) {
+    balances[casinoId] = Number(process.env.MOCK_CASINO_BALANCE || 1_000_000_000);
+  }
+
+  const port = Number(process.env.MOCK_RPC_PORT || 8787);
+  const mock = createMockRpc({ balances });
+  mock.listen(port).then(() => {
+    console.log(`🧪 Mock Qubic RPC on http://localhost:${port} (tick ${mock.state.tick})`);
+    console.log(`   Point the backend at it: QUBIC_RPC_URL=http://localhost:${port}`);
+  });
+}
+
+module.exports = { createMockRpc };
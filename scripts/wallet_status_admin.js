@@ -0,0 +1,70 @@
+/**
+ * Operator tool for wallet statuses
+ * Run with:
+ *   node backend/scripts/wallet_status_admin.js show <publicId>
+ *   node backend/scripts/wallet_status_admin.js set <publicId> <status> [--days N] [reason]
+ *   node backend/scripts/wallet_status_admin.js history <publicId>
+ * Statuses: active, suspended, self_excluded, withdraw_only, banned.
+ * With --days the status turns back to active after N days.
+ */
+
+const { Wallet, WALLET_STATUS } = require('../models/Wallet');
+const { getWalletStatus, setWalletStatus } = require('../services/walletStatus');
+const { recordAuditEvent } = require('../services/auditTrail');
+const { isValidQubicPublicId, normalizeQubicPublicId } = require('../utils/validation');
+
+async function main() {
+  const [command, idArg, ...rest] = process.argv.slice(2);
+  const publicId = normalizeQubicPublicId(idArg || '');
+
+  try {
+    if (!isValidQubicPublicId(publicId)) {
+      console.log('Usage: wallet_status_admin.js show <publicId> | set <publicId> <status> [--days N] [reason] | history <publicId>');
+      process.exit(1);
+    }
+
+    if (command === 'show') {
+      const w = await getWalletStatus(publicId);
+      console.log(`  ${publicId}: ${w.status}` +
+        (w.statusExpiresAt ? ` until ${new Date(w.statusExpiresAt).toISOString()}` : '') +
+        (w.statusReason ? ` (${w.statusReason})` : ''));
+    } else if (command === 'set' && Object.values(WALLET_STATUS).includes(rest[0])) {
+      const [status, ...args] = rest;
+      let expiresAt = null;
+      const daysAt = args.indexOf('--days');
+      if (daysAt !== -1) {
+        const days = Number(args[daysAt + 1]);
+        if (!(days > 0)) throw new Error('--days must be a positive number');
+        expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+        args.splice(daysAt, 2);
+      }
+      const changedBy = `operator:${process.env.USER || 'cli'}`;
+      const reason = args.join(' ') || null;
+      const { previous } = await setWalletStatus({ publicKey: publicId, status, reason, expiresAt, changedBy });
+      await recordAuditEvent({
+        type: 'admin.wallet.status',
+        actor: changedBy,
+        publicKey: publicId,
+        details: { previousStatus: previous.status, status, reason, expiresAt },
+      });
+      console.log(`✅ ${publicId}: ${previous.status} -> ${status}`);
+    } else if (command === 'history') {
+      const history = await Wallet.findStatusHistory(publicId, 100);
+      if (history.length === 0) console.log('No status changes recorded');
+      for (const h of history) {
+        console.log(`  ${h.createdAt}  ${h.previousStatus} -> ${h.status}  by ${h.changedBy}` +
+          (h.expiresAt ? `  until ${new Date(h.expiresAt).toISOString()}` : '') +
+          (h.reason ? `  (${h.reason})` : ''));
+      }
+    } else {
+      console.log('Usage: wallet_status_admin.js show <publicId> | set <publicId> <status> [--days N] [reason] | history <publicId>');
+      process.exit(1);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed:', error);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,57 @@
+/**
+ * Operator tool for withdrawals waiting for approval
+ * Run with:
+ *   node backend/scripts/withdrawal_admin.js list
+ *   node backend/scripts/withdrawal_admin.js approve <id>
+ *   node backend/scripts/withdrawal_admin.js reject <id> [reason]
+ * Approved withdrawals are sent by the server's withdrawal worker.
+ */
+
+const { Withdrawal, WITHDRAWAL_STATUS } = require('../models/Withdrawal');
+const { approveWithdrawal, rejectWithdrawal } = require('../services/withdrawals');
+const { recordAuditEvent } = require('../services/auditTrail');
+
+const OPERATOR = `operator:${process.env.USER || 'cli'}`;
+
+function auditOverride(action, w, details = {}) {
+  return recordAuditEvent({
+    type: `admin.withdrawal.${action}`,
+    actor: OPERATOR,
+    publicKey: w.publicKey,
+    amount: w.amount,
+    reference: `withdrawal:${w.id}`,
+    details: { withdrawalId: w.id, destination: w.destination, ...details },
+  });
+}
+
+async function main() {
+  const [command, idArg, ...rest] = process.argv.slice(2);
+  const id = Number.parseInt(String(idArg), 10);
+
+  try {
+    if (command === 'list') {
+      const requested = await Withdrawal.findByStatus(WITHDRAWAL_STATUS.REQUESTED, 100);
+      if (requested.length === 0) console.log('No withdrawals waiting for approval');
+      for (const w of requested) {
+        console.log(`  #${w.id}  ${w.amount} QU -> ${w.destination}  (requested ${w.createdAt})`);
+      }
+    } else if (command === 'approve' && id > 0) {
+      const w = await approveWithdrawal(id);
+      if (w) await auditOverride('approve', w);
+      console.log(w ? `✅ Withdrawal #${id} approved` : `⚠️  Withdrawal #${id} is not waiting for approval`);
+    } else if (command === 'reject' && id > 0) {
+      const w = await rejectWithdrawal(id, rest.join(' '));
+      if (w) await auditOverride('reject', w, { reason: rest.join(' ') || null });
+      console.log(w ? `✅ Withdrawal #${id} rejected` : `⚠️  Withdrawal #${id} is not waiting for approval`);
+    } else {
+      console.log('Usage: withdrawal_admin.js list | approve <id> | reject <id> [reason]');
+      process.exit(1);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed:', error);
+    process.exit(1);
+  }
+}
+
+main();
@@ -3,6 +3,17 @@ const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
 const { getPool } = require('./database/connection');
+const { getRpcHealth } = require('./services/qubicRpc');
+const { startPayoutWorker } = require('./services/payoutQueue');
+const { startPayoutTracker } = require('./services/payoutTracker');
+const { startWithdrawalWorker } = require('./services/withdrawals');
+const { startDepositWatcher } = require('./services/depositWatcher');
+const { startReportWorker } = require('./services/reports');
+const { startAuditTrail } = require('./services/auditTrail');
+const { startSlidePayoutRetry } = require('./services/slidePayouts');
+const { startCrashPayoutRetry } = require('./services/crashPayouts');
+const { startMinePayoutRetry } = require('./services/minePayouts');
+const { requireWallet } = require('./services/walletAuth');
 require('dotenv').config();
 
 const app = express();
@@ -58,6 +69,7 @@ app.use(
       return callback(new Error(`Origin not allowed: ${origin}`));
     },
     credentials: true,
+    exposedHeaders: ['Idempotent-Replayed'],
   })
 );
 
@@ -85,6 +97,8 @@ getPool();
  * Import routes
  */
 console.log('Loading routes...');
+const authRoutes = require('./routes/auth');
+const adminRoutes = require('./routes/admin');
 const walletRoutes = require('./routes/wallet');
 const tokenPriceRoutes = require('./routes/tokenPrice');
 const withdrawRoutes = require('./routes/withdraw');
@@ -92,22 +106,39 @@ const mineRoutes = require('./routes/mine');
 const videoPokerRoutes = require('./routes/videoPoker');
 const txRoutes = require('./routes/tx');
 const usersRoutes = require('./routes/users');
+const crashRoutes = require('./routes/crash');
+const slideRoutes = require('./routes/slide');
+const fairnessRoutes = require('./routes/fairness');
+const balanceRoutes = require('./routes/balance');
 console.log('✅ All routes loaded');
 
 /**
  * API Routes
+ * Everything except /api/auth requires a wallet session (Authorization: Bearer <token>);
+ * /api/admin uses admin API keys instead (X-Admin-Key). /api/crash, /api/slide and /api/fairness
+ * check the session per route, so round verification and RTP stay public.
  */
-app.use('/api/wallet', walletRoutes);
-app.use('/api/token-price', tokenPriceRoutes);
-app.use('/api/withdraw', withdrawRoutes);
-app.use('/api/mine', mineRoutes);
-app.use('/api/video-poker', videoPokerRoutes);
-app.use('/api/tx', txRoutes);
-app.use('/api/users', usersRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/wallet', requireWallet, walletRoutes);
+app.use('/api/token-price', requireWallet, tokenPriceRoutes);
+app.use('/api/withdraw', requireWallet, withdrawRoutes);
+app.use('/api/mine', requireWallet, mineRoutes);
+app.use('/api/video-poker', requireWallet, videoPokerRoutes);
+app.use('/api/tx', requireWallet, txRoutes);
+app.use('/api/users', requireWallet, usersRoutes);
+app.use('/api/crash', crashRoutes);
+app.use('/api/slide', slideRoutes);
+app.use('/api/fairness', fairnessRoutes);
+app.use('/api/balance', requireWallet, balanceRoutes);
 
 // Log registered routes on startup
 console.log('📋 Registered API routes:');
 console.log('  - GET  /health');
+console.log('  - POST /api/auth/challenge');
+console.log('  - POST /api/auth/verify');
+console.log('  - GET  /api/auth/session');
+console.log('  - POST /api/auth/logout');
 console.log('  - POST /api/mine/status');
 console.log('  - POST /api/mine/create');
 console.log('  - POST /api/mine/pick');
@@ -115,12 +146,50 @@ console.log('  - POST /api/mine/reveal');
 console.log('  - POST /api/mine/cashout');
 console.log('  - POST /api/mine/claim');
 console.log('  - GET  /api/mine/test');
+console.log('  - GET  /api/mine/seed');
+console.log('  - GET  /api/mine/verify/:gameId');
+console.log('  - GET  /api/crash/fairness');
+console.log('  - GET  /api/crash/fairness/:roundId');
+console.log('  - GET  /api/crash/rtp');
+console.log('  - POST /api/crash/claim');
+console.log('  - GET  /api/slide/verify/:roundId');
+console.log('  - POST /api/slide/verify');
+console.log('  - POST /api/slide/claim');
+console.log('  - POST /api/withdraw');
+console.log('  - GET  /api/withdraw/:id');
+console.log('  - GET  /api/fairness');
+console.log('  - PUT  /api/fairness/client-seed');
+console.log('  - POST /api/fairness/rotate');
+console.log('  - GET  /api/balance');
+console.log('  - GET  /api/balance/history');
+console.log('  - POST /api/balance/deposit');
+console.log('  - GET  /api/admin/rounds/:game');
+console.log('  - GET  /api/admin/wallets/:publicId');
+console.log('  - POST /api/admin/wallets/:publicId/ban');
+console.log('  - POST /api/admin/wallets/:publicId/unban');
+console.log('  - GET  /api/admin/payouts');
+console.log('  - POST /api/admin/payouts/:id/retry');
+console.log('  - POST /api/admin/payouts/:id/void');
+console.log('  - GET  /api/admin/events');
+console.log('  - GET  /api/admin/escalations');
+console.log('  - POST /api/admin/escalations/mine/:id/release');
+console.log('  - GET  /api/admin/games');
+console.log('  - POST /api/admin/games/:game/pause');
+console.log('  - POST /api/admin/games/:game/resume');
+console.log('  - GET  /api/admin/reports');
+console.log('  - POST /api/admin/reports/refresh');
+console.log('  - GET  /api/admin/keys');
+console.log('  - POST /api/admin/keys');
+console.log('  - DELETE /api/admin/keys/:id');
+console.log('  - GET  /api/admin/audit');
 
 /**
  * Health check
  */
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  const rpc = getRpcHealth();
+  const rpcUp = rpc.endpoints.some((e) => e.breaker !== 'open');
+  res.json({ status: rpcUp ? 'ok' : 'degraded', timestamp: new Date().toISOString(), rpc });
 });
 
 /**
@@ -153,6 +222,7 @@ app.use((err, req, res, next) => {
  */
 require('./sockets/crash')(io);
 require('./sockets/slide')(io);
+require('./sockets/payouts')(io);
 
 /**
  * ✅ PORT + HOST for Railway
@@ -178,6 +248,23 @@ server
     } else {
       console.log(`🌐 API available at http://localhost:${PORT}/api`);
     }
+
+    // Money movements are appended to audit_events; subscribe before the workers start emitting
+    startAuditTrail();
+    // Casino -> player transfers are sent in the background
+    startPayoutWorker();
+    startPayoutTracker();
+    startWithdrawalWorker();
+    // Won slide bets whose payout never reached the queue are handed to it again
+    startSlidePayoutRetry();
+    // Cashed-out crash bets whose payout could not be queued are handed to it again
+    startCrashPayoutRetry();
+    // FAILED / stale PENDING mine payouts are retried with backoff, then escalated to operators
+    startMinePayoutRetry();
+    // Player -> casino transfers are credited to balances as they land
+    startDepositWatcher();
+    // Per game / per day reporting rows are rebuilt from the bets ledger as bets settle
+    startReportWorker();
   })
   .on('error', (err) => {
     if (err.code === 'EADDRINUSE') {
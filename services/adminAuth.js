@@ -0,0 +1,126 @@
+// backend/services/adminAuth.js
+const crypto = require("crypto");
+const { ADMIN_ROLES, AdminApiKey, AdminAuditLog } = require("../models/Admin");
+const { recordAuditEvent } = require("./auditTrail");
+
+// Request body fields never written to the audit log
+const REDACTED_FIELDS = ["key", "apiKey", "token"];
+// Successful actions on these targets are overrides and also go to audit_events
+const OVERRIDE_TARGET_TYPES = ["wallet", "payout", "game", "mine_session"];
+
+function sha256Hex(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+function roleRank(role) {
+  return ADMIN_ROLES.indexOf(role);
+}
+
+/**
+ * Create an API key. The key itself is only returned here; store it somewhere safe.
+ */
+async function createAdminKey({ name, role, createdBy }) {
+  if (!name || String(name).length > 100) {
+    const err = new Error("name is required (at most 100 characters)");
+    err.statusCode = 400;
+    throw err;
+  }
+  if (!ADMIN_ROLES.includes(role)) {
+    const err = new Error(`Unknown role "${role}" (one of ${ADMIN_ROLES.join(", ")})`);
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const key = `adm_${crypto.randomBytes(32).toString("base64url")}`;
+  const record = await AdminApiKey.create({ name, role, keyHash: sha256Hex(key), createdBy });
+  console.log(`🗝️ Admin key #${record.id} "${record.name}" (${record.role}) created by ${createdBy}`);
+  return { key, record };
+}
+
+function adminKeyFromRequest(req) {
+  return String(req.headers["x-admin-key"] || "").trim();
+}
+
+function auditBody(body) {
+  if (!body || typeof body !== "object" || Object.keys(body).length === 0) return null;
+  const copy = { ...body };
+  for (const field of REDACTED_FIELDS) {
+    if (copy[field] !== undefined) copy[field] = "[redacted]";
+  }
+  return copy;
+}
+
+/**
+ * Write the request to admin_audit_log once the response is sent. Handlers name the action
+ * with req.audit = { action, targetType, targetId, details }; otherwise the route is used.
+ */
+function recordAdminRequest(req, res) {
+  const audit = req.audit || {};
+  const action = audit.action || `${req.method} ${req.baseUrl}${req.route?.path || req.path}`;
+  const details = audit.details !== undefined ? audit.details : auditBody(req.body);
+
+  AdminAuditLog.record({
+    keyId: req.admin?.keyId || null,
+    actor: req.admin ? `admin:${req.admin.name}` : "anonymous",
+    role: req.admin?.role || null,
+    action,
+    targetType: audit.targetType || null,
+    targetId: audit.targetId ?? null,
+    details: Object.keys(req.query || {}).length > 0 ? { query: req.query, ...(details || {}) } : details,
+    statusCode: res.statusCode,
+    ip: req.ip,
+  }).catch((e) => console.error("❌ Failed to write admin audit log:", e?.message || e, action));
+
+  if (req.method !== "GET" && res.statusCode < 400 && audit.action && OVERRIDE_TARGET_TYPES.includes(audit.targetType)) {
+    recordAuditEvent({
+      type: `admin.${audit.action}`,
+      actor: `admin:${req.admin?.name}`,
+      publicKey: audit.targetType === "wallet" ? audit.targetId : details?.publicKey,
+      game: audit.targetType === "game" ? audit.targetId : details?.game,
+      amount: details?.amount,
+      reference: details?.reference,
+      details: { targetType: audit.targetType, targetId: audit.targetId ?? null, ...(details || {}) },
+    });
+  }
+}
+
+/**
+ * Express middleware for /api/admin: requires `X-Admin-Key: <key>` and sets
+ * req.admin = { keyId, name, role }. Every request, allowed or not, is audited.
+ */
+async function requireAdmin(req, res, next) {
+  res.on("finish", () => recordAdminRequest(req, res));
+  try {
+    const key = adminKeyFromRequest(req);
+    const record = key ? await AdminApiKey.findActiveByHash(sha256Hex(key)) : null;
+    if (!record) {
+      return res.status(401).json({ error: "Admin API key required", code: "ADMIN_AUTH_REQUIRED" });
+    }
+
+    req.admin = { keyId: record.id, name: record.name, role: record.role };
+    AdminApiKey.touch(record.id).catch((e) => console.warn("⚠️ Failed to update admin key:", e?.message || e));
+    next();
+  } catch (e) {
+    console.error("Error authenticating admin request:", e);
+    res.status(500).json({ error: "Failed to authenticate request", message: e.message });
+  }
+}
+
+/**
+ * Express middleware: the admin key must have `role` or a more privileged one.
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.admin || roleRank(req.admin.role) < roleRank(role)) {
+      return res.status(403).json({ error: `Requires the ${role} role`, code: "ADMIN_ROLE_REQUIRED" });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ADMIN_ROLES,
+  createAdminKey,
+  requireAdmin,
+  requireRole,
+};
@@ -0,0 +1,134 @@
+// backend/services/auditTrail.js
+const { AuditEvent } = require("../models/AuditEvent");
+const { payoutEvents } = require("./payoutQueue");
+const { balanceEvents } = require("./balanceLedger");
+const { withdrawalEvents } = require("./withdrawals");
+
+const PAYOUT_ACTOR = "system:payout";
+const WITHDRAWAL_ACTOR = "system:withdrawals";
+
+let started = false;
+
+/**
+ * Append an event to audit_events. Never throws: a failed audit write is logged and
+ * must not break the money movement it describes.
+ *
+ * type: "bet.accepted", "payout.*", "balance.*", "withdrawal.*" or "admin.*";
+ * actor: "player", "system:<worker>" or "admin:<key name>".
+ */
+async function recordAuditEvent(event) {
+  try {
+    return await AuditEvent.record(event);
+  } catch (e) {
+    console.error(`❌ Failed to write audit event ${event?.type}:`, e?.message || e);
+    return null;
+  }
+}
+
+/**
+ * A wager accepted into the bets ledger (Bet.create result).
+ */
+function auditBetAccepted(bet) {
+  return recordAuditEvent({
+    type: "bet.accepted",
+    actor: "player",
+    publicKey: bet.publicKey,
+    game: bet.game,
+    roundId: bet.roundId,
+    amount: bet.betAmount,
+    txId: bet.txId,
+    details: { betId: bet.id, target: bet.target },
+  });
+}
+
+/**
+ * A win or refund that could not even be handed to the payout queue / balance.
+ */
+function auditPayoutError({ game, roundId = null, publicKey, amount, reference = null, error }) {
+  return recordAuditEvent({
+    type: "payout.failed",
+    actor: "system",
+    publicKey,
+    game,
+    roundId,
+    amount,
+    reference,
+    error: String(error?.message || error),
+    details: { stage: "queue" },
+  });
+}
+
+function payoutEvent(type, payout, extra = {}) {
+  return recordAuditEvent({
+    type,
+    actor: PAYOUT_ACTOR,
+    publicKey: payout.publicKey,
+    game: payout.game,
+    roundId: payout.roundId,
+    amount: payout.amount,
+    txId: payout.txId,
+    reference: payout.reference,
+    ...extra,
+    details: { payoutId: payout.id, attempts: payout.attempts, ...(extra.details || {}) },
+  });
+}
+
+function withdrawalEvent(type, withdrawal) {
+  return recordAuditEvent({
+    type,
+    actor: type === "withdrawal.requested" ? "player" : WITHDRAWAL_ACTOR,
+    publicKey: withdrawal.publicKey,
+    amount: withdrawal.amount,
+    txId: withdrawal.txId,
+    reference: `withdrawal:${withdrawal.id}`,
+    error: withdrawal.status === "failed" ? withdrawal.error : null,
+    details: { withdrawalId: withdrawal.id, destination: withdrawal.destination, status: withdrawal.status },
+  });
+}
+
+/**
+ * Record payout, balance and withdrawal events as they happen (once per process).
+ */
+function startAuditTrail() {
+  if (started) return;
+  started = true;
+
+  payoutEvents.on("attempt", (payout) => payoutEvent("payout.attempt", payout));
+  payoutEvents.on("sent", (payout) => payoutEvent("payout.sent", payout));
+  payoutEvents.on("confirmed", (payout) =>
+    payoutEvent("payout.confirmed", payout, { details: { tick: payout.confirmedTick } })
+  );
+  payoutEvents.on("retry", (payout, delayMs) =>
+    payoutEvent("payout.retry", payout, { error: payout.lastError, details: { delayMs } })
+  );
+  payoutEvents.on("rebroadcast", (payout) => payoutEvent("payout.rebroadcast", payout, { error: payout.lastError }));
+  payoutEvents.on("failed", (payout) => payoutEvent("payout.failed", payout, { error: payout.lastError }));
+  payoutEvents.on("voided", (payout) => payoutEvent("payout.voided", payout, { error: payout.lastError }));
+
+  balanceEvents.on("posted", (posting) =>
+    recordAuditEvent({
+      type: `balance.${posting.kind}`,
+      actor: ["bet", "withdrawal"].includes(posting.kind) ? "player" : "system",
+      publicKey: posting.publicKey,
+      game: posting.game,
+      roundId: posting.roundId,
+      amount: posting.change,
+      txId: posting.transactionId ? `ledger:${posting.transactionId}` : null,
+      reference: posting.reference,
+      details: { balance: posting.balance },
+    })
+  );
+
+  for (const event of ["requested", "approved", "broadcast", "confirmed", "failed"]) {
+    withdrawalEvents.on(event, (withdrawal) => withdrawal && withdrawalEvent(`withdrawal.${event}`, withdrawal));
+  }
+
+  console.log("🧾 Audit trail recording money movements");
+}
+
+module.exports = {
+  recordAuditEvent,
+  auditBetAccepted,
+  auditPayoutError,
+  startAuditTrail,
+};
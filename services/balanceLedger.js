@@ -0,0 +1,202 @@
+// backend/services/balanceLedger.js
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { BalanceLedger, HOUSE_ACCOUNT, CHAIN_ACCOUNT, playerAccount } = require("../models/BalanceLedger");
+
+// Bets played from the balance use `ledger:<balance_transactions.id>` where on-chain bets use a txId
+const STAKE_TX_PREFIX = "ledger:";
+
+/**
+ * Emits "posted" ({ publicKey, kind, reference, transactionId, change, balance, game, roundId })
+ * whenever a player's balance changes.
+ */
+const balanceEvents = new EventEmitter();
+
+function isBalanceStake(txId) {
+  return typeof txId === "string" && txId.startsWith(STAKE_TX_PREFIX);
+}
+
+function stakeTransactionId(txId) {
+  const id = Number.parseInt(String(txId).slice(STAKE_TX_PREFIX.length), 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function positiveAmount(amount) {
+  const n = Number(amount);
+  if (!Number.isInteger(n) || n <= 0) {
+    const err = new Error("amount must be a positive integer");
+    err.statusCode = 400;
+    throw err;
+  }
+  return n;
+}
+
+/**
+ * Post a player <-> system account movement. `change` is signed from the player's side.
+ */
+async function postPlayer({ reference, kind, publicKey, change, counterAccount, game = null, roundId = null }) {
+  const account = playerAccount(publicKey);
+  const result = await BalanceLedger.post({
+    reference,
+    kind,
+    publicKey,
+    game,
+    roundId,
+    amount: Math.abs(change),
+    entries: [
+      { account, amount: change },
+      { account: counterAccount, amount: -change },
+    ],
+  });
+
+  if (!result.duplicate) {
+    balanceEvents.emit("posted", {
+      publicKey,
+      kind,
+      reference,
+      transactionId: result.transaction.id,
+      change,
+      balance: result.balances[account],
+      game,
+      roundId,
+    });
+  }
+  return result.transaction;
+}
+
+async function getBalance(publicKey) {
+  const account = await BalanceLedger.findAccount(playerAccount(publicKey));
+  return { balance: account ? account.balance : 0, updatedAt: account ? account.updatedAt : null };
+}
+
+async function getHistory(publicKey, limit) {
+  return await BalanceLedger.findPlayerHistory(publicKey, limit);
+}
+
+/**
+ * Credit an on-chain transfer into the casino wallet. Idempotent by txId.
+ */
+async function creditDeposit({ publicKey, txId, amount }) {
+  return await postPlayer({
+    reference: `deposit:${txId}`,
+    kind: "deposit",
+    publicKey,
+    change: positiveAmount(amount),
+    counterAccount: CHAIN_ACCOUNT,
+  });
+}
+
+async function isDepositCredited(txId) {
+  return !!(await BalanceLedger.findTransactionByReference(`deposit:${txId}`));
+}
+
+/**
+ * Take a stake from the player's balance. The returned txId stands in for the
+ * bet transfer everywhere a game stores or verifies one.
+ *
+ * @returns {Promise<string>} `ledger:<id>`; throws 402 on insufficient balance
+ */
+async function placeStake({ publicKey, amount, game }) {
+  const transaction = await postPlayer({
+    reference: `stake:${game}:${crypto.randomUUID()}`,
+    kind: "bet",
+    publicKey,
+    change: -positiveAmount(amount),
+    counterAccount: HOUSE_ACCOUNT,
+    game,
+  });
+  return `${STAKE_TX_PREFIX}${transaction.id}`;
+}
+
+/**
+ * Give back a stake whose bet never took part in a game (join rejected, round closed...).
+ * Does nothing for on-chain txIds; a stake is released at most once.
+ */
+async function releaseStake(txId) {
+  if (!isBalanceStake(txId)) return null;
+  const stake = await BalanceLedger.findTransactionById(stakeTransactionId(txId));
+  if (!stake || stake.kind !== "bet") return null;
+
+  return await postPlayer({
+    reference: `release:${stake.id}`,
+    kind: "bet_release",
+    publicKey: stake.publicKey,
+    change: stake.amount,
+    counterAccount: HOUSE_ACCOUNT,
+    game: stake.game,
+  });
+}
+
+/**
+ * Check a `ledger:<id>` bet txId the way verifyBetDeposit checks a transfer:
+ * a stake of exactly `amount` by `publicId` that has not been released.
+ */
+async function verifyStake({ txId, publicId, amount }) {
+  const stake = await BalanceLedger.findTransactionById(stakeTransactionId(txId));
+  if (!stake || stake.kind !== "bet") return { ok: false, reason: "Unknown balance stake" };
+  if (stake.publicKey !== publicId) return { ok: false, reason: "Stake belongs to another wallet" };
+  if (stake.amount !== Number(amount)) {
+    return { ok: false, reason: `Stake amount ${stake.amount} does not match bet ${amount}` };
+  }
+  if (await BalanceLedger.findTransactionByReference(`release:${stake.id}`)) {
+    return { ok: false, reason: "Stake was released" };
+  }
+  return { ok: true };
+}
+
+/**
+ * Credit a win or refund of a balance bet. `reference` is the same one an
+ * on-chain payout would use, so it is credited at most once.
+ */
+async function creditWinnings({ reference, kind = "win", publicKey, amount, game, roundId }) {
+  return await postPlayer({
+    reference,
+    kind,
+    publicKey,
+    change: positiveAmount(amount),
+    counterAccount: HOUSE_ACCOUNT,
+    game,
+    roundId,
+  });
+}
+
+/**
+ * Withdrawals leave the balance when requested and come back if they fail.
+ */
+async function debitWithdrawal({ withdrawalId, publicKey, amount }) {
+  return await postPlayer({
+    reference: `withdrawal:${withdrawalId}`,
+    kind: "withdrawal",
+    publicKey,
+    change: -positiveAmount(amount),
+    counterAccount: CHAIN_ACCOUNT,
+  });
+}
+
+async function reverseWithdrawal(withdrawalId) {
+  const debit = await BalanceLedger.findTransactionByReference(`withdrawal:${withdrawalId}`);
+  if (!debit) return null;
+  return await postPlayer({
+    reference: `withdrawal-reversal:${withdrawalId}`,
+    kind: "withdrawal_reversal",
+    publicKey: debit.publicKey,
+    change: debit.amount,
+    counterAccount: CHAIN_ACCOUNT,
+  });
+}
+
+module.exports = {
+  STAKE_TX_PREFIX,
+  balanceEvents,
+  isBalanceStake,
+  getBalance,
+  getHistory,
+  creditDeposit,
+  isDepositCredited,
+  placeStake,
+  releaseStake,
+  verifyStake,
+  creditWinnings,
+  debitWithdrawal,
+  reverseWithdrawal,
+};
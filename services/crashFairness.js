@@ -0,0 +1,173 @@
+// backend/services/crashFairness.js
+const crypto = require("crypto");
+const { CrashSeedChain } = require("../models/Game");
+
+// Rounds per chain; a new chain is committed when the active one runs out
+const CRASH_CHAIN_LENGTH = Number(process.env.CRASH_CHAIN_LENGTH || 10000);
+
+// Share of rounds that bust instantly at 1.00x (= house edge), and the multiplier cap
+const CRASH_HOUSE_EDGE = Number(process.env.CRASH_HOUSE_EDGE ?? 0.01);
+const CRASH_MAX_MULTIPLIER = Number(process.env.CRASH_MAX_MULTIPLIER ?? 1000);
+
+if (!(CRASH_HOUSE_EDGE >= 0 && CRASH_HOUSE_EDGE < 1)) {
+  throw new Error(`CRASH_HOUSE_EDGE must be in [0, 1), got ${process.env.CRASH_HOUSE_EDGE}`);
+}
+if (!(CRASH_MAX_MULTIPLIER >= 1.01)) {
+  throw new Error(`CRASH_MAX_MULTIPLIER must be at least 1.01, got ${process.env.CRASH_MAX_MULTIPLIER}`);
+}
+
+function sha256Hex(str) {
+  return crypto.createHash("sha256").update(str).digest("hex");
+}
+
+/**
+ * Apply sha256 `times` times (hex in, hex out).
+ */
+function hashRepeated(seed, times) {
+  let h = String(seed);
+  for (let i = 0; i < times; i += 1) h = sha256Hex(h);
+  return h;
+}
+
+/**
+ * Parameters new rounds are played with (stored on each round).
+ */
+function crashParams() {
+  return { houseEdge: CRASH_HOUSE_EDGE, maxMultiplier: CRASH_MAX_MULTIPLIER };
+}
+
+/**
+ * Parameters a stored round was played with. Rounds from before the house edge
+ * was introduced have none and use the legacy formula (houseEdge null).
+ */
+function crashParamsOf(round) {
+  const houseEdge = round?.houseEdge;
+  if (houseEdge === null || houseEdge === undefined || Number.isNaN(Number(houseEdge))) {
+    return { houseEdge: null, maxMultiplier: 1000 };
+  }
+  return { houseEdge: Number(houseEdge), maxMultiplier: Number(round.maxMultiplier) || CRASH_MAX_MULTIPLIER };
+}
+
+/**
+ * Provably-fair crash point (deterministic from seeds).
+ * privateSeed is the round's chain hash, publicSeed is the chain salt.
+ *
+ * u = first 52 bits of HMAC / 2^52, crash = floor(100 * (1 - edge) / (1 - u)) / 100,
+ * anything below 1.00x busts at 1.00x (probability = edge), capped at maxMultiplier.
+ * So P(crash >= x) = (1 - edge) / x and every cashout target returns 1 - edge.
+ *
+ * IMPORTANT: your frontend "fairness verify" must use the SAME algorithm and parameters.
+ */
+function crashPointFromSeeds(publicSeed, privateSeed, params = crashParams()) {
+  // HMAC(privateSeed, publicSeed)
+  const h = crypto.createHmac("sha256", privateSeed).update(publicSeed).digest("hex");
+
+  // first 52 bits = 13 hex chars
+  const r = BigInt("0x" + h.slice(0, 13));
+  const E = 1n << 52n;
+
+  // crash * 100 as bigint
+  let crash100;
+  if (params.houseEdge === null) {
+    // legacy rounds: no house edge
+    crash100 = ((100n * E) - r) / (E - r);
+  } else {
+    const keepBps = BigInt(Math.round((1 - params.houseEdge) * 10000));
+    crash100 = (keepBps * E) / (100n * (E - r));
+  }
+
+  const MAX100 = BigInt(Math.floor(params.maxMultiplier * 100));
+  if (crash100 > MAX100) crash100 = MAX100;
+  if (crash100 < 100n) crash100 = 100n; // instant bust
+
+  return Number(crash100) / 100;
+}
+
+/**
+ * Theoretical return of a cashout target under the given parameters.
+ * Targets above the cap never pay.
+ */
+function theoreticalRtp(target, params = crashParams()) {
+  const edge = params.houseEdge ?? 0;
+  const x = Math.floor(Number(target) * 100) / 100;
+  if (!Number.isFinite(x) || x < 1.01) return null;
+  if (x > params.maxMultiplier) {
+    return { target: x, winProbability: 0, rtp: 0 };
+  }
+  const winProbability = (1 - edge) / x;
+  return { target: x, winProbability, rtp: winProbability * x };
+}
+
+/**
+ * Seed of round `index` (1-based) in a chain: sha256^(length - index)(rootSeed).
+ * Round index k hashes k times to the terminal hash.
+ */
+function chainSeedAt(chain, index) {
+  return hashRepeated(chain.rootSeed, chain.length - index);
+}
+
+/**
+ * True if `seed` is round `index` of the chain committed to by `terminalHash`.
+ */
+function verifyChainSeed(seed, index, terminalHash) {
+  if (!seed || !Number.isInteger(Number(index)) || Number(index) < 1) return false;
+  return hashRepeated(seed, Number(index)) === String(terminalHash);
+}
+
+async function createChain(length = CRASH_CHAIN_LENGTH) {
+  const rootSeed = crypto.randomBytes(32).toString("hex");
+  const salt = crypto.randomBytes(32).toString("hex");
+  const terminalHash = hashRepeated(rootSeed, length);
+
+  const chain = await CrashSeedChain.create({ rootSeed, terminalHash, salt, length });
+  console.log(`[CRASH] Committed seed chain #${chain.id} (${length} rounds), terminal hash ${terminalHash}`);
+  return chain;
+}
+
+/**
+ * Take the next round's seeds from the active chain, committing a new chain
+ * when the current one is used up.
+ *
+ * @returns {Promise<{chainId, chainIndex, publicSeed, privateSeed, privateHash}>}
+ */
+async function nextRoundSeeds() {
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    let chain = await CrashSeedChain.findActive();
+    if (!chain) chain = await createChain();
+
+    if (chain.nextIndex > chain.length) {
+      await CrashSeedChain.markExhausted(chain.id);
+      continue;
+    }
+
+    const index = chain.nextIndex;
+    if (!(await CrashSeedChain.claimIndex(chain.id, index))) continue;
+    if (index === chain.length) await CrashSeedChain.markExhausted(chain.id);
+
+    const privateSeed = chainSeedAt(chain, index);
+    return {
+      chainId: chain.id,
+      chainIndex: index,
+      publicSeed: chain.salt,
+      privateSeed,
+      // = seed of the previous round, so each reveal links to the one before it
+      privateHash: sha256Hex(privateSeed),
+    };
+  }
+
+  throw new Error("Could not reserve a crash seed from the hash chain");
+}
+
+module.exports = {
+  CRASH_CHAIN_LENGTH,
+  CRASH_HOUSE_EDGE,
+  CRASH_MAX_MULTIPLIER,
+  sha256Hex,
+  crashParams,
+  crashParamsOf,
+  crashPointFromSeeds,
+  theoreticalRtp,
+  chainSeedAt,
+  verifyChainSeed,
+  nextRoundSeeds,
+};
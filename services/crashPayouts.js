@@ -0,0 +1,133 @@
+// backend/services/crashPayouts.js
+const { Bet } = require("../models/Bet");
+const { Payout } = require("../models/Payout");
+const { payWinnings, retryPayout } = require("./payoutQueue");
+const { isBalanceStake } = require("./balanceLedger");
+
+// How often won-but-unpaid crash bets are handed to the payout queue again
+const CRASH_PAYOUT_RETRY_MS = Number(process.env.CRASH_PAYOUT_RETRY_MS || 60 * 1000);
+const RETRY_BATCH = 50;
+
+let retryTimer = null;
+let running = false;
+let started = false;
+
+function crashPayoutReference(betId) {
+  return `crash:bet:${betId}`;
+}
+
+/**
+ * Pay a won crash bet (queue its transfer, or credit the balance for balance bets).
+ * Idempotent: the bet id is the payout reference, as for a live cashout.
+ */
+async function payWonCrashBet(bet) {
+  const payout = await payWinnings({
+    betTxId: bet.txId,
+    reference: crashPayoutReference(bet.id),
+    game: "crash",
+    roundId: bet.roundId,
+    betId: bet.id,
+    publicKey: bet.publicKey,
+    amount: bet.payoutAmount,
+  });
+  if (payout.status === "credited") await Bet.setPayoutTxId(bet.id, payout.txId);
+  return payout;
+}
+
+/**
+ * Hand every won-but-unpaid crash bet (cashed out, but its payout could not be queued)
+ * to the payout queue again. Returns the number paid, or null if a run is in progress.
+ */
+async function retryUnpaidCrashWins() {
+  if (running) return null;
+  running = true;
+  let paid = 0;
+  try {
+    const bets = await Bet.findUnpaidWins("crash", { limit: RETRY_BATCH });
+    for (const bet of bets) {
+      try {
+        await payWonCrashBet(bet);
+        paid += 1;
+        console.log(`[CRASH] Unpaid win of bet #${bet.id} (${bet.payoutAmount}) handed to the payout queue`);
+      } catch (e) {
+        console.error(`[CRASH] Unpaid win of bet #${bet.id} still failing:`, e?.message || e);
+      }
+    }
+    return paid;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Player claim for a won crash bet (default: the wallet's oldest unpaid win, then its latest
+ * failed payout). Same rules as claimSlidePayout (services/slidePayouts.js).
+ * Returns { bet, payout, payoutStatus }.
+ */
+async function claimCrashPayout(publicKey, betId = null) {
+  let bet = null;
+  if (betId) {
+    bet = await Bet.findById(betId);
+  } else {
+    [bet] = await Bet.findUnpaidWins("crash", { publicKey, limit: 1 });
+    if (!bet) {
+      const [failed] = await Payout.search({ status: "failed", game: "crash", publicKey }, 1);
+      if (failed?.betId) bet = await Bet.findById(failed.betId);
+    }
+  }
+
+  if (!bet || bet.game !== "crash") {
+    const err = new Error("No unpaid crash win found");
+    err.statusCode = 404;
+    throw err;
+  }
+  if (bet.publicKey !== publicKey) {
+    const err = new Error("Bet does not belong to requester");
+    err.statusCode = 403;
+    throw err;
+  }
+  if (bet.outcome !== "won" || !(bet.payoutAmount > 0)) {
+    const err = new Error(`Bet has nothing to claim (${bet.outcome})`);
+    err.statusCode = 400;
+    throw err;
+  }
+
+  let payout = isBalanceStake(bet.txId) ? null : await retryPayout(crashPayoutReference(bet.id));
+  if (!payout) payout = await payWonCrashBet(bet);
+  if (payout.status === "voided") {
+    const err = new Error("This payout was voided by an operator");
+    err.statusCode = 409;
+    throw err;
+  }
+  const payoutStatus = payout.status === "retry" || payout.status === "rebroadcast" ? "queued" : payout.status;
+  return { bet, payout, payoutStatus };
+}
+
+/**
+ * Start retrying unpaid crash wins in the background (once per process).
+ */
+function startCrashPayoutRetry() {
+  if (started) return;
+  started = true;
+
+  const run = () =>
+    retryUnpaidCrashWins().catch((e) => console.error("[CRASH] Unpaid win retry error:", e?.message || e));
+  retryTimer = setInterval(run, CRASH_PAYOUT_RETRY_MS);
+  setImmediate(run);
+  console.log(`🚀 Crash unpaid win retry started (every ${CRASH_PAYOUT_RETRY_MS}ms)`);
+}
+
+function stopCrashPayoutRetry() {
+  if (retryTimer) clearInterval(retryTimer);
+  retryTimer = null;
+  started = false;
+}
+
+module.exports = {
+  crashPayoutReference,
+  payWonCrashBet,
+  retryUnpaidCrashWins,
+  claimCrashPayout,
+  startCrashPayoutRetry,
+  stopCrashPayoutRetry,
+};
@@ -0,0 +1,120 @@
+// backend/services/depositVerification.js
+const { normalizeQubicPublicId } = require("../utils/validation");
+const { isBalanceStake, isDepositCredited, verifyStake } = require("./balanceLedger");
+const { getLastProcessedTick, fetchTransaction, fetchMoneyFlew } = require("./qubicRpc");
+
+/**
+ * Result states of a bet deposit check:
+ * - CONFIRMED: tx is in a processed tick and matches player -> casino, amount = bet
+ * - PENDING:   tx not indexed yet, its tick is not final, its execution status is unknown,
+ *              or RPC is unreachable (check again later)
+ * - REJECTED:  tx exists but does not match the bet (or the transfer did not execute)
+ */
+const DEPOSIT_STATUS = {
+  CONFIRMED: "CONFIRMED",
+  PENDING: "PENDING",
+  REJECTED: "REJECTED",
+};
+
+// How often callers should re-check a PENDING deposit, and when to give up
+const DEPOSIT_RECHECK_MS = Number(process.env.DEPOSIT_RECHECK_MS || 3000);
+const DEPOSIT_VERIFY_TIMEOUT_MS = Number(process.env.DEPOSIT_VERIFY_TIMEOUT_MS || 120_000);
+
+function pending(reason) {
+  return { status: DEPOSIT_STATUS.PENDING, reason };
+}
+
+function rejected(reason) {
+  return { status: DEPOSIT_STATUS.REJECTED, reason };
+}
+
+/**
+ * Verify that txId is a finalized transfer from `publicId` (any source when null) to CASINO_PUBLIC_ID,
+ * of exactly `amount` QU when given (any amount when null).
+ *
+ * @returns {Promise<{status: string, reason?: string, tick?: number, amount?: number, sourceId?: string}>}
+ */
+async function verifyCasinoTransfer({ txId, publicId, amount = null }) {
+  const casinoId = normalizeQubicPublicId(process.env.CASINO_PUBLIC_ID || "");
+  if (!casinoId) {
+    throw new Error("CASINO_PUBLIC_ID missing in .env");
+  }
+
+  const id = String(txId || "").trim();
+  if (!id) return rejected("Missing txId");
+
+  const player = publicId === null ? null : normalizeQubicPublicId(publicId);
+  const expected = amount === null ? null : Number(amount);
+  if (expected !== null && (!Number.isInteger(expected) || expected <= 0)) return rejected("Invalid bet amount");
+
+  let tx;
+  try {
+    tx = await fetchTransaction(id);
+  } catch (error) {
+    console.warn("[DEPOSIT] tx lookup failed:", error?.message || error);
+    return pending("RPC unavailable");
+  }
+  if (!tx) return pending("Transaction not indexed yet");
+
+  const source = normalizeQubicPublicId(tx.sourceId || tx.source || "");
+  const dest = normalizeQubicPublicId(tx.destId || tx.destination || "");
+  const txAmount = Number(tx.amount);
+  const tick = Number(tx.tickNumber ?? tx.tick);
+
+  if (player !== null && source !== player) return rejected("Transaction source does not match player wallet");
+  if (dest !== casinoId) return rejected("Transaction destination is not the casino wallet");
+  if (expected !== null && txAmount !== expected) {
+    return rejected(`Transaction amount ${txAmount} does not match bet ${expected}`);
+  }
+  if (!Number.isInteger(txAmount) || txAmount <= 0) return rejected("Transaction has no amount");
+
+  let lastTick;
+  try {
+    lastTick = await getLastProcessedTick();
+  } catch (error) {
+    console.warn("[DEPOSIT] status lookup failed:", error?.message || error);
+    return pending("RPC unavailable");
+  }
+  if (!Number.isFinite(tick) || tick > lastTick) return pending("Tick not final yet");
+
+  // Included is not executed (e.g. the source could not cover it): only a known transfer counts
+  const moneyFlew = await fetchMoneyFlew(id);
+  if (moneyFlew === false) return rejected("Transfer was not executed");
+  if (moneyFlew !== true) return pending("Transfer execution status unknown");
+
+  return { status: DEPOSIT_STATUS.CONFIRMED, tick, amount: txAmount, sourceId: source };
+}
+
+/**
+ * Verify that txId is a finalized transfer of exactly `amount` QU
+ * from `publicId` to CASINO_PUBLIC_ID. Bets played from the balance carry a
+ * `ledger:<id>` txId instead, which is checked against the balance ledger.
+ *
+ * Never throws for RPC trouble: an unreachable RPC yields PENDING so the
+ * bet can sit in a "verifying" state instead of being rejected.
+ *
+ * @returns {Promise<{status: string, reason?: string, tick?: number}>}
+ */
+async function verifyBetDeposit({ txId, publicId, amount }) {
+  const player = normalizeQubicPublicId(publicId);
+
+  if (isBalanceStake(txId)) {
+    const stake = await verifyStake({ txId, publicId: player, amount });
+    return stake.ok ? { status: DEPOSIT_STATUS.CONFIRMED } : rejected(stake.reason);
+  }
+
+  // A transfer already credited to the balance can't also pay for a bet
+  if (txId && (await isDepositCredited(String(txId).trim()))) {
+    return rejected("Transaction was already credited to your balance");
+  }
+
+  return await verifyCasinoTransfer({ txId, publicId: player, amount });
+}
+
+module.exports = {
+  DEPOSIT_STATUS,
+  DEPOSIT_RECHECK_MS,
+  DEPOSIT_VERIFY_TIMEOUT_MS,
+  verifyBetDeposit,
+  verifyCasinoTransfer,
+};
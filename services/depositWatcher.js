@@ -0,0 +1,235 @@
+// backend/services/depositWatcher.js
+const { EventEmitter } = require("events");
+const { Deposit, DepositCursor, DEPOSIT_RECORD_STATUS } = require("../models/Deposit");
+const { Bet } = require("../models/Bet");
+const { Wallet } = require("../models/Wallet");
+const { TxClaim, TX_CLAIM_KIND } = require("../models/TxClaim");
+const { normalizeQubicPublicId } = require("../utils/validation");
+const { getLastProcessedTick, fetchIdentityTransfers } = require("./qubicRpc");
+const { creditDeposit, isDepositCredited, getBalance, isBalanceStake } = require("./balanceLedger");
+const { DEPOSIT_STATUS, verifyCasinoTransfer } = require("./depositVerification");
+
+const DEPOSIT_WATCH_POLL_MS = Number(process.env.DEPOSIT_WATCH_POLL_MS || 5000);
+// Ticks requested from the transfer history per call
+const DEPOSIT_WATCH_MAX_TICKS = Number(process.env.DEPOSIT_WATCH_MAX_TICKS || 500);
+// First tick to scan when no cursor is stored yet (default: start from the current tick)
+const DEPOSIT_WATCH_START_TICK = Number(process.env.DEPOSIT_WATCH_START_TICK || 0);
+// A handed-back bet transfer still not final after this long is given up (it never made it on-chain)
+const DEPOSIT_PENDING_MAX_AGE_MS = Number(process.env.DEPOSIT_PENDING_MAX_AGE_MS || 24 * 60 * 60 * 1000);
+const DEPOSIT_PENDING_BATCH_SIZE = 20;
+
+/**
+ * Emits "confirmed" ({ txId, publicKey, amount, tick, balance }) when a deposit
+ * is credited to a player's balance.
+ */
+const depositEvents = new EventEmitter();
+
+let workerTimer = null;
+let running = false;
+let started = false;
+
+function casinoIdentity() {
+  const casinoId = normalizeQubicPublicId(process.env.CASINO_PUBLIC_ID || "");
+  if (!casinoId) throw new Error("CASINO_PUBLIC_ID missing in .env");
+  return casinoId;
+}
+
+/**
+ * Credit a confirmed transfer from `publicKey` to the casino wallet. Idempotent by txId:
+ * returns false if it was already credited (by the watcher or POST /api/balance/deposit).
+ * The transfer is claimed first, so it is never credited once a bet holds it (409) and
+ * no bet can take it afterwards.
+ */
+async function acceptDeposit({ txId, publicKey, amount, tick = null }) {
+  const held = await TxClaim.claim({ txId, kind: TX_CLAIM_KIND.DEPOSIT, publicKey });
+  if (held && held.kind !== TX_CLAIM_KIND.DEPOSIT) {
+    const err = new Error("This transaction already paid for a bet");
+    err.statusCode = 409;
+    throw err;
+  }
+
+  const alreadyCredited = await isDepositCredited(txId);
+  await creditDeposit({ publicKey, txId, amount });
+  await Deposit.record({
+    txId,
+    sourceId: publicKey,
+    publicKey,
+    amount,
+    tick,
+    status: DEPOSIT_RECORD_STATUS.CREDITED,
+  });
+  if (alreadyCredited) return false;
+
+  console.log(`📥 Deposit ${String(txId).slice(0, 10)}... credited: ${amount} QU to ${publicKey.slice(0, 10)}...`);
+  const { balance } = await getBalance(publicKey);
+  depositEvents.emit("confirmed", { txId, publicKey, amount, tick, balance });
+  return true;
+}
+
+async function handleTransfer(transfer, casinoId) {
+  const source = normalizeQubicPublicId(transfer.sourceId || "");
+  const dest = normalizeQubicPublicId(transfer.destId || "");
+  if (dest !== casinoId || source === casinoId) return;
+  if (!transfer.txId || !Number.isInteger(transfer.amount) || transfer.amount <= 0) return;
+  if (transfer.moneyFlew === false) return;
+
+  const recorded = await Deposit.findByTxId(transfer.txId);
+  if (recorded && recorded.status !== DEPOSIT_RECORD_STATUS.PENDING) return;
+  // Bet transfers pay for their bet; they are not deposits (removeUnplayedBet hands them back)
+  if ((await TxClaim.find(transfer.txId))?.kind === TX_CLAIM_KIND.BET) return;
+
+  if (!(await Wallet.exists(source))) {
+    await Deposit.record({
+      txId: transfer.txId,
+      sourceId: source,
+      amount: transfer.amount,
+      tick: transfer.tick,
+      status: DEPOSIT_RECORD_STATUS.UNMATCHED,
+    });
+    console.warn(`📥 Transfer ${transfer.txId.slice(0, 10)}... from unregistered wallet ${source.slice(0, 10)}... not credited`);
+    return;
+  }
+
+  try {
+    await acceptDeposit({ txId: transfer.txId, publicKey: source, amount: transfer.amount, tick: transfer.tick });
+  } catch (e) {
+    // A bet claimed it since the check above
+    if (e.statusCode !== 409) throw e;
+  }
+}
+
+// Transfers of bets that never played go back to the deposits: the watcher skipped them while
+// the bets held them, so checkPendingDeposits credits them once final unless a bet takes them again
+async function handBackTransfers(bets) {
+  for (const bet of bets) {
+    if (!bet.txId || isBalanceStake(bet.txId)) continue;
+    try {
+      await Deposit.queuePending({ txId: bet.txId, publicKey: bet.publicKey, amount: bet.betAmount });
+    } catch (e) {
+      console.error(`📥 Could not hand back transfer ${String(bet.txId).slice(0, 10)}...:`, e?.message || e);
+    }
+  }
+  return bets;
+}
+
+/**
+ * Remove a bet that never played (see Bet.remove) and hand its transfer to the deposits.
+ */
+async function removeUnplayedBet(betId) {
+  return await handBackTransfers(await Bet.remove(betId));
+}
+
+/**
+ * Remove a round's bets that never played (see Bet.removeByRound) and hand their transfers to the deposits.
+ */
+async function removeUnplayedRound(game, roundId) {
+  return await handBackTransfers(await Bet.removeByRound(game, roundId));
+}
+
+async function checkPendingDeposit(deposit, casinoId) {
+  if ((await TxClaim.find(deposit.txId))?.kind === TX_CLAIM_KIND.BET) {
+    // Used for a bet again; handed back once more if that bet does not play either
+    await Deposit.discardPending(deposit.txId);
+    return;
+  }
+
+  const verification = await verifyCasinoTransfer({ txId: deposit.txId, publicId: null });
+  if (verification.status === DEPOSIT_STATUS.CONFIRMED) {
+    await handleTransfer(
+      {
+        txId: deposit.txId,
+        sourceId: verification.sourceId,
+        destId: casinoId,
+        amount: verification.amount,
+        tick: verification.tick,
+        moneyFlew: true,
+      },
+      casinoId
+    );
+    return;
+  }
+
+  const expired = Date.now() - new Date(deposit.createdAt).getTime() > DEPOSIT_PENDING_MAX_AGE_MS;
+  if (verification.status === DEPOSIT_STATUS.REJECTED || expired) {
+    await Deposit.markRejected(deposit.txId);
+    console.warn(`📥 Transfer ${deposit.txId.slice(0, 10)}... of a dropped bet not credited: ${verification.reason}`);
+  }
+}
+
+/**
+ * Credit the transfers of bets that never played once they are final.
+ */
+async function checkPendingDeposits(casinoId) {
+  for (const deposit of await Deposit.findPending(DEPOSIT_PENDING_BATCH_SIZE)) {
+    try {
+      await checkPendingDeposit(deposit, casinoId);
+    } catch (e) {
+      console.error(`📥 Pending deposit ${deposit.txId.slice(0, 10)}... check error:`, e?.message || e);
+    }
+  }
+}
+
+/**
+ * Scan the casino wallet's transfer history from the stored cursor up to the last processed tick.
+ * The cursor only moves past a range once every transfer in it was handled.
+ */
+async function scanDeposits() {
+  if (running) return;
+  running = true;
+  try {
+    const casinoId = casinoIdentity();
+    const cursorName = `casino:${casinoId}`;
+    const lastTick = await getLastProcessedTick();
+
+    let cursor = await DepositCursor.get(cursorName);
+    if (cursor === null) {
+      cursor = DEPOSIT_WATCH_START_TICK > 0 ? DEPOSIT_WATCH_START_TICK - 1 : lastTick;
+      await DepositCursor.set(cursorName, cursor);
+      console.log(`📥 Deposit watcher starting after tick ${cursor}`);
+    }
+
+    while (cursor < lastTick) {
+      const endTick = Math.min(lastTick, cursor + DEPOSIT_WATCH_MAX_TICKS);
+      const transfers = await fetchIdentityTransfers(casinoId, { startTick: cursor + 1, endTick });
+      for (const transfer of transfers) {
+        await handleTransfer(transfer, casinoId);
+      }
+      await DepositCursor.set(cursorName, endTick);
+      cursor = endTick;
+    }
+
+    await checkPendingDeposits(casinoId);
+  } catch (e) {
+    console.error("📥 Deposit watcher error:", e?.message || e);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the background watcher (once per process).
+ */
+function startDepositWatcher() {
+  if (started) return;
+  started = true;
+
+  workerTimer = setInterval(scanDeposits, DEPOSIT_WATCH_POLL_MS);
+  setImmediate(() => scanDeposits());
+  console.log(`📥 Deposit watcher started (poll ${DEPOSIT_WATCH_POLL_MS}ms)`);
+}
+
+function stopDepositWatcher() {
+  if (workerTimer) clearInterval(workerTimer);
+  workerTimer = null;
+  started = false;
+}
+
+module.exports = {
+  depositEvents,
+  acceptDeposit,
+  removeUnplayedBet,
+  removeUnplayedRound,
+  scanDeposits,
+  startDepositWatcher,
+  stopDepositWatcher,
+};
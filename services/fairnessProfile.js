@@ -0,0 +1,135 @@
+// backend/services/fairnessProfile.js
+const crypto = require("crypto");
+const { FairnessProfile, RevealedSeed } = require("../models/FairnessProfile");
+
+const CLIENT_SEED_MAX_LEN = 64;
+
+// Rotation waits this long after the last nonce was taken, so a session that is
+// still being stored can't have its seed revealed
+const FAIRNESS_ROTATE_GRACE_SECONDS = Number(process.env.FAIRNESS_ROTATE_GRACE_SECONDS || 30);
+
+function sha256Hex(str) {
+  return crypto.createHash("sha256").update(str).digest("hex");
+}
+
+function newServerSeed() {
+  const serverSeed = crypto.randomBytes(32).toString("hex");
+  return { serverSeed, serverSeedHash: sha256Hex(serverSeed) };
+}
+
+function randomClientSeed() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+/**
+ * Client seed as supplied by the player (printable ASCII, no spaces, 1-64 chars).
+ */
+function normalizeClientSeed(value) {
+  const seed = value === undefined || value === null ? "" : String(value).trim();
+  if (!/^[\x21-\x7e]+$/.test(seed) || seed.length > CLIENT_SEED_MAX_LEN) {
+    const err = new Error(`clientSeed must be 1-${CLIENT_SEED_MAX_LEN} printable characters without spaces`);
+    err.statusCode = 400;
+    throw err;
+  }
+  return seed;
+}
+
+/**
+ * The wallet's profile, created with a fresh server seed and a random client seed on first use.
+ */
+async function getProfile(publicKey) {
+  return (
+    (await FairnessProfile.findByWallet(publicKey)) ||
+    (await FairnessProfile.createIfMissing(publicKey, { ...newServerSeed(), clientSeed: randomClientSeed() }))
+  );
+}
+
+/**
+ * What the player may see: never the active server seed.
+ */
+function toPublicProfile(profile) {
+  return {
+    serverSeedHash: profile.serverSeedHash,
+    clientSeed: profile.clientSeed,
+    nonce: profile.nonce,
+    committedAt: profile.committedAt,
+  };
+}
+
+async function setClientSeed(publicKey, clientSeed) {
+  const seed = normalizeClientSeed(clientSeed);
+  await getProfile(publicKey);
+  return await FairnessProfile.setClientSeed(publicKey, seed);
+}
+
+/**
+ * Reveal the active server seed and commit a new one. `clientSeed` (optional)
+ * replaces the client seed for the new server seed.
+ *
+ * @returns {Promise<{revealed: object, profile: object}>}
+ */
+async function rotateServerSeed(publicKey, { clientSeed } = {}) {
+  const nextClientSeed =
+    clientSeed === undefined || clientSeed === null || clientSeed === "" ? null : normalizeClientSeed(clientSeed);
+
+  await getProfile(publicKey);
+  const revealed = await FairnessProfile.rotate(
+    publicKey,
+    { ...newServerSeed(), clientSeed: nextClientSeed },
+    { graceSeconds: FAIRNESS_ROTATE_GRACE_SECONDS }
+  );
+  const profile = await FairnessProfile.findByWallet(publicKey);
+  console.log(`🎲 Rotated server seed for ${String(publicKey).slice(0, 10)}... (${revealed.nonceCount} games)`);
+  return { revealed, profile };
+}
+
+/**
+ * Reserve the next nonce for a game.
+ *
+ * @returns {Promise<{serverSeed, serverSeedHash, clientSeed, nonce}>}
+ */
+async function takeNonce(publicKey) {
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const profile = await getProfile(publicKey);
+    if (!(await FairnessProfile.claimNonce(profile))) continue;
+
+    return {
+      serverSeed: profile.serverSeed,
+      serverSeedHash: profile.serverSeedHash,
+      clientSeed: profile.clientSeed,
+      nonce: profile.nonce,
+    };
+  }
+
+  throw new Error("Could not reserve a fairness nonce");
+}
+
+/**
+ * The server seed of a stored session if it may be shown: once it has been rotated
+ * out of the wallet's profile (sessions from before profiles had their own seed).
+ * Returns null while the seed is still active.
+ */
+async function revealableServerSeed(publicKey, { serverSeed, serverSeedHash }) {
+  if (!serverSeed) return null;
+  const profile = await FairnessProfile.findByWallet(publicKey);
+  if (profile && profile.serverSeedHash === serverSeedHash) return null;
+  return serverSeed;
+}
+
+async function listRevealedSeeds(publicKey, limit = 20) {
+  return await RevealedSeed.findByWallet(publicKey, limit);
+}
+
+module.exports = {
+  CLIENT_SEED_MAX_LEN,
+  FAIRNESS_ROTATE_GRACE_SECONDS,
+  sha256Hex,
+  normalizeClientSeed,
+  getProfile,
+  toPublicProfile,
+  setClientSeed,
+  rotateServerSeed,
+  takeNonce,
+  revealableServerSeed,
+  listRevealedSeeds,
+};
@@ -0,0 +1,65 @@
+// backend/services/gameControl.js
+const { GameSetting } = require("../models/GameSetting");
+const { BET_GAMES } = require("../models/Bet");
+
+// Pause switches are read on every bet; keep them this long before reading again
+const GAME_SETTINGS_CACHE_MS = Number(process.env.GAME_SETTINGS_CACHE_MS || 5000);
+
+let cache = null; // { at, byGame: Map<game, setting> }
+
+async function loadSettings() {
+  if (cache && Date.now() - cache.at < GAME_SETTINGS_CACHE_MS) return cache.byGame;
+  const rows = await GameSetting.findAll();
+  cache = { at: Date.now(), byGame: new Map(rows.map((s) => [s.game, s])) };
+  return cache.byGame;
+}
+
+function requireGame(game) {
+  if (!BET_GAMES.includes(game)) {
+    const err = new Error(`Unknown game "${game}" (one of ${BET_GAMES.join(", ")})`);
+    err.statusCode = 400;
+    throw err;
+  }
+}
+
+/**
+ * Every game with its pause switch: [{ game, paused, pauseReason, updatedBy, updatedAt }].
+ */
+async function getGameSettings() {
+  const byGame = await loadSettings();
+  return BET_GAMES.map(
+    (game) => byGame.get(game) || { game, paused: false, pauseReason: null, updatedBy: null, updatedAt: null }
+  );
+}
+
+/**
+ * Pause or resume new bets on a game. Games already staked can still be finished.
+ */
+async function setGamePaused(game, { paused, reason = null, changedBy }) {
+  requireGame(game);
+  if (!changedBy) throw new Error("changedBy is required");
+
+  const setting = await GameSetting.setPaused(game, { paused, reason, updatedBy: changedBy });
+  cache = null;
+  console.log(`🎛️ ${game} ${paused ? "paused" : "resumed"} by ${changedBy}` + (paused && reason ? ` (${reason})` : ""));
+  return setting;
+}
+
+/**
+ * Throw 403 (code GAME_PAUSED) if new bets on `game` are paused.
+ */
+async function assertGameOpen(game) {
+  const setting = (await loadSettings()).get(game);
+  if (!setting?.paused) return;
+
+  const err = new Error(`${game} is paused${setting.pauseReason ? `: ${setting.pauseReason}` : ""}`);
+  err.statusCode = 403;
+  err.code = "GAME_PAUSED";
+  throw err;
+}
+
+module.exports = {
+  getGameSettings,
+  setGamePaused,
+  assertGameOpen,
+};
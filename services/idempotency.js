@@ -0,0 +1,107 @@
+// backend/services/idempotency.js
+const crypto = require("crypto");
+const { IdempotencyKey } = require("../models/IdempotencyKey");
+
+// How long a key is remembered; after that the same key starts a new request
+const IDEMPOTENCY_KEY_TTL_MS = Number(process.env.IDEMPOTENCY_KEY_TTL_MS || 24 * 60 * 60 * 1000);
+const MAX_KEY_LENGTH = 128;
+
+function requestHash(req) {
+  return crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.baseUrl || ""}${req.path || ""}\n${JSON.stringify(req.body ?? null)}`)
+    .digest("hex");
+}
+
+// Answers that are not the request's outcome and must not be replayed: server errors,
+// 202 VERIFYING (the same request is expected again once the bet transaction is final) and
+// 409 conflicts (e.g. a session changed by a concurrent request; the client is told to try again)
+function isFinalAnswer(statusCode) {
+  return statusCode < 500 && statusCode !== 202 && statusCode !== 409;
+}
+
+/**
+ * Express middleware honouring an `Idempotency-Key` header on a wallet's request (after requireWallet).
+ * The first request with a key runs and its answer is stored; a retry with the same key and body gets
+ * that answer back (header `Idempotent-Replayed: true`) without running again. The same key with a
+ * different body is refused (422), and so is a retry while the first request is still running (409).
+ * Server errors, 202 and 409 answers are not stored: a retry with the key runs the request again.
+ * Requests without the header are not affected.
+ */
+function idempotent(scope) {
+  return async function idempotencyKey(req, res, next) {
+    const key = req.get("Idempotency-Key");
+    if (key === undefined || !req.publicId) return next();
+
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        status: "ERROR",
+        error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`,
+        code: "IDEMPOTENCY_KEY_INVALID",
+      });
+    }
+
+    const publicKey = req.publicId;
+    const hash = requestHash(req);
+    let existing;
+    try {
+      existing = await IdempotencyKey.claim({
+        publicKey,
+        scope,
+        key,
+        requestHash: hash,
+        ttlSeconds: IDEMPOTENCY_KEY_TTL_MS / 1000,
+      });
+    } catch (e) {
+      console.error(`❌ Idempotency key check failed (${scope}):`, e?.message || e);
+      return res.status(500).json({ status: "ERROR", error: "Failed to check Idempotency-Key" });
+    }
+
+    if (existing) {
+      if (existing.requestHash !== hash) {
+        return res.status(422).json({
+          status: "ERROR",
+          error: "Idempotency-Key was already used for a different request",
+          code: "IDEMPOTENCY_KEY_REUSED",
+        });
+      }
+      if (existing.statusCode === null) {
+        return res.status(409).json({
+          status: "ERROR",
+          error: "A request with this Idempotency-Key is still in progress",
+          code: "IDEMPOTENCY_KEY_IN_USE",
+        });
+      }
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.statusCode).json(existing.response);
+    }
+
+    let answered = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (answered) return json(body);
+      answered = true;
+      const statusCode = res.statusCode;
+      const stored = isFinalAnswer(statusCode)
+        ? IdempotencyKey.complete(publicKey, scope, key, { statusCode, response: body })
+        : IdempotencyKey.release(publicKey, scope, key);
+      // Sent once stored, so a retry after this answer finds it
+      stored
+        .catch((e) => console.error(`❌ Failed to store idempotent response (${scope}):`, e?.message || e))
+        .then(() => json(body));
+      return res;
+    };
+    // The request ended without an answer: free the key for a retry
+    res.on("close", () => {
+      if (answered) return;
+      answered = true;
+      IdempotencyKey.release(publicKey, scope, key).catch((e) =>
+        console.error(`❌ Failed to release idempotency key (${scope}):`, e?.message || e)
+      );
+    });
+
+    next();
+  };
+}
+
+module.exports = { idempotent };
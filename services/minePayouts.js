@@ -0,0 +1,233 @@
+// backend/services/minePayouts.js
+const { MineGame } = require("../models/Game");
+const { Bet } = require("../models/Bet");
+const { Payout } = require("../models/Payout");
+const { payWinnings, retryPayout, payoutEvents } = require("./payoutQueue");
+const { isBalanceStake } = require("./balanceLedger");
+const { fetchTransferState } = require("./qubicRpc");
+const { recordAuditEvent } = require("./auditTrail");
+
+const MINE_PAYOUT_RETRY_POLL_MS = Number(process.env.MINE_PAYOUT_RETRY_POLL_MS || 60 * 1000);
+// Sends of the same payout before it goes to the admin escalation queue
+const MINE_PAYOUT_RETRY_MAX = Number(process.env.MINE_PAYOUT_RETRY_MAX || 5);
+const MINE_PAYOUT_RETRY_BASE_MS = Number(process.env.MINE_PAYOUT_RETRY_BASE_MS || 60 * 1000);
+const MINE_PAYOUT_RETRY_MAX_MS = Number(process.env.MINE_PAYOUT_RETRY_MAX_MS || 6 * 60 * 60 * 1000);
+// An ENDED session still PENDING after this long lost track of its payout
+const MINE_PAYOUT_STALE_MS = Number(process.env.MINE_PAYOUT_STALE_MS || 10 * 60 * 1000);
+// Same margin as the payout tracker: a tx still missing this many ticks after its tick was dropped
+const PAYOUT_CONFIRM_MARGIN_TICKS = Number(process.env.PAYOUT_CONFIRM_MARGIN_TICKS || 5);
+const RETRY_BATCH = 20;
+const RETRY_ACTOR = "system:mine-payout-retry";
+
+// payout_queue status (or "credited" for balance games) -> mine_sessions.payout_status
+const MINE_PAYOUT_STATUS = {
+  queued: "PENDING",
+  sending: "PENDING",
+  sent: "SENT",
+  rebroadcast: "REBROADCAST",
+  confirmed: "CONFIRMED",
+  credited: "CONFIRMED",
+  failed: "FAILED",
+};
+
+// Payout queue states in which the queue is still working on the transfer
+const IN_FLIGHT = ["queued", "sending", "sent", "rebroadcast"];
+
+let workerTimer = null;
+let running = false;
+let started = false;
+
+function minePayoutReference(sessionId) {
+  return `mine:${sessionId}`;
+}
+
+function minePayoutStatus(queued) {
+  return MINE_PAYOUT_STATUS[queued.status] || "PENDING";
+}
+
+function retryDelayMs(attempts) {
+  return Math.min(MINE_PAYOUT_RETRY_MAX_MS, MINE_PAYOUT_RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+async function escalate(game, error) {
+  if (!(await MineGame.escalatePayout(game.id, { error }))) return;
+  console.error(`[MINE PAYOUT] Session #${game.id} escalated to the admin queue: ${error}`);
+  await recordAuditEvent({
+    type: "payout.escalated",
+    actor: RETRY_ACTOR,
+    publicKey: game.publicKey,
+    game: "mine",
+    roundId: game.id,
+    amount: game.payoutAmount,
+    txId: game.payoutTxId,
+    reference: minePayoutReference(game.id),
+    error,
+    details: { attempts: game.payoutAttempts },
+  });
+}
+
+/**
+ * Where the session's earlier transfer stands on-chain:
+ * "paid" (included and executed, with its tick), "dropped" (its tick passed without it,
+ * so it can never be included) or "unknown" (too early to tell, or no target tick to judge by).
+ * All of it is read from one endpoint, so a lagging archiver cannot make a paid transfer look dropped.
+ */
+async function priorTransferState(txId, targetTick) {
+  const transfer = await fetchTransferState(txId, targetTick, { marginTicks: PAYOUT_CONFIRM_MARGIN_TICKS });
+  if (transfer.state === "included") return { state: "paid", tick: transfer.tick };
+  if (transfer.state === "not_executed" || transfer.state === "dropped") return { state: "dropped" };
+  return { state: "unknown" };
+}
+
+/**
+ * One retry of a session picked by MineGame.findPayoutRetryDue. Never sends a transfer while an
+ * earlier one for the session may still be included. Returns what happened
+ * ("paid", "resent", "in_flight", "skipped", "waiting" or "escalated").
+ */
+async function retryMinePayout(sessionId) {
+  const game = await MineGame.findOne({ id: sessionId });
+  if (!game || !(Number(game.payoutAmount) > 0) || game.payoutEscalatedAt) return "skipped";
+  if (!["FAILED", "PENDING"].includes(game.payoutStatus)) return "skipped";
+
+  // A bomb hit after a failed cashout means the game was lost after all
+  if (game.datas.some((d) => d.mined && d.mine === "BOMB")) {
+    await escalate(game, "Payout FAILED on a session that later hit a bomb");
+    return "escalated";
+  }
+
+  const reference = minePayoutReference(game.id);
+  const payout = await Payout.findByReference(reference);
+
+  if (payout?.status === "voided") {
+    await escalate(game, payout.lastError || "Payout voided by an operator");
+    return "escalated";
+  }
+  if (payout && (IN_FLIGHT.includes(payout.status) || payout.status === "confirmed")) {
+    // The queue has it; the session only missed an update
+    await MineGame.findByIdAndUpdate(game.id, {
+      payoutStatus: minePayoutStatus(payout),
+      ...(payout.txId ? { payoutTxId: payout.txId } : {}),
+    });
+    await MineGame.recordPayoutRetry(game.id, { attempts: game.payoutAttempts, delayMs: MINE_PAYOUT_STALE_MS });
+    return "in_flight";
+  }
+
+  // Never double-pay: a transfer signed earlier must be known not to have landed before sending again.
+  // The queue row's tx is the latest one (a rebroadcast clears it once the tracker saw it dropped).
+  const sessionTxId = game.payoutTxId && !isBalanceStake(game.payoutTxId) ? game.payoutTxId : null;
+  const priorTxId = payout ? payout.txId : sessionTxId;
+  if (priorTxId) {
+    const prior = await priorTransferState(priorTxId, payout?.targetTick || null);
+    if (prior.state === "paid") {
+      if (payout && (await Payout.markPaidOnChain(payout.id, { tick: prior.tick }))) {
+        payoutEvents.emit("confirmed", await Payout.findById(payout.id));
+      }
+      await MineGame.findByIdAndUpdate(game.id, { payoutStatus: "CONFIRMED", payoutTxId: priorTxId, payoutError: null });
+      await MineGame.recordPayoutRetry(game.id, { attempts: game.payoutAttempts });
+      console.log(`[MINE PAYOUT] Session #${game.id} was already paid by ${priorTxId} (tick ${prior.tick})`);
+      return "paid";
+    }
+    if (prior.state === "unknown") {
+      if (!payout?.targetTick) {
+        await escalate(game, `Cannot tell whether earlier transfer ${priorTxId} was included`);
+        return "escalated";
+      }
+      await MineGame.recordPayoutRetry(game.id, { attempts: game.payoutAttempts, delayMs: MINE_PAYOUT_RETRY_BASE_MS });
+      return "waiting";
+    }
+  }
+
+  if (game.payoutAttempts >= MINE_PAYOUT_RETRY_MAX) {
+    await escalate(game, `Payout still failing after ${game.payoutAttempts} retries: ${game.payoutError || "unknown error"}`);
+    return "escalated";
+  }
+
+  const attempts = game.payoutAttempts + 1;
+  // Older cashouts went back to LIVE when their payout could not be queued; such a game is over either way
+  if (game.status === "LIVE" && !(await MineGame.closeFailedCashout(game.id))) return "skipped";
+  await MineGame.recordPayoutRetry(game.id, { attempts, delayMs: retryDelayMs(attempts) });
+
+  let queued = payout ? await retryPayout(reference) : null;
+  if (!queued) {
+    queued = await payWinnings({
+      betTxId: game.txId,
+      reference,
+      game: "mine",
+      roundId: game.id,
+      publicKey: game.publicKey,
+      amount: game.payoutAmount,
+    });
+  }
+  await MineGame.findByIdAndUpdate(game.id, {
+    payoutStatus: minePayoutStatus(queued),
+    payoutError: null,
+    // a requeued row still carries the dropped tx until the worker signs a new one
+    ...(queued.status === "credited" ? { payoutTxId: queued.txId } : {}),
+  });
+  await Bet.settleByRound("mine", game.id, { outcome: "won", payoutAmount: game.payoutAmount });
+  console.log(`[MINE PAYOUT] Session #${game.id} payout sent again (retry ${attempts}/${MINE_PAYOUT_RETRY_MAX})`);
+  return "resent";
+}
+
+/**
+ * Retry every due FAILED / stale PENDING mine payout. Returns the number looked at,
+ * or null if a run is in progress.
+ */
+async function retryMinePayouts() {
+  if (running) return null;
+  running = true;
+  try {
+    const ids = await MineGame.findPayoutRetryDue({
+      staleMinutes: MINE_PAYOUT_STALE_MS / 60000,
+      limit: RETRY_BATCH,
+    });
+    for (const id of ids) {
+      try {
+        await retryMinePayout(id);
+      } catch (e) {
+        // Counted as a failed retry (RPC down, enqueue error...); backs off like one
+        const error = String(e?.message || e);
+        console.error(`[MINE PAYOUT] Session #${id} retry error:`, error);
+        const game = await MineGame.findOne({ id }).catch(() => null);
+        if (game) {
+          const attempts = game.payoutAttempts + 1;
+          await MineGame.recordPayoutRetry(id, { attempts, delayMs: retryDelayMs(attempts), error }).catch(() => {});
+        }
+      }
+    }
+    return ids.length;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the background retry of mine payouts (once per process).
+ */
+function startMinePayoutRetry() {
+  if (started) return;
+  started = true;
+
+  const run = () =>
+    retryMinePayouts().catch((e) => console.error("[MINE PAYOUT] retry worker error:", e?.message || e));
+  workerTimer = setInterval(run, MINE_PAYOUT_RETRY_POLL_MS);
+  setImmediate(run);
+  console.log(
+    `[MINE PAYOUT] retry worker started (poll ${MINE_PAYOUT_RETRY_POLL_MS}ms, escalates after ${MINE_PAYOUT_RETRY_MAX} retries)`
+  );
+}
+
+function stopMinePayoutRetry() {
+  if (workerTimer) clearInterval(workerTimer);
+  workerTimer = null;
+  started = false;
+}
+
+module.exports = {
+  minePayoutReference,
+  minePayoutStatus,
+  retryMinePayout,
+  retryMinePayouts,
+  startMinePayoutRetry,
+  stopMinePayoutRetry,
+};
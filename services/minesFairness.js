@@ -0,0 +1,67 @@
+// backend/services/minesFairness.js
+const crypto = require("crypto");
+const { setClientSeed, takeNonce } = require("./fairnessProfile");
+
+const MINE_CELL_COUNT = 25;
+
+/**
+ * Bomb cells: Fisher-Yates shuffle of 0..24 driven by
+ * HMAC_SHA256(serverSeed, `${clientSeed}:${nonce}:${counter}`) (4 bytes per draw),
+ * the first `mines` cells of the shuffled board are bombs.
+ *
+ * IMPORTANT: the frontend verifier must use the SAME algorithm.
+ */
+function minePositions(serverSeed, clientSeed, nonce, mines) {
+  let counter = 0;
+  let buffer = Buffer.alloc(0);
+  function nextFloat() {
+    if (buffer.length < 4) {
+      buffer = crypto
+        .createHmac("sha256", String(serverSeed))
+        .update(`${clientSeed}:${nonce}:${counter++}`)
+        .digest();
+    }
+    const u32 = buffer.readUInt32BE(0);
+    buffer = buffer.subarray(4);
+    return u32 / 0x100000000;
+  }
+
+  const cells = Array.from({ length: MINE_CELL_COUNT }, (_, i) => i);
+  for (let i = cells.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(nextFloat() * (i + 1));
+    [cells[i], cells[j]] = [cells[j], cells[i]];
+  }
+  return cells.slice(0, Number(mines)).sort((a, b) => a - b);
+}
+
+function minesMaskFromPositions(positions) {
+  let mask = 0;
+  for (const p of positions) mask |= 1 << p;
+  return mask >>> 0;
+}
+
+/**
+ * Take the wallet's next fairness nonce for a new session. A `clientSeed` sent
+ * with the bet replaces the profile's client seed first.
+ *
+ * @returns {Promise<{privateSeed, privateSeedHash, publicSeed, nonce, positions}>}
+ *   publicSeed is the client seed (stored in mine_sessions.public_seed)
+ */
+async function takeSessionSeeds(publicKey, { clientSeed, mines }) {
+  if (clientSeed) await setClientSeed(publicKey, clientSeed);
+  const seeds = await takeNonce(publicKey);
+
+  return {
+    privateSeed: seeds.serverSeed,
+    privateSeedHash: seeds.serverSeedHash,
+    publicSeed: seeds.clientSeed,
+    nonce: seeds.nonce,
+    positions: minePositions(seeds.serverSeed, seeds.clientSeed, seeds.nonce, mines),
+  };
+}
+
+module.exports = {
+  minePositions,
+  minesMaskFromPositions,
+  takeSessionSeeds,
+};
@@ -36,4 +36,4 @@ function calculateMinesPayout({ mines, revealedGems, betAmount }) {
   };
 }
 
-module.exports = { calculateMinesPayout };
+module.exports = { HOUSE_EDGE, calculateMinesPayout };
@@ -0,0 +1,198 @@
+// backend/services/payoutQueue.js
+const { EventEmitter } = require("events");
+const { Payout } = require("../models/Payout");
+const { Bet } = require("../models/Bet");
+const { payFromCasinoToUser } = require("./qubicPayout");
+const { isBalanceStake, creditWinnings } = require("./balanceLedger");
+
+const PAYOUT_POLL_MS = Number(process.env.PAYOUT_POLL_MS || 2000);
+const PAYOUT_MAX_ATTEMPTS = Number(process.env.PAYOUT_MAX_ATTEMPTS || 6);
+const PAYOUT_BACKOFF_BASE_MS = Number(process.env.PAYOUT_BACKOFF_BASE_MS || 5000);
+const PAYOUT_BACKOFF_MAX_MS = Number(process.env.PAYOUT_BACKOFF_MAX_MS || 10 * 60 * 1000);
+const PAYOUT_BATCH_SIZE = 10;
+
+/**
+ * Emits:
+ * - "attempt"     (payout) when the worker starts sending it (payout.attempts counts this one)
+ * - "sent"        (payout) once the transfer is broadcast (payout.txId set)
+ * - "failed"      (payout) when it was given up on after PAYOUT_MAX_ATTEMPTS
+ * - "retry"       (payout, delayMs) after a failed attempt that will be retried
+ * - "confirmed"   (payout) once its tick included it (services/payoutTracker.js)
+ * - "rebroadcast" (payout) when it missed its tick and will be signed again
+ * - "voided"      (payout) when an operator gave up on a failed payout
+ */
+const payoutEvents = new EventEmitter();
+
+let workerTimer = null;
+let running = false;
+let started = false;
+
+function backoffMs(attempts) {
+  return Math.min(PAYOUT_BACKOFF_MAX_MS, PAYOUT_BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * Queue a casino -> player transfer and return right away.
+ * `reference` must be unique per payout; queueing it again returns the existing job.
+ *
+ * @returns {Promise<object>} the payout row
+ */
+async function enqueuePayout({ reference, game, roundId = null, betId = null, publicKey, amount }) {
+  const payout = await Payout.enqueue({ reference, game, roundId, betId, publicKey, amount });
+  if (started) kick();
+  return payout;
+}
+
+/**
+ * Pay a win or refund the way its stake came in: bets played from the balance
+ * (`betTxId` = `ledger:<id>`) are credited to it right away, on-chain bets are
+ * queued for a transfer. Both are keyed by `reference`, so paying twice is a no-op.
+ *
+ * @returns {Promise<object>} the payout row, or for balance bets
+ *   { id: null, reference, status: "credited", txId: "ledger:<id>" }
+ */
+async function payWinnings({ betTxId, reference, game, roundId = null, betId = null, publicKey, amount, kind = "win" }) {
+  if (isBalanceStake(betTxId)) {
+    const credit = await creditWinnings({ reference, kind, publicKey, amount, game, roundId });
+    return { id: null, reference, game, roundId, betId, publicKey, amount, status: "credited", txId: `ledger:${credit.id}` };
+  }
+  return await enqueuePayout({ reference, game, roundId, betId, publicKey, amount });
+}
+
+/**
+ * Send a failed payout again (e.g. player claim). Returns the payout, or null if it isn't failed.
+ */
+async function retryPayout(reference) {
+  const payout = await Payout.findByReference(reference);
+  if (!payout || payout.status !== "failed") return null;
+  if (!(await Payout.requeue(payout.id))) return null;
+  if (started) kick();
+  return await Payout.findById(payout.id);
+}
+
+/**
+ * Never send a failed payout (operator decision). Returns the payout, or null if it isn't failed.
+ */
+async function voidPayout(id, reason) {
+  if (!(await Payout.void(id, { reason }))) return null;
+  const payout = await Payout.findById(id);
+  console.warn(`[PAYOUT] #${payout.id} (${payout.reference}) voided: ${payout.lastError}`);
+  payoutEvents.emit("voided", payout);
+  return payout;
+}
+
+async function recordPayoutTx(payout) {
+  try {
+    if (payout.betId) {
+      await Bet.setPayoutTxId(payout.betId, payout.txId);
+    } else if (payout.roundId) {
+      await Bet.setPayoutTxIdByRound(payout.game, payout.roundId, payout.txId);
+    }
+  } catch (e) {
+    console.error("[PAYOUT] bet payout tx update error:", e?.message || e);
+  }
+}
+
+async function processPayout(payout) {
+  if (!(await Payout.claim(payout.id))) return;
+  const attempts = payout.attempts + 1;
+  payoutEvents.emit("attempt", { ...payout, status: "sending", attempts });
+
+  let result;
+  let signed = null;
+  try {
+    result = await payFromCasinoToUser({
+      toPublicId: payout.publicKey,
+      amount: payout.amount,
+      onSigned: async ({ txId, targetTick }) => {
+        await Payout.markSigned(payout.id, { txId, targetTick });
+        signed = { txId, targetTick };
+      },
+    });
+  } catch (e) {
+    const error = String(e?.message || e);
+    if (signed) {
+      // The transfer may have reached the network: never sign another one for it here,
+      // the confirmation tracker either confirms it or sends it again after its tick
+      console.warn(`[PAYOUT] #${payout.id} broadcast error (tracking txId anyway):`, error);
+      result = signed;
+    } else if (attempts >= PAYOUT_MAX_ATTEMPTS) {
+      await Payout.markFailed(payout.id, { error });
+      console.error(`[PAYOUT] #${payout.id} (${payout.reference}) failed after ${attempts} attempts:`, error);
+      payoutEvents.emit("failed", await Payout.findById(payout.id));
+    } else {
+      const delayMs = backoffMs(attempts);
+      await Payout.markRetry(payout.id, { error, delayMs });
+      console.warn(`[PAYOUT] #${payout.id} attempt ${attempts} failed, retrying in ${delayMs}ms:`, error);
+      payoutEvents.emit("retry", await Payout.findById(payout.id), delayMs);
+    }
+    if (!result) return;
+  }
+
+  await Payout.markSent(payout.id, { txId: result.txId, targetTick: result.targetTick });
+  const sent = await Payout.findById(payout.id);
+  console.log(`[PAYOUT] #${payout.id} sent ${payout.amount} to ${payout.publicKey}, txId: ${result.txId}`);
+  await recordPayoutTx(sent);
+  payoutEvents.emit("sent", sent);
+}
+
+async function runOnce() {
+  if (running) return;
+  running = true;
+  try {
+    const due = await Payout.findDue(PAYOUT_BATCH_SIZE);
+    for (const payout of due) {
+      try {
+        await processPayout(payout);
+      } catch (e) {
+        console.error(`[PAYOUT] #${payout.id} processing error:`, e?.message || e);
+      }
+    }
+  } catch (e) {
+    console.error("[PAYOUT] worker error:", e?.message || e);
+  } finally {
+    running = false;
+  }
+}
+
+function kick() {
+  setImmediate(() => runOnce());
+}
+
+/**
+ * Start the background worker (once per process).
+ */
+async function startPayoutWorker() {
+  if (started) return;
+  started = true;
+
+  try {
+    const interrupted = await Payout.releaseInterrupted();
+    for (const payout of interrupted) {
+      const next = payout.txId ? "tracking its tx" : "queued again";
+      console.warn(`[PAYOUT] #${payout.id} (${payout.reference}) was interrupted while sending; ${next}`);
+    }
+  } catch (e) {
+    console.error("[PAYOUT] startup check error:", e?.message || e);
+  }
+
+  workerTimer = setInterval(runOnce, PAYOUT_POLL_MS);
+  kick();
+  console.log(`[PAYOUT] worker started (poll ${PAYOUT_POLL_MS}ms, max ${PAYOUT_MAX_ATTEMPTS} attempts)`);
+}
+
+function stopPayoutWorker() {
+  if (workerTimer) clearInterval(workerTimer);
+  workerTimer = null;
+  started = false;
+}
+
+module.exports = {
+  payoutEvents,
+  enqueuePayout,
+  payWinnings,
+  retryPayout,
+  voidPayout,
+  startPayoutWorker,
+  stopPayoutWorker,
+};
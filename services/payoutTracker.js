@@ -0,0 +1,106 @@
+// backend/services/payoutTracker.js
+const { Payout } = require("../models/Payout");
+const { payoutEvents } = require("./payoutQueue");
+const { getLastProcessedTick, fetchTransferState } = require("./qubicRpc");
+
+const PAYOUT_TRACK_POLL_MS = Number(process.env.PAYOUT_TRACK_POLL_MS || 5000);
+// A sent transfer still missing this many ticks after its target tick was dropped
+const PAYOUT_CONFIRM_MARGIN_TICKS = Number(process.env.PAYOUT_CONFIRM_MARGIN_TICKS || 5);
+// Dropped transfers are signed again at most this many times before the payout fails
+const PAYOUT_MAX_REBROADCASTS = Number(process.env.PAYOUT_MAX_REBROADCASTS || 5);
+const PAYOUT_TRACK_BATCH_SIZE = 20;
+
+let workerTimer = null;
+let running = false;
+let started = false;
+
+async function dropped(payout, reason) {
+  if (payout.rebroadcasts >= PAYOUT_MAX_REBROADCASTS) {
+    await Payout.markFailed(payout.id, { error: `${reason}; gave up after ${payout.rebroadcasts} rebroadcasts` });
+    console.error(`[PAYOUT] #${payout.id} (${payout.reference}) ${reason}; gave up after ${payout.rebroadcasts} rebroadcasts`);
+    payoutEvents.emit("failed", await Payout.findById(payout.id));
+    return;
+  }
+
+  if (await Payout.markRebroadcast(payout.id, { error: reason })) {
+    console.warn(`[PAYOUT] #${payout.id} (${payout.reference}) ${reason}; signing it again`);
+    payoutEvents.emit("rebroadcast", await Payout.findById(payout.id));
+  }
+}
+
+async function trackPayout(payout, lastTick) {
+  if (!payout.targetTick || lastTick < payout.targetTick) return;
+
+  // A Qubic transaction is only valid for its own tick: once that tick is processed without it,
+  // it can never be included and a new one can be signed safely. The endpoint that processed the
+  // tick must also be the one that could not find the tx, in its lookup and in the tick's list.
+  const transfer = await fetchTransferState(payout.txId, payout.targetTick, {
+    marginTicks: PAYOUT_CONFIRM_MARGIN_TICKS,
+  });
+
+  if (transfer.state === "dropped") {
+    await dropped(payout, `tx ${payout.txId} missed tick ${payout.targetTick} (last processed ${transfer.lastTick})`);
+    return;
+  }
+  if (transfer.state === "not_executed") {
+    await dropped(payout, `tx ${payout.txId} was included in tick ${transfer.tick} but not executed`);
+    return;
+  }
+  if (transfer.state !== "included") return;
+
+  if (await Payout.markConfirmed(payout.id, { tick: transfer.tick })) {
+    console.log(`[PAYOUT] #${payout.id} confirmed in tick ${transfer.tick}`);
+    payoutEvents.emit("confirmed", await Payout.findById(payout.id));
+  }
+}
+
+/**
+ * Check every sent payout once: confirm it, or sign it again when it missed its tick.
+ */
+async function trackSentPayouts() {
+  if (running) return;
+  running = true;
+  try {
+    const sent = await Payout.findUnconfirmed(PAYOUT_TRACK_BATCH_SIZE);
+    if (sent.length === 0) return;
+
+    // Only to skip payouts whose tick nobody has reached; each check asks a single endpoint
+    const lastTick = await getLastProcessedTick();
+    for (const payout of sent) {
+      try {
+        await trackPayout(payout, lastTick);
+      } catch (e) {
+        console.error(`[PAYOUT] #${payout.id} confirmation check error:`, e?.message || e);
+      }
+    }
+  } catch (e) {
+    console.error("[PAYOUT] tracker error:", e?.message || e);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the confirmation tracker (once per process): sent -> confirmed, or rebroadcast
+ * when the transfer missed its tick.
+ */
+function startPayoutTracker() {
+  if (started) return;
+  started = true;
+
+  workerTimer = setInterval(trackSentPayouts, PAYOUT_TRACK_POLL_MS);
+  setImmediate(() => trackSentPayouts());
+  console.log(`[PAYOUT] tracker started (poll ${PAYOUT_TRACK_POLL_MS}ms, margin ${PAYOUT_CONFIRM_MARGIN_TICKS} ticks)`);
+}
+
+function stopPayoutTracker() {
+  if (workerTimer) clearInterval(workerTimer);
+  workerTimer = null;
+  started = false;
+}
+
+module.exports = {
+  trackSentPayouts,
+  startPayoutTracker,
+  stopPayoutTracker,
+};
@@ -0,0 +1,220 @@
+// backend/services/playerLimits.js
+const { EventEmitter } = require("events");
+const { PlayerLimit } = require("../models/PlayerLimit");
+const { Wallet } = require("../models/Wallet");
+const { Bet } = require("../models/Bet");
+const { AuthSession } = require("../models/AuthSession");
+const { assertCanBet } = require("./walletStatus");
+const { assertGameOpen } = require("./gameControl");
+
+// Raising or removing a limit only takes effect after this delay; lowering one is immediate
+const LIMIT_INCREASE_DELAY_HOURS = Number(process.env.LIMIT_INCREASE_DELAY_HOURS || 24);
+const COOL_OFF_MAX_HOURS = Number(process.env.COOL_OFF_MAX_HOURS || 6 * 7 * 24);
+const SESSION_MINUTES_MIN = 5;
+const SESSION_MINUTES_MAX = 24 * 60;
+
+// Rolling windows the loss / wager limits apply to
+const PERIOD_DAYS = { daily: 1, weekly: 7, monthly: 30 };
+
+// API field -> wallet_limits.name
+const LIMIT_FIELDS = {
+  lossDaily: "loss_daily",
+  lossWeekly: "loss_weekly",
+  lossMonthly: "loss_monthly",
+  wagerDaily: "wager_daily",
+  wagerWeekly: "wager_weekly",
+  wagerMonthly: "wager_monthly",
+  sessionMinutes: "session_minutes",
+};
+
+/**
+ * Emits "reminder" ({ publicKey, playedMinutes, sessionMinutes }) when a player's
+ * session passes their session-time reminder interval.
+ */
+const limitEvents = new EventEmitter();
+
+function limitError(message, code) {
+  const err = new Error(message);
+  err.statusCode = 403;
+  err.code = code;
+  return err;
+}
+
+function capitalize(s) {
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+/**
+ * The wallet's limits keyed by API field: { value, pending: { value, effectiveAt } | null }.
+ * Scheduled changes that are due are applied first.
+ */
+async function getLimits(publicKey) {
+  await PlayerLimit.applyDue(publicKey);
+  const rows = await PlayerLimit.findByWallet(publicKey);
+
+  const limits = {};
+  for (const [field, name] of Object.entries(LIMIT_FIELDS)) {
+    const row = rows.find((r) => r.name === name);
+    limits[field] = {
+      value: row ? row.value : null,
+      pending: row?.pendingEffectiveAt ? { value: row.pendingValue, effectiveAt: row.pendingEffectiveAt } : null,
+    };
+  }
+  return limits;
+}
+
+function parseLimitValue(field, raw) {
+  if (raw === null) return null;
+  const value = Number(raw);
+  if (field === "sessionMinutes") {
+    if (!Number.isInteger(value) || value < SESSION_MINUTES_MIN || value > SESSION_MINUTES_MAX) {
+      const err = new Error(
+        `sessionMinutes must be an integer between ${SESSION_MINUTES_MIN} and ${SESSION_MINUTES_MAX}, or null`
+      );
+      err.statusCode = 400;
+      throw err;
+    }
+    return value;
+  }
+  if (!Number.isInteger(value) || value <= 0) {
+    const err = new Error(`${field} must be a positive integer (QU) or null`);
+    err.statusCode = 400;
+    throw err;
+  }
+  return value;
+}
+
+/**
+ * Change limits: { lossDaily, ..., sessionMinutes } (null removes a limit, omitted fields are kept).
+ * A stricter value applies immediately; a looser one (or removal) after LIMIT_INCREASE_DELAY_HOURS.
+ */
+async function setLimits(publicKey, changes) {
+  const fields = Object.keys(changes || {}).filter((f) => changes[f] !== undefined);
+  const unknown = fields.filter((f) => !LIMIT_FIELDS[f]);
+  if (unknown.length > 0 || fields.length === 0) {
+    const err = new Error(`Send one or more of: ${Object.keys(LIMIT_FIELDS).join(", ")}`);
+    err.statusCode = 400;
+    throw err;
+  }
+  const values = Object.fromEntries(fields.map((f) => [f, parseLimitValue(f, changes[f])]));
+
+  const current = await getLimits(publicKey);
+  const effectiveAt = new Date(Date.now() + LIMIT_INCREASE_DELAY_HOURS * 60 * 60 * 1000);
+  for (const field of fields) {
+    const value = values[field];
+    const existing = current[field].value;
+    const immediate = value === existing || (value !== null && (existing === null || value < existing));
+
+    if (immediate) {
+      await PlayerLimit.setNow(publicKey, LIMIT_FIELDS[field], value);
+    } else {
+      await PlayerLimit.schedule(publicKey, LIMIT_FIELDS[field], value, effectiveAt);
+    }
+  }
+  return getLimits(publicKey);
+}
+
+/**
+ * Wagered and net loss over each limit window: { daily: { wagered, netLoss }, weekly, monthly }.
+ */
+async function getUsage(publicKey) {
+  const usage = {};
+  for (const [period, days] of Object.entries(PERIOD_DAYS)) {
+    usage[period] = await Bet.totalsSince(publicKey, new Date(Date.now() - days * 24 * 60 * 60 * 1000));
+  }
+  return usage;
+}
+
+/**
+ * Start (or extend) a cool-off of `hours`: no bets until it ends. It cannot be shortened.
+ */
+async function startCoolOff(publicKey, hours) {
+  const n = Number(hours);
+  if (!Number.isInteger(n) || n < 1 || n > COOL_OFF_MAX_HOURS) {
+    const err = new Error(`hours must be an integer between 1 and ${COOL_OFF_MAX_HOURS}`);
+    err.statusCode = 400;
+    throw err;
+  }
+  const wallet = await Wallet.extendCoolOff(publicKey, new Date(Date.now() + n * 60 * 60 * 1000));
+  console.log(`⏸️ Wallet ${publicKey.slice(0, 10)}... cooling off until ${new Date(wallet.coolOffUntil).toISOString()}`);
+  return wallet.coolOffUntil;
+}
+
+/**
+ * Throw 403 if a bet of `amount` would break a cool-off, loss or wager limit.
+ * amount 0 only checks the cool-off (e.g. continuing a game already staked).
+ */
+async function assertWithinLimits(publicKey, amount = 0) {
+  const wallet = await Wallet.findByPublicKey(publicKey);
+  if (wallet?.coolOffUntil && new Date(wallet.coolOffUntil) > new Date()) {
+    throw limitError(`Cooling off until ${new Date(wallet.coolOffUntil).toISOString()}: betting not allowed`, "COOL_OFF");
+  }
+  if (!amount) return;
+
+  const limits = await getLimits(publicKey);
+  for (const [period, days] of Object.entries(PERIOD_DAYS)) {
+    const wagerLimit = limits[`wager${capitalize(period)}`].value;
+    const lossLimit = limits[`loss${capitalize(period)}`].value;
+    if (wagerLimit === null && lossLimit === null) continue;
+
+    const totals = await Bet.totalsSince(publicKey, new Date(Date.now() - days * 24 * 60 * 60 * 1000));
+    if (wagerLimit !== null && totals.wagered + amount > wagerLimit) {
+      throw limitError(
+        `${capitalize(period)} wager limit reached: ${totals.wagered} of ${wagerLimit} QU wagered`,
+        "WAGER_LIMIT"
+      );
+    }
+    // A bet can lose at most its stake
+    if (lossLimit !== null && totals.netLoss + amount > lossLimit) {
+      throw limitError(
+        `${capitalize(period)} loss limit reached: ${Math.max(0, totals.netLoss)} of ${lossLimit} QU lost`,
+        "LOSS_LIMIT"
+      );
+    }
+  }
+}
+
+/**
+ * Emit a session-time reminder if the session has run past the wallet's reminder interval
+ * since sign-in (or since the last reminder).
+ */
+async function checkSessionReminder(publicKey, sessionId) {
+  if (!sessionId) return null;
+  const limits = await getLimits(publicKey);
+  const sessionMinutes = limits.sessionMinutes.value;
+  if (!sessionMinutes) return null;
+  if (!(await AuthSession.claimReminder(sessionId, sessionMinutes))) return null;
+
+  const session = await AuthSession.findById(sessionId);
+  const reminder = {
+    publicKey,
+    sessionMinutes,
+    playedMinutes: Math.floor((Date.now() - new Date(session.createdAt).getTime()) / 60000),
+  };
+  limitEvents.emit("reminder", reminder);
+  return reminder;
+}
+
+/**
+ * Every bet entry point calls this: game pause switch (new stakes only), wallet status,
+ * cool-off and loss / wager limits (throws 403), then a session-time reminder if one is due.
+ */
+async function assertBetAllowed({ publicKey, game = null, amount = 0, sessionId = null }) {
+  if (game && amount) await assertGameOpen(game);
+  await assertCanBet(publicKey);
+  await assertWithinLimits(publicKey, amount);
+  checkSessionReminder(publicKey, sessionId).catch((e) =>
+    console.error("Session reminder check failed:", e?.message || e)
+  );
+}
+
+module.exports = {
+  LIMIT_FIELDS,
+  limitEvents,
+  getLimits,
+  setLimits,
+  getUsage,
+  startCoolOff,
+  assertWithinLimits,
+  assertBetAllowed,
+};
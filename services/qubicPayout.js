@@ -1,29 +1,8 @@
 // backend/services/qubicPayout.js
-const axios = require("axios");
+const { getCurrentTick, broadcastTransaction } = require("./qubicRpc");
 
-const QUBIC_RPC_URL = process.env.QUBIC_RPC_URL || "https://rpc.qubic.org";
 const TICK_OFFSET = Number(process.env.TICK_OFFSET || 20);
 
-function normalizeRpcBase(url) {
-  const u = String(url || "").trim().replace(/\/+$/, "");
-  if (u.endsWith("/v1")) return u.slice(0, -3);
-  return u;
-}
-
-async function getCurrentTick() {
-  const base = normalizeRpcBase(QUBIC_RPC_URL);
-  const r = await axios.get(`${base}/v1/tick-info`, { timeout: 10_000 });
-  const rawTick =
-    r.data?.tickInfo?.tick ??
-    r.data?.tick ??
-    r.data?.currentTick ??
-    r.data?.tickInfo?.currentTick;
-
-  const tick = Number(rawTick);
-  if (!Number.isFinite(tick) || tick <= 0) throw new Error("Invalid tick-info response");
-  return tick;
-}
-
 // Dynamic loaders to match your tx.js style
 function loadCtor(paths, exportNames) {
   for (const p of paths) {
@@ -69,7 +48,12 @@ const LongCtor = loadCtor(
   ["Long"]
 );
 
-async function payFromCasinoToUser({ toPublicId, amount }) {
+/**
+ * Sign a casino -> player transfer for `tick + TICK_OFFSET` and broadcast it.
+ * `onSigned({ txId, targetTick })` (optional) runs after signing and before the broadcast,
+ * so the caller knows which tx may be on the network even if the broadcast call fails.
+ */
+async function payFromCasinoToUser({ toPublicId, amount, onSigned }) {
   const seed = process.env.CASINO_SEED;
   const fromPublicId = process.env.CASINO_PUBLIC_ID;
 
@@ -95,6 +79,10 @@ async function payFromCasinoToUser({ toPublicId, amount }) {
   // Sign transaction with seed
   await tx.build(seed);
 
+  if (onSigned) {
+    await onSigned({ txId: tx.getId ? tx.getId() : tx.id, targetTick });
+  }
+
   // Get signed transaction bytes and encode to base64
   const signedTxBytes = tx.getPackageData ? tx.getPackageData() : tx.packageData;
   if (!signedTxBytes) {
@@ -102,26 +90,15 @@ async function payFromCasinoToUser({ toPublicId, amount }) {
   }
   const encodedTransaction = Buffer.from(signedTxBytes).toString("base64");
 
-  const base = normalizeRpcBase(QUBIC_RPC_URL);
-  const rpcRes = await axios.post(
-    `${base}/v1/broadcast-transaction`,
-    { encodedTransaction },
-    { headers: { "Content-Type": "application/json" }, timeout: 20_000 }
-  );
+  const { txId, rpcResponse } = await broadcastTransaction(encodedTransaction);
 
   // If RPC returns an error payload, treat as failure (no usable tx)
-  if (rpcRes.data?.error || rpcRes.data?.message?.includes?.("error")) {
-    throw new Error(`RPC broadcast error: ${JSON.stringify(rpcRes.data)}`);
+  if (rpcResponse?.error || rpcResponse?.message?.includes?.("error")) {
+    throw new Error(`RPC broadcast error: ${JSON.stringify(rpcResponse)}`);
   }
 
-  const txId =
-    rpcRes.data?.transactionId ||
-    rpcRes.data?.txId ||
-    rpcRes.data?.id ||
-    rpcRes.data?.hash;
-
   if (!txId) throw new Error("RPC did not return txId");
-  return { txId, targetTick, rpcResponse: rpcRes.data };
+  return { txId, targetTick, rpcResponse };
 }
 
 module.exports = { payFromCasinoToUser };
@@ -0,0 +1,433 @@
+// backend/services/qubicRpc.js
+const axios = require("axios");
+
+/**
+ * Qubic RPC client shared by every caller.
+ *
+ * - QUBIC_RPC_URLS (comma-separated, falls back to QUBIC_RPC_URL): endpoints in order of preference
+ * - Reads (idempotent) are retried with jittered backoff, moving to the next healthy endpoint
+ * - Each endpoint has a circuit breaker: after QUBIC_RPC_BREAKER_THRESHOLD consecutive failures
+ *   it is skipped for QUBIC_RPC_BREAKER_COOLDOWN_MS, then gets one trial call (half-open)
+ * - Only transport errors, timeouts, 429 and 5xx count as endpoint failures; other HTTP
+ *   errors (e.g. 404 for a tx that is not indexed yet) are answers and are thrown as-is
+ * - When every endpoint is open, calls fail fast with statusCode 503 / code RPC_UNAVAILABLE
+ */
+const QUBIC_RPC_TIMEOUT_MS = Number(process.env.QUBIC_RPC_TIMEOUT_MS || 10_000);
+const QUBIC_RPC_BROADCAST_TIMEOUT_MS = Number(process.env.QUBIC_RPC_BROADCAST_TIMEOUT_MS || 20_000);
+const QUBIC_RPC_RETRIES = Number(process.env.QUBIC_RPC_RETRIES || 2);
+const QUBIC_RPC_RETRY_BASE_MS = Number(process.env.QUBIC_RPC_RETRY_BASE_MS || 250);
+const QUBIC_RPC_BREAKER_THRESHOLD = Number(process.env.QUBIC_RPC_BREAKER_THRESHOLD || 5);
+const QUBIC_RPC_BREAKER_COOLDOWN_MS = Number(process.env.QUBIC_RPC_BREAKER_COOLDOWN_MS || 30_000);
+
+function normalizeRpcBase(url) {
+  const u = String(url || "").trim().replace(/\/+$/, "");
+  if (u.endsWith("/v1")) return u.slice(0, -3);
+  return u;
+}
+
+function configuredUrls() {
+  const raw = process.env.QUBIC_RPC_URLS || process.env.QUBIC_RPC_URL || "https://rpc.qubic.org";
+  const urls = raw.split(",").map(normalizeRpcBase).filter(Boolean);
+  return [...new Set(urls)];
+}
+
+const endpoints = configuredUrls().map((base) => ({
+  base,
+  consecutiveFailures: 0,
+  openUntil: 0, // breaker open until this time (ms); 0 = closed
+  trialInFlight: false, // half-open: one call is probing the endpoint
+  lastError: null,
+  lastFailureAt: null,
+  lastSuccessAt: null,
+}));
+
+// call name -> { calls, failures, retries, failovers, totalMs, maxMs, lastMs, lastError }
+const callMetrics = new Map();
+
+function metricsFor(name) {
+  let m = callMetrics.get(name);
+  if (!m) {
+    m = { calls: 0, failures: 0, retries: 0, failovers: 0, totalMs: 0, maxMs: 0, lastMs: 0, lastError: null };
+    callMetrics.set(name, m);
+  }
+  return m;
+}
+
+function breakerState(endpoint, now = Date.now()) {
+  if (!endpoint.openUntil) return "closed";
+  return now < endpoint.openUntil ? "open" : "half-open";
+}
+
+/**
+ * Endpoints that may take a call now: closed ones in configured order,
+ * then half-open ones that are not already being probed.
+ */
+function availableEndpoints() {
+  const now = Date.now();
+  const closed = endpoints.filter((e) => breakerState(e, now) === "closed");
+  const halfOpen = endpoints.filter((e) => breakerState(e, now) === "half-open" && !e.trialInFlight);
+  return [...closed, ...halfOpen];
+}
+
+function recordSuccess(endpoint) {
+  endpoint.consecutiveFailures = 0;
+  endpoint.openUntil = 0;
+  endpoint.lastSuccessAt = new Date();
+}
+
+function recordFailure(endpoint, error) {
+  endpoint.consecutiveFailures += 1;
+  endpoint.lastError = String(error?.message || error);
+  endpoint.lastFailureAt = new Date();
+
+  const wasHalfOpen = breakerState(endpoint) === "half-open";
+  if (wasHalfOpen || endpoint.consecutiveFailures >= QUBIC_RPC_BREAKER_THRESHOLD) {
+    endpoint.openUntil = Date.now() + QUBIC_RPC_BREAKER_COOLDOWN_MS;
+    console.warn(
+      `[RPC] ${endpoint.base} circuit open for ${QUBIC_RPC_BREAKER_COOLDOWN_MS}ms ` +
+        `(${endpoint.consecutiveFailures} consecutive failures: ${endpoint.lastError})`
+    );
+  }
+}
+
+/**
+ * True if the error says something about the endpoint rather than the request.
+ */
+function isEndpointFailure(error) {
+  const status = error.response?.status;
+  if (!status) return true; // timeout, connection refused/reset, DNS...
+  return status === 429 || status >= 500;
+}
+
+// The request never reached the server, so even a non-idempotent call can go elsewhere
+function isConnectFailure(error) {
+  return !error.response && ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "EHOSTUNREACH"].includes(error.code);
+}
+
+function backoffMs(attempt) {
+  const base = QUBIC_RPC_RETRY_BASE_MS * 2 ** attempt;
+  return Math.round(base * (0.5 + Math.random()));
+}
+
+function unavailable(name) {
+  const err = new Error(`Qubic RPC unavailable (${name}): all endpoints are failing`);
+  err.statusCode = 503;
+  err.code = "RPC_UNAVAILABLE";
+  return err;
+}
+
+/**
+ * Send one RPC request with failover.
+ *
+ * @param {object} opts
+ * @param {string} opts.name         metrics key, e.g. "tick-info"
+ * @param {string} opts.method       "get" | "post"
+ * @param {string} opts.path         e.g. "/v1/tick-info"
+ * @param {boolean} opts.idempotent  reads: retried on other endpoints with backoff
+ * @param {object} [opts.endpoint]   only ask this endpoint (see pinEndpoint); retries stay on it
+ * @returns {Promise<any>} response body
+ */
+async function rpcRequest({
+  name,
+  method = "get",
+  path,
+  params,
+  data,
+  timeout = QUBIC_RPC_TIMEOUT_MS,
+  idempotent = true,
+  endpoint: pinned = null,
+}) {
+  const m = metricsFor(name);
+  m.calls += 1;
+  const startedAt = Date.now();
+  const maxAttempts = idempotent ? QUBIC_RPC_RETRIES + 1 : endpoints.length;
+  const tried = new Set();
+  let lastError = null;
+
+  try {
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const candidates = pinned ? [pinned] : availableEndpoints();
+      // Prefer an endpoint this call has not failed on yet
+      const endpoint = candidates.find((e) => !tried.has(e)) || (idempotent ? candidates[0] : null);
+      if (!endpoint) break;
+
+      if (attempt > 0) {
+        m.retries += 1;
+        if (!tried.has(endpoint)) m.failovers += 1;
+        if (idempotent) await new Promise((r) => setTimeout(r, backoffMs(attempt - 1)));
+      }
+      tried.add(endpoint);
+
+      const probing = breakerState(endpoint) === "half-open";
+      if (probing) endpoint.trialInFlight = true;
+      try {
+        const res = await axios.request({
+          method,
+          url: `${endpoint.base}${path}`,
+          params,
+          data,
+          timeout,
+          headers: data ? { "Content-Type": "application/json" } : undefined,
+        });
+        recordSuccess(endpoint);
+        return res.data;
+      } catch (error) {
+        if (!isEndpointFailure(error)) {
+          // The endpoint answered; the answer is the caller's business
+          recordSuccess(endpoint);
+          throw error;
+        }
+        recordFailure(endpoint, error);
+        lastError = error;
+        if (!idempotent && !isConnectFailure(error)) throw error;
+      } finally {
+        if (probing) endpoint.trialInFlight = false;
+      }
+    }
+    throw lastError || unavailable(name);
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      m.failures += 1;
+      m.lastError = String(error?.message || error);
+    }
+    throw error;
+  } finally {
+    const ms = Date.now() - startedAt;
+    m.totalMs += ms;
+    m.lastMs = ms;
+    m.maxMs = Math.max(m.maxMs, ms);
+  }
+}
+
+/**
+ * Current network tick (used to pick a transfer's target tick).
+ */
+async function getCurrentTick() {
+  const data = await rpcRequest({ name: "tick-info", path: "/v1/tick-info" });
+  const rawTick = data?.tickInfo?.tick ?? data?.tick ?? data?.currentTick ?? data?.tickInfo?.currentTick;
+
+  const tick = Number(rawTick);
+  if (!Number.isFinite(tick) || tick <= 0) {
+    console.error("tick-info unexpected response:", data);
+    throw new Error("Invalid tick-info response");
+  }
+  return tick;
+}
+
+/**
+ * The endpoint a group of related reads should all go to (throws 503 when none is available).
+ * Endpoints index ticks at their own pace: a lagging archiver answers 404 for a transaction
+ * that another one already holds, so answers from different endpoints must not be combined.
+ */
+function pinEndpoint(name) {
+  const endpoint = availableEndpoints()[0];
+  if (!endpoint) throw unavailable(name);
+  return endpoint;
+}
+
+/**
+ * Last tick the archiver has processed: transactions up to it are final.
+ */
+async function getLastProcessedTick({ endpoint } = {}) {
+  const data = await rpcRequest({ name: "status", path: "/v1/status", endpoint });
+  const rawTick = data?.lastProcessedTick?.tickNumber ?? data?.lastProcessedTick ?? data?.tickNumber;
+
+  const tick = Number(rawTick);
+  if (!Number.isFinite(tick) || tick <= 0) throw new Error("Invalid status response");
+  return tick;
+}
+
+/**
+ * @returns {Promise<object|null>} the transaction, or null while it is not indexed
+ */
+async function fetchTransaction(txId, { endpoint } = {}) {
+  try {
+    const data = await rpcRequest({
+      name: "transaction",
+      path: `/v1/transactions/${encodeURIComponent(txId)}`,
+      endpoint,
+    });
+    return data?.transaction || data || null;
+  } catch (error) {
+    // Archiver answers 404 until the tick holding the tx has been processed
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * @returns {Promise<boolean|null>} whether the transfer executed; null when unknown
+ */
+async function fetchMoneyFlew(txId, { endpoint } = {}) {
+  try {
+    const data = await rpcRequest({ name: "tx-status", path: `/v1/tx-status/${encodeURIComponent(txId)}`, endpoint });
+    const flag = data?.transactionStatus?.moneyFlew;
+    return typeof flag === "boolean" ? flag : null;
+  } catch (_) {
+    // Optional endpoint: unknown is not a rejection
+    return null;
+  }
+}
+
+/**
+ * Transactions the archiver holds for a processed tick.
+ *
+ * @returns {Promise<Array<{txId: string, moneyFlew: boolean|null}>|null>} null while the tick is not indexed
+ */
+async function fetchTickTransactions(tick, { endpoint } = {}) {
+  try {
+    const data = await rpcRequest({
+      name: "tick-transactions",
+      path: `/v2/ticks/${encodeURIComponent(tick)}/transactions`,
+      endpoint,
+    });
+    return (data?.transactions || []).map((item) => ({
+      txId: (item.transaction || item).txId,
+      moneyFlew: typeof item.moneyFlew === "boolean" ? item.moneyFlew : null,
+    }));
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Where a transfer we signed for `targetTick` stands. Every answer comes from one endpoint,
+ * and a transfer is only called dropped when that endpoint has processed the target tick
+ * (plus `marginTicks`) and the tick's own transaction list does not hold it: only then can a
+ * new transfer be signed without paying twice.
+ *
+ * @returns {Promise<{state: "included"|"not_executed"|"dropped"|"unknown", tick?: number, lastTick: number}>}
+ */
+async function fetchTransferState(txId, targetTick, { marginTicks = 5 } = {}) {
+  const endpoint = pinEndpoint("transfer-state");
+  const lastTick = await getLastProcessedTick({ endpoint });
+
+  const tx = await fetchTransaction(txId, { endpoint });
+  if (tx) {
+    const tick = Number(tx.tickNumber ?? tx.tick);
+    if (!Number.isFinite(tick) || tick > lastTick) return { state: "unknown", lastTick };
+    const moneyFlew = await fetchMoneyFlew(txId, { endpoint });
+    return { state: moneyFlew === false ? "not_executed" : "included", tick, lastTick };
+  }
+
+  if (!targetTick || lastTick <= targetTick + marginTicks) return { state: "unknown", lastTick };
+
+  const inTick = await fetchTickTransactions(targetTick, { endpoint });
+  if (!inTick) return { state: "unknown", lastTick };
+  const listed = inTick.find((t) => t.txId === txId);
+  if (listed) {
+    return { state: listed.moneyFlew === false ? "not_executed" : "included", tick: Number(targetTick), lastTick };
+  }
+  return { state: "dropped", lastTick };
+}
+
+/**
+ * Transfers to and from `identity` in ticks startTick..endTick (archiver transfer history).
+ *
+ * @returns {Promise<Array<{txId: string, sourceId: string, destId: string, amount: number, tick: number, moneyFlew: boolean|null}>>}
+ */
+async function fetchIdentityTransfers(identity, { startTick, endTick, pageSize = 100 }) {
+  const transfers = [];
+
+  for (let page = 1; ; page++) {
+    const data = await rpcRequest({
+      name: "identity-transfers",
+      path: `/v2/identities/${encodeURIComponent(identity)}/transfers`,
+      params: { startTick, endTick, page, pageSize },
+    });
+    const ticks = data?.transactions || data?.transferTransactionsPerTick || [];
+
+    for (const perTick of ticks) {
+      for (const item of perTick.transactions || []) {
+        const tx = item.transaction || item;
+        transfers.push({
+          txId: tx.txId,
+          sourceId: tx.sourceId,
+          destId: tx.destId,
+          amount: Number(tx.amount),
+          tick: Number(tx.tickNumber ?? perTick.tickNumber),
+          moneyFlew: typeof item.moneyFlew === "boolean" ? item.moneyFlew : null,
+        });
+      }
+    }
+
+    const totalPages = Number(data?.pagination?.totalPages || 1);
+    if (page >= totalPages) break;
+  }
+  return transfers;
+}
+
+async function fetchBalance(identity) {
+  return await rpcRequest({ name: "balance", path: `/v1/balances/${encodeURIComponent(identity)}` });
+}
+
+async function fetchOwnedAssets(identity) {
+  return await rpcRequest({ name: "owned-assets", path: `/v1/assets/${encodeURIComponent(identity)}/owned` });
+}
+
+/**
+ * Broadcast a signed transaction (base64). Not retried: it only moves to another
+ * endpoint when the request could not be delivered at all.
+ *
+ * @returns {Promise<{txId: string|null, rpcResponse: object}>}
+ */
+async function broadcastTransaction(encodedTransaction) {
+  const data = await rpcRequest({
+    name: "broadcast",
+    method: "post",
+    path: "/v1/broadcast-transaction",
+    data: { encodedTransaction },
+    timeout: QUBIC_RPC_BROADCAST_TIMEOUT_MS,
+    idempotent: false,
+  });
+
+  const txId = data?.transactionId || data?.txId || data?.id || data?.hash || null;
+  return { txId, rpcResponse: data };
+}
+
+/**
+ * The endpoint new calls go to first (null if every breaker is open).
+ */
+function primaryEndpoint() {
+  return availableEndpoints()[0]?.base || null;
+}
+
+/**
+ * Endpoint health and per-call metrics, for /health.
+ */
+function getRpcHealth() {
+  const now = Date.now();
+  const calls = {};
+  for (const [name, m] of callMetrics) {
+    calls[name] = { ...m, avgMs: m.calls ? Math.round(m.totalMs / m.calls) : 0 };
+  }
+  return {
+    endpoints: endpoints.map((e) => ({
+      url: e.base,
+      breaker: breakerState(e, now),
+      consecutiveFailures: e.consecutiveFailures,
+      lastError: e.lastError,
+      lastFailureAt: e.lastFailureAt,
+      lastSuccessAt: e.lastSuccessAt,
+    })),
+    calls,
+  };
+}
+
+module.exports = {
+  rpcRequest,
+  pinEndpoint,
+  getCurrentTick,
+  getLastProcessedTick,
+  fetchTransaction,
+  fetchMoneyFlew,
+  fetchTickTransactions,
+  fetchTransferState,
+  fetchIdentityTransfers,
+  fetchBalance,
+  fetchOwnedAssets,
+  broadcastTransaction,
+  primaryEndpoint,
+  getRpcHealth,
+};
@@ -1,16 +1,9 @@
 // backend/services/qubicTransfer.js
-const axios = require("axios");
 const { isValidQubicPublicId, normalizeQubicPublicId } = require("../utils/validation");
+const { getCurrentTick, broadcastTransaction } = require("./qubicRpc");
 
-const QUBIC_RPC_URL = process.env.QUBIC_RPC_URL || "https://rpc.qubic.org";
 const TICK_OFFSET = Number(process.env.TICK_OFFSET || 20);
 
-function normalizeRpcBase(url) {
-  const u = String(url || "").trim().replace(/\/+$/, "");
-  if (u.endsWith("/v1")) return u.slice(0, -3);
-  return u;
-}
-
 // --- Load QubicTransaction, PublicKey, Long classes ---
 function loadQubicTypes() {
   const paths = [
@@ -72,23 +65,12 @@ if (!QubicTransactionCtor || !PublicKeyCtor || !LongCtor) {
   console.error("Could not load QubicTransaction, PublicKey, or Long from qubic-ts-library");
 }
 
-async function getCurrentTick() {
-  const base = normalizeRpcBase(QUBIC_RPC_URL);
-  const url = `${base}/v1/tick-info`;
-  const r = await axios.get(url, { timeout: 10_000 });
-
-  const rawTick =
-    r.data?.tickInfo?.tick ??
-    r.data?.tick ??
-    r.data?.currentTick ??
-    r.data?.tickInfo?.currentTick;
-
-  const tick = Number(rawTick);
-  if (!Number.isFinite(tick) || tick <= 0) throw new Error("Invalid tick-info response");
-  return tick;
-}
-
-async function signAndBroadcastQuTransfer({ seed, fromPublicId, toPublicId, amount }) {
+/**
+ * Sign a QU transfer and broadcast it.
+ * `onSigned({ txId, targetTick })` (optional) runs after signing and before the broadcast,
+ * so callers can persist the txId; if it throws, nothing is broadcast.
+ */
+async function signAndBroadcastQuTransfer({ seed, fromPublicId, toPublicId, amount, onSigned }) {
   if (!seed) throw new Error("Missing seed");
   if (!fromPublicId) throw new Error("Missing fromPublicId");
   if (!toPublicId) throw new Error("Missing toPublicId");
@@ -98,7 +80,6 @@ async function signAndBroadcastQuTransfer({ seed, fromPublicId, toPublicId, amou
     throw new Error("Qubic TS library not available. Install @qubic-lib/qubic-ts-library");
   }
 
-  const base = normalizeRpcBase(QUBIC_RPC_URL);
   const tick = await getCurrentTick();
   const targetTick = tick + TICK_OFFSET;
 
@@ -122,6 +103,10 @@ async function signAndBroadcastQuTransfer({ seed, fromPublicId, toPublicId, amou
   // Signs tx using seed
   await tx.build(seed);
 
+  if (onSigned) {
+    await onSigned({ txId: tx.getId ? tx.getId() : tx.id, targetTick });
+  }
+
   // Get signed transaction bytes
   const signedTxBytes = tx.getPackageData ? tx.getPackageData() : tx.packageData;
   if (!signedTxBytes) {
@@ -131,24 +116,14 @@ async function signAndBroadcastQuTransfer({ seed, fromPublicId, toPublicId, amou
   // Encode to base64
   const signedTxBase64 = Buffer.from(signedTxBytes).toString("base64");
 
-  const rpcRes = await axios.post(
-    `${base}/v1/broadcast-transaction`,
-    { encodedTransaction: signedTxBase64 },
-    { headers: { "Content-Type": "application/json" }, timeout: 20_000 }
-  );
-
-  const txId =
-    rpcRes.data?.transactionId ||
-    rpcRes.data?.txId ||
-    rpcRes.data?.id ||
-    rpcRes.data?.hash;
+  const { txId, rpcResponse } = await broadcastTransaction(signedTxBase64);
 
   if (!txId) throw new Error("RPC did not return txId");
 
-  return { txId, targetTick, rpcResponse: rpcRes.data };
+  return { txId, targetTick, rpcResponse };
 }
 
-async function payUserFromCasino({ toPublicId, amount }) {
+async function payUserFromCasino({ toPublicId, amount, onSigned }) {
   const seed = process.env.CASINO_SEED;
   const fromPublicId = process.env.CASINO_PUBLIC_ID;
 
@@ -164,6 +139,7 @@ async function payUserFromCasino({ toPublicId, amount }) {
     fromPublicId,
     toPublicId,
     amount,
+    onSigned,
   });
 }
 
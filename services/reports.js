@@ -0,0 +1,171 @@
+// backend/services/reports.js
+const { DailyReport, ReportCursor } = require("../models/Report");
+const { BET_GAMES } = require("../models/Bet");
+const { SLIDE_HOUSE_EDGE } = require("./slideFairness");
+const { HOUSE_EDGE: MINES_HOUSE_EDGE } = require("./minesPayout");
+
+const REPORT_ROLLUP_MS = Number(process.env.REPORT_ROLLUP_MS || 5 * 60 * 1000);
+// Bets written just before a run may commit after it; each run re-reads this far back
+const REPORT_ROLLUP_OVERLAP_MS = 5 * 60 * 1000;
+// Return of the video poker paytable under optimal holds. The default is an estimate
+// (9/6 Jacks or Better, adjusted for four of a kind 22 / straight flush 60); set it if you compute the exact figure.
+const VIDEO_POKER_THEORETICAL_RTP = Number(process.env.VIDEO_POKER_THEORETICAL_RTP || 0.989);
+
+const CURSOR_NAME = "game_daily";
+
+const CSV_COLUMNS = [
+  "day",
+  "game",
+  "betCount",
+  "wagered",
+  "payouts",
+  "ggr",
+  "uniquePlayers",
+  "realisedRtp",
+  "theoreticalRtp",
+  "pendingCount",
+  "refundedCount",
+];
+
+let workerTimer = null;
+let running = false;
+let started = false;
+
+/**
+ * Theoretical return per game for bets without round parameters.
+ */
+function theoreticalRtps() {
+  return {
+    slide: 1 - SLIDE_HOUSE_EDGE,
+    mine: 1 - MINES_HOUSE_EDGE,
+    videopoker: VIDEO_POKER_THEORETICAL_RTP,
+  };
+}
+
+/**
+ * Rebuild the daily rows of every day with bets placed or settled since the last run
+ * (all days on the first run). Returns the days rebuilt, or null if a run is in progress.
+ */
+async function rollupOnce() {
+  if (running) return null;
+  running = true;
+  try {
+    const startedAt = new Date();
+    const last = await ReportCursor.get(CURSOR_NAME);
+    const since = last ? new Date(new Date(last).getTime() - REPORT_ROLLUP_OVERLAP_MS) : null;
+
+    const days = await DailyReport.findChangedDays(since);
+    const rtp = theoreticalRtps();
+    for (const day of days) {
+      await DailyReport.rebuildDay(day, rtp);
+    }
+    await ReportCursor.set(CURSOR_NAME, startedAt);
+    if (days.length) console.log(`📊 Reports: rebuilt ${days.length} day(s) (${days[0]} .. ${days[days.length - 1]})`);
+    return days;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Rebuild every day from the bets ledger (e.g. after changing VIDEO_POKER_THEORETICAL_RTP).
+ * Returns null if a run is in progress.
+ */
+async function rebuildReports() {
+  if (running) return null;
+  await ReportCursor.reset(CURSOR_NAME);
+  return rollupOnce();
+}
+
+function parseDay(value, name) {
+  if (value === undefined || value === null || value === "") return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value)) || Number.isNaN(new Date(`${value}T00:00:00Z`).getTime())) {
+    const err = new Error(`${name} must be a date (YYYY-MM-DD)`);
+    err.statusCode = 400;
+    throw err;
+  }
+  return String(value);
+}
+
+function sumRows(rows) {
+  const wagered = rows.reduce((s, r) => s + r.wagered, 0);
+  const payouts = rows.reduce((s, r) => s + r.payouts, 0);
+  const theoretical = rows.reduce((s, r) => s + (r.theoreticalRtp ?? 0) * r.wagered, 0);
+  return {
+    betCount: rows.reduce((s, r) => s + r.betCount, 0),
+    wagered,
+    payouts,
+    ggr: wagered - payouts,
+    realisedRtp: wagered > 0 ? payouts / wagered : null,
+    theoreticalRtp: wagered > 0 ? theoretical / wagered : null,
+    pendingCount: rows.reduce((s, r) => s + r.pendingCount, 0),
+    refundedCount: rows.reduce((s, r) => s + r.refundedCount, 0),
+  };
+}
+
+/**
+ * Daily rows for [from, to] (YYYY-MM-DD), plus totals per game and overall.
+ * Unique players are per day only: the same player on two days is not one player twice.
+ */
+async function getDailyReport({ from = null, to = null, game = null } = {}) {
+  const range = { from: parseDay(from, "from"), to: parseDay(to, "to"), game: game || null };
+  if (range.game && !BET_GAMES.includes(range.game)) {
+    const err = new Error(`Unknown game "${range.game}" (one of ${BET_GAMES.join(", ")})`);
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const days = await DailyReport.findRange(range);
+  const totals = {};
+  for (const g of BET_GAMES) {
+    const rows = days.filter((r) => r.game === g);
+    if (rows.length) totals[g] = sumRows(rows);
+  }
+  return { ...range, days, totals, overall: sumRows(days), rolledUpTo: await ReportCursor.get(CURSOR_NAME) };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const s = typeof value === "number" && !Number.isInteger(value) ? value.toFixed(6) : String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Daily rows as CSV (header line first).
+ */
+function reportToCsv(report) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const row of report.days) {
+    lines.push(CSV_COLUMNS.map((c) => csvCell(row[c])).join(","));
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Start the background rollup (once per process).
+ */
+function startReportWorker() {
+  if (started) return;
+  started = true;
+
+  const run = () =>
+    rollupOnce().catch((e) => console.error("📊 Report rollup error:", e?.message || e));
+  workerTimer = setInterval(run, REPORT_ROLLUP_MS);
+  setImmediate(run);
+  console.log(`📊 Report rollup started (every ${REPORT_ROLLUP_MS}ms)`);
+}
+
+function stopReportWorker() {
+  if (workerTimer) clearInterval(workerTimer);
+  workerTimer = null;
+  started = false;
+}
+
+module.exports = {
+  rollupOnce,
+  rebuildReports,
+  getDailyReport,
+  reportToCsv,
+  startReportWorker,
+  stopReportWorker,
+};
@@ -0,0 +1,72 @@
+// backend/services/slideFairness.js
+const crypto = require("crypto");
+const { crashPointFromSeeds } = require("./crashFairness");
+
+// Same instant-bust house edge model as crash, configured separately
+const SLIDE_HOUSE_EDGE = Number(process.env.SLIDE_HOUSE_EDGE ?? 0.01);
+const SLIDE_MAX_MULTIPLIER = Number(process.env.SLIDE_MAX_MULTIPLIER ?? 1000);
+
+if (!(SLIDE_HOUSE_EDGE >= 0 && SLIDE_HOUSE_EDGE < 1)) {
+  throw new Error(`SLIDE_HOUSE_EDGE must be in [0, 1), got ${process.env.SLIDE_HOUSE_EDGE}`);
+}
+if (!(SLIDE_MAX_MULTIPLIER >= 1.01)) {
+  throw new Error(`SLIDE_MAX_MULTIPLIER must be at least 1.01, got ${process.env.SLIDE_MAX_MULTIPLIER}`);
+}
+
+function slideParams() {
+  return { houseEdge: SLIDE_HOUSE_EDGE, maxMultiplier: SLIDE_MAX_MULTIPLIER };
+}
+
+/**
+ * Parameters a stored round was played with (rounds without them use the current ones).
+ */
+function slideParamsOf(round) {
+  const houseEdge = Number(round?.houseEdge);
+  if (round?.houseEdge === null || round?.houseEdge === undefined || Number.isNaN(houseEdge)) {
+    return slideParams();
+  }
+  return { houseEdge, maxMultiplier: Number(round.maxMultiplier) || SLIDE_MAX_MULTIPLIER };
+}
+
+// HMAC counter stream (same construction as the video poker shuffle)
+function makeRng(seedStr) {
+  let counter = 0;
+  const seed = Buffer.from(seedStr, "utf8");
+  return function nextFloat() {
+    const msg = Buffer.from(String(counter++), "utf8");
+    const h = crypto.createHmac("sha256", seed).update(msg).digest();
+    const u32 = h.readUInt32BE(0);
+    return u32 / 0x100000000;
+  };
+}
+
+/**
+ * Slide outcome, fully derived from the seeds:
+ * - crashPoint: crash distribution with house edge (see crashPointFromSeeds)
+ * - numbers: the displayed track, 1.00x growing 1-6% per step (from
+ *   HMAC(privateSeed:publicSeed:track, counter)), ending exactly at crashPoint
+ *
+ * IMPORTANT: the frontend verifier must use the SAME algorithm and parameters.
+ */
+function generateSlideData(publicSeed, privateSeed, params = slideParams()) {
+  const crashPoint = crashPointFromSeeds(publicSeed, privateSeed, params);
+
+  const rng = makeRng(`${privateSeed}:${publicSeed}:track`);
+  const numbers = [];
+  let current = 1.0;
+  while (current < crashPoint) {
+    numbers.push(Math.floor(current * 100) / 100);
+    current *= 1.01 + rng() * 0.05;
+  }
+  numbers.push(crashPoint);
+
+  return { crashPoint, numbers };
+}
+
+module.exports = {
+  SLIDE_HOUSE_EDGE,
+  SLIDE_MAX_MULTIPLIER,
+  slideParams,
+  slideParamsOf,
+  generateSlideData,
+};
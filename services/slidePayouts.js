@@ -0,0 +1,144 @@
+// backend/services/slidePayouts.js
+const { Bet } = require("../models/Bet");
+const { Payout } = require("../models/Payout");
+const { payWinnings, retryPayout } = require("./payoutQueue");
+const { isBalanceStake } = require("./balanceLedger");
+
+// How often won-but-unpaid slide bets are handed to the payout queue again
+const SLIDE_PAYOUT_RETRY_MS = Number(process.env.SLIDE_PAYOUT_RETRY_MS || 60 * 1000);
+const RETRY_BATCH = 50;
+
+let retryTimer = null;
+let running = false;
+let started = false;
+
+function slidePayoutReference(betId) {
+  return `slide:bet:${betId}`;
+}
+
+/**
+ * Payout state of a won slide bet, separate from its outcome:
+ * credited / queued / sending / sent / confirmed / failed / voided (payout queue),
+ * or unpaid (the win never reached the queue or the balance; retried automatically).
+ */
+function slidePayoutStatus(payout) {
+  if (!payout) return "unpaid";
+  if (payout.status === "retry" || payout.status === "rebroadcast") return "queued";
+  return payout.status;
+}
+
+/**
+ * Pay a won slide bet (queue its transfer, or credit the balance for balance bets).
+ * Idempotent: the bet id is the payout reference.
+ */
+async function payWonSlideBet(bet) {
+  const payout = await payWinnings({
+    betTxId: bet.txId,
+    reference: slidePayoutReference(bet.id),
+    game: "slide",
+    roundId: bet.roundId,
+    betId: bet.id,
+    publicKey: bet.publicKey,
+    amount: bet.payoutAmount,
+  });
+  if (payout.status === "credited") await Bet.setPayoutTxId(bet.id, payout.txId);
+  return payout;
+}
+
+/**
+ * Hand every won-but-unpaid slide bet to the payout queue again.
+ * Returns the number paid, or null if a run is in progress.
+ */
+async function retryUnpaidSlideWins() {
+  if (running) return null;
+  running = true;
+  let paid = 0;
+  try {
+    const bets = await Bet.findUnpaidWins("slide", { limit: RETRY_BATCH });
+    for (const bet of bets) {
+      try {
+        await payWonSlideBet(bet);
+        paid += 1;
+        console.log(`[SLIDE] Unpaid win of bet #${bet.id} (${bet.payoutAmount}) handed to the payout queue`);
+      } catch (e) {
+        console.error(`[SLIDE] Unpaid win of bet #${bet.id} still failing:`, e?.message || e);
+      }
+    }
+    return paid;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Player claim for a won slide bet (default: the wallet's oldest unpaid win, then its latest
+ * failed payout). A failed payout is queued again; an unpaid win is queued for the first time.
+ * Returns { bet, payout, payoutStatus }.
+ */
+async function claimSlidePayout(publicKey, betId = null) {
+  let bet = null;
+  if (betId) {
+    bet = await Bet.findById(betId);
+  } else {
+    [bet] = await Bet.findUnpaidWins("slide", { publicKey, limit: 1 });
+    if (!bet) {
+      const [failed] = await Payout.search({ status: "failed", game: "slide", publicKey }, 1);
+      if (failed?.betId) bet = await Bet.findById(failed.betId);
+    }
+  }
+
+  if (!bet || bet.game !== "slide") {
+    const err = new Error("No unpaid slide win found");
+    err.statusCode = 404;
+    throw err;
+  }
+  if (bet.publicKey !== publicKey) {
+    const err = new Error("Bet does not belong to requester");
+    err.statusCode = 403;
+    throw err;
+  }
+  if (bet.outcome !== "won" || !(bet.payoutAmount > 0)) {
+    const err = new Error(`Bet has nothing to claim (${bet.outcome})`);
+    err.statusCode = 400;
+    throw err;
+  }
+
+  let payout = isBalanceStake(bet.txId) ? null : await retryPayout(slidePayoutReference(bet.id));
+  if (!payout) payout = await payWonSlideBet(bet);
+  if (payout.status === "voided") {
+    const err = new Error("This payout was voided by an operator");
+    err.statusCode = 409;
+    throw err;
+  }
+  return { bet, payout, payoutStatus: slidePayoutStatus(payout) };
+}
+
+/**
+ * Start retrying unpaid slide wins in the background (once per process).
+ */
+function startSlidePayoutRetry() {
+  if (started) return;
+  started = true;
+
+  const run = () =>
+    retryUnpaidSlideWins().catch((e) => console.error("[SLIDE] Unpaid win retry error:", e?.message || e));
+  retryTimer = setInterval(run, SLIDE_PAYOUT_RETRY_MS);
+  setImmediate(run);
+  console.log(`🎰 Slide unpaid win retry started (every ${SLIDE_PAYOUT_RETRY_MS}ms)`);
+}
+
+function stopSlidePayoutRetry() {
+  if (retryTimer) clearInterval(retryTimer);
+  retryTimer = null;
+  started = false;
+}
+
+module.exports = {
+  slidePayoutReference,
+  slidePayoutStatus,
+  payWonSlideBet,
+  retryUnpaidSlideWins,
+  claimSlidePayout,
+  startSlidePayoutRetry,
+  stopSlidePayoutRetry,
+};
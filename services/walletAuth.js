@@ -0,0 +1,199 @@
+// backend/services/walletAuth.js
+const crypto = require("crypto");
+const qubicCrypto = require("@qubic-lib/qubic-ts-library/dist/crypto").default;
+const { QubicHelper } = require("@qubic-lib/qubic-ts-library/dist/qubicHelper");
+const { AuthChallenge, AuthSession } = require("../models/AuthSession");
+const { Wallet } = require("../models/Wallet");
+const { assertCanLogin } = require("./walletStatus");
+const { isValidQubicPublicId, normalizeQubicPublicId } = require("../utils/validation");
+
+const AUTH_CHALLENGE_TTL_MS = Number(process.env.AUTH_CHALLENGE_TTL_MS || 5 * 60 * 1000);
+const AUTH_SESSION_TTL_MS = Number(process.env.AUTH_SESSION_TTL_MS || 24 * 60 * 60 * 1000);
+const AUTH_MESSAGE_PREFIX = process.env.AUTH_MESSAGE_PREFIX || "Sign in to QUBIC Casino";
+
+const SIGNATURE_LEN = 64;
+const DIGEST_LEN = 32;
+
+const helper = new QubicHelper();
+
+function authError(message, statusCode, code) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+}
+
+function sha256Hex(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+function requireWalletId(publicId) {
+  const id = normalizeQubicPublicId(publicId ? String(publicId) : "");
+  if (!isValidQubicPublicId(id)) {
+    throw authError("Invalid Qubic publicId (identity). It must be exactly 60 A–Z characters.", 400, "INVALID_PUBLIC_ID");
+  }
+  return id;
+}
+
+// 64-byte signature as hex (128 chars) or base64
+function decodeSignature(signature) {
+  const raw = String(signature || "").trim();
+  const bytes = /^[0-9a-fA-F]{128}$/.test(raw) ? Buffer.from(raw, "hex") : Buffer.from(raw, "base64");
+  if (bytes.length !== SIGNATURE_LEN) {
+    throw authError(`Signature must be ${SIGNATURE_LEN} bytes (hex or base64)`, 400, "INVALID_SIGNATURE");
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Check a wallet's signature over `message`: schnorrq over K12(utf8(message)),
+ * the same scheme Qubic uses to sign transactions.
+ */
+async function verifyMessageSignature(publicId, message, signature) {
+  if (!(await helper.verifyIdentity(publicId))) return false;
+
+  const { schnorrq, K12 } = await qubicCrypto;
+  const digest = new Uint8Array(DIGEST_LEN);
+  K12(new Uint8Array(Buffer.from(String(message), "utf8")), digest, DIGEST_LEN);
+  return !!schnorrq.verify(helper.getIdentityBytes(publicId), digest, decodeSignature(signature));
+}
+
+/**
+ * Issue a one-time login challenge for a wallet. The wallet signs `message` and sends it to login().
+ */
+async function createChallenge(publicId) {
+  const id = requireWalletId(publicId);
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + AUTH_CHALLENGE_TTL_MS);
+  const message = `${AUTH_MESSAGE_PREFIX}\nWallet: ${id}\nNonce: ${nonce}\nIssued: ${issuedAt.toISOString()}`;
+
+  await AuthChallenge.create({ nonce, publicKey: id, message, ttlMs: AUTH_CHALLENGE_TTL_MS });
+  AuthChallenge.deleteExpired().catch((e) => console.warn("⚠️ Failed to delete expired auth challenges:", e?.message || e));
+
+  return { publicId: id, nonce, message, expiresAt };
+}
+
+/**
+ * Verify a signed challenge and open a session.
+ * Returns { token, publicId, expiresAt }; the token is only ever returned here.
+ */
+async function login({ publicId, nonce, signature }) {
+  const id = requireWalletId(publicId);
+  const challenge = await AuthChallenge.findUsable(String(nonce || ""), id);
+  if (!challenge) {
+    throw authError("Challenge not found, expired or already used", 401, "CHALLENGE_INVALID");
+  }
+
+  if (!(await verifyMessageSignature(id, challenge.message, signature))) {
+    throw authError("Signature does not match this wallet", 401, "SIGNATURE_INVALID");
+  }
+  if (!(await AuthChallenge.consume(challenge.nonce))) {
+    throw authError("Challenge not found, expired or already used", 401, "CHALLENGE_INVALID");
+  }
+
+  await Wallet.register(id);
+  await assertCanLogin(id);
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const session = await AuthSession.create({ tokenHash: sha256Hex(token), publicKey: id, ttlMs: AUTH_SESSION_TTL_MS });
+  console.log(`🔑 Wallet ${id.slice(0, 10)}... signed in (session #${session.id})`);
+
+  return { token, publicId: id, expiresAt: session.expiresAt };
+}
+
+/**
+ * Resolve a session token. Returns { sessionId, publicId, expiresAt } or null.
+ */
+async function authenticate(token) {
+  const raw = String(token || "").trim();
+  if (!raw) return null;
+
+  const session = await AuthSession.findActive(sha256Hex(raw));
+  if (!session) return null;
+
+  AuthSession.touch(session.id).catch(() => {});
+  return { sessionId: session.id, publicId: session.publicKey, expiresAt: session.expiresAt };
+}
+
+async function logout(token) {
+  const session = await authenticate(token);
+  if (!session) return false;
+  return AuthSession.revoke(session.sessionId);
+}
+
+function tokenFromRequest(req) {
+  const header = String(req.headers.authorization || "");
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : "";
+}
+
+// Wallet ids a request names explicitly (older clients still send them)
+function claimedWallets(req) {
+  return [
+    req.body?.publicId,
+    req.body?.publicKey,
+    req.body?.walletId,
+    req.query?.publicId,
+    req.headers["x-public-id"],
+  ]
+    .filter((v) => v !== undefined && v !== null && v !== "")
+    .map((v) => normalizeQubicPublicId(String(v)));
+}
+
+/**
+ * Express middleware: requires `Authorization: Bearer <token>` and sets req.publicId
+ * to the authenticated wallet. A request naming any other wallet is rejected.
+ */
+async function requireWallet(req, res, next) {
+  try {
+    const session = await authenticate(tokenFromRequest(req));
+    if (!session) {
+      return res.status(401).json({ error: "Authentication required", code: "AUTH_REQUIRED" });
+    }
+
+    if (claimedWallets(req).some((id) => id !== session.publicId)) {
+      return res.status(403).json({ error: "Session does not belong to this wallet", code: "WALLET_MISMATCH" });
+    }
+
+    req.publicId = session.publicId;
+    req.authSession = session;
+    next();
+  } catch (e) {
+    console.error("Error authenticating request:", e);
+    res.status(500).json({ error: "Failed to authenticate request", message: e.message });
+  }
+}
+
+/**
+ * Socket.io middleware: requires handshake `auth: { token }` and sets socket.data.publicId.
+ */
+async function requireSocketWallet(socket, next) {
+  try {
+    const session = await authenticate(socket.handshake?.auth?.token);
+    if (!session) {
+      const err = new Error("Authentication required");
+      err.data = { code: "AUTH_REQUIRED" };
+      return next(err);
+    }
+
+    socket.data.publicId = session.publicId;
+    socket.data.sessionId = session.sessionId;
+    next();
+  } catch (e) {
+    console.error("Error authenticating socket:", e);
+    next(new Error("Failed to authenticate socket"));
+  }
+}
+
+module.exports = {
+  AUTH_SESSION_TTL_MS,
+  createChallenge,
+  login,
+  authenticate,
+  logout,
+  verifyMessageSignature,
+  tokenFromRequest,
+  requireWallet,
+  requireSocketWallet,
+};
@@ -0,0 +1,173 @@
+// backend/services/walletStatus.js
+const { Wallet, WALLET_STATUS } = require("../models/Wallet");
+const { AuthSession } = require("../models/AuthSession");
+
+// Longest self-exclusion a player can set (longer ones need an operator)
+const SELF_EXCLUSION_MAX_DAYS = Number(process.env.SELF_EXCLUSION_MAX_DAYS || 3650);
+
+const STATUSES = Object.values(WALLET_STATUS);
+const CAN_BET = [WALLET_STATUS.ACTIVE];
+const CAN_WITHDRAW = [WALLET_STATUS.ACTIVE, WALLET_STATUS.SELF_EXCLUDED, WALLET_STATUS.WITHDRAW_ONLY];
+
+const STATUS_LABEL = {
+  [WALLET_STATUS.SUSPENDED]: "suspended",
+  [WALLET_STATUS.SELF_EXCLUDED]: "self-excluded",
+  [WALLET_STATUS.WITHDRAW_ONLY]: "withdraw-only",
+  [WALLET_STATUS.BANNED]: "banned",
+};
+
+function statusError(wallet, action) {
+  const until = wallet.statusExpiresAt ? ` until ${new Date(wallet.statusExpiresAt).toISOString()}` : "";
+  const reason = wallet.statusReason ? ` (${wallet.statusReason})` : "";
+  const err = new Error(`Wallet is ${STATUS_LABEL[wallet.status] || wallet.status}${until}${reason}: ${action} not allowed`);
+  err.statusCode = 403;
+  err.code = `WALLET_${String(wallet.status).toUpperCase()}`;
+  err.walletStatus = wallet.status;
+  return err;
+}
+
+function toPublicStatus(wallet) {
+  return {
+    status: wallet.status,
+    reason: wallet.statusReason,
+    expiresAt: wallet.statusExpiresAt,
+    updatedAt: wallet.statusUpdatedAt,
+    canBet: CAN_BET.includes(wallet.status),
+    canWithdraw: CAN_WITHDRAW.includes(wallet.status),
+  };
+}
+
+/**
+ * Change a wallet's status (recorded in wallet_status_history).
+ * Banning revokes the wallet's sessions.
+ */
+async function setWalletStatus({ publicKey, status, reason = null, expiresAt = null, changedBy, onlyIf = null }) {
+  if (!STATUSES.includes(status)) {
+    const err = new Error(`Unknown wallet status "${status}" (one of ${STATUSES.join(", ")})`);
+    err.statusCode = 400;
+    throw err;
+  }
+  if (expiresAt && status === WALLET_STATUS.ACTIVE) {
+    const err = new Error("The active status does not expire");
+    err.statusCode = 400;
+    throw err;
+  }
+  if (!changedBy) throw new Error("changedBy is required");
+
+  const result = await Wallet.setStatus({
+    publicKey,
+    status,
+    reason: reason ? String(reason).slice(0, 255) : null,
+    expiresAt: expiresAt ? new Date(expiresAt) : null,
+    changedBy,
+    onlyIf,
+  });
+  if (!result.changed) return result;
+
+  console.log(
+    `🛡️ Wallet ${publicKey.slice(0, 10)}... ${result.previous.status} -> ${status} by ${changedBy}` +
+      (reason ? ` (${reason})` : "")
+  );
+  if (status === WALLET_STATUS.BANNED) {
+    await AuthSession.revokeAllForWallet(publicKey);
+  }
+  return result;
+}
+
+/**
+ * The wallet's current status. A status whose expiry has passed is turned back to active
+ * (and that change recorded) on the first read after it expired.
+ * Unknown wallets are active.
+ */
+async function getWalletStatus(publicKey) {
+  const wallet = await Wallet.findByPublicKey(publicKey);
+  if (!wallet) {
+    return { publicKey, status: WALLET_STATUS.ACTIVE, statusReason: null, statusExpiresAt: null, statusUpdatedAt: null };
+  }
+  if (!wallet.statusExpiresAt || new Date(wallet.statusExpiresAt) > new Date()) return wallet;
+
+  const { wallet: updated } = await setWalletStatus({
+    publicKey,
+    status: WALLET_STATUS.ACTIVE,
+    reason: `${wallet.status} expired`,
+    changedBy: "system:expiry",
+    // another request may have expired or changed it in the meantime
+    onlyIf: (current) =>
+      current.status === wallet.status &&
+      !!current.statusExpiresAt &&
+      new Date(current.statusExpiresAt) <= new Date(),
+  });
+  return updated;
+}
+
+/**
+ * Throw 403 unless the wallet may place bets (every bet entry point calls this).
+ */
+async function assertCanBet(publicKey) {
+  const wallet = await getWalletStatus(publicKey);
+  if (!CAN_BET.includes(wallet.status)) throw statusError(wallet, "betting");
+  return wallet;
+}
+
+async function assertCanWithdraw(publicKey) {
+  const wallet = await getWalletStatus(publicKey);
+  if (!CAN_WITHDRAW.includes(wallet.status)) throw statusError(wallet, "withdrawing");
+  return wallet;
+}
+
+async function assertCanLogin(publicKey) {
+  const wallet = await getWalletStatus(publicKey);
+  if (wallet.status === WALLET_STATUS.BANNED) throw statusError(wallet, "signing in");
+  return wallet;
+}
+
+/**
+ * Player-initiated self-exclusion for `days` days. It can be extended but not shortened,
+ * and cannot replace an operator-set status.
+ */
+async function selfExclude(publicKey, { days, reason = null }) {
+  const n = Number(days);
+  if (!Number.isInteger(n) || n < 1 || n > SELF_EXCLUSION_MAX_DAYS) {
+    const err = new Error(`days must be an integer between 1 and ${SELF_EXCLUSION_MAX_DAYS}`);
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const expiresAt = new Date(Date.now() + n * 24 * 60 * 60 * 1000);
+  // lets an expired status turn back to active first
+  await getWalletStatus(publicKey);
+  const allowed = (wallet) =>
+    wallet.status === WALLET_STATUS.ACTIVE ||
+    (wallet.status === WALLET_STATUS.SELF_EXCLUDED &&
+      !!wallet.statusExpiresAt &&
+      new Date(wallet.statusExpiresAt) < expiresAt);
+
+  const result = await setWalletStatus({
+    publicKey,
+    status: WALLET_STATUS.SELF_EXCLUDED,
+    reason: reason || "Self-exclusion requested by player",
+    expiresAt,
+    changedBy: "player",
+    onlyIf: allowed,
+  });
+  if (!result.changed) {
+    const err =
+      result.previous.status === WALLET_STATUS.SELF_EXCLUDED
+        ? new Error("Self-exclusion can only be extended, not shortened")
+        : statusError(result.previous, "self-exclusion");
+    err.statusCode = 409;
+    throw err;
+  }
+  return result.wallet;
+}
+
+module.exports = {
+  WALLET_STATUS,
+  toPublicStatus,
+  setWalletStatus,
+  getWalletStatus,
+  assertCanBet,
+  assertCanWithdraw,
+  assertCanLogin,
+  selfExclude,
+};
@@ -0,0 +1,235 @@
+// backend/services/withdrawals.js
+const { EventEmitter } = require("events");
+const { Withdrawal, WITHDRAWAL_STATUS } = require("../models/Withdrawal");
+const { payUserFromCasino } = require("./qubicTransfer");
+const { fetchTransferState } = require("./qubicRpc");
+const { getBalance, debitWithdrawal, reverseWithdrawal } = require("./balanceLedger");
+const { assertCanWithdraw } = require("./walletStatus");
+
+const WITHDRAW_MIN_AMOUNT = Number(process.env.WITHDRAW_MIN_AMOUNT || 1000);
+// Requests up to this amount are approved automatically; larger ones wait for an operator
+const WITHDRAW_AUTO_APPROVE_MAX = Number(process.env.WITHDRAW_AUTO_APPROVE_MAX || 0);
+const WITHDRAW_POLL_MS = Number(process.env.WITHDRAW_POLL_MS || 5000);
+// A broadcast transfer still missing this many ticks after its target tick was not included
+const WITHDRAW_CONFIRM_MARGIN_TICKS = Number(process.env.WITHDRAW_CONFIRM_MARGIN_TICKS || 5);
+const WITHDRAW_BATCH_SIZE = 10;
+
+/**
+ * Emits "requested", "approved", "broadcast", "confirmed" and "failed" with the withdrawal row.
+ */
+const withdrawalEvents = new EventEmitter();
+
+let workerTimer = null;
+let running = false;
+let started = false;
+
+async function emitUpdate(event, id) {
+  withdrawalEvents.emit(event, await Withdrawal.findById(id));
+}
+
+/**
+ * Put a failed withdrawal's amount back on the player's balance (once).
+ */
+async function failWithdrawal(id, error) {
+  if (!(await Withdrawal.markFailed(id, { error }))) return false;
+  try {
+    await reverseWithdrawal(id);
+  } catch (e) {
+    console.error(`💸 Withdrawal #${id} balance reversal error:`, e?.message || e);
+  }
+  await emitUpdate("failed", id);
+  return true;
+}
+
+/**
+ * Check the player's balance before the withdrawal is recorded (debitWithdrawal checks it
+ * again atomically).
+ */
+async function assertCanCover({ publicKey, amount }) {
+  const { balance } = await getBalance(publicKey);
+  if (balance < amount) {
+    const err = new Error("Insufficient QUBIC balance");
+    err.statusCode = 402;
+    throw err;
+  }
+}
+
+/**
+ * Record a withdrawal request for `publicKey`, paid to the same wallet from the casino wallet.
+ * The amount leaves the player's balance right away and is given back if the withdrawal fails.
+ *
+ * @returns {Promise<object>} the withdrawal row; throws 402 on insufficient balance
+ */
+async function requestWithdrawal({ publicKey, amount }) {
+  if (!Number.isInteger(amount) || amount < WITHDRAW_MIN_AMOUNT) {
+    const err = new Error(`Minimum withdrawal is ${WITHDRAW_MIN_AMOUNT} QUBIC (integer amount)`);
+    err.statusCode = 400;
+    throw err;
+  }
+  await assertCanWithdraw(publicKey);
+  await assertCanCover({ publicKey, amount });
+
+  const withdrawal = await Withdrawal.create({ publicKey, destination: publicKey, amount });
+  try {
+    await debitWithdrawal({ withdrawalId: withdrawal.id, publicKey, amount });
+  } catch (e) {
+    await Withdrawal.markFailed(withdrawal.id, { error: String(e?.message || e) });
+    throw e;
+  }
+  console.log(`💸 Withdrawal #${withdrawal.id} requested: ${amount} QU to ${publicKey.slice(0, 10)}...`);
+  await emitUpdate("requested", withdrawal.id);
+
+  if (amount <= WITHDRAW_AUTO_APPROVE_MAX) {
+    return (await approveWithdrawal(withdrawal.id)) || withdrawal;
+  }
+  return withdrawal;
+}
+
+/**
+ * requested -> approved. Returns the withdrawal, or null if it was not waiting for approval.
+ */
+async function approveWithdrawal(id) {
+  if (!(await Withdrawal.approve(id))) return null;
+  await emitUpdate("approved", id);
+  if (started) kick();
+  return await Withdrawal.findById(id);
+}
+
+/**
+ * requested -> failed. Returns the withdrawal, or null if it was not waiting for approval.
+ */
+async function rejectWithdrawal(id, reason) {
+  const withdrawal = await Withdrawal.findById(id);
+  if (!withdrawal || withdrawal.status !== WITHDRAWAL_STATUS.REQUESTED) return null;
+  if (!(await failWithdrawal(id, `Rejected: ${reason || "no reason given"}`))) return null;
+  return await Withdrawal.findById(id);
+}
+
+async function broadcastWithdrawal(withdrawal) {
+  if (!(await Withdrawal.claimForBroadcast(withdrawal.id))) return;
+
+  let signed = false;
+  try {
+    const result = await payUserFromCasino({
+      toPublicId: withdrawal.destination,
+      amount: withdrawal.amount,
+      onSigned: async ({ txId, targetTick }) => {
+        await Withdrawal.setSigned(withdrawal.id, { txId, targetTick });
+        signed = true;
+      },
+    });
+    console.log(`💸 Withdrawal #${withdrawal.id} broadcast, txId: ${result.txId}, target tick ${result.targetTick}`);
+  } catch (e) {
+    const error = String(e?.message || e);
+    if (!signed) {
+      // Nothing was sent: try again on the next run
+      await Withdrawal.releaseUnsigned(withdrawal.id, error);
+      console.warn(`💸 Withdrawal #${withdrawal.id} could not be signed, will retry:`, error);
+      return;
+    }
+    // The transfer may still have reached the network; confirmation tracking settles it
+    console.warn(`💸 Withdrawal #${withdrawal.id} broadcast error (tracking txId anyway):`, error);
+  }
+  await emitUpdate("broadcast", withdrawal.id);
+}
+
+async function trackWithdrawal(withdrawal) {
+  const transfer = await fetchTransferState(withdrawal.txId, withdrawal.targetTick, {
+    marginTicks: WITHDRAW_CONFIRM_MARGIN_TICKS,
+  });
+
+  if (transfer.state === "dropped") {
+    const deadline = withdrawal.targetTick + WITHDRAW_CONFIRM_MARGIN_TICKS;
+    console.warn(`💸 Withdrawal #${withdrawal.id} not included in tick ${withdrawal.targetTick}`);
+    await failWithdrawal(
+      withdrawal.id,
+      `Transaction not included by tick ${deadline} (last processed ${transfer.lastTick})`
+    );
+    return;
+  }
+
+  if (transfer.state === "not_executed") {
+    console.warn(`💸 Withdrawal #${withdrawal.id} was not executed (tick ${transfer.tick})`);
+    await failWithdrawal(withdrawal.id, "Transfer was not executed");
+    return;
+  }
+
+  if (transfer.state !== "included") return;
+
+  if (await Withdrawal.markConfirmed(withdrawal.id, { tick: transfer.tick })) {
+    console.log(`💸 Withdrawal #${withdrawal.id} confirmed in tick ${transfer.tick}`);
+    await emitUpdate("confirmed", withdrawal.id);
+  }
+}
+
+async function runOnce() {
+  if (running) return;
+  running = true;
+  try {
+    const approved = await Withdrawal.findByStatus(WITHDRAWAL_STATUS.APPROVED, WITHDRAW_BATCH_SIZE);
+    for (const withdrawal of approved) {
+      try {
+        await broadcastWithdrawal(withdrawal);
+      } catch (e) {
+        console.error(`💸 Withdrawal #${withdrawal.id} broadcast processing error:`, e?.message || e);
+      }
+    }
+
+    const inFlight = (await Withdrawal.findByStatus(WITHDRAWAL_STATUS.BROADCAST, WITHDRAW_BATCH_SIZE)).filter(
+      (w) => w.txId
+    );
+    for (const withdrawal of inFlight) {
+      try {
+        await trackWithdrawal(withdrawal);
+      } catch (e) {
+        console.error(`💸 Withdrawal #${withdrawal.id} confirmation check error:`, e?.message || e);
+      }
+    }
+  } catch (e) {
+    console.error("💸 Withdrawal worker error:", e?.message || e);
+  } finally {
+    running = false;
+  }
+}
+
+function kick() {
+  setImmediate(() => runOnce());
+}
+
+/**
+ * Start the background worker (once per process).
+ */
+async function startWithdrawalWorker() {
+  if (started) return;
+  started = true;
+
+  try {
+    const released = await Withdrawal.releaseInterrupted();
+    for (const withdrawal of released) {
+      console.warn(`💸 Withdrawal #${withdrawal.id} was interrupted before signing; back to approved`);
+    }
+  } catch (e) {
+    console.error("💸 Withdrawal startup check error:", e?.message || e);
+  }
+
+  workerTimer = setInterval(runOnce, WITHDRAW_POLL_MS);
+  kick();
+  console.log(`💸 Withdrawal worker started (poll ${WITHDRAW_POLL_MS}ms, auto-approve up to ${WITHDRAW_AUTO_APPROVE_MAX})`);
+}
+
+function stopWithdrawalWorker() {
+  if (workerTimer) clearInterval(workerTimer);
+  workerTimer = null;
+  started = false;
+}
+
+module.exports = {
+  WITHDRAW_MIN_AMOUNT,
+  WITHDRAW_AUTO_APPROVE_MAX,
+  withdrawalEvents,
+  requestWithdrawal,
+  approveWithdrawal,
+  rejectWithdrawal,
+  startWithdrawalWorker,
+  stopWithdrawalWorker,
+};
@@ -1,6 +1,24 @@
 const crypto = require("crypto");
-const { CrashGame } = require("../models/Game");
-const { payFromCasinoToUser } = require("../services/qubicPayout");
+const { CrashGame, CrashRecoveryLog } = require("../models/Game");
+const { Bet } = require("../models/Bet");
+const { payWinnings } = require("../services/payoutQueue");
+const { auditBetAccepted, auditPayoutError } = require("../services/auditTrail");
+const { isBalanceStake, placeStake, releaseStake } = require("../services/balanceLedger");
+const {
+  DEPOSIT_STATUS,
+  DEPOSIT_RECHECK_MS,
+  DEPOSIT_VERIFY_TIMEOUT_MS,
+  verifyBetDeposit,
+} = require("../services/depositVerification");
+const { removeUnplayedBet } = require("../services/depositWatcher");
+const {
+  crashParams,
+  crashParamsOf,
+  crashPointFromSeeds,
+  nextRoundSeeds,
+} = require("../services/crashFairness");
+const { authenticate, requireSocketWallet } = require("../services/walletAuth");
+const { assertBetAllowed } = require("../services/playerLimits");
 
 const GAME_STATUS = {
   NotStarted: 1,
@@ -11,34 +29,6 @@ const GAME_STATUS = {
   Refunded: 6,
 };
 
-function sha256Hex(str) {
-  return crypto.createHash("sha256").update(str).digest("hex");
-}
-
-/**
- * Provably-fair crash point (deterministic from seeds).
- * IMPORTANT: your frontend "fairness verify" must use the SAME algorithm.
- */
-function crashPointFromSeeds(publicSeed, privateSeed) {
-  // HMAC(privateSeed, publicSeed)
-  const h = crypto.createHmac("sha256", privateSeed).update(publicSeed).digest("hex");
-
-  // first 52 bits = 13 hex chars
-  const r = BigInt("0x" + h.slice(0, 13));
-  const E = 1n << 52n;
-
-  // crash * 100 as bigint
-  let crash100 = ((100n * E) - r) / (E - r);
-
-  // clamp to 1000.00x max (optional)
-  const MAX100 = 100000n; // 1000.00x
-  if (crash100 > MAX100) crash100 = MAX100;
-
-  let crash = Number(crash100) / 100;
-  if (!Number.isFinite(crash) || crash < 1) crash = 1;
-  return Math.floor(crash * 100) / 100;
-}
-
 function normalizeWalletId(v) {
   if (!v) return "";
   return String(v).trim();
@@ -62,6 +52,8 @@ module.exports = function initCrash(io) {
   let startedAtMs = 0;
   let currentPayout = 1.0;
   let crashPoint = 0;
+  let roundEnding = false; // set by the tick that crashes the round; later ticks do nothing
+  let saving = Promise.resolve();
 
   function safeEmitGames(socket) {
     const now = Date.now();
@@ -92,12 +84,84 @@ module.exports = function initCrash(io) {
     socket.emit("games", payload);
   }
 
-  async function persistGame() {
+  // Saves run one at a time, in call order, so an older snapshot never lands after a newer one
+  // (the tick queues saves without waiting for them)
+  function persistGame() {
+    const game = currentGame;
+    saving = saving.then(async () => {
+      try {
+        if (!game?.save) return;
+        await game.save();
+      } catch (e) {
+        console.error("[CRASH] persistGame error:", e?.message || e);
+      }
+    });
+    return saving;
+  }
+
+  // Ledger writes must never stall or break the round
+  async function settleBet(player, outcome) {
+    if (!player.betId) return;
     try {
-      if (!currentGame?.save) return;
-      await currentGame.save();
+      await Bet.settle(player.betId, {
+        outcome,
+        payoutAmount: outcome === "won" ? player.winAmount : 0,
+        payoutTxId: player.payoutTxId || null,
+      });
     } catch (e) {
-      console.error("[CRASH] persistGame error:", e?.message || e);
+      console.error("[CRASH] bet settle error:", e?.message || e);
+    }
+  }
+
+  function auditWinPayoutError(player, error) {
+    return auditPayoutError({
+      game: "crash",
+      roundId: currentGame?._id,
+      publicKey: player.publicId,
+      amount: player.winAmount,
+      reference: `crash:bet:${player.betId}`,
+      error,
+    });
+  }
+
+  // Winnings go through the payout queue (or straight to the balance for balance bets);
+  // the tick never waits on RPC. The bet id doubles as the payout reference, so a bet can only be paid once.
+  function queueWinPayout(player) {
+    return payWinnings({
+      betTxId: player.txId,
+      reference: `crash:bet:${player.betId}`,
+      game: "crash",
+      roundId: currentGame?._id,
+      betId: player.betId,
+      publicKey: player.publicId,
+      amount: player.winAmount,
+    }).then(async (payout) => {
+      player.payoutId = payout.id;
+      if (payout.status === "credited") {
+        player.payoutTxId = payout.txId;
+        await Bet.setPayoutTxId(player.betId, payout.txId);
+      }
+      return payout;
+    });
+  }
+
+  // "unpaid": the payout could not be queued; the won bet is retried by services/crashPayouts.js
+  function payoutStatusOf(player) {
+    if (player.payoutError && !player.payoutId && !player.payoutTxId) return "unpaid";
+    return isBalanceStake(player.txId) ? "credited" : "queued";
+  }
+
+  function payoutLabel(payout) {
+    return payout.id ? `payout #${payout.id}` : `credited ${payout.txId}`;
+  }
+
+  async function releaseBet(player) {
+    if (!player.betId) return;
+    try {
+      await removeUnplayedBet(player.betId);
+      await releaseStake(player.txId);
+    } catch (e) {
+      console.error("[CRASH] bet release error:", e?.message || e);
     }
   }
 
@@ -115,10 +179,10 @@ module.exports = function initCrash(io) {
   }
 
   async function createNewRound() {
-    const publicSeed = crypto.randomBytes(16).toString("hex");
-    const privateSeed = crypto.randomBytes(32).toString("hex");
-    const privateHash = sha256Hex(privateSeed);
-    const cp = crashPointFromSeeds(publicSeed, privateSeed);
+    // Seeds come from the pre-committed hash chain (see services/crashFairness.js)
+    const { chainId, chainIndex, publicSeed, privateSeed, privateHash } = await nextRoundSeeds();
+    const { houseEdge, maxMultiplier } = crashParams();
+    const cp = crashPointFromSeeds(publicSeed, privateSeed, { houseEdge, maxMultiplier });
 
     crashPoint = cp;
     currentPayout = 1.0;
@@ -132,6 +196,10 @@ module.exports = function initCrash(io) {
       publicSeed,
       privateSeed,      // keep secret until end
       privateHash,
+      chainId,
+      chainIndex,
+      houseEdge,
+      maxMultiplier,
       players: [],
       history: [],      // some schemas store history in this row; we keep runtime history too
       startedAt: null,
@@ -146,6 +214,9 @@ module.exports = function initCrash(io) {
       timeUntilStart: STARTING_MS,
       publicSeed,
       privateHash,
+      chainIndex,
+      houseEdge,
+      maxMultiplier,
     });
 
     // Also broadcast snapshot
@@ -170,9 +241,10 @@ module.exports = function initCrash(io) {
   async function startRound() {
     if (!currentGame) return;
 
-    // ✅ Don't start round if no players joined (optional - keeps game waiting)
+    // ✅ Don't start round until a confirmed bet exists (keeps game waiting,
+    // which also gives "verifying" deposits more time to finalize)
     const players = currentGame.players || [];
-    if (players.length === 0) {
+    if (!players.some((p) => p.status === "bet")) {
       // restart countdown, don't start multiplier
       plannedStartAt = Date.now() + STARTING_MS;
       nsp.emit("game-starting", {
@@ -185,6 +257,11 @@ module.exports = function initCrash(io) {
       return;
     }
 
+    // Deposits still verifying miss this round (their txId can join a later round or becomes a deposit)
+    for (const p of players.filter((x) => x.status === "verifying")) {
+      dropVerifyingPlayer(p, "Transaction not confirmed before the round started. Join the next round with the same txId, or it is credited to your balance once final.");
+    }
+
     currentGame.status = GAME_STATUS.InProgress;
     currentGame.startedAt = new Date();
     startedAtMs = Date.now();
@@ -195,8 +272,11 @@ module.exports = function initCrash(io) {
       privateHash: currentGame.privateHash,
     });
 
-    // start ticking
-    tickTimer = setInterval(async () => {
+    // start ticking. The tick never waits on the DB or RPC: saves, ledger writes and payouts
+    // are queued, so a tick cannot overlap the next one
+    roundEnding = false;
+    tickTimer = setInterval(() => {
+      if (roundEnding) return;
       try {
         const elapsed = Date.now() - startedAtMs;
         let payout = computePayout(elapsed);
@@ -214,28 +294,24 @@ module.exports = function initCrash(io) {
             // Payouts must be positive integers for on-chain transfer
             p.winAmount = Math.floor(Number(p.betAmount) * cashMult);
 
-            // ✅ Pay out tokens to user
+            // ✅ Queue payout (not awaited: the transfer result arrives as payout-sent / payout-failed)
             if (p.winAmount > 0) {
-              try {
-                console.log(`[CRASH] Auto-cashout: Paying ${p.winAmount} to ${p.publicId}`);
-                const payoutResult = await payFromCasinoToUser({ toPublicId: p.publicId, amount: p.winAmount });
-                p.payoutTxId = payoutResult.txId;
-                console.log(`[CRASH] Auto-cashout: Payout successful, txId: ${p.payoutTxId}`);
-              } catch (payoutError) {
-                console.error("[CRASH] Auto-cashout payout error:", payoutError);
-                // Continue anyway - payout error logged but player still cashed out
+              console.log(`[CRASH] Auto-cashout: Queueing payout of ${p.winAmount} to ${p.publicId}`);
+              queueWinPayout(p).catch((payoutError) => {
+                console.error("[CRASH] Auto-cashout payout queue error:", payoutError);
                 p.payoutError = payoutError.message;
-              }
+                auditWinPayoutError(p, payoutError);
+              });
             }
 
-            // Save payoutTxId to database
-            await persistGame();
+            persistGame().then(() => settleBet(p, "won"));
 
             nsp.emit("bet-cashout", [p]);
             const playerSocket = nsp.sockets.get(p.socketId);
             if (playerSocket) {
               playerSocket.emit("bet-cashout-success", { 
-                payoutTxId: p.payoutTxId, 
+                payoutTxId: null, 
+                payoutStatus: payoutStatusOf(p),
                 winAmount: p.winAmount, 
                 multiplier: cashMult 
               });
@@ -251,7 +327,9 @@ module.exports = function initCrash(io) {
           // final tick
           nsp.emit("game-tick", currentPayout);
 
-          await endRound();
+          roundEnding = true;
+          clearTimers();
+          endRound().catch((e) => console.error("[CRASH] endRound error:", e?.message || e));
           return;
         }
 
@@ -260,7 +338,7 @@ module.exports = function initCrash(io) {
 
         // Update game state in DB periodically (every second)
         if (elapsed % 1000 < TICK_MS) {
-          await persistGame();
+          persistGame();
         }
       } catch (e) {
         console.error("[CRASH] tick error:", e?.message || e);
@@ -284,6 +362,7 @@ module.exports = function initCrash(io) {
       if (p.status === "bet") {
         p.status = "lost";
         p.lostAt = new Date().toISOString();
+        await settleBet(p, "lost");
       }
     }
 
@@ -308,6 +387,9 @@ module.exports = function initCrash(io) {
         publicSeed: currentGame.publicSeed,
         privateSeed: currentGame.privateSeed, // reveal for verification
         privateHash: currentGame.privateHash,
+        chainIndex: currentGame.chainIndex,
+        houseEdge: currentGame.houseEdge,
+        maxMultiplier: currentGame.maxMultiplier,
         players: currentGame.players || [],
         endedAt: currentGame.endedAt,
       },
@@ -319,22 +401,278 @@ module.exports = function initCrash(io) {
     }, 1000);
   }
 
+  function dropVerifyingPlayer(player, message) {
+    if (!currentGame) return;
+    currentGame.players = (currentGame.players || []).filter((p) => p !== player);
+    const playerSocket = nsp.sockets.get(player.socketId);
+    if (playerSocket) playerSocket.emit("game-join-error", message);
+    nsp.emit("game-bets", currentGame.players);
+    releaseBet(player); // frees the txId for a later round
+  }
+
+  /**
+   * Poll the RPC for a "verifying" bet until its deposit confirms, is rejected,
+   * times out, or the betting phase of its round is over.
+   */
+  function scheduleDepositRecheck(round, player) {
+    setTimeout(async () => {
+      if (currentGame !== round || round.status !== GAME_STATUS.Starting) return;
+      if (player.status !== "verifying") return;
+
+      let result;
+      try {
+        result = await verifyBetDeposit({
+          txId: player.txId,
+          publicId: player.publicId,
+          amount: player.betAmount,
+        });
+      } catch (e) {
+        console.error("[CRASH] deposit recheck error:", e?.message || e);
+        result = { status: DEPOSIT_STATUS.PENDING };
+      }
+
+      if (currentGame !== round || player.status !== "verifying") return;
+
+      if (result.status === DEPOSIT_STATUS.CONFIRMED) {
+        player.status = "bet";
+        delete player.verifyingSince;
+        const playerSocket = nsp.sockets.get(player.socketId);
+        if (playerSocket) playerSocket.emit("game-join-success", player);
+        nsp.emit("game-bets", currentGame.players);
+        return;
+      }
+
+      if (result.status === DEPOSIT_STATUS.REJECTED) {
+        dropVerifyingPlayer(player, "Transaction not valid for this bet: " + result.reason);
+        return;
+      }
+
+      if (Date.now() - player.verifyingSince > DEPOSIT_VERIFY_TIMEOUT_MS) {
+        dropVerifyingPlayer(player, "Transaction could not be confirmed in time");
+        return;
+      }
+
+      scheduleDepositRecheck(round, player);
+    }, DEPOSIT_RECHECK_MS);
+  }
+
+  // ---- Restart recovery ----
+  // Notices for wallets affected by recovery, delivered when they (re)connect
+  const RECOVERY_NOTICE_TTL_MS = 60 * 60 * 1000;
+  const recoveryNotices = new Map(); // publicId -> [{ event, payload, at }]
+
+  function walletRoom(publicId) {
+    return `wallet:${publicId}`;
+  }
+
+  function notifyWallet(publicId, event, payload) {
+    const list = recoveryNotices.get(publicId) || [];
+    list.push({ event, payload, at: Date.now() });
+    recoveryNotices.set(publicId, list);
+    deliverRecoveryNotices(publicId);
+  }
+
+  function deliverRecoveryNotices(publicId) {
+    const list = recoveryNotices.get(publicId);
+    if (!list || list.length === 0) return;
+    const room = nsp.adapter.rooms.get(walletRoom(publicId));
+    if (!room || room.size === 0) return; // keep until the wallet connects
+
+    for (const notice of list) {
+      if (Date.now() - notice.at > RECOVERY_NOTICE_TTL_MS) continue;
+      nsp.to(walletRoom(publicId)).emit(notice.event, notice.payload);
+    }
+    recoveryNotices.delete(publicId);
+  }
+
+  async function logRecovery(entry) {
+    try {
+      await CrashRecoveryLog.create(entry);
+    } catch (e) {
+      console.error("[CRASH] recovery log error:", e?.message || e, entry);
+    }
+  }
+
+  /**
+   * Round never started: give every confirmed stake back.
+   * The round is only marked Refunded once all of its bets are resolved,
+   * so a later boot retries whatever failed here.
+   */
+  async function refundInterruptedRound(round, reason) {
+    const roundId = round._id;
+    const bets = (await Bet.findByRound("crash", roundId)).filter((b) => b.outcome === "pending");
+    let unresolved = 0;
+
+    for (const bet of bets) {
+      // Only refund deposits that actually arrived
+      const deposit = await verifyBetDeposit({ txId: bet.txId, publicId: bet.publicKey, amount: bet.betAmount });
+      if (deposit.status === DEPOSIT_STATUS.REJECTED) {
+        await removeUnplayedBet(bet.id);
+        await logRecovery({ roundId, betId: bet.id, publicKey: bet.publicKey, action: "released", amount: bet.betAmount, detail: deposit.reason });
+        continue;
+      }
+      if (deposit.status === DEPOSIT_STATUS.PENDING) {
+        unresolved += 1;
+        await logRecovery({ roundId, betId: bet.id, publicKey: bet.publicKey, action: "refund_deferred", amount: bet.betAmount, detail: deposit.reason });
+        continue;
+      }
+
+      try {
+        const refund = await payWinnings({
+          betTxId: bet.txId,
+          reference: `crash:refund:${bet.id}`,
+          kind: "refund",
+          game: "crash",
+          roundId,
+          betId: bet.id,
+          publicKey: bet.publicKey,
+          amount: bet.betAmount,
+        });
+        await Bet.refund(bet.id, { refundTxId: refund.status === "credited" ? refund.txId : null });
+        await logRecovery({ roundId, betId: bet.id, publicKey: bet.publicKey, action: "refund", amount: bet.betAmount, detail: `${payoutLabel(refund)}: ${reason}` });
+        notifyWallet(bet.publicKey, "bet-refunded", {
+          roundId,
+          betId: bet.id,
+          amount: bet.betAmount,
+          payoutId: refund.id,
+          reason,
+        });
+      } catch (e) {
+        unresolved += 1;
+        console.error("[CRASH] recovery refund error:", e?.message || e);
+        await logRecovery({ roundId, betId: bet.id, publicKey: bet.publicKey, action: "refund_failed", amount: bet.betAmount, detail: e?.message || String(e) });
+      }
+    }
+
+    if (unresolved === 0) {
+      await CrashGame.findByIdAndUpdate(roundId, { status: GAME_STATUS.Refunded, endedAt: new Date() });
+      await logRecovery({ roundId, action: "round_refunded", detail: `${bets.length} bet(s): ${reason}` });
+    }
+  }
+
+  /**
+   * Round was running: its crash point was committed before start, so finish it.
+   * A pending bet whose target is at or below the crash point would have auto-cashed out.
+   */
+  async function settleInterruptedRound(round) {
+    const roundId = round._id;
+    if (!round.privateSeed || !round.publicSeed) {
+      await refundInterruptedRound(round, "Round interrupted and its seed is unavailable");
+      return;
+    }
+
+    const cp = crashPointFromSeeds(round.publicSeed, round.privateSeed, crashParamsOf(round));
+    const bets = (await Bet.findByRound("crash", roundId)).filter((b) => b.outcome === "pending");
+    let unresolved = 0;
+
+    for (const bet of bets) {
+      const target = Number(bet.target) / 100;
+
+      if (!(target > 0 && target <= cp)) {
+        await Bet.settle(bet.id, { outcome: "lost" });
+        await logRecovery({ roundId, betId: bet.id, publicKey: bet.publicKey, action: "settle_lost", amount: 0, detail: `target ${target}x > crash ${cp}x` });
+        notifyWallet(bet.publicKey, "bet-recovered", { roundId, betId: bet.id, outcome: "lost", crashPoint: cp, target });
+        continue;
+      }
+
+      const winAmount = Math.floor(bet.betAmount * target);
+      try {
+        // same reference as a live cashout: a payout queued before the restart is not paid twice
+        const payout = await payWinnings({
+          betTxId: bet.txId,
+          reference: `crash:bet:${bet.id}`,
+          game: "crash",
+          roundId,
+          betId: bet.id,
+          publicKey: bet.publicKey,
+          amount: winAmount,
+        });
+        await Bet.settle(bet.id, {
+          outcome: "won",
+          payoutAmount: winAmount,
+          payoutTxId: payout.status === "credited" ? payout.txId : null,
+        });
+        await logRecovery({ roundId, betId: bet.id, publicKey: bet.publicKey, action: "settle_won", amount: winAmount, detail: `${payoutLabel(payout)}: target ${target}x <= crash ${cp}x` });
+        notifyWallet(bet.publicKey, "bet-recovered", {
+          roundId,
+          betId: bet.id,
+          outcome: "won",
+          crashPoint: cp,
+          target,
+          winAmount,
+          payoutId: payout.id,
+        });
+      } catch (e) {
+        unresolved += 1;
+        console.error("[CRASH] recovery payout error:", e?.message || e);
+        auditPayoutError({
+          game: "crash",
+          roundId,
+          publicKey: bet.publicKey,
+          amount: winAmount,
+          reference: `crash:bet:${bet.id}`,
+          error: e,
+        });
+        await logRecovery({ roundId, betId: bet.id, publicKey: bet.publicKey, action: "payout_failed", amount: winAmount, detail: e?.message || String(e) });
+      }
+    }
+
+    if (unresolved === 0) {
+      await CrashGame.findByIdAndUpdate(roundId, { status: GAME_STATUS.Over, crashPoint: cp, endedAt: new Date() });
+      await logRecovery({ roundId, action: "round_settled", detail: `${bets.length} bet(s) settled at crash ${cp}x` });
+    }
+  }
+
+  async function recoverInterruptedRounds() {
+    const rounds = await CrashGame.find({
+      status: { $in: [GAME_STATUS.Starting, GAME_STATUS.InProgress] },
+    });
+    if (rounds.length === 0) return;
+
+    console.log(`[CRASH] Recovering ${rounds.length} interrupted round(s)...`);
+    for (const round of rounds) {
+      try {
+        if (round.status === GAME_STATUS.InProgress) {
+          await settleInterruptedRound(round);
+        } else {
+          await refundInterruptedRound(round, "Round interrupted by server restart before it started");
+        }
+      } catch (e) {
+        console.error(`[CRASH] recovery of round ${round._id} failed:`, e?.message || e);
+      }
+    }
+  }
+
+  // Set by requireSocketWallet from the session token, never from client-sent ids
   function getSocketWallet(socket) {
-    return normalizeWalletId(
-      socket.data?.publicId ||
-        socket.handshake?.auth?.publicId ||
-        socket.handshake?.query?.publicId
-    );
+    return normalizeWalletId(socket.data?.publicId);
   }
 
   // ---- Socket handlers ----
+  // connect with: io("/crashx", { auth: { token } }) (token from POST /api/auth/verify)
+  nsp.use(requireSocketWallet);
+
   nsp.on("connection", (socket) => {
     console.log("[CRASH] Client connected:", socket.id);
 
-    // client can send: socket.emit("auth", { publicId })
-    socket.on("auth", (data) => {
-      const publicId = normalizeWalletId(data?.publicId || data?.publicKey);
-      if (publicId) socket.data.publicId = publicId;
+    const handshakeWallet = getSocketWallet(socket);
+    socket.join(walletRoom(handshakeWallet));
+    deliverRecoveryNotices(handshakeWallet);
+
+    // client can send: socket.emit("auth", { token }) to switch to a new session
+    socket.on("auth", async (data) => {
+      if (data?.token) {
+        const session = await authenticate(data.token).catch(() => null);
+        if (!session) {
+          socket.emit("auth-error", "Invalid or expired session");
+        } else if (session.publicId !== getSocketWallet(socket)) {
+          socket.leave(walletRoom(getSocketWallet(socket)));
+          socket.data.publicId = session.publicId;
+          socket.data.sessionId = session.sessionId;
+          socket.join(walletRoom(session.publicId));
+          deliverRecoveryNotices(session.publicId);
+        }
+      }
       safeEmitGames(socket);
     });
 
@@ -342,7 +680,7 @@ module.exports = function initCrash(io) {
       safeEmitGames(socket);
     });
 
-    // join-game must include txId (transaction required)
+    // join-game must include txId (transaction required), or fromBalance: true to stake from the balance
     socket.on("join-game", async (payload) => {
       try {
         if (!currentGame) {
@@ -361,12 +699,15 @@ module.exports = function initCrash(io) {
         }
 
         let { target, betAmount, currencyId, txId } = payload;
+        const fromBalance = payload.fromBalance === true;
 
         target = Number(target) / 100; // Target is stored as multiplier * 100 in frontend
         betAmount = Number(betAmount);
 
-        // ✅ Require txId
-        if (!txId || typeof txId !== "string") {
+        // ✅ Require txId (balance bets get one from the ledger below)
+        if (fromBalance) {
+          txId = null;
+        } else if (!txId || typeof txId !== "string" || isBalanceStake(txId)) {
           socket.emit("game-join-error", "Missing txId (transaction required)");
           return;
         }
@@ -375,7 +716,12 @@ module.exports = function initCrash(io) {
           socket.emit("game-join-error", "Invalid target multiplier");
           return;
         }
-        if (!Number.isFinite(betAmount) || betAmount <= 0) {
+        const maxMultiplier = currentGame.maxMultiplier || crashParams().maxMultiplier;
+        if (target > maxMultiplier) {
+          socket.emit("game-join-error", `Target multiplier cannot exceed ${maxMultiplier}x`);
+          return;
+        }
+        if (!Number.isInteger(betAmount) || betAmount <= 0) {
           socket.emit("game-join-error", "Invalid bet amount");
           return;
         }
@@ -386,6 +732,16 @@ module.exports = function initCrash(io) {
           return;
         }
 
+        try {
+          await assertBetAllowed({ publicKey: publicId, game: "crash", amount: betAmount, sessionId: socket.data.sessionId });
+        } catch (e) {
+          if (e.statusCode === 403) {
+            socket.emit("game-join-error", e.message);
+            return;
+          }
+          throw e;
+        }
+
         // prevent duplicate bet same round
         const players = currentGame.players || [];
         if (players.some((p) => p.publicId === publicId)) {
@@ -394,33 +750,95 @@ module.exports = function initCrash(io) {
         }
 
         // ✅ prevent tx replay in same round
-        if (players.some((p) => p.txId === txId)) {
+        if (txId && players.some((p) => p.txId === txId)) {
           socket.emit("game-join-error", "Transaction already used");
           return;
         }
 
-        // ✅ TODO: Verify Qubic transaction on-chain
-        // const txValid = await verifyQubicTransaction({ publicId, betAmount, txId });
-        // if (!txValid) {
-        //   socket.emit("game-join-error", "Transaction not valid/confirmed for this bet");
-        //   return;
-        // }
+        // ✅ Balance bets: take the stake now; it stands in for the bet transfer
+        if (fromBalance) {
+          try {
+            txId = await placeStake({ publicKey: publicId, amount: betAmount, game: "crash" });
+          } catch (e) {
+            if (e.statusCode === 402) {
+              socket.emit("game-join-error", e.message);
+              return;
+            }
+            throw e;
+          }
+        }
+
+        // ✅ Record the bet in the ledger first: uq_bet_tx blocks txId reuse across rounds and games
+        const round = currentGame;
+        let bet;
+        try {
+          bet = await Bet.create({
+            publicKey: publicId,
+            game: "crash",
+            roundId: round._id,
+            betAmount,
+            target: target * 100,
+            txId,
+          });
+          auditBetAccepted(bet);
+        } catch (e) {
+          await releaseStake(txId);
+          if (e.statusCode === 409) {
+            socket.emit("game-join-error", "Transaction already used");
+            return;
+          }
+          throw e;
+        }
+
+        // ✅ Verify Qubic transaction on-chain (player -> casino, amount = bet, final tick)
+        const verification = await verifyBetDeposit({ txId, publicId, amount: betAmount });
+        if (verification.status === DEPOSIT_STATUS.REJECTED) {
+          await removeUnplayedBet(bet.id);
+          await releaseStake(txId);
+          socket.emit("game-join-error", "Transaction not valid for this bet: " + verification.reason);
+          return;
+        }
+
+        // The RPC round-trip can outlive the betting phase or race another join
+        if (currentGame !== round || currentGame.status !== GAME_STATUS.Starting) {
+          await removeUnplayedBet(bet.id);
+          await releaseStake(txId);
+          socket.emit("game-join-error", "Round closed while verifying your transaction");
+          return;
+        }
+        const latestPlayers = currentGame.players || [];
+        if (latestPlayers.some((p) => p.publicId === publicId)) {
+          await removeUnplayedBet(bet.id);
+          await releaseStake(txId);
+          socket.emit("game-join-error", "You already joined this round");
+          return;
+        }
+
+        const verifying = verification.status === DEPOSIT_STATUS.PENDING;
         const player = {
           playerID: crypto.randomBytes(8).toString("hex"),
+          betId: bet.id,
           socketId: socket.id,
           publicId,
           betAmount,
           target,
           currencyId: currencyId || null,
           txId,
-          status: "bet",
+          status: verifying ? "verifying" : "bet",
           joinedAt: new Date().toISOString(),
         };
 
-        currentGame.players = [...players, player];
+        currentGame.players = [...latestPlayers, player];
         await persistGame();
 
-        socket.emit("game-join-success", player);
+        if (verifying) {
+          // Not rejected: the bet waits for its deposit to finalize
+          player.verifyingSince = Date.now();
+          socket.emit("game-join-verifying", { ...player, reason: verification.reason });
+          scheduleDepositRecheck(round, player);
+        } else {
+          socket.emit("game-join-success", player);
+        }
         nsp.emit("game-bets", currentGame.players); // frontend expects array
 
       } catch (e) {
@@ -447,7 +865,8 @@ module.exports = function initCrash(io) {
         }
 
         const players = currentGame.players || [];
-        const p = players.find((x) => x.publicId === publicId || x.socketId === socket.id);
+        // only the authenticated wallet's own bet, whichever socket placed it
+        const p = players.find((x) => x.publicId === publicId);
 
         if (!p) {
           socket.emit("bet-cashout-error", "You have no active bet in this round");
@@ -471,28 +890,33 @@ module.exports = function initCrash(io) {
         // Payouts must be positive integers for on-chain transfer
         p.winAmount = Math.floor(Number(p.betAmount) * currentPayout);
 
-        // ✅ Pay out tokens to user
-        let payoutTxId = null;
+        // The cashout is the outcome: the bet is won before its payout is queued, so a payout
+        // that cannot be queued leaves a won-but-unpaid bet (services/crashPayouts.js retries it,
+        // POST /api/crash/claim lets the player claim it), never a live bet again
+        await persistGame();
+        await settleBet(p, "won");
+
+        // ✅ Queue payout (the transfer result arrives as payout-sent / payout-failed)
         if (p.winAmount > 0) {
           try {
-            console.log(`[CRASH] Manual cashout: Paying ${p.winAmount} to ${publicId}`);
-            const payoutResult = await payFromCasinoToUser({ toPublicId: publicId, amount: p.winAmount });
-            payoutTxId = payoutResult.txId;
-            p.payoutTxId = payoutTxId;
-            console.log(`[CRASH] Manual cashout: Payout successful, txId: ${payoutTxId}`);
+            console.log(`[CRASH] Manual cashout: Queueing payout of ${p.winAmount} to ${publicId}`);
+            await queueWinPayout(p);
           } catch (payoutError) {
-            console.error("[CRASH] Manual cashout payout error:", payoutError);
-            // Revert player status if payout fails
-            p.status = "bet";
+            console.error("[CRASH] Manual cashout payout queue error:", payoutError);
+            auditWinPayoutError(p, payoutError);
+            p.payoutError = payoutError?.message || String(payoutError);
             await persistGame();
-            socket.emit("bet-cashout-error", "Payout failed: " + (payoutError?.message || "Unknown error"));
-            return;
           }
         }
 
-        await persistGame();
-
-        socket.emit("bet-cashout-success", { payoutTxId, winAmount: p.winAmount, multiplier: currentPayout });
+        socket.emit("bet-cashout-success", {
+          payoutTxId: p.payoutTxId || null,
+          payoutId: p.payoutId || null,
+          payoutStatus: payoutStatusOf(p),
+          payoutError: p.payoutError || null,
+          winAmount: p.winAmount,
+          multiplier: currentPayout,
+        });
         nsp.emit("bet-cashout", [p]);
 
       } catch (e) {
@@ -513,10 +937,17 @@ module.exports = function initCrash(io) {
   (async () => {
     try {
       // Load recent game history from DB (optional - history can start empty)
-      // Note: CrashGame model doesn't have a find method, so we start with empty history
       // History will be populated as games complete
       
       console.log("[CRASH] Starting crash game namespace...");
+
+      // Refund / settle rounds a previous process left in Starting or InProgress
+      try {
+        await recoverInterruptedRounds();
+      } catch (e) {
+        console.error("[CRASH] recovery error:", e?.message || e);
+      }
+
       await createNewRound();
     } catch (e) {
       console.error("[CRASH] boot error:", e?.message || e);
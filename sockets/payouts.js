@@ -0,0 +1,121 @@
+const { payoutEvents } = require('../services/payoutQueue');
+const { withdrawalEvents } = require('../services/withdrawals');
+const { balanceEvents } = require('../services/balanceLedger');
+const { depositEvents } = require('../services/depositWatcher');
+const { limitEvents } = require('../services/playerLimits');
+const { authenticate } = require('../services/walletAuth');
+
+// Namespaces whose sockets join a `wallet:<publicId>` room
+const GAME_NAMESPACES = {
+  crash: '/crashx',
+  slide: '/slide',
+};
+
+function walletRoom(publicId) {
+  return `wallet:${publicId}`;
+}
+
+function toClient(payout) {
+  return {
+    payoutId: payout.id,
+    reference: payout.reference,
+    game: payout.game,
+    roundId: payout.roundId,
+    betId: payout.betId,
+    amount: payout.amount,
+    status: payout.status,
+    attempts: payout.attempts,
+    txId: payout.txId || null,
+    targetTick: payout.targetTick ?? null,
+    confirmedTick: payout.confirmedTick ?? null,
+    rebroadcasts: payout.rebroadcasts ?? 0,
+    error: ['failed', 'rebroadcast', 'voided'].includes(payout.status) ? payout.lastError : null,
+  };
+}
+
+/**
+ * Payout notifications
+ * Forwards payout queue results as `payout-sent` / `payout-confirmed` / `payout-rebroadcast` /
+ * `payout-failed` / `payout-voided` to the player's wallet room:
+ * on the default namespace (mines / video poker clients) and on the game's own namespace.
+ * Withdrawal state changes go to the default namespace as `withdrawal-update`;
+ * casino balance changes go out as `balance-update` like payouts, credited deposits
+ * to the default namespace as `deposit-confirmed`. Session-time reminders go out as
+ * `session-reminder` on every namespace.
+ */
+module.exports = function (io) {
+  io.on('connection', (socket) => {
+    // Only a session token (POST /api/auth/verify) puts a socket in a wallet room
+    const joinWallet = async (token) => {
+      if (!token) return;
+      const session = await authenticate(token).catch(() => null);
+      if (session) socket.join(walletRoom(session.publicId));
+      else socket.emit('auth-error', 'Invalid or expired session');
+    };
+
+    joinWallet(socket.handshake?.auth?.token);
+    socket.on('auth', (data) => joinWallet(data?.token));
+  });
+
+  function notify(event, payout) {
+    if (!payout?.publicKey) return;
+    const room = walletRoom(payout.publicKey);
+    const payload = toClient(payout);
+
+    io.to(room).emit(event, payload);
+    const nsp = GAME_NAMESPACES[payout.game];
+    if (nsp) io.of(nsp).to(room).emit(event, payload);
+  }
+
+  payoutEvents.on('sent', (payout) => notify('payout-sent', payout));
+  payoutEvents.on('confirmed', (payout) => notify('payout-confirmed', payout));
+  payoutEvents.on('rebroadcast', (payout) => notify('payout-rebroadcast', payout));
+  payoutEvents.on('failed', (payout) => notify('payout-failed', payout));
+  payoutEvents.on('voided', (payout) => notify('payout-voided', payout));
+
+  const notifyWithdrawal = (withdrawal) => {
+    if (!withdrawal?.publicKey) return;
+    io.to(walletRoom(withdrawal.publicKey)).emit('withdrawal-update', {
+      withdrawalId: withdrawal.id,
+      amount: withdrawal.amount,
+      status: withdrawal.status,
+      txId: withdrawal.txId,
+      error: withdrawal.status === 'failed' ? withdrawal.error : null,
+    });
+  };
+  for (const event of ['approved', 'broadcast', 'confirmed', 'failed']) {
+    withdrawalEvents.on(event, notifyWithdrawal);
+  }
+
+  balanceEvents.on('posted', (posting) => {
+    const room = walletRoom(posting.publicKey);
+    const payload = {
+      kind: posting.kind,
+      change: posting.change,
+      balance: posting.balance,
+      game: posting.game,
+      roundId: posting.roundId,
+    };
+
+    io.to(room).emit('balance-update', payload);
+    const nsp = GAME_NAMESPACES[posting.game];
+    if (nsp) io.of(nsp).to(room).emit('balance-update', payload);
+  });
+
+  limitEvents.on('reminder', (reminder) => {
+    const room = walletRoom(reminder.publicKey);
+    const payload = { playedMinutes: reminder.playedMinutes, sessionMinutes: reminder.sessionMinutes };
+
+    io.to(room).emit('session-reminder', payload);
+    for (const nsp of Object.values(GAME_NAMESPACES)) io.of(nsp).to(room).emit('session-reminder', payload);
+  });
+
+  depositEvents.on('confirmed', (deposit) => {
+    io.to(walletRoom(deposit.publicKey)).emit('deposit-confirmed', {
+      txId: deposit.txId,
+      amount: deposit.amount,
+      tick: deposit.tick,
+      balance: deposit.balance,
+    });
+  });
+};
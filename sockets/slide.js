@@ -1,8 +1,21 @@
 const { SlideGame } = require('../models/Game');
+const { Bet } = require('../models/Bet');
 const { query } = require('../database/connection'); // ✅ for cleanup queries
 const crypto = require('crypto');
-const { payFromCasinoToUser } = require('../services/qubicPayout');
+const { auditBetAccepted, auditPayoutError } = require('../services/auditTrail');
+const { slidePayoutReference, slidePayoutStatus, payWonSlideBet } = require('../services/slidePayouts');
+const { isBalanceStake, placeStake, releaseStake } = require('../services/balanceLedger');
+const { generateSlideData, slideParams } = require('../services/slideFairness');
 const { normalizeQubicPublicId } = require('../utils/validation');
+const {
+  DEPOSIT_STATUS,
+  DEPOSIT_RECHECK_MS,
+  DEPOSIT_VERIFY_TIMEOUT_MS,
+  verifyBetDeposit,
+} = require('../services/depositVerification');
+const { removeUnplayedBet } = require('../services/depositWatcher');
+const { authenticate, requireSocketWallet } = require('../services/walletAuth');
+const { assertBetAllowed } = require('../services/playerLimits');
 
 /**
  * Slide Game Socket.io Namespace
@@ -34,33 +47,12 @@ module.exports = function (io) {
   // How many ended games to keep (prevents infinite DB growth)
   const KEEP_ENDED_GAMES = Number(process.env.SLIDE_KEEP_ENDED_GAMES || 50);
 
-  // Generate crash point and numbers array
-  function generateSlideData(publicSeed, privateSeed) {
-    const combined = publicSeed + privateSeed;
-    const hash = crypto.createHash('sha256').update(combined).digest('hex');
-
-    // Generate crash point
-    const hashNum = parseInt(hash.slice(0, 8), 16);
-    const random = (hashNum % 1000000) / 1000000;
-    const crashPoint = Math.max(
-      1.0,
-      Math.min(1000.0, parseFloat((1 + random * 999).toFixed(2)))
-    );
-
-    // Generate numbers array (simulated sliding numbers)
-    const numbers = [];
-    let current = 1.0;
-    while (current < crashPoint) {
-      numbers.push(parseFloat(current.toFixed(2)));
-      current += 0.01 + Math.random() * 0.05;
-    }
-    numbers.push(crashPoint);
-
-    return { crashPoint, numbers };
-  }
-
   const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
+  // Bets are taken from STARTING on, so a bet whose deposit is still verifying has the
+  // whole countdown to confirm before the round plays
+  const acceptsBets = (game) => game.status === STATUS.STARTING || game.status === STATUS.BETTING;
+
   // Cleanup old ended games to prevent DB from filling up
   async function cleanupOldEndedGames() {
     try {
@@ -100,7 +92,9 @@ module.exports = function (io) {
     const privateSeed = crypto.randomBytes(32).toString('hex');
     const privateHash = crypto.createHash('sha256').update(privateSeed).digest('hex');
 
-    const { crashPoint, numbers } = generateSlideData(publicSeed, privateSeed);
+    // Crash point and track both come from the seeds (see services/slideFairness.js)
+    const { houseEdge, maxMultiplier } = slideParams();
+    const { crashPoint, numbers } = generateSlideData(publicSeed, privateSeed, { houseEdge, maxMultiplier });
 
     // ✅ Keep full numbers in memory only (never store in DB)
     const runtimeNumbers = numbers;
@@ -119,14 +113,20 @@ module.exports = function (io) {
       publicSeed,
       privateSeed,
       privateHash,
+      houseEdge,
+      maxMultiplier,
       players: [],
       createdAt: new Date(),
     };
 
     const game = await SlideGame.create(gameData);
 
-    // Attach runtime-only numbers (not saved to DB)
+    // Attach runtime-only numbers (not saved to DB) and the seed revealed at game-end
     game._runtimeNumbers = runtimeNumbers;
+    game.numbers = numbersPreview; // save() re-digests this, keep it the real track
+    game._privateSeed = privateSeed;
+    game.houseEdge = houseEdge;
+    game.maxMultiplier = maxMultiplier;
 
     return game;
   }
@@ -145,6 +145,9 @@ module.exports = function (io) {
         // Initial wait period
         await wait(2000);
 
+        // No round is current here: finish any round an earlier cycle or process left open
+        await recoverInterruptedRounds();
+
         // Create new game
         currentGame = await createNewGame();
 
@@ -156,6 +159,8 @@ module.exports = function (io) {
           _id: currentGame._id,
           publicSeed: currentGame.publicSeed,
           privateHash: currentGame.privateHash,
+          houseEdge: currentGame.houseEdge,
+          maxMultiplier: currentGame.maxMultiplier,
         });
 
         // 2) BETTING window
@@ -172,6 +177,15 @@ module.exports = function (io) {
         currentGame.status = STATUS.PLAYING;
         await currentGame.save();
 
+        // Bets whose deposit is still verifying do not take part in this round
+        for (const player of currentGame.players.filter((p) => p.status === 'verifying')) {
+          dropVerifyingPlayer(
+            currentGame,
+            player,
+            'Transaction not confirmed before the round started. Join the next round with the same txId, or it is credited to your balance once final.'
+          );
+        }
+
         // Prefer runtime numbers (full), fallback to DB preview
         const sourceNumbers =
           currentGame._runtimeNumbers || currentGame.numbers || [];
@@ -190,53 +204,84 @@ module.exports = function (io) {
         // Wait for game to finish (simulate slide duration)
         await wait(5000);
 
-        // Calculate payouts and pay winners
+        // Decide every outcome and settle it in the ledger before paying, so a win whose
+        // payout fails is on record as won-but-unpaid
         const players = currentGame.players || [];
         const crashPoint = currentGame.crashPoint;
+        let unsettled = 0;
 
         for (const player of players) {
-          if (player.status === 'playing' && player.publicId) {
-            if (crashPoint >= player.target) {
-              const winAmount = Math.floor(player.betAmount * player.target);
-              if (winAmount > 0) {
-                try {
-                  console.log(`[SLIDE] Paying ${winAmount} to ${player.publicId}`);
-                  const payoutResult = await payFromCasinoToUser({
-                    toPublicId: player.publicId,
-                    amount: winAmount,
-                  });
-                  player.status = 'won';
-                  player.winAmount = winAmount;
-                  player.payoutTxId = payoutResult.txId;
-                  console.log(`[SLIDE] Payout successful, txId: ${payoutResult.txId}`);
-                } catch (payoutError) {
-                  console.error('[SLIDE] Payout error:', payoutError);
-                  player.status = 'lost';
-                  player.winAmount = 0;
-                }
-              } else {
-                player.status = 'lost';
-                player.winAmount = 0;
-              }
-            } else {
-              player.status = 'lost';
-              player.winAmount = 0;
-            }
+          if (player.status !== 'playing' || !player.publicId) continue;
+          const winAmount = crashPoint >= player.target ? Math.floor(player.betAmount * player.target) : 0;
+          // The outcome is decided here; whether the payout went through is tracked separately
+          player.status = winAmount > 0 ? 'won' : 'lost';
+          player.winAmount = winAmount;
+          if (!player.betId) continue;
+          try {
+            await Bet.settle(player.betId, { outcome: player.status, payoutAmount: winAmount });
+          } catch (error) {
+            // Left pending: recoverInterruptedRounds settles it from the stored crash point
+            unsettled += 1;
+            console.error('[SLIDE] bet settle error:', error?.message || error);
           }
         }
 
-        // 4) END / WAITING
-        currentGame.status = STATUS.WAITTING;
-        await currentGame.save();
+        for (const player of players) {
+          if (player.status !== 'won') continue;
+          try {
+            console.log(`[SLIDE] Queueing payout of ${player.winAmount} to ${player.publicId}`);
+            const payout = await payWonSlideBet({
+              id: player.betId,
+              txId: player.txId,
+              roundId: currentGame._id,
+              publicKey: player.publicId,
+              payoutAmount: player.winAmount,
+            });
+            player.payoutId = payout.id;
+            player.payoutStatus = slidePayoutStatus(payout);
+            // balance credits are final; on-chain txIds are filled in when the worker broadcasts
+            player.payoutTxId = payout.status === 'credited' ? payout.txId : null;
+          } catch (payoutError) {
+            // Won but unpaid: the settled bet is picked up by the unpaid win retry
+            // (services/slidePayouts.js) and can be claimed via POST /api/slide/claim
+            console.error('[SLIDE] Payout error:', payoutError);
+            auditPayoutError({
+              game: 'slide',
+              roundId: currentGame._id,
+              publicKey: player.publicId,
+              amount: player.winAmount,
+              reference: slidePayoutReference(player.betId),
+              error: payoutError,
+            });
+            player.payoutStatus = 'unpaid';
+            player.payoutError = payoutError?.message || String(payoutError);
+          }
+        }
+
+        // 4) END / WAITING (a round with unsettled bets stays PLAYING until recovery settles them)
+        if (unsettled === 0) {
+          currentGame.status = STATUS.WAITTING;
+          await currentGame.save();
+        }
 
         slideNamespace.emit('game-end', {
+          _id: currentGame._id,
           crashPoint: currentGame.crashPoint,
+          // reveal for verification (GET /api/slide/verify/:roundId)
+          publicSeed: currentGame.publicSeed,
+          privateSeed: currentGame._privateSeed,
+          privateHash: currentGame.privateHash,
+          houseEdge: currentGame.houseEdge,
+          maxMultiplier: currentGame.maxMultiplier,
           players: players.map((p) => ({
             playerId: p.playerId,
             publicId: p.publicId,
             status: p.status,
             winAmount: p.winAmount || 0,
+            payoutId: p.payoutId || null,
             payoutTxId: p.payoutTxId || null,
+            payoutStatus: p.payoutStatus || null,
+            payoutError: p.payoutError || null,
           })),
         });
 
@@ -255,22 +300,162 @@ module.exports = function (io) {
     }
   }
 
-  // Helper to get wallet from socket
+  function dropVerifyingPlayer(game, player, message) {
+    game.players = (game.players || []).filter((p) => p !== player);
+    usedTxIds.delete(player.txId);
+    const playerSocket = slideNamespace.sockets.get(player.playerId);
+    if (playerSocket) playerSocket.emit('game-join-error', message);
+    // Free the txId in the ledger so it can be used for a later round (or credited as a deposit)
+    if (player.betId) {
+      removeUnplayedBet(player.betId)
+        .then(() => releaseStake(player.txId))
+        .catch((error) => console.error('[SLIDE] bet release error:', error?.message || error));
+    }
+  }
+
+  // Re-check a "verifying" bet until its deposit confirms or the betting window closes
+  function scheduleDepositRecheck(game, player) {
+    setTimeout(async () => {
+      if (currentGame !== game || !acceptsBets(game)) return;
+      if (player.status !== 'verifying') return;
+
+      let result;
+      try {
+        result = await verifyBetDeposit({
+          txId: player.txId,
+          publicId: player.publicId,
+          amount: player.betAmount,
+        });
+      } catch (error) {
+        console.error('[SLIDE] deposit recheck error:', error?.message || error);
+        result = { status: DEPOSIT_STATUS.PENDING };
+      }
+
+      // Dropped when the round started while the check was in flight
+      if (currentGame !== game || player.status !== 'verifying' || !game.players.includes(player)) return;
+
+      if (result.status === DEPOSIT_STATUS.CONFIRMED) {
+        player.status = 'playing';
+        delete player.verifyingSince;
+        const playerSocket = slideNamespace.sockets.get(player.playerId);
+        if (playerSocket) playerSocket.emit('game-join-sucess', player);
+        slideNamespace.emit('bet', player);
+        return;
+      }
+
+      if (result.status === DEPOSIT_STATUS.REJECTED) {
+        dropVerifyingPlayer(game, player, 'Transaction not valid for this bet: ' + result.reason);
+        return;
+      }
+
+      if (Date.now() - player.verifyingSince > DEPOSIT_VERIFY_TIMEOUT_MS) {
+        dropVerifyingPlayer(game, player, 'Transaction could not be confirmed in time');
+        return;
+      }
+
+      scheduleDepositRecheck(game, player);
+    }, DEPOSIT_RECHECK_MS);
+  }
+
+  // ---- Recovery of interrupted rounds ----
+  // Drop a pending bet that never played: its transfer goes to the deposits, a balance stake back to the balance
+  async function releaseRecoveredBet(bet) {
+    const removed = await removeUnplayedBet(bet.id);
+    if (removed.length) await releaseStake(bet.txId);
+  }
+
+  /**
+   * Settle the pending bets of a round that was playing (its crash point was stored when it was
+   * created). Wins are settled before they are paid, under the live payout reference, so a payout
+   * made before the interruption is not paid twice. Returns the number of bets left pending.
+   */
+  async function settleInterruptedRound(round) {
+    const bets = (await Bet.findByRound('slide', round._id)).filter((b) => b.outcome === 'pending');
+    let unresolved = 0;
+
+    for (const bet of bets) {
+      // A bet whose transfer never executed did not play; one not final yet is retried next cycle
+      const deposit = await verifyBetDeposit({ txId: bet.txId, publicId: bet.publicKey, amount: bet.betAmount });
+      if (deposit.status === DEPOSIT_STATUS.REJECTED) {
+        await releaseRecoveredBet(bet);
+        continue;
+      }
+      if (deposit.status !== DEPOSIT_STATUS.CONFIRMED) {
+        unresolved += 1;
+        continue;
+      }
+
+      const target = Number(bet.target) / 100;
+      const winAmount = round.crashPoint >= target ? Math.floor(bet.betAmount * target) : 0;
+      const outcome = winAmount > 0 ? 'won' : 'lost';
+      await Bet.settle(bet.id, { outcome, payoutAmount: winAmount });
+      console.log(`[SLIDE] Recovered bet #${bet.id} of round ${round._id}: ${outcome} ${winAmount}`);
+      if (outcome !== 'won') continue;
+      try {
+        await payWonSlideBet({ ...bet, outcome, payoutAmount: winAmount });
+      } catch (error) {
+        // Settled as won: left to the unpaid win retry
+        console.error(`[SLIDE] Recovered win of bet #${bet.id} unpaid:`, error?.message || error);
+      }
+    }
+    return unresolved;
+  }
+
+  // A round that never played (STARTING / BETTING): every bet is dropped as if it missed the round
+  async function releaseInterruptedRound(round) {
+    const bets = (await Bet.findByRound('slide', round._id)).filter((b) => b.outcome === 'pending');
+    for (const bet of bets) {
+      await releaseRecoveredBet(bet);
+    }
+    if (bets.length) console.log(`[SLIDE] Released ${bets.length} bet(s) of unplayed round ${round._id}`);
+    return 0;
+  }
+
+  /**
+   * Finish rounds left in STARTING / BETTING / PLAYING by a restart, or by a cycle that could not
+   * settle every bet. Runs while no round is current; a round is ended once none of its bets is pending.
+   */
+  async function recoverInterruptedRounds() {
+    const rounds = await SlideGame.findByStatuses([STATUS.STARTING, STATUS.BETTING, STATUS.PLAYING]);
+    for (const round of rounds) {
+      try {
+        const unresolved =
+          round.status === STATUS.PLAYING ? await settleInterruptedRound(round) : await releaseInterruptedRound(round);
+        if (unresolved === 0) await SlideGame.findByIdAndUpdate(round._id, { status: STATUS.WAITTING });
+      } catch (error) {
+        console.error(`[SLIDE] recovery of round ${round._id} failed:`, error?.message || error);
+      }
+    }
+  }
+
+  // Helper to get wallet from socket (set by requireSocketWallet from the session token)
   function getSocketWallet(socket) {
-    return normalizeQubicPublicId(
-      socket.data?.publicId ||
-        socket.handshake?.auth?.publicId ||
-        socket.handshake?.query?.publicId
-    );
+    return normalizeQubicPublicId(socket.data?.publicId);
   }
 
+  // connect with: io('/slide', { auth: { token } }) (token from POST /api/auth/verify)
+  slideNamespace.use(requireSocketWallet);
+
   slideNamespace.on('connection', (socket) => {
     console.log('Client connected to /slide:', socket.id);
 
-    // Auth handler to store publicId
-    socket.on('auth', (data) => {
-      const publicId = normalizeQubicPublicId(data?.publicId || data?.publicKey);
-      if (publicId) socket.data.publicId = publicId;
+    // wallet room receives payout-sent / payout-failed (see sockets/payouts.js)
+    socket.join(`wallet:${getSocketWallet(socket)}`);
+
+    // Auth handler to switch to a new session token
+    socket.on('auth', async (data) => {
+      if (!data?.token) return;
+      const session = await authenticate(data.token).catch(() => null);
+      if (!session) {
+        socket.emit('auth-error', 'Invalid or expired session');
+        return;
+      }
+      if (session.publicId !== getSocketWallet(socket)) {
+        socket.leave(`wallet:${getSocketWallet(socket)}`);
+        socket.data.publicId = session.publicId;
+        socket.data.sessionId = session.sessionId;
+        socket.join(`wallet:${session.publicId}`);
+      }
     });
 
     // Send current game state
@@ -285,9 +470,13 @@ module.exports = function (io) {
           }));
 
         if (game) {
+          // The outcome is only public once the round is playing
+          const playing = game.status === STATUS.PLAYING;
+
           // Cap numbers array when sending game state
-          const safeNumbers = Array.isArray(game.numbers)
-            ? game.numbers.slice(0, MAX_POINTS)
+          const sourceNumbers = game._runtimeNumbers || game.numbers;
+          const safeNumbers = playing && Array.isArray(sourceNumbers)
+            ? sourceNumbers.slice(0, MAX_POINTS)
             : [];
 
           socket.emit('slide-track', {
@@ -295,7 +484,7 @@ module.exports = function (io) {
             _id: game._id,
             publicSeed: game.publicSeed,
             privateHash: game.privateHash,
-            crashPoint: game.crashPoint,
+            crashPoint: playing ? game.crashPoint : null,
             numbers: safeNumbers,
             players: game.players,
           });
@@ -324,7 +513,7 @@ module.exports = function (io) {
     // Join game
     socket.on('join-game', async (payload) => {
       try {
-        if (!currentGame || currentGame.status !== STATUS.BETTING) {
+        if (!currentGame || !acceptsBets(currentGame)) {
           socket.emit('game-join-error', 'Game not accepting bets');
           return;
         }
@@ -334,9 +523,12 @@ module.exports = function (io) {
           return;
         }
 
-        const { target, betAmount, currencyId, txId } = payload;
+        const { target, betAmount, currencyId } = payload;
+        const fromBalance = payload.fromBalance === true;
+        // Balance bets get their txId from the ledger once the bet is validated
+        let txId = fromBalance ? null : payload.txId;
 
-        if (!txId || typeof txId !== 'string') {
+        if (!fromBalance && (!txId || typeof txId !== 'string' || isBalanceStake(txId))) {
           socket.emit('game-join-error', 'Missing txId (transaction required)');
           return;
         }
@@ -368,32 +560,115 @@ module.exports = function (io) {
         }
 
         // Prevent tx replay (within same round)
-        if (players.some((p) => p.txId === txId)) {
+        if (txId && players.some((p) => p.txId === txId)) {
           socket.emit('game-join-error', 'Transaction already used in this round');
           return;
         }
 
         // Prevent tx replay across rounds (global check)
-        if (usedTxIds.has(txId)) {
+        if (txId && usedTxIds.has(txId)) {
           socket.emit('game-join-error', 'Transaction already used in a previous round');
           return;
         }
 
+        try {
+          await assertBetAllowed({ publicKey: publicId, game: 'slide', amount: betAmountNum, sessionId: socket.data.sessionId });
+        } catch (error) {
+          if (error.statusCode === 403) {
+            socket.emit('game-join-error', error.message);
+            return;
+          }
+          throw error;
+        }
+
+        // Play from balance: take the stake now; it stands in for the bet transfer
+        if (fromBalance) {
+          try {
+            txId = await placeStake({ publicKey: publicId, amount: betAmountNum, game: 'slide' });
+          } catch (error) {
+            if (error.statusCode === 402) {
+              socket.emit('game-join-error', error.message);
+              return;
+            }
+            throw error;
+          }
+        }
+
+        // Record the bet in the ledger (uq_bet_tx blocks txId reuse across rounds and games)
+        const game = currentGame;
+        usedTxIds.add(txId); // reserve while the ledger write / RPC lookup is in flight
+        let bet;
+        let verification;
+        try {
+          bet = await Bet.create({
+            publicKey: publicId,
+            game: 'slide',
+            roundId: game._id,
+            betAmount: betAmountNum,
+            target: targetNum * 100,
+            txId,
+          });
+          auditBetAccepted(bet);
+        } catch (error) {
+          usedTxIds.delete(txId);
+          await releaseStake(txId);
+          if (error.statusCode === 409) {
+            socket.emit('game-join-error', 'Transaction already used in a previous bet');
+            return;
+          }
+          throw error;
+        }
+
+        const rejectJoin = async (message) => {
+          usedTxIds.delete(txId);
+          await removeUnplayedBet(bet.id);
+          await releaseStake(txId);
+          socket.emit('game-join-error', message);
+        };
+
+        // Verify the bet transfer on-chain (player -> casino, amount = bet, final tick)
+        try {
+          verification = await verifyBetDeposit({ txId, publicId, amount: betAmountNum });
+        } catch (error) {
+          await rejectJoin(error.message);
+          return;
+        }
+
+        if (verification.status === DEPOSIT_STATUS.REJECTED) {
+          await rejectJoin('Transaction not valid for this bet: ' + verification.reason);
+          return;
+        }
+        if (currentGame !== game || !acceptsBets(game)) {
+          await rejectJoin('Round closed while verifying your transaction');
+          return;
+        }
+        if (game.players.some((p) => p.publicId === publicId)) {
+          await rejectJoin('You already joined this round');
+          return;
+        }
+
+        const verifying = verification.status === DEPOSIT_STATUS.PENDING;
         const player = {
           playerId: socket.id,
+          betId: bet.id,
           publicId: publicId,
           betAmount: betAmountNum,
           target: targetNum,
           currencyId: currencyId || '',
           txId: txId,
-          status: 'playing',
+          status: verifying ? 'verifying' : 'playing',
           joinedAt: new Date().toISOString(),
         };
 
-        currentGame.players.push(player);
-        await currentGame.save();
+        game.players.push(player);
+        await game.save();
 
-        usedTxIds.add(txId);
+        if (verifying) {
+          player.verifyingSince = Date.now();
+          socket.emit('game-join-verifying', { ...player, reason: verification.reason });
+          scheduleDepositRecheck(game, player);
+          return;
+        }
 
         socket.emit('game-join-sucess', player);
         slideNamespace.emit('bet', player);
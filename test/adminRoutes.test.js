@@ -0,0 +1,229 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createFakeDb, stubModule, silenceConsole } = require('./helpers/fakeDb');
+
+silenceConsole();
+
+const PLAYER = 'A'.repeat(60);
+
+// admin_api_keys and admin_audit_log rows, and the money audit trail (audit_events)
+const keys = [];
+const auditLog = [];
+const auditEvents = [];
+
+const db = createFakeDb();
+db.install();
+db.on(/^INSERT INTO admin_api_keys/, ([name, role, keyHash, createdBy]) => {
+  const id = keys.length + 1;
+  keys.push({ id, name, role, key_hash: keyHash, created_by: createdBy, revoked_at: null });
+  return { insertId: id, affectedRows: 1 };
+});
+db.on(/^SELECT \* FROM admin_api_keys WHERE id = \?/, ([id]) => keys.filter((k) => k.id === id));
+db.on(/^SELECT \* FROM admin_api_keys WHERE key_hash = \?/, ([keyHash]) =>
+  keys.filter((k) => k.key_hash === keyHash && !k.revoked_at)
+);
+db.on(/^SELECT \* FROM admin_api_keys ORDER BY id/, () => keys);
+db.on(/^UPDATE admin_api_keys SET last_used_at/, () => ({ affectedRows: 1 }));
+db.on(/^UPDATE admin_api_keys SET revoked_at/, ([id]) => {
+  const key = keys.find((k) => k.id === id && !k.revoked_at);
+  if (!key) return { affectedRows: 0 };
+  key.revoked_at = new Date();
+  return { affectedRows: 1 };
+});
+db.on(/^INSERT INTO admin_audit_log/, ([keyId, actor, role, action, targetType, targetId, details, statusCode]) => {
+  auditLog.push({ keyId, actor, role, action, targetType, targetId, details: JSON.parse(details), statusCode });
+  return { insertId: auditLog.length, affectedRows: 1 };
+});
+db.on(/^INSERT INTO audit_events/, ([type, actor, publicKey, game, roundId, amount, txId, reference]) => {
+  auditEvents.push({ type, actor, publicKey, amount, reference });
+  return { insertId: auditEvents.length, affectedRows: 1 };
+});
+
+// The actions themselves: what the routes asked for, and the payouts they act on
+const calls = { statuses: [], retried: [], voided: [] };
+const payouts = new Map();
+
+stubModule('services/walletStatus', {
+  async getWalletStatus(publicKey) {
+    return { publicKey, status: 'active' };
+  },
+  toPublicStatus(wallet) {
+    return { status: wallet.status };
+  },
+  async setWalletStatus(change) {
+    calls.statuses.push(change);
+    return { previous: { status: 'active' }, wallet: { status: change.status }, changed: true };
+  },
+});
+stubModule('models/Payout', {
+  Payout: {
+    async findById(id) {
+      return payouts.get(id) || null;
+    },
+  },
+});
+stubModule('services/payoutQueue', {
+  async retryPayout(reference) {
+    const payout = [...payouts.values()].find((p) => p.reference === reference);
+    if (payout.status !== 'failed') return null;
+    calls.retried.push(reference);
+    return { ...payout, status: 'pending' };
+  },
+  async voidPayout(id, reason) {
+    const payout = payouts.get(id);
+    if (payout.status !== 'failed') return null;
+    calls.voided.push({ id, reason });
+    return { ...payout, status: 'void' };
+  },
+});
+
+const { createAdminKey } = require('../services/adminAuth');
+const adminRoutes = require('../routes/admin');
+
+let server;
+let baseUrl;
+const apiKeys = {};
+
+test.before(async () => {
+  for (const role of ['viewer', 'operator', 'admin']) {
+    ({ key: apiKeys[role] } = await createAdminKey({ name: `${role}-key`, role, createdBy: 'test' }));
+  }
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', adminRoutes);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/admin`;
+});
+
+test.after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+function reset() {
+  auditLog.length = 0;
+  auditEvents.length = 0;
+  calls.statuses.length = 0;
+  calls.retried.length = 0;
+  calls.voided.length = 0;
+  payouts.clear();
+  payouts.set(7, { id: 7, reference: 'crash:bet:7', amount: 1500, publicKey: PLAYER, status: 'failed' });
+  payouts.set(8, { id: 8, reference: 'slide:bet:8', amount: 900, publicKey: PLAYER, status: 'sent' });
+}
+
+const lastAudit = () => auditLog[auditLog.length - 1];
+
+// Send an admin request; resolves once its audit row, written after the response is sent, is stored
+async function call(method, path, { role, key = apiKeys[role], body } = {}) {
+  const audited = auditLog.length + 1;
+  const headers = { 'Content-Type': 'application/json' };
+  if (key) headers['X-Admin-Key'] = key;
+  const res = await fetch(`${baseUrl}${path}`, { method, headers, body: body ? JSON.stringify(body) : undefined });
+  const result = { status: res.status, body: await res.json() };
+  for (let i = 0; i < 1000 && auditLog.length < audited; i += 1) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  return result;
+}
+
+test('a request without a valid key is refused and still audited', async () => {
+  reset();
+  assert.equal((await call('GET', '/me')).status, 401);
+  assert.equal((await call('GET', '/me', { key: 'adm_not-a-key' })).status, 401);
+
+  const entry = lastAudit();
+  assert.equal(entry.actor, 'anonymous');
+  assert.equal(entry.statusCode, 401);
+});
+
+test('each role can do what the roles below it can, and no more', async () => {
+  reset();
+  const me = await call('GET', '/me', { role: 'viewer' });
+  assert.deepEqual(me.body.key, { id: 1, name: 'viewer-key', role: 'viewer' });
+
+  const ban = { body: { reason: 'chargeback' } };
+  const viewerBan = await call('POST', `/wallets/${PLAYER}/ban`, { role: 'viewer', ...ban });
+  assert.equal(viewerBan.status, 403);
+  assert.equal(viewerBan.body.code, 'ADMIN_ROLE_REQUIRED');
+  assert.equal(calls.statuses.length, 0);
+  assert.equal(lastAudit().statusCode, 403);
+
+  assert.equal((await call('GET', '/keys', { role: 'operator' })).status, 403);
+  const listed = await call('GET', '/keys', { role: 'admin' });
+  assert.equal(listed.status, 200);
+  assert.ok(listed.body.keys.every((k) => k.key_hash === undefined && k.keyHash === undefined), 'key hashes stay private');
+});
+
+test('a revoked key stops working at once', async () => {
+  reset();
+  const { key, record } = await createAdminKey({ name: 'temp', role: 'operator', createdBy: 'test' });
+  assert.equal((await call('GET', '/me', { key })).status, 200);
+
+  assert.equal((await call('DELETE', `/keys/${record.id}`, { role: 'admin' })).status, 200);
+  assert.equal((await call('GET', '/me', { key })).status, 401);
+});
+
+test('a ban is applied and written to the audit log', async () => {
+  reset();
+  const res = await call('POST', `/wallets/${PLAYER}/ban`, { role: 'operator', body: { reason: 'chargeback', days: 7 } });
+
+  assert.equal(res.status, 200);
+  assert.equal(calls.statuses.length, 1);
+  assert.equal(calls.statuses[0].status, 'banned');
+  assert.equal(calls.statuses[0].changedBy, 'admin:operator-key');
+
+  const entry = lastAudit();
+  assert.equal(entry.action, 'wallet.ban');
+  assert.equal(entry.actor, 'admin:operator-key');
+  assert.equal(entry.role, 'operator');
+  assert.equal(entry.targetType, 'wallet');
+  assert.equal(entry.targetId, PLAYER);
+  assert.deepEqual(entry.details, { reason: 'chargeback', days: 7, previousStatus: 'active' });
+  assert.equal(entry.statusCode, 200);
+
+  assert.deepEqual(auditEvents.map((e) => [e.type, e.publicKey]), [['admin.wallet.ban', PLAYER]]);
+});
+
+test('a payout retry is audited with the payout it queued', async () => {
+  reset();
+  const res = await call('POST', '/payouts/7/retry', { role: 'operator' });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(calls.retried, ['crash:bet:7']);
+
+  const entry = lastAudit();
+  assert.equal(entry.action, 'payout.retry');
+  assert.equal(entry.targetType, 'payout');
+  assert.equal(entry.targetId, '7');
+  assert.deepEqual(entry.details, { reference: 'crash:bet:7', amount: 1500, publicKey: PLAYER });
+  assert.deepEqual(auditEvents.map((e) => [e.type, e.reference, e.amount]), [['admin.payout.retry', 'crash:bet:7', 1500]]);
+});
+
+test('a refused payout action is audited with its status but is not an override', async () => {
+  reset();
+  const res = await call('POST', '/payouts/8/retry', { role: 'operator' });
+
+  assert.equal(res.status, 409);
+  const entry = lastAudit();
+  assert.equal(entry.action, 'payout.retry');
+  assert.equal(entry.statusCode, 409);
+  assert.equal(auditEvents.length, 0);
+});
+
+test('a payout void needs a reason and is audited with it', async () => {
+  reset();
+  assert.equal((await call('POST', '/payouts/7/void', { role: 'operator' })).status, 400);
+  assert.equal(calls.voided.length, 0);
+
+  const res = await call('POST', '/payouts/7/void', { role: 'operator', body: { reason: 'paid by hand' } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(calls.voided, [{ id: 7, reason: 'paid by hand' }]);
+
+  const entry = lastAudit();
+  assert.equal(entry.action, 'payout.void');
+  assert.equal(entry.targetId, '7');
+  assert.deepEqual(entry.details, { reason: 'paid by hand', reference: 'crash:bet:7', amount: 1500, publicKey: PLAYER });
+  assert.deepEqual(auditEvents.map((e) => e.type), ['admin.payout.void']);
+});
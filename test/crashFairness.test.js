@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeDb, silenceConsole } = require('./helpers/fakeDb');
+
+silenceConsole();
+
+// Known answers below were computed independently of this code (sha256 / HMAC-SHA256 by hand)
+const ROOT_SEED = 'casino-root-seed';
+const SALT = 'casino-salt';
+const TERMINAL_HASH = '32256466001bf55571dd83f1366ad5adcf89c3bec2e5f90fd4fcef9452e64a71';
+const ROUND_1_SEED = 'f9992d64b7ee96c654bc04954b3e12375fb81b8f6ac648b752e26fdb9b30292e';
+
+const EDGE = { houseEdge: 0.01, maxMultiplier: 1000 };
+const LEGACY = { houseEdge: null, maxMultiplier: 1000 };
+
+// crash_seed_chains rows by id
+const chains = new Map();
+
+const db = createFakeDb();
+db.install();
+db.on(/^SELECT \* FROM crash_seed_chains WHERE status = 'active'/, () =>
+  [...chains.values()].filter((c) => c.status === 'active').slice(0, 1)
+);
+db.on(/^SELECT \* FROM crash_seed_chains WHERE id = \?/, ([id]) => (chains.has(id) ? [chains.get(id)] : []));
+db.on(/^INSERT INTO crash_seed_chains/, ([rootSeed, terminalHash, salt, length]) => {
+  const id = chains.size + 1;
+  chains.set(id, { id, root_seed: rootSeed, terminal_hash: terminalHash, salt, chain_length: length, next_index: 1, status: 'active' });
+  return { insertId: id, affectedRows: 1 };
+});
+db.on(/^UPDATE crash_seed_chains SET next_index/, ([id, index]) => {
+  const chain = chains.get(id);
+  if (!chain || chain.status !== 'active' || chain.next_index !== index || index > chain.chain_length) {
+    return { affectedRows: 0 };
+  }
+  chain.next_index += 1;
+  return { affectedRows: 1 };
+});
+db.on(/^UPDATE crash_seed_chains SET status = 'exhausted'/, ([id]) => {
+  chains.get(id).status = 'exhausted';
+  return { affectedRows: 1 };
+});
+
+const {
+  sha256Hex,
+  crashPointFromSeeds,
+  chainSeedAt,
+  verifyChainSeed,
+  nextRoundSeeds,
+} = require('../services/crashFairness');
+
+test('round seeds are the reverse hash chain of the root seed', () => {
+  const chain = { rootSeed: ROOT_SEED, length: 3 };
+
+  assert.equal(chainSeedAt(chain, 1), ROUND_1_SEED);
+  assert.equal(chainSeedAt(chain, 3), ROOT_SEED, 'the last round reveals the root seed');
+  assert.equal(sha256Hex(ROUND_1_SEED), TERMINAL_HASH);
+
+  for (const index of [1, 2, 3]) {
+    assert.equal(verifyChainSeed(chainSeedAt(chain, index), index, TERMINAL_HASH), true);
+  }
+  assert.equal(verifyChainSeed(chainSeedAt(chain, 2), 1, TERMINAL_HASH), false, 'a seed only verifies at its own index');
+  assert.equal(verifyChainSeed(ROUND_1_SEED, 0, TERMINAL_HASH), false);
+});
+
+test('each round links to the one before it and a used-up chain is replaced', async () => {
+  chains.clear();
+  chains.set(1, { id: 1, root_seed: ROOT_SEED, terminal_hash: TERMINAL_HASH, salt: SALT, chain_length: 3, next_index: 1, status: 'active' });
+
+  const rounds = [];
+  for (let i = 0; i < 4; i += 1) rounds.push(await nextRoundSeeds());
+
+  assert.deepEqual(rounds.slice(0, 3).map((r) => [r.chainId, r.chainIndex]), [[1, 1], [1, 2], [1, 3]]);
+  assert.equal(rounds[0].privateSeed, ROUND_1_SEED);
+  assert.equal(rounds[0].privateHash, TERMINAL_HASH);
+  assert.equal(rounds[1].privateHash, rounds[0].privateSeed);
+  assert.equal(rounds[2].privateHash, rounds[1].privateSeed);
+  assert.equal(rounds[2].privateSeed, ROOT_SEED);
+  assert.ok(rounds.every((r, i) => i === 3 || r.publicSeed === SALT));
+  assert.equal(chains.get(1).status, 'exhausted');
+
+  assert.deepEqual([rounds[3].chainId, rounds[3].chainIndex], [2, 1]);
+  assert.equal(verifyChainSeed(rounds[3].privateSeed, 1, chains.get(2).terminal_hash), true);
+});
+
+test('crash points match the published formula', () => {
+  assert.equal(crashPointFromSeeds(SALT, ROUND_1_SEED, EDGE), 10.23);
+  assert.equal(crashPointFromSeeds(SALT, ROUND_1_SEED, LEGACY), 10.24);
+});
+
+test('the house edge busts low rolls instantly at 1.00x', () => {
+  // u = 0.01126: 0.99 / (1 - u) = 1.0012x with the edge, 1.01x without it
+  assert.equal(crashPointFromSeeds(SALT, 'seed-8', EDGE), 1);
+  assert.equal(crashPointFromSeeds(SALT, 'seed-8', LEGACY), 1.01);
+});
+
+test('crash points are capped at the maximum multiplier', () => {
+  // u = 0.99919 would be 1221x
+  assert.equal(crashPointFromSeeds(SALT, 'seed-495', EDGE), 1000);
+  assert.equal(crashPointFromSeeds(SALT, 'seed-495', { houseEdge: 0.01, maxMultiplier: 50 }), 50);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeDb, stubModule, silenceConsole } = require('./helpers/fakeDb');
+const { installBetTables, fakeDepositLedger } = require('./helpers/betTables');
+
+silenceConsole();
+
+const CASINO = 'C'.repeat(60);
+const PLAYER = 'A'.repeat(60);
+const TX_ID = 'b'.repeat(60);
+process.env.CASINO_PUBLIC_ID = CASINO;
+
+const db = createFakeDb();
+db.install();
+const tables = installBetTables(db);
+const ledger = fakeDepositLedger();
+stubModule('services/balanceLedger', ledger.exports);
+
+// One chain: the bet transfer is final at tick 100 and the watcher has already scanned past it
+const chain = { lastTick: 100, transfers: new Map(), notExecuted: new Set() };
+stubModule('services/qubicRpc', {
+  async getLastProcessedTick() {
+    return chain.lastTick;
+  },
+  async fetchIdentityTransfers() {
+    return [];
+  },
+  async fetchTransaction(txId) {
+    return chain.transfers.get(txId) || null;
+  },
+  async fetchMoneyFlew(txId) {
+    if (chain.notExecuted.has(txId)) return false;
+    return chain.transfers.has(txId) ? true : null;
+  },
+});
+
+const { Bet } = require('../models/Bet');
+const { scanDeposits, removeUnplayedBet } = require('../services/depositWatcher');
+
+function reset() {
+  tables.reset();
+  ledger.credits.length = 0;
+  chain.notExecuted.clear();
+  tables.wallets.add(PLAYER);
+  tables.cursors.set(`casino:${CASINO}`, chain.lastTick);
+  chain.transfers.set(TX_ID, { sourceId: PLAYER, destId: CASINO, amount: 500, tickNumber: 90 });
+}
+
+const placeBet = () => Bet.create({ publicKey: PLAYER, game: 'slide', roundId: 1, betAmount: 500, txId: TX_ID });
+
+test('the transfer of a bet dropped after the watcher scanned past it is credited', async () => {
+  reset();
+  const bet = await placeBet();
+  await scanDeposits();
+  assert.equal(ledger.credits.length, 0, 'a bet transfer is not a deposit');
+
+  await removeUnplayedBet(bet.id);
+  assert.equal(tables.deposits.get(TX_ID).status, 'pending');
+  await scanDeposits();
+
+  assert.deepEqual(ledger.credits, [{ publicKey: PLAYER, txId: TX_ID, amount: 500 }]);
+  assert.equal(tables.deposits.get(TX_ID).status, 'credited');
+  assert.equal(tables.claims.get(TX_ID).kind, 'deposit');
+  await assert.rejects(placeBet(), { statusCode: 409 });
+});
+
+test('a handed-back transfer used for a new bet is not credited', async () => {
+  reset();
+  await removeUnplayedBet((await placeBet()).id);
+  await placeBet();
+  await scanDeposits();
+
+  assert.equal(ledger.credits.length, 0);
+  assert.equal(tables.deposits.has(TX_ID), false);
+  assert.equal(tables.claims.get(TX_ID).kind, 'bet');
+});
+
+test('a handed-back transfer is credited to its on-chain source, not to the bettor', async () => {
+  reset();
+  const other = 'D'.repeat(60);
+  tables.wallets.add(other);
+  const bet = await Bet.create({ publicKey: other, game: 'crash', roundId: 2, betAmount: 500, txId: TX_ID });
+  await removeUnplayedBet(bet.id);
+  await scanDeposits();
+
+  assert.deepEqual(ledger.credits, [{ publicKey: PLAYER, txId: TX_ID, amount: 500 }]);
+});
+
+test('a handed-back transfer that never executed is rejected', async () => {
+  reset();
+  const bet = await placeBet();
+  chain.notExecuted.add(TX_ID);
+  await removeUnplayedBet(bet.id);
+  await scanDeposits();
+
+  assert.equal(ledger.credits.length, 0);
+  assert.equal(tables.deposits.get(TX_ID).status, 'rejected');
+});
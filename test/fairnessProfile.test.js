@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createFakeDb, silenceConsole } = require('./helpers/fakeDb');
+
+silenceConsole();
+
+const PLAYER = 'A'.repeat(60);
+
+// fairness_profiles by wallet, fairness_revealed_seeds by id, and how many LIVE games use the active seed
+const profiles = new Map();
+const revealed = [];
+let activeGames = 0;
+
+const db = createFakeDb();
+db.install();
+db.on(/^INSERT IGNORE INTO wallets/, () => ({ affectedRows: 1 }));
+db.on(/^INSERT IGNORE INTO fairness_profiles/, ([publicKey, serverSeed, serverSeedHash, clientSeed]) => {
+  if (profiles.has(publicKey)) return { affectedRows: 0 };
+  profiles.set(publicKey, {
+    wallet_public_key: publicKey,
+    server_seed: serverSeed,
+    server_seed_hash: serverSeedHash,
+    client_seed: clientSeed,
+    nonce: 0,
+    last_used_at: null,
+    committed_at: new Date(),
+  });
+  return { affectedRows: 1 };
+});
+db.on(/^SELECT \* FROM fairness_profiles WHERE wallet_public_key = \? LIMIT 1/, ([publicKey]) =>
+  profiles.has(publicKey) ? [{ ...profiles.get(publicKey) }] : []
+);
+db.on(/^UPDATE fairness_profiles SET client_seed = \?/, ([clientSeed, publicKey]) => {
+  profiles.get(publicKey).client_seed = clientSeed;
+  return { affectedRows: 1 };
+});
+db.on(/^UPDATE fairness_profiles SET nonce = nonce \+ 1/, ([publicKey, serverSeedHash, clientSeed, nonce]) => {
+  const row = profiles.get(publicKey);
+  if (!row || row.server_seed_hash !== serverSeedHash || row.client_seed !== clientSeed || row.nonce !== nonce) {
+    return { affectedRows: 0 };
+  }
+  row.nonce += 1;
+  row.last_used_at = Date.now();
+  return { affectedRows: 1 };
+});
+db.on(/^SELECT \*, \(last_used_at IS NOT NULL/, ([graceSeconds, publicKey]) => {
+  const row = profiles.get(publicKey);
+  if (!row) return [];
+  return [{ ...row, recently_used: row.last_used_at !== null && row.last_used_at > Date.now() - graceSeconds * 1000 ? 1 : 0 }];
+});
+db.on(/^SELECT \(SELECT COUNT\(\*\) FROM mine_sessions/, () => [{ cnt: activeGames }]);
+db.on(/^INSERT INTO fairness_revealed_seeds/, ([publicKey, serverSeed, serverSeedHash, clientSeed, nonceCount, committedAt]) => {
+  const id = revealed.length + 1;
+  revealed.push({
+    id,
+    wallet_public_key: publicKey,
+    server_seed: serverSeed,
+    server_seed_hash: serverSeedHash,
+    client_seed: clientSeed,
+    nonce_count: nonceCount,
+    committed_at: committedAt,
+    revealed_at: new Date(),
+  });
+  return { insertId: id, affectedRows: 1 };
+});
+db.on(/^UPDATE fairness_profiles SET server_seed = \?/, ([serverSeed, serverSeedHash, clientSeed, publicKey]) => {
+  Object.assign(profiles.get(publicKey), {
+    server_seed: serverSeed,
+    server_seed_hash: serverSeedHash,
+    client_seed: clientSeed,
+    nonce: 0,
+    last_used_at: null,
+    committed_at: new Date(),
+  });
+  return { affectedRows: 1 };
+});
+db.on(/^SELECT \* FROM fairness_revealed_seeds WHERE id = \?/, ([id]) => revealed.filter((r) => r.id === id));
+
+const { FairnessProfile } = require('../models/FairnessProfile');
+const { getProfile, setClientSeed, rotateServerSeed, takeNonce } = require('../services/fairnessProfile');
+const { minePositions, takeSessionSeeds } = require('../services/minesFairness');
+
+function reset() {
+  profiles.clear();
+  revealed.length = 0;
+  activeGames = 0;
+}
+
+// Let the rotation grace period pass since the last nonce was taken
+function ageLastUse() {
+  profiles.get(PLAYER).last_used_at = Date.now() - 24 * 60 * 60 * 1000;
+}
+
+const sha256Hex = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+test('each game takes the next nonce under the committed server seed', async () => {
+  reset();
+  const first = await takeNonce(PLAYER);
+  const second = await takeNonce(PLAYER);
+
+  assert.equal(first.nonce, 0);
+  assert.equal(second.nonce, 1);
+  assert.equal(second.serverSeed, first.serverSeed);
+  assert.equal(sha256Hex(first.serverSeed), first.serverSeedHash, 'the shown hash commits to the seed');
+  assert.equal((await getProfile(PLAYER)).nonce, 2);
+});
+
+test('concurrent games never share a nonce', async () => {
+  reset();
+  const taken = await Promise.all(Array.from({ length: 4 }, () => takeNonce(PLAYER)));
+  assert.deepEqual(taken.map((t) => t.nonce).sort(), [0, 1, 2, 3]);
+});
+
+test('a nonce claim made with a stale profile is refused', async () => {
+  reset();
+  const stale = await getProfile(PLAYER);
+  await takeNonce(PLAYER);
+  assert.equal(await FairnessProfile.claimNonce(stale), false);
+});
+
+test('changing the client seed keeps the nonce counting', async () => {
+  reset();
+  await takeNonce(PLAYER);
+  await setClientSeed(PLAYER, 'my-lucky-seed');
+
+  const seeds = await takeNonce(PLAYER);
+  assert.equal(seeds.clientSeed, 'my-lucky-seed');
+  assert.equal(seeds.nonce, 1);
+});
+
+test('a mines session uses the profile seeds and nonce', async () => {
+  reset();
+  await takeNonce(PLAYER);
+  const session = await takeSessionSeeds(PLAYER, { clientSeed: 'client-seed', mines: 3 });
+
+  assert.equal(session.publicSeed, 'client-seed');
+  assert.equal(session.nonce, 1);
+  assert.deepEqual(session.positions, minePositions(session.privateSeed, 'client-seed', 1, 3));
+});
+
+test('rotation reveals the used seed and restarts the nonce under a new one', async () => {
+  reset();
+  const played = [await takeNonce(PLAYER), await takeNonce(PLAYER), await takeNonce(PLAYER)];
+  ageLastUse();
+
+  const { revealed: seed, profile } = await rotateServerSeed(PLAYER, { clientSeed: 'next-seed' });
+
+  assert.equal(seed.serverSeed, played[0].serverSeed);
+  assert.equal(seed.serverSeedHash, played[0].serverSeedHash);
+  assert.equal(seed.clientSeed, played[0].clientSeed);
+  assert.equal(seed.nonceCount, 3, 'nonces 0..2 were played with the revealed seed');
+
+  assert.notEqual(profile.serverSeedHash, seed.serverSeedHash);
+  assert.equal(profile.clientSeed, 'next-seed');
+  assert.equal(profile.nonce, 0);
+
+  const next = await takeNonce(PLAYER);
+  assert.equal(next.nonce, 0);
+  assert.equal(sha256Hex(next.serverSeed), profile.serverSeedHash);
+});
+
+test('rotation waits for running games and a just-taken nonce', async () => {
+  reset();
+  await takeNonce(PLAYER);
+  await assert.rejects(rotateServerSeed(PLAYER), { statusCode: 409, message: /just used/ });
+
+  ageLastUse();
+  activeGames = 1;
+  await assert.rejects(rotateServerSeed(PLAYER), { statusCode: 409, message: /active game/ });
+  assert.equal(revealed.length, 0);
+
+  activeGames = 0;
+  const { revealed: seed } = await rotateServerSeed(PLAYER);
+  assert.equal(seed.nonceCount, 1);
+});
@@ -0,0 +1,153 @@
+/**
+ * In-memory bets, tx_claims, deposits, deposit_scan_cursors and wallets tables for a fake
+ * database (createFakeDb), covering the statements of models/Bet, TxClaim, Deposit and Wallet.
+ */
+function installBetTables(db) {
+  const tables = {
+    wallets: new Set(),
+    claims: new Map(), // tx_id -> row
+    bets: [],
+    deposits: new Map(), // tx_id -> row
+    cursors: new Map(),
+    reset() {
+      tables.wallets.clear();
+      tables.claims.clear();
+      tables.bets = [];
+      tables.deposits.clear();
+      tables.cursors.clear();
+    },
+  };
+
+  db.on(/^INSERT IGNORE INTO wallets/, ([publicKey]) => {
+    if (tables.wallets.has(publicKey)) return { affectedRows: 0 };
+    tables.wallets.add(publicKey);
+    return { affectedRows: 1 };
+  });
+  db.on(/^SELECT public_key FROM wallets WHERE public_key = \?/, ([publicKey]) =>
+    tables.wallets.has(publicKey) ? [{ public_key: publicKey }] : []
+  );
+
+  db.on(/^INSERT IGNORE INTO tx_claims/, ([txId, kind, publicKey]) => {
+    if (tables.claims.has(txId)) return { affectedRows: 0 };
+    tables.claims.set(txId, { tx_id: txId, kind, wallet_public_key: publicKey, created_at: new Date() });
+    return { affectedRows: 1 };
+  });
+  db.on(/^SELECT \* FROM tx_claims WHERE tx_id = \?/, ([txId]) =>
+    tables.claims.has(txId) ? [tables.claims.get(txId)] : []
+  );
+  db.on(/^DELETE FROM tx_claims WHERE tx_id = \? AND kind = \?/, ([txId, kind]) => {
+    if (tables.claims.get(txId)?.kind !== kind) return { affectedRows: 0 };
+    tables.claims.delete(txId);
+    return { affectedRows: 1 };
+  });
+
+  db.on(/^INSERT INTO bets/, ([publicKey, game, roundId, betAmount, currency, target, txId]) => {
+    const id = tables.bets.length ? tables.bets[tables.bets.length - 1].id + 1 : 1;
+    tables.bets.push({
+      id,
+      wallet_public_key: publicKey,
+      game,
+      round_id: roundId,
+      bet_amount: betAmount,
+      currency,
+      target,
+      bet_tx_id: txId,
+      outcome: 'pending',
+    });
+    return { insertId: id, affectedRows: 1 };
+  });
+  db.on(/^SELECT \* FROM bets WHERE id = \? AND outcome = 'pending' FOR UPDATE/, ([id]) =>
+    tables.bets.filter((b) => b.id === id && b.outcome === 'pending')
+  );
+  db.on(/^SELECT \* FROM bets WHERE id = \?/, ([id]) => tables.bets.filter((b) => b.id === id));
+  db.on(/^DELETE FROM bets WHERE id = \?/, ([id]) => {
+    tables.bets = tables.bets.filter((b) => b.id !== id);
+    return { affectedRows: 1 };
+  });
+
+  db.on(/^SELECT \* FROM deposits WHERE tx_id = \?/, ([txId]) =>
+    tables.deposits.has(txId) ? [tables.deposits.get(txId)] : []
+  );
+  db.on(/^INSERT INTO deposits .* ON DUPLICATE KEY UPDATE/, ([txId, sourceId, publicKey, amount, tick, status]) => {
+    const row = tables.deposits.get(txId);
+    if (row && row.status !== 'pending') return { affectedRows: 0 };
+    tables.deposits.set(txId, {
+      id: row ? row.id : tables.deposits.size + 1,
+      tx_id: txId,
+      source_id: sourceId,
+      wallet_public_key: publicKey,
+      amount,
+      tick,
+      status,
+      created_at: row ? row.created_at : new Date(),
+    });
+    return { affectedRows: row ? 2 : 1 };
+  });
+  db.on(/^INSERT IGNORE INTO deposits .*'pending'/, ([txId, sourceId, publicKey, amount]) => {
+    if (tables.deposits.has(txId)) return { affectedRows: 0 };
+    tables.deposits.set(txId, {
+      id: tables.deposits.size + 1,
+      tx_id: txId,
+      source_id: sourceId,
+      wallet_public_key: publicKey,
+      amount,
+      tick: null,
+      status: 'pending',
+      created_at: new Date(),
+    });
+    return { affectedRows: 1 };
+  });
+  db.on(/^SELECT \* FROM deposits WHERE status = 'pending'/, () =>
+    [...tables.deposits.values()].filter((d) => d.status === 'pending')
+  );
+  db.on(/^DELETE FROM deposits WHERE tx_id = \? AND status = 'pending'/, ([txId]) => {
+    if (tables.deposits.get(txId)?.status !== 'pending') return { affectedRows: 0 };
+    tables.deposits.delete(txId);
+    return { affectedRows: 1 };
+  });
+  db.on(/^UPDATE deposits SET status = 'rejected' WHERE tx_id = \? AND status = 'pending'/, ([txId]) => {
+    const row = tables.deposits.get(txId);
+    if (row?.status !== 'pending') return { affectedRows: 0 };
+    row.status = 'rejected';
+    return { affectedRows: 1 };
+  });
+
+  db.on(/^SELECT last_tick FROM deposit_scan_cursors/, ([name]) =>
+    tables.cursors.has(name) ? [{ last_tick: tables.cursors.get(name) }] : []
+  );
+  db.on(/^INSERT INTO deposit_scan_cursors/, ([name, lastTick]) => {
+    tables.cursors.set(name, lastTick);
+    return { affectedRows: 1 };
+  });
+
+  return tables;
+}
+
+/**
+ * Stand-in for services/balanceLedger's deposit side: records credits (once per txId).
+ */
+function fakeDepositLedger() {
+  const credits = [];
+  return {
+    credits,
+    exports: {
+      STAKE_TX_PREFIX: 'ledger:',
+      isBalanceStake: (txId) => typeof txId === 'string' && txId.startsWith('ledger:'),
+      async creditDeposit({ publicKey, txId, amount }) {
+        if (!credits.some((c) => c.txId === txId)) credits.push({ publicKey, txId, amount });
+        return { id: credits.length };
+      },
+      async isDepositCredited(txId) {
+        return credits.some((c) => c.txId === txId);
+      },
+      async getBalance(publicKey) {
+        return { balance: credits.filter((c) => c.publicKey === publicKey).reduce((n, c) => n + c.amount, 0) };
+      },
+      async verifyStake() {
+        return { ok: false, reason: 'Unknown balance stake' };
+      },
+    },
+  };
+}
+
+module.exports = { installBetTables, fakeDepositLedger };
@@ -0,0 +1,97 @@
+const path = require('path');
+const Module = require('module');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Put `exports` in the require cache under a repo module (e.g. 'services/balanceLedger'),
+ * so code under test gets it instead of the real module. Call before requiring that code.
+ */
+function stubModule(relativePath, exports) {
+  const filename = require.resolve(path.join(ROOT, relativePath));
+  const mod = new Module(filename);
+  mod.filename = filename;
+  mod.loaded = true;
+  mod.exports = exports;
+  require.cache[filename] = mod;
+  return exports;
+}
+
+/**
+ * In-memory stand-in for database/connection. A test registers a handler per SQL statement its code
+ * runs (`on(/^INSERT INTO bets/, (params) => result)`); statements without one fail the test.
+ * Every statement yields to the event loop first so concurrent callers interleave, and a
+ * transaction holds one lock from beginTransaction to commit / rollback, the way row locks
+ * serialize conflicting transactions in MySQL.
+ */
+function createFakeDb() {
+  const handlers = [];
+  let lock = Promise.resolve();
+
+  async function run(sql, params = []) {
+    await new Promise((resolve) => setImmediate(resolve));
+    const text = String(sql).replace(/\s+/g, ' ').trim();
+    const handler = handlers.find((h) => h.pattern.test(text));
+    if (!handler) throw new Error(`fakeDb: no handler for: ${text}`);
+    return handler.fn(params, text);
+  }
+
+  async function getConnection() {
+    let unlock = null;
+    const done = () => {
+      if (unlock) unlock();
+      unlock = null;
+    };
+    return {
+      async beginTransaction() {
+        const previous = lock;
+        let release;
+        lock = new Promise((resolve) => {
+          release = resolve;
+        });
+        await previous;
+        unlock = release;
+      },
+      async query(sql, params) {
+        return [await run(sql, params)];
+      },
+      async execute(sql, params) {
+        return [await run(sql, params)];
+      },
+      async commit() {
+        done();
+      },
+      async rollback() {
+        done();
+      },
+      release() {
+        done();
+      },
+    };
+  }
+
+  return {
+    on(pattern, fn) {
+      handlers.push({ pattern, fn });
+    },
+    query: run,
+    getConnection,
+    install() {
+      stubModule('database/connection', {
+        query: run,
+        getConnection,
+        getPool: () => ({ getConnection }),
+      });
+    },
+  };
+}
+
+/**
+ * Drop the services' console output: it clutters the report, and the test runner of Node 20
+ * can choke on some of it (emoji split across chunks of a test file's stdout).
+ */
+function silenceConsole() {
+  for (const level of ['log', 'info', 'warn', 'error']) console[level] = () => {};
+}
+
+module.exports = { createFakeDb, stubModule, silenceConsole };
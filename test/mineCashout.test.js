@@ -0,0 +1,199 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const express = require('express');
+const { createFakeDb, stubModule, silenceConsole } = require('./helpers/fakeDb');
+
+silenceConsole();
+
+const PLAYER = 'A'.repeat(60);
+const GAME_ID = 7;
+
+const db = createFakeDb();
+db.install();
+
+// mine_sessions: one LIVE session with bombs on cells 0-2 and gems 10-11 open
+let session = null;
+function resetSession() {
+  session = {
+    id: GAME_ID,
+    wallet_public_key: PLAYER,
+    status: 'LIVE',
+    mines_count: 3,
+    bet_amount: 1000,
+    bet_tx_id: 'ledger:1',
+    public_seed: 'a'.repeat(64),
+    private_seed_hash: 'b'.repeat(64),
+    mines_mask: 0b111,
+    revealed_mask: (1 << 10) | (1 << 11),
+    payout_amount: null,
+    payout_tx_id: null,
+    payout_status: 'NONE',
+    payout_error: null,
+  };
+}
+
+// Applies `SET col = ?, ...` of an UPDATE to the session, returns the number of SET params used
+function applySet(text, params) {
+  const columns = text.match(/SET (.*?) WHERE/)[1].split(', ').map((part) => part.split(' = ')[0]);
+  columns.forEach((column, i) => {
+    session[column] = params[i];
+  });
+  return columns.length;
+}
+
+db.on(/^SELECT \* FROM mine_sessions WHERE id = \? FOR UPDATE/, ([id]) => (id === session.id ? [{ ...session }] : []));
+db.on(/^SELECT \* FROM mine_sessions WHERE 1=1 AND id = \?/, ([id]) => (id === session.id ? [{ ...session }] : []));
+// Set to make the next compare-and-set lose, as if another request changed the session first
+let loseNextCompareAndSet = false;
+db.on(/^UPDATE mine_sessions SET .* WHERE id = \? AND status = \?$/, (params, text) => {
+  const n = text.match(/SET (.*?) WHERE/)[1].split(', ').length;
+  const [id, status] = params.slice(n);
+  if (loseNextCompareAndSet) {
+    loseNextCompareAndSet = false;
+    return { affectedRows: 0 };
+  }
+  if (id !== session.id || status !== session.status) return { affectedRows: 0 };
+  applySet(text, params);
+  return { affectedRows: 1 };
+});
+db.on(/^UPDATE mine_sessions SET .* WHERE id = \?$/, (params, text) => {
+  applySet(text, params);
+  return { affectedRows: 1 };
+});
+// No bets row: settleByRound finds nothing to settle
+db.on(/^SELECT id FROM bets WHERE game = \? AND round_id = \?/, () => []);
+
+// idempotency_keys
+const keys = new Map();
+const keyOf = (publicKey, scope, key) => `${publicKey}|${scope}|${key}`;
+db.on(/^DELETE FROM idempotency_keys WHERE wallet_public_key = \? AND created_at/, () => ({ affectedRows: 0 }));
+db.on(/^INSERT IGNORE INTO idempotency_keys/, ([publicKey, scope, key, requestHash]) => {
+  const id = keyOf(publicKey, scope, key);
+  if (keys.has(id)) return { affectedRows: 0 };
+  keys.set(id, {
+    wallet_public_key: publicKey,
+    scope,
+    idem_key: key,
+    request_hash: requestHash,
+    status_code: null,
+    response: null,
+  });
+  return { affectedRows: 1 };
+});
+db.on(/^SELECT \* FROM idempotency_keys/, ([publicKey, scope, key]) => {
+  const row = keys.get(keyOf(publicKey, scope, key));
+  return row ? [{ ...row }] : [];
+});
+db.on(/^UPDATE idempotency_keys SET status_code = \?, response = \?/, ([statusCode, response, publicKey, scope, key]) => {
+  const row = keys.get(keyOf(publicKey, scope, key));
+  if (row) Object.assign(row, { status_code: statusCode, response });
+  return { affectedRows: row ? 1 : 0 };
+});
+db.on(/^DELETE FROM idempotency_keys WHERE wallet_public_key = \? AND scope = \?/, ([publicKey, scope, key]) => {
+  const id = keyOf(publicKey, scope, key);
+  if (keys.get(id)?.status_code !== null) return { affectedRows: 0 };
+  keys.delete(id);
+  return { affectedRows: 1 };
+});
+
+const payouts = [];
+stubModule('services/payoutQueue', {
+  payoutEvents: new EventEmitter(),
+  async payWinnings({ reference, publicKey, amount }) {
+    payouts.push({ reference, publicKey, amount });
+    return { id: payouts.length, reference, publicKey, amount, status: 'queued', txId: null };
+  },
+  async retryPayout() {
+    return null;
+  },
+});
+
+const mineRoutes = require('../routes/mine');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  // Stands in for requireWallet
+  app.use((req, res, next) => {
+    req.publicId = PLAYER;
+    next();
+  });
+  app.use('/api/mine', mineRoutes);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+function reset() {
+  resetSession();
+  keys.clear();
+  payouts.length = 0;
+}
+
+async function cashout(headers = {}) {
+  const res = await fetch(`${baseUrl}/api/mine/cashout`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ gameId: GAME_ID }),
+  });
+  return { status: res.status, replayed: res.headers.get('Idempotent-Replayed'), body: await res.json() };
+}
+
+test('two concurrent cashouts of one session pay it once', async () => {
+  reset();
+  const results = await Promise.all([cashout(), cashout()]);
+
+  assert.equal(payouts.length, 1);
+  assert.deepEqual(results.map((r) => r.status), [200, 200]);
+  assert.equal(results.filter((r) => r.body.payoutId === 1).length, 1, 'one request queued the payout');
+  assert.equal(session.status, 'ENDED');
+  assert.equal(session.payout_status, 'PENDING');
+  assert.equal(session.payout_amount, payouts[0].amount);
+});
+
+test('a replayed Idempotency-Key gets the stored response without cashing out again', async () => {
+  reset();
+  const first = await cashout({ 'Idempotency-Key': 'cashout-1' });
+  const retry = await cashout({ 'Idempotency-Key': 'cashout-1' });
+
+  assert.equal(first.status, 200);
+  assert.equal(first.replayed, null);
+  assert.equal(retry.status, 200);
+  assert.equal(retry.replayed, 'true');
+  assert.deepEqual(retry.body, first.body);
+  assert.equal(payouts.length, 1);
+});
+
+test('a retry with the same Idempotency-Key runs again after a lost compare-and-set', async () => {
+  reset();
+  loseNextCompareAndSet = true;
+  const first = await cashout({ 'Idempotency-Key': 'cashout-3' });
+  assert.equal(first.status, 409);
+  assert.equal(payouts.length, 0);
+
+  const retry = await cashout({ 'Idempotency-Key': 'cashout-3' });
+  assert.equal(retry.status, 200);
+  assert.equal(retry.replayed, null);
+  assert.equal(retry.body.payoutId, 1);
+  assert.equal(payouts.length, 1);
+  assert.equal(session.payout_status, 'PENDING');
+});
+
+test('an Idempotency-Key reused for a different request is refused', async () => {
+  reset();
+  await cashout({ 'Idempotency-Key': 'cashout-2' });
+  const res = await fetch(`${baseUrl}/api/mine/cashout`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'cashout-2' },
+    body: JSON.stringify({ gameId: GAME_ID + 1 }),
+  });
+
+  assert.equal(res.status, 422);
+  assert.equal((await res.json()).code, 'IDEMPOTENCY_KEY_REUSED');
+});
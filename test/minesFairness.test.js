@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { silenceConsole } = require('./helpers/fakeDb');
+
+silenceConsole();
+
+const { minePositions, minesMaskFromPositions } = require('../services/minesFairness');
+
+// Known answers below were computed independently of this code (HMAC-SHA256 Fisher-Yates by hand)
+const SERVER_SEED = 'server-seed';
+const CLIENT_SEED = 'client-seed';
+
+test('mine positions are derived from server seed, client seed and nonce', () => {
+  assert.deepEqual(minePositions(SERVER_SEED, CLIENT_SEED, 0, 3), [1, 10, 14]);
+  assert.deepEqual(minePositions(SERVER_SEED, CLIENT_SEED, 1, 3), [8, 9, 21]);
+  assert.deepEqual(minePositions(SERVER_SEED, CLIENT_SEED, 2, 3), [1, 21, 23]);
+  assert.deepEqual(minePositions(SERVER_SEED, 'other-seed', 0, 3), [9, 17, 24]);
+});
+
+test('more mines extend the same shuffled board', () => {
+  // 24 mines leave one safe cell; the 3-mine board of the same nonce is part of it
+  const safeCells = { 0: 11, 1: 16, 2: 19 };
+  for (const [nonce, safe] of Object.entries(safeCells)) {
+    const bombs = minePositions(SERVER_SEED, CLIENT_SEED, Number(nonce), 24);
+    assert.equal(bombs.length, 24);
+    assert.equal(bombs.includes(safe), false, `nonce ${nonce}`);
+    for (const cell of minePositions(SERVER_SEED, CLIENT_SEED, Number(nonce), 3)) {
+      assert.ok(bombs.includes(cell), `nonce ${nonce} cell ${cell}`);
+    }
+  }
+});
+
+test('the stored mask has one bit per mine', () => {
+  assert.equal(minesMaskFromPositions([1, 10, 14]), (1 << 1) | (1 << 10) | (1 << 14));
+  assert.equal(minesMaskFromPositions([24]), 0x1000000);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const express = require('express');
+const { stubModule, silenceConsole } = require('./helpers/fakeDb');
+const { createMockRpc } = require('../scripts/mock_qubic_rpc');
+
+silenceConsole();
+
+const CASINO = 'C'.repeat(60);
+const PLAYER = 'A'.repeat(60);
+
+// payout_queue: the one sent payout under test, and what the tracker did to it
+const tracked = { payout: null, confirmed: [], rebroadcast: [], failed: [] };
+stubModule('models/Payout', {
+  Payout: {
+    async findUnconfirmed() {
+      return tracked.payout ? [tracked.payout] : [];
+    },
+    async findById(id) {
+      return tracked.payout?.id === id ? tracked.payout : null;
+    },
+    async markConfirmed(id, { tick }) {
+      tracked.confirmed.push({ id, tick });
+      return true;
+    },
+    async markRebroadcast(id, { error }) {
+      tracked.rebroadcast.push({ id, error });
+      return true;
+    },
+    async markFailed(id, { error }) {
+      tracked.failed.push({ id, error });
+    },
+  },
+});
+stubModule('services/payoutQueue', { payoutEvents: new EventEmitter() });
+
+const mock = createMockRpc({ tickMs: 0, balances: { [CASINO]: 1_000_000 } });
+let server;
+let baseUrl;
+let trackSentPayouts;
+
+test.before(async () => {
+  // The archiver has not indexed the transfer yet: its lookups 404, the tick's list already holds it
+  const front = express();
+  front.get('/v1/transactions/:id', (req, res) => res.status(404).json({ code: 5, message: 'transaction not found' }));
+  front.get('/v1/tx-status/:id', (req, res) => res.status(404).json({ code: 5, message: 'tx status not found' }));
+  front.use(mock.app);
+  server = front.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Endpoints are read when the client loads
+  process.env.QUBIC_RPC_URLS = baseUrl;
+  process.env.QUBIC_RPC_RETRIES = '0';
+  ({ trackSentPayouts } = require('../services/payoutTracker'));
+});
+
+test.after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  server.closeAllConnections();
+});
+
+async function sendPayout({ drop = false } = {}) {
+  if (drop) await fetch(`${baseUrl}/mock/drop-next`, { method: 'POST' });
+  const res = await fetch(`${baseUrl}/mock/transfers`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sourceId: CASINO, destId: PLAYER, amount: 500 }),
+  });
+  const { txId, tick } = await res.json();
+  tracked.payout = { id: 1, reference: 'slide:bet:1', status: 'sent', txId, targetTick: tick, rebroadcasts: 0 };
+  tracked.confirmed = [];
+  tracked.rebroadcast = [];
+  tracked.failed = [];
+  // Well past the confirmation margin
+  mock.advanceTicks(20);
+  return tracked.payout;
+}
+
+test('an included payout missing from the tx lookup is confirmed, not signed again', async () => {
+  const payout = await sendPayout();
+  assert.equal(mock.state.transactions.get(payout.txId).moneyFlew, true);
+
+  await trackSentPayouts();
+
+  assert.deepEqual(tracked.rebroadcast, []);
+  assert.deepEqual(tracked.confirmed, [{ id: payout.id, tick: payout.targetTick }]);
+});
+
+test('a payout that missed its tick is signed again', async () => {
+  const payout = await sendPayout({ drop: true });
+
+  await trackSentPayouts();
+
+  assert.deepEqual(tracked.confirmed, []);
+  assert.equal(tracked.rebroadcast.length, 1);
+  assert.match(tracked.rebroadcast[0].error, new RegExp(`missed tick ${payout.targetTick}`));
+});
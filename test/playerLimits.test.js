@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeDb, stubModule, silenceConsole } = require('./helpers/fakeDb');
+
+silenceConsole();
+
+const PLAYER = 'A'.repeat(60);
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// The database clock runs `skew` ms ahead of the test's, so a scheduled change can come due
+let skew = 0;
+const dbNow = () => Date.now() + skew;
+
+// wallet_limits rows by name, and the player's bets ({ amount, payout, createdAt })
+const limits = new Map();
+const bets = [];
+let coolOffUntil = null;
+
+const db = createFakeDb();
+db.install();
+db.on(/^SELECT \* FROM wallet_limits/, () => [...limits.values()].map((row) => ({ ...row })));
+db.on(/^INSERT INTO wallet_limits \(wallet_public_key, name, value\) VALUES/, ([, name, value]) => {
+  limits.set(name, { name, value, pending_value: null, pending_effective_at: null });
+  return { affectedRows: 1 };
+});
+db.on(/^INSERT INTO wallet_limits \(wallet_public_key, name, value, pending_value/, ([, name, value, effectiveAt]) => {
+  const row = limits.get(name) || { name, value: null };
+  limits.set(name, { ...row, pending_value: value, pending_effective_at: effectiveAt });
+  return { affectedRows: 1 };
+});
+db.on(/^UPDATE wallet_limits SET value = pending_value/, () => {
+  let affectedRows = 0;
+  for (const row of limits.values()) {
+    if (row.pending_effective_at && row.pending_effective_at.getTime() <= dbNow()) {
+      Object.assign(row, { value: row.pending_value, pending_value: null, pending_effective_at: null });
+      affectedRows += 1;
+    }
+  }
+  return { affectedRows };
+});
+db.on(/^SELECT COALESCE\(SUM\(bet_amount\), 0\) AS wagered/, ([, since]) => {
+  const counted = bets.filter((b) => b.createdAt >= since);
+  return [
+    {
+      wagered: counted.reduce((sum, b) => sum + b.amount, 0),
+      net_loss: counted.reduce((sum, b) => sum + b.amount - b.payout, 0),
+    },
+  ];
+});
+
+stubModule('models/Wallet', {
+  Wallet: {
+    async findByPublicKey(publicKey) {
+      return { publicKey, coolOffUntil };
+    },
+  },
+});
+stubModule('services/walletStatus', { async assertCanBet() {} });
+stubModule('services/gameControl', { async assertGameOpen() {} });
+
+const { PlayerLimit } = require('../models/PlayerLimit');
+const { getLimits, setLimits, assertBetAllowed } = require('../services/playerLimits');
+
+function reset() {
+  skew = 0;
+  limits.clear();
+  bets.length = 0;
+  coolOffUntil = null;
+}
+
+function bet(amount, payout, ageMs = 0) {
+  bets.push({ amount, payout, createdAt: new Date(Date.now() - ageMs) });
+}
+
+const placeBet = (amount) => assertBetAllowed({ publicKey: PLAYER, game: 'mine', amount });
+
+test('a new or lower limit applies at once', async () => {
+  reset();
+  let current = await setLimits(PLAYER, { lossDaily: 1000 });
+  assert.deepEqual(current.lossDaily, { value: 1000, pending: null });
+
+  current = await setLimits(PLAYER, { lossDaily: 400, sessionMinutes: 30 });
+  assert.deepEqual(current.lossDaily, { value: 400, pending: null });
+  assert.equal(current.sessionMinutes.value, 30);
+});
+
+test('a higher or removed limit waits for the delay, then applyDue applies it', async () => {
+  reset();
+  await setLimits(PLAYER, { lossDaily: 400, wagerDaily: 1000 });
+  const before = Date.now();
+  const current = await setLimits(PLAYER, { lossDaily: 2000, wagerDaily: null });
+
+  assert.equal(current.lossDaily.value, 400, 'the old limit holds until the change is due');
+  assert.equal(current.lossDaily.pending.value, 2000);
+  assert.ok(current.lossDaily.pending.effectiveAt.getTime() >= before + 24 * HOUR);
+  assert.equal(current.wagerDaily.pending.value, null);
+  assert.equal(current.wagerDaily.value, 1000);
+
+  assert.equal(await PlayerLimit.applyDue(PLAYER), 0);
+
+  skew = 24 * HOUR + 1000;
+  assert.equal(await PlayerLimit.applyDue(PLAYER), 2);
+  const applied = await getLimits(PLAYER);
+  assert.deepEqual(applied.lossDaily, { value: 2000, pending: null });
+  assert.deepEqual(applied.wagerDaily, { value: null, pending: null });
+});
+
+test('lowering a limit drops its scheduled increase', async () => {
+  reset();
+  await setLimits(PLAYER, { lossWeekly: 500 });
+  await setLimits(PLAYER, { lossWeekly: 5000 });
+  const current = await setLimits(PLAYER, { lossWeekly: 300 });
+
+  assert.deepEqual(current.lossWeekly, { value: 300, pending: null });
+  skew = 2 * DAY;
+  assert.equal((await getLimits(PLAYER)).lossWeekly.value, 300);
+});
+
+test('a bet past the wager limit is refused with 403', async () => {
+  reset();
+  await setLimits(PLAYER, { wagerDaily: 1000 });
+  bet(900, 1800);
+  bet(5000, 0, 2 * DAY);
+
+  await placeBet(100);
+  await assert.rejects(placeBet(101), { statusCode: 403, code: 'WAGER_LIMIT' });
+});
+
+test('a bet that could lose past the loss limit is refused with 403', async () => {
+  reset();
+  await setLimits(PLAYER, { lossWeekly: 500 });
+  bet(300, 0);
+  bet(200, 100, 3 * DAY);
+  bet(10000, 0, 8 * DAY);
+
+  await placeBet(100);
+  await assert.rejects(placeBet(101), { statusCode: 403, code: 'LOSS_LIMIT' });
+
+  // Winnings in the window leave room for more
+  bet(100, 300);
+  await placeBet(300);
+});
+
+test('a cool-off refuses every bet, even without a stake', async () => {
+  reset();
+  coolOffUntil = new Date(Date.now() + HOUR);
+  await assert.rejects(placeBet(0), { statusCode: 403, code: 'COOL_OFF' });
+  await assert.rejects(placeBet(10), { statusCode: 403, code: 'COOL_OFF' });
+});
@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeDb, silenceConsole } = require('./helpers/fakeDb');
+
+silenceConsole();
+
+const ALICE = 'A'.repeat(60);
+const BOB = 'B'.repeat(60);
+const DAY_1 = '2026-03-01';
+const DAY_2 = '2026-03-02';
+
+// The bets ledger, round house edges, report_game_daily rows and the rollup cursor
+const bets = [];
+const crashEdges = new Map([[1, 0.01], [2, null]]);
+const slideEdges = new Map([[5, 0.02]]);
+const daily = [];
+let cursor = null;
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+const settled = (b) => b.outcome === 'won' || b.outcome === 'lost';
+const sum = (rows, fn) => rows.reduce((s, r) => s + fn(r), 0);
+
+const db = createFakeDb();
+db.install();
+db.on(/^SELECT DISTINCT DATE_FORMAT\(created_at, '%Y-%m-%d'\) AS day FROM bets/, ([since]) => {
+  const changed = since ? bets.filter((b) => b.createdAt >= since || (b.settledAt && b.settledAt >= since)) : bets;
+  return [...new Set(changed.map((b) => dayOf(b.createdAt)))].sort().map((day) => ({ day }));
+});
+// The per-game aggregate of rebuildDay, over the day's bets
+db.on(/^SELECT b\.game, SUM\(b\.outcome IN \('won','lost'\)\) AS bet_count/, ([slideRtp, mineRtp, otherRtp, day]) => {
+  const rtpOf = (b) => {
+    if (b.game === 'crash') return 1 - (crashEdges.get(b.roundId) ?? 0);
+    if (b.game === 'slide') return slideEdges.has(b.roundId) ? 1 - slideEdges.get(b.roundId) : slideRtp;
+    return b.game === 'mine' ? mineRtp : otherRtp;
+  };
+  const games = [...new Set(bets.filter((b) => dayOf(b.createdAt) === day).map((b) => b.game))];
+  return games.map((game) => {
+    const all = bets.filter((b) => dayOf(b.createdAt) === day && b.game === game);
+    const done = all.filter(settled);
+    return {
+      game,
+      bet_count: done.length,
+      wagered: sum(done, (b) => b.amount),
+      payouts: sum(done, (b) => b.payout),
+      unique_players: new Set(done.map((b) => b.publicKey)).size,
+      theoretical_payout: sum(done, (b) => b.amount * rtpOf(b)),
+      pending_count: all.filter((b) => b.outcome === 'pending').length,
+      refunded_count: all.filter((b) => b.outcome === 'refunded').length,
+    };
+  });
+});
+db.on(/^DELETE FROM report_game_daily WHERE day = \?/, ([day]) => {
+  for (let i = daily.length - 1; i >= 0; i -= 1) if (daily[i].day === day) daily.splice(i, 1);
+  return { affectedRows: 1 };
+});
+db.on(/^INSERT INTO report_game_daily/, (params) => {
+  const [day, game, betCount, wagered, payouts, uniquePlayers, theoreticalPayout, pendingCount, refundedCount] = params;
+  daily.push({
+    day,
+    game,
+    bet_count: betCount,
+    wagered,
+    payouts,
+    unique_players: uniquePlayers,
+    theoretical_payout: theoreticalPayout,
+    pending_count: pendingCount,
+    refunded_count: refundedCount,
+  });
+  return { affectedRows: 1 };
+});
+db.on(/^SELECT DATE_FORMAT\(day, '%Y-%m-%d'\) AS day/, (params, text) => {
+  const values = [...params];
+  const from = text.includes('day >= ?') ? values.shift() : null;
+  const to = text.includes('day <= ?') ? values.shift() : null;
+  const game = text.includes('game = ?') ? values.shift() : null;
+  return daily
+    .filter((r) => (!from || r.day >= from) && (!to || r.day <= to) && (!game || r.game === game))
+    .sort((a, b) => a.day.localeCompare(b.day) || a.game.localeCompare(b.game));
+});
+db.on(/^SELECT rolled_up_to FROM report_rollup_state/, () => (cursor ? [{ rolled_up_to: cursor }] : []));
+db.on(/^INSERT INTO report_rollup_state/, ([, rolledUpTo]) => {
+  cursor = rolledUpTo;
+  return { affectedRows: 1 };
+});
+db.on(/^DELETE FROM report_rollup_state/, () => {
+  cursor = null;
+  return { affectedRows: 1 };
+});
+
+const { rollupOnce, rebuildReports, getDailyReport, reportToCsv } = require('../services/reports');
+
+function bet(day, { game, roundId = null, publicKey = ALICE, amount, payout = 0, outcome }) {
+  const createdAt = new Date(`${day}T12:00:00Z`);
+  const row = { game, roundId, publicKey, amount, payout, outcome, createdAt, settledAt: outcome === 'pending' ? null : createdAt };
+  bets.push(row);
+  return row;
+}
+
+function seedLedger() {
+  bets.length = 0;
+  daily.length = 0;
+  cursor = null;
+
+  bet(DAY_1, { game: 'crash', roundId: 1, amount: 1000, payout: 2000, outcome: 'won' });
+  bet(DAY_1, { game: 'crash', roundId: 1, publicKey: BOB, amount: 500, outcome: 'lost' });
+  // A round from before the house edge: it returned everything
+  bet(DAY_1, { game: 'crash', roundId: 2, amount: 300, outcome: 'lost' });
+  bet(DAY_1, { game: 'slide', roundId: 5, publicKey: BOB, amount: 1000, outcome: 'lost' });
+  bet(DAY_1, { game: 'slide', roundId: 5, amount: 400, outcome: 'refunded' });
+  bet(DAY_1, { game: 'mine', amount: 200, payout: 300, outcome: 'won' });
+  bet(DAY_2, { game: 'mine', publicKey: BOB, amount: 100, outcome: 'pending' });
+  bet(DAY_2, { game: 'videopoker', amount: 100, payout: 50, outcome: 'lost' });
+}
+
+test('the rollup sums settled bets per game and day', async () => {
+  seedLedger();
+  assert.deepEqual(await rollupOnce(), [DAY_1, DAY_2]);
+
+  const report = await getDailyReport();
+  const row = (day, game) => report.days.find((r) => r.day === day && r.game === game);
+
+  const crash = row(DAY_1, 'crash');
+  assert.equal(crash.betCount, 3);
+  assert.equal(crash.wagered, 1800);
+  assert.equal(crash.payouts, 2000);
+  assert.equal(crash.ggr, -200);
+  assert.equal(crash.uniquePlayers, 2);
+  assert.equal(crash.realisedRtp, 2000 / 1800);
+  assert.equal(crash.theoreticalRtp, (990 + 495 + 300) / 1800);
+
+  const slide = row(DAY_1, 'slide');
+  assert.deepEqual([slide.betCount, slide.wagered, slide.ggr, slide.refundedCount], [1, 1000, 1000, 1]);
+  assert.equal(slide.theoreticalRtp, 0.98, "the round's own house edge");
+
+  const mine = row(DAY_1, 'mine');
+  assert.equal(mine.theoreticalRtp, 0.975);
+  assert.equal(row(DAY_2, 'mine').pendingCount, 1, 'a pending bet is counted but not wagered');
+  assert.equal(row(DAY_2, 'mine').wagered, 0);
+  assert.equal(row(DAY_2, 'videopoker').ggr, 50);
+
+  assert.equal(report.totals.mine.wagered, 200);
+  assert.equal(report.totals.mine.pendingCount, 1);
+  assert.deepEqual(
+    [report.overall.betCount, report.overall.wagered, report.overall.payouts, report.overall.ggr],
+    [6, 3100, 2350, 750]
+  );
+  assert.equal(report.overall.realisedRtp, 2350 / 3100);
+  assert.equal(report.rolledUpTo, cursor);
+});
+
+test('a later run only rebuilds days whose bets changed', async () => {
+  seedLedger();
+  await rollupOnce();
+  assert.deepEqual(await rollupOnce(), []);
+
+  const pending = bets.find((b) => b.outcome === 'pending');
+  Object.assign(pending, { outcome: 'won', payout: 250, settledAt: new Date() });
+  assert.deepEqual(await rollupOnce(), [DAY_2]);
+
+  const { days } = await getDailyReport({ from: DAY_2, game: 'mine' });
+  assert.equal(days.length, 1);
+  assert.deepEqual([days[0].betCount, days[0].wagered, days[0].payouts, days[0].pendingCount], [1, 100, 250, 0]);
+
+  assert.deepEqual(await rebuildReports(), [DAY_1, DAY_2]);
+});
+
+test('the CSV export has one line per game and day', async () => {
+  seedLedger();
+  await rollupOnce();
+  const csv = reportToCsv(await getDailyReport({ to: DAY_1 }));
+
+  assert.deepEqual(csv.split('\n'), [
+    'day,game,betCount,wagered,payouts,ggr,uniquePlayers,realisedRtp,theoreticalRtp,pendingCount,refundedCount',
+    '2026-03-01,crash,3,1800,2000,-200,2,1.111111,0.991667,0,0',
+    '2026-03-01,mine,1,200,300,-100,1,1.500000,0.975000,0,0',
+    '2026-03-01,slide,1,1000,0,1000,1,0,0.980000,0,1',
+    '',
+  ]);
+});
+
+test('report filters are checked', async () => {
+  await assert.rejects(getDailyReport({ from: '03/01/2026' }), { statusCode: 400 });
+  await assert.rejects(getDailyReport({ game: 'roulette' }), { statusCode: 400 });
+});
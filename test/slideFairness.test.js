@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { silenceConsole } = require('./helpers/fakeDb');
+
+silenceConsole();
+
+const { generateSlideData } = require('../services/slideFairness');
+
+const PARAMS = { houseEdge: 0.01, maxMultiplier: 1000 };
+
+// Known answers below were computed independently of this code (HMAC-SHA256 counter stream by hand)
+const TRACKS = {
+  'slide-seed-2': [1, 1.03, 1.07, 1.09, 1.11, 1.13, 1.18, 1.23, 1.25, 1.27, 1.31, 1.34, 1.42, 1.44],
+  'slide-seed-4': [1, 1.05, 1.07, 1.11, 1.12, 1.14, 1.16, 1.18],
+  'slide-seed-5': [
+    1, 1.03, 1.05, 1.08, 1.12, 1.17, 1.22, 1.27, 1.29, 1.31, 1.36, 1.4, 1.47, 1.49, 1.54, 1.6, 1.63, 1.65, 1.71,
+    1.74, 1.8, 1.91, 2.02, 2.1,
+  ],
+};
+
+test('the slide track is derived from the round seeds', () => {
+  for (const [privateSeed, numbers] of Object.entries(TRACKS)) {
+    const round = generateSlideData('slide-salt', privateSeed, PARAMS);
+    assert.deepEqual(round, { crashPoint: numbers[numbers.length - 1], numbers }, privateSeed);
+  }
+});
+
+test('a long track grows 1-6% per step and ends exactly at the crash point', () => {
+  const { crashPoint, numbers } = generateSlideData('slide-salt', 'slide-seed-1', PARAMS);
+
+  assert.equal(crashPoint, 12.56);
+  assert.equal(numbers.length, 73);
+  assert.equal(numbers[0], 1);
+  assert.equal(numbers[numbers.length - 1], crashPoint);
+  for (let i = 1; i < numbers.length - 1; i += 1) {
+    const step = numbers[i] / numbers[i - 1];
+    assert.ok(step > 1 && step < 1.07, `step ${i} grows ${step}`);
+  }
+});
+
+test('an instant bust shows a single 1.00x', () => {
+  // The same seeds bust at 1.00x in crash (see crashFairness.test.js)
+  assert.deepEqual(generateSlideData('casino-salt', 'seed-8', PARAMS), { crashPoint: 1, numbers: [1] });
+});
+
+test('another salt gives another round', () => {
+  assert.notDeepEqual(generateSlideData('other-salt', 'slide-seed-2', PARAMS), generateSlideData('slide-salt', 'slide-seed-2', PARAMS));
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeDb, stubModule, silenceConsole } = require('./helpers/fakeDb');
+const { installBetTables, fakeDepositLedger } = require('./helpers/betTables');
+
+silenceConsole();
+
+const PLAYER = 'A'.repeat(60);
+const TX_ID = 'b'.repeat(60);
+
+const db = createFakeDb();
+db.install();
+const tables = installBetTables(db);
+const ledger = fakeDepositLedger();
+stubModule('services/balanceLedger', ledger.exports);
+
+const { Bet } = require('../models/Bet');
+const { acceptDeposit } = require('../services/depositWatcher');
+
+function reset() {
+  tables.reset();
+  ledger.credits.length = 0;
+}
+
+const placeBet = () => Bet.create({ publicKey: PLAYER, game: 'slide', roundId: 1, betAmount: 500, txId: TX_ID });
+const deposit = () => acceptDeposit({ txId: TX_ID, publicKey: PLAYER, amount: 500, tick: 10 });
+
+test('a transfer used for a bet is not credited as a deposit', async () => {
+  reset();
+  await placeBet();
+  await assert.rejects(deposit(), { statusCode: 409 });
+  assert.equal(ledger.credits.length, 0);
+});
+
+test('a transfer credited as a deposit cannot pay for a bet', async () => {
+  reset();
+  await deposit();
+  await assert.rejects(placeBet(), { statusCode: 409, message: /credited/ });
+  assert.equal(tables.bets.length, 0);
+  assert.equal(ledger.credits.length, 1);
+});
+
+test('a bet and a deposit racing for one transfer: exactly one wins', async () => {
+  for (const order of [[placeBet, deposit], [deposit, placeBet]]) {
+    reset();
+    const results = await Promise.allSettled(order.map((start) => start()));
+    assert.equal(results.filter((r) => r.status === 'fulfilled').length, 1, 'one use of the transfer succeeds');
+    assert.equal(results.find((r) => r.status === 'rejected').reason.statusCode, 409);
+    assert.equal(tables.bets.length + ledger.credits.length, 1, 'the transfer is either staked or credited');
+  }
+});
+
+test('a removed bet frees its transfer for a deposit', async () => {
+  reset();
+  const bet = await placeBet();
+  assert.equal((await Bet.remove(bet.id)).length, 1);
+  assert.equal(await deposit(), true);
+  assert.equal(ledger.credits.length, 1);
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const qubicCrypto = require('@qubic-lib/qubic-ts-library/dist/crypto').default;
+const { QubicHelper } = require('@qubic-lib/qubic-ts-library/dist/qubicHelper');
+const { createFakeDb, stubModule, silenceConsole } = require('./helpers/fakeDb');
+
+silenceConsole();
+
+// auth_challenges by nonce and auth_sessions by id; expiresAt is a ms timestamp
+const challenges = new Map();
+const sessions = new Map();
+
+const db = createFakeDb();
+db.install();
+db.on(/^INSERT INTO auth_challenges/, ([nonce, publicKey, message, ttlMicros]) => {
+  challenges.set(nonce, { nonce, wallet_public_key: publicKey, message, expiresAt: Date.now() + ttlMicros / 1000, used_at: null });
+  return { affectedRows: 1 };
+});
+db.on(/^DELETE FROM auth_challenges/, () => ({ affectedRows: 0 }));
+db.on(/^SELECT \* FROM auth_challenges/, ([nonce, publicKey]) => {
+  const row = challenges.get(nonce);
+  const usable = row && row.wallet_public_key === publicKey && !row.used_at && row.expiresAt > Date.now();
+  return usable ? [row] : [];
+});
+db.on(/^UPDATE auth_challenges SET used_at/, ([nonce]) => {
+  const row = challenges.get(nonce);
+  if (!row || row.used_at) return { affectedRows: 0 };
+  row.used_at = new Date();
+  return { affectedRows: 1 };
+});
+db.on(/^INSERT INTO auth_sessions/, ([tokenHash, publicKey, ttlMicros]) => {
+  const id = sessions.size + 1;
+  sessions.set(id, { id, token_hash: tokenHash, wallet_public_key: publicKey, expiresAt: Date.now() + ttlMicros / 1000, revoked_at: null });
+  return { insertId: id, affectedRows: 1 };
+});
+db.on(/^SELECT \* FROM auth_sessions WHERE id = \?/, ([id]) => (sessions.has(id) ? [sessions.get(id)] : []));
+db.on(/^SELECT \* FROM auth_sessions WHERE token_hash = \?/, ([tokenHash]) =>
+  [...sessions.values()].filter((s) => s.token_hash === tokenHash && !s.revoked_at && s.expiresAt > Date.now())
+);
+db.on(/^UPDATE auth_sessions SET last_seen_at/, () => ({ affectedRows: 1 }));
+
+stubModule('models/Wallet', { Wallet: { async register() {} } });
+stubModule('services/walletStatus', { async assertCanLogin() {} });
+
+const { createChallenge, login, requireWallet } = require('../services/walletAuth');
+
+const helper = new QubicHelper();
+let player;
+let other;
+
+test.before(async () => {
+  player = await helper.createIdPackage('a'.repeat(55));
+  other = await helper.createIdPackage('b'.repeat(55));
+});
+
+// What a wallet sends back: schnorrq over K12(utf8(message)), hex encoded
+async function sign(identity, message) {
+  const { schnorrq, K12 } = await qubicCrypto;
+  const digest = new Uint8Array(32);
+  K12(new Uint8Array(Buffer.from(message, 'utf8')), digest, 32);
+  return Buffer.from(schnorrq.sign(identity.privateKey, identity.publicKey, digest)).toString('hex');
+}
+
+// A login challenge for the player, signed by `identity`
+async function signedLogin(identity) {
+  const challenge = await createChallenge(player.publicId);
+  const signature = await sign(identity, challenge.message);
+  return { challenge, attempt: () => login({ publicId: player.publicId, nonce: challenge.nonce, signature }) };
+}
+
+// Run requireWallet on a request; resolves with the status it answered, or 'next'
+function runRequireWallet(fields) {
+  const req = { headers: {}, query: {}, body: {}, ...fields };
+  return new Promise((resolve) => {
+    const res = {
+      status(code) {
+        return { json: (body) => resolve({ status: code, body }) };
+      },
+    };
+    requireWallet(req, res, () => resolve({ status: 'next', req }));
+  });
+}
+
+test('a challenge signed by its wallet opens a session', async () => {
+  const { attempt } = await signedLogin(player);
+  const session = await attempt();
+
+  assert.equal(session.publicId, player.publicId);
+  assert.ok(session.token);
+
+  const result = await runRequireWallet({ headers: { authorization: `Bearer ${session.token}` } });
+  assert.equal(result.status, 'next');
+  assert.equal(result.req.publicId, player.publicId);
+});
+
+test('a signature from another key is rejected', async () => {
+  const { challenge, attempt } = await signedLogin(other);
+  await assert.rejects(attempt(), { statusCode: 401, code: 'SIGNATURE_INVALID' });
+  assert.equal(challenges.get(challenge.nonce).used_at, null, 'a failed attempt does not use up the nonce');
+});
+
+test('a signature over a tampered message is rejected', async () => {
+  const challenge = await createChallenge(player.publicId);
+  const signature = await sign(player, challenge.message.replace('Nonce:', 'Nonce: 0'));
+  await assert.rejects(login({ publicId: player.publicId, nonce: challenge.nonce, signature }), {
+    statusCode: 401,
+    code: 'SIGNATURE_INVALID',
+  });
+
+  const good = await sign(player, challenge.message);
+  const flipped = (parseInt(good[0], 16) ^ 1).toString(16) + good.slice(1);
+  await assert.rejects(login({ publicId: player.publicId, nonce: challenge.nonce, signature: flipped }), {
+    statusCode: 401,
+    code: 'SIGNATURE_INVALID',
+  });
+});
+
+test('an expired challenge is rejected', async () => {
+  const { challenge, attempt } = await signedLogin(player);
+  challenges.get(challenge.nonce).expiresAt = Date.now() - 1;
+  await assert.rejects(attempt(), { statusCode: 401, code: 'CHALLENGE_INVALID' });
+});
+
+test('a challenge logs in once', async () => {
+  const { attempt } = await signedLogin(player);
+  await attempt();
+  await assert.rejects(attempt(), { statusCode: 401, code: 'CHALLENGE_INVALID' });
+});
+
+test('requireWallet refuses a request naming a wallet other than the session', async () => {
+  const { token } = await (await signedLogin(player)).attempt();
+  const authorization = `Bearer ${token}`;
+
+  for (const req of [
+    { body: { publicId: other.publicId } },
+    { body: { publicKey: other.publicId } },
+    { query: { publicId: other.publicId } },
+    { headers: { 'x-public-id': other.publicId } },
+  ]) {
+    const result = await runRequireWallet({ ...req, headers: { ...req.headers, authorization } });
+    assert.equal(result.status, 403);
+    assert.equal(result.body.code, 'WALLET_MISMATCH');
+  }
+
+  const own = await runRequireWallet({ body: { publicId: player.publicId }, headers: { authorization } });
+  assert.equal(own.status, 'next');
+
+  const anonymous = await runRequireWallet({ body: { publicId: player.publicId } });
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.body.code, 'AUTH_REQUIRED');
+});
@@ -6,17 +6,9 @@
  */
 
 const { query } = require('../database/connection');
-const axios = require('axios');
 const { isValidQubicPublicId, normalizeQubicPublicId } = require('./validation');
+const { fetchBalance, fetchOwnedAssets } = require('../services/qubicRpc');
 
-// Qubic RPC endpoints
-const QUBIC_RPC_URL_RAW = process.env.QUBIC_RPC_URL || 'https://rpc.qubic.org';
-
-function normalizeRpcBase(url) {
-  return String(url || '').trim().replace(/\/+$/, '');
-}
-
-const QUBIC_RPC_BASE = normalizeRpcBase(QUBIC_RPC_URL_RAW);
 const QDoge_ASSET_NAME = 'QDoge'; // QDoge asset name
 
 /**
@@ -51,24 +43,15 @@ async function getQubicBalance(publicId) {
     // Fetch QUBIC (QU) balance from RPC API
     // Endpoint: GET /v1/balances/{identityId}
     // The identityId is the 60-character Qubic public ID (identity)
-    const balanceUrl = `${QUBIC_RPC_BASE}/v1/balances/${publicId}`;
-    
-    console.log(`Fetching balance for ${publicId} from ${balanceUrl}`);
+    console.log(`Fetching balance for ${publicId}`);
     
     let qubicBalance = 0;
     let qdogeBalance = 0;
 
     try {
       // Get QU balance
-      const balanceResponse = await axios.get(balanceUrl, {
-        timeout: 10000, // 10 second timeout
-        headers: {
-          'Accept': 'application/json'
-        }
-      });
-
       // Response format: { balance: { balance: "5000", incomingAmount: "5000", outgoingAmount: "0", ... } }
-      const responseData = balanceResponse.data;
+      const responseData = await fetchBalance(publicId);
       let balanceObj = null;
       
       if (responseData && responseData.balance) {
@@ -104,17 +87,11 @@ async function getQubicBalance(publicId) {
     // Fetch QDoge balance from assets endpoint
     // Endpoint: GET /v1/assets/{identity}/owned
     try {
-      const assetsUrl = `${QUBIC_RPC_BASE}/v1/assets/${publicId}/owned`;
-      const assetsResponse = await axios.get(assetsUrl, {
-        timeout: 10000,
-        headers: {
-          'Accept': 'application/json'
-        }
-      });
+      const assets = await fetchOwnedAssets(publicId);
 
-      if (assetsResponse.data && Array.isArray(assetsResponse.data)) {
+      if (assets && Array.isArray(assets)) {
         // Find QDoge asset in the list
-        const qdogeAsset = assetsResponse.data.find(asset => {
+        const qdogeAsset = assets.find(asset => {
           // Asset name might be in different formats
           const assetName = asset.assetName || asset.name || '';
           return assetName.toString().includes('QDoge') || 